@@ -1,8 +1,10 @@
 /**
  * Uniswap V2/V3 style DEX Pool ABI
- * Contains only the events we need to monitor
+ * Contains the events we monitor plus the view functions used to identify pools
  */
 
+const { parseAbi } = require('viem');
+
 // Uniswap V2 Pool Events
 const UNISWAP_V2_EVENTS = [
   {
@@ -50,7 +52,7 @@ const UNISWAP_V2_EVENTS = [
   }
 ];
 
-// Uniswap V3 Pool Events (for future use)
+// Uniswap V3 Pool Events
 const UNISWAP_V3_EVENTS = [
   {
     anonymous: false,
@@ -69,6 +71,7 @@ const UNISWAP_V3_EVENTS = [
   {
     anonymous: false,
     inputs: [
+      { indexed: false, name: 'sender', type: 'address' },
       { indexed: true, name: 'owner', type: 'address' },
       { indexed: true, name: 'tickLower', type: 'int24' },
       { indexed: true, name: 'tickUpper', type: 'int24' },
@@ -97,8 +100,74 @@ const UNISWAP_V3_EVENTS = [
 // Combined ABI with both V2 and V3 events
 const DEX_POOL_ABI = [...UNISWAP_V2_EVENTS, ...UNISWAP_V3_EVENTS];
 
+// V2 and V3 share event names, so watching by eventName only ever matches the
+// first (V2) definition. Subscriptions pass these lists and decode by topic.
+const byName = (name) => DEX_POOL_ABI.filter(item => item.name === name);
+
+const SWAP_EVENTS = byName('Swap');
+const LIQUIDITY_EVENTS = [...byName('Mint'), ...byName('Burn')];
+const SYNC_EVENTS = byName('Sync');
+
+// Pool view functions used to identify protocol, factory, tokens and fee.
+// Each protocol only implements a subset: V2 getReserves, V3 slot0/fee, Algebra globalState
+const POOL_METADATA_ABI = parseAbi([
+  'function factory() view returns (address)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function globalState() view returns (uint160 price, int24 tick, uint16 fee, uint16 timepointIndex, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)'
+]);
+
+const ERC20_METADATA_ABI = parseAbi([
+  'function symbol() view returns (string)',
+  'function name() view returns (string)',
+  'function decimals() view returns (uint8)'
+]);
+
+// Tick data for walking concentrated liquidity. V3 and Algebra V1 share the
+// ticks() layout (liquidityNet / liquidityDelta second); the bitmap is
+// tickBitmap on V3 and tickTable on Algebra, whose tick spacing is fixed at 60
+const TICK_DATA_ABI = parseAbi([
+  'function tickSpacing() view returns (int24)',
+  'function tickBitmap(int16 wordPosition) view returns (uint256)',
+  'function tickTable(int16 wordPosition) view returns (uint256)',
+  'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)'
+]);
+
+// Exact-input router entry points: decoded from pending transaction calldata
+// and encoded for arbitrage routes. V3 SwapRouter (with deadline),
+// SwapRouter02 (without) and Algebra (no fee tier) encode exactInputSingle
+// with different structs, hence three selectors
+const SWAP_ROUTER_ABI = parseAbi([
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+  'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+  'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable returns (uint256[] amounts)',
+  'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)',
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)',
+  'function exactInputSingle((address tokenIn, address tokenOut, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 limitSqrtPrice) params) payable returns (uint256 amountOut)'
+]);
+
+const ERC20_APPROVAL_ABI = parseAbi([
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)'
+]);
+
 module.exports = {
   DEX_POOL_ABI,
+  POOL_METADATA_ABI,
+  ERC20_METADATA_ABI,
+  ERC20_APPROVAL_ABI,
+  TICK_DATA_ABI,
+  SWAP_ROUTER_ABI,
   UNISWAP_V2_EVENTS,
-  UNISWAP_V3_EVENTS
+  UNISWAP_V3_EVENTS,
+  SWAP_EVENTS,
+  LIQUIDITY_EVENTS,
+  SYNC_EVENTS
 };
@@ -0,0 +1,542 @@
+/**
+ * Indexed Redis Storage
+ * Records live in their own keys (so per-record TTLs keep working) and are
+ * listed through a sorted-set index scored by time. Reads page through the
+ * index and fetch records with a single MGET instead of KEYS + GET per key.
+ * Index entries whose record has expired are pruned as they are read.
+ */
+
+const { getRedisClient } = require('./redis');
+const logger = require('../utils/logger');
+
+const POOL_HISTORY_RETENTION_MS = parseInt(process.env.POOL_HISTORY_RETENTION_MS || String(7 * 24 * 60 * 60 * 1000));
+const MEV_VICTIM_RETENTION_MS = parseInt(process.env.MEV_VICTIM_RETENTION_MS || String(30 * 24 * 60 * 60 * 1000));
+const MEV_RETENTION_MS = parseInt(process.env.MEV_RETENTION_MS || String(7 * 24 * 60 * 60 * 1000));
+
+/**
+ * Get the Redis client if it is connected
+ * @returns {Object|null}
+ */
+function getReadyClient() {
+  try {
+    const redis = getRedisClient();
+    return redis.isReady ? redis : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encode a page cursor from the last record's score and id
+ */
+function encodeCursor(score, id) {
+  return Buffer.from(`${score}:${id}`).toString('base64url');
+}
+
+/**
+ * Decode a page cursor
+ * @returns {Object|null} - { score, id }, or null for a missing or malformed cursor
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  const decoded = Buffer.from(cursor, 'base64url').toString();
+  const separator = decoded.indexOf(':');
+  const score = Number(decoded.slice(0, separator));
+  if (separator < 1 || !Number.isFinite(score)) return null;
+  return { score, id: decoded.slice(separator + 1) };
+}
+
+/**
+ * Whether a cursor is one page() can resume from (callers reject the rest
+ * instead of silently restarting from the newest record)
+ */
+function isValidCursor(cursor) {
+  return typeof cursor === 'string' && decodeCursor(cursor) !== null;
+}
+
+class IndexedCollection {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Collection name (logs and migration)
+   * @param {string} options.keyPrefix - Record key prefix; key = prefix + id
+   * @param {string} options.index - Sorted-set index key
+   * @param {number} options.ttl - Record TTL in seconds (null = no expiry)
+   * @param {Function} options.idOf - Record -> id
+   * @param {Function} options.scoreOf - Record -> index score (ms timestamp)
+   * @param {Function} options.matchesKey - Whether a scanned key is a record of this collection
+   * @param {boolean} options.pruneByAge - Drop index entries older than the TTL on write
+   *   (off when records are re-saved long after the time they are scored by)
+   * @param {string} options.secondaryPrefix - Key prefix of secondary indexes
+   * @param {Function} options.secondaryOf - Record -> secondary index names (e.g. ['pool:0xabc']);
+   *   each one is a sorted set at secondaryPrefix + name, scored like the main index
+   */
+  constructor({
+    name, keyPrefix, index, ttl = null, idOf, scoreOf, matchesKey, pruneByAge = true,
+    secondaryPrefix = null, secondaryOf = null
+  }) {
+    this.name = name;
+    this.keyPrefix = keyPrefix;
+    this.index = index;
+    this.ttl = ttl;
+    this.pruneByAge = pruneByAge;
+    this.idOf = idOf;
+    this.scoreOf = scoreOf || (record => record.timestamp || Date.now());
+    this.matchesKey = matchesKey || (key => key.startsWith(keyPrefix) && key !== index);
+    this.secondaryPrefix = secondaryPrefix;
+    this.secondaryOf = secondaryOf;
+  }
+
+  /**
+   * Secondary index keys a record belongs to
+   * @param {Object} record - Record
+   * @returns {Array<string>}
+   */
+  secondaryKeys(record) {
+    if (!this.secondaryOf) return [];
+    return [...new Set(this.secondaryOf(record))].map(name => this.secondaryKey(name));
+  }
+
+  /**
+   * Key of a secondary index
+   * @param {string} name - Index name (e.g. 'pool:0xabc')
+   */
+  secondaryKey(name) {
+    return `${this.secondaryPrefix}${name}`;
+  }
+
+  /**
+   * Record key for an id
+   */
+  keyFor(id) {
+    return `${this.keyPrefix}${id}`;
+  }
+
+  /**
+   * Id from a record key
+   */
+  idFromKey(key) {
+    return key.slice(this.keyPrefix.length);
+  }
+
+  /**
+   * Store (or overwrite) records and index them
+   * @param {Object|Array<Object>} records - Record(s)
+   * @param {Object} options - { keepTTL: keep the existing expiry on overwrite }
+   */
+  async save(records, { keepTTL = false } = {}) {
+    const redis = getReadyClient();
+    const list = Array.isArray(records) ? records : [records];
+    if (!redis || list.length === 0) return;
+
+    const pipeline = redis.multi();
+    const touched = new Set([this.index]);
+    for (const record of list) {
+      const id = this.idOf(record);
+      const value = JSON.stringify(record);
+      const score = this.scoreOf(record);
+
+      if (keepTTL) {
+        pipeline.set(this.keyFor(id), value, { expiration: 'KEEPTTL' });
+      } else if (this.ttl) {
+        pipeline.setEx(this.keyFor(id), this.ttl, value);
+      } else {
+        pipeline.set(this.keyFor(id), value);
+      }
+      pipeline.zAdd(this.index, { score, value: id });
+
+      for (const key of this.secondaryKeys(record)) {
+        pipeline.zAdd(key, { score, value: id });
+        touched.add(key);
+      }
+    }
+
+    // Index entries older than the record TTL can only point at expired keys
+    if (this.ttl && this.pruneByAge && !keepTTL) {
+      for (const key of touched) {
+        pipeline.zRemRangeByScore(key, '-inf', Date.now() - this.ttl * 1000);
+        if (key !== this.index) {
+          pipeline.expire(key, this.ttl); // Secondary indexes nobody writes to expire with their records
+        }
+      }
+    }
+
+    await pipeline.execAsPipeline();
+  }
+
+  /**
+   * Get one record
+   * @param {string} id - Record id
+   * @returns {Object|null}
+   */
+  async get(id) {
+    const [record] = await this.getMany([id]);
+    return record || null;
+  }
+
+  /**
+   * Get records by id with one MGET (missing records are skipped)
+   * @param {Array<string>} ids - Record ids
+   * @returns {Array<Object>}
+   */
+  async getMany(ids) {
+    const redis = getReadyClient();
+    if (!redis || ids.length === 0) return [];
+
+    const { records, expired } = await this.fetch(redis, ids);
+    if (expired.length > 0) {
+      await redis.zRem(this.index, expired);
+    }
+
+    return records;
+  }
+
+  /**
+   * MGET records, reporting ids whose record has expired
+   * @returns {Object} - { records, expired }
+   * @private
+   */
+  async fetch(redis, ids) {
+    const values = await redis.mGet(ids.map(id => this.keyFor(id)));
+    const records = [];
+    const expired = [];
+
+    values.forEach((value, i) => {
+      if (!value) {
+        expired.push(ids[i]);
+        return;
+      }
+      try {
+        records.push(JSON.parse(value));
+      } catch (error) {
+        logger.error(`Corrupt ${this.name} record ${ids[i]}:`, error);
+      }
+    });
+
+    return { records, expired };
+  }
+
+  /**
+   * Page through records newest first with a cursor, optionally through a
+   * secondary index and with an extra in-memory filter
+   * The cursor is the (score, id) of the last record returned, so pages stay
+   * stable while new records are added.
+   * @param {Object} options
+   * @param {string} options.secondary - Secondary index name to read (default: main index)
+   * @param {number} options.limit - Page size
+   * @param {string} options.cursor - nextCursor of the previous page
+   * @param {number|string} options.min - Lowest score (inclusive)
+   * @param {number|string} options.max - Highest score (inclusive)
+   * @param {Function} options.filter - Record -> whether to include it
+   * @returns {Object} - { records, nextCursor (null on the last page) }
+   */
+  async page({ secondary = null, limit = 50, cursor = null, min = '-inf', max = '+inf', filter = null } = {}) {
+    const redis = getReadyClient();
+    if (!redis) return { records: [], nextCursor: null };
+
+    const index = secondary ? this.secondaryKey(secondary) : this.index;
+    const after = decodeCursor(cursor);
+    const batchSize = Math.max(limit * 2, 100);
+    const records = [];
+    const upper = after ? Math.min(after.score, max === '+inf' ? Infinity : Number(max)) : max;
+    const expired = [];
+    let offset = 0;
+    let exhausted = false;
+
+    while (records.length <= limit && !exhausted) {
+      const entries = await redis.zRangeWithScores(index, upper, min, {
+        BY: 'SCORE',
+        REV: true,
+        LIMIT: { offset, count: batchSize }
+      });
+      exhausted = entries.length < batchSize;
+      offset += entries.length;
+
+      // Entries sharing the cursor's score come in reverse id order; skip up to the cursor
+      const fresh = after
+        ? entries.filter(entry => entry.score < after.score || entry.value < after.id)
+        : entries;
+      if (fresh.length === 0) continue;
+
+      // Expired ids are pruned after the scan so offsets stay valid
+      const scores = new Map(fresh.map(entry => [entry.value, entry.score]));
+      const batch = await this.fetch(redis, fresh.map(entry => entry.value));
+      expired.push(...batch.expired);
+
+      for (const record of batch.records) {
+        if (filter && !filter(record)) continue;
+        records.push({ record, score: scores.get(this.idOf(record)) });
+        if (records.length > limit) break;
+      }
+    }
+
+    if (expired.length > 0) {
+      await redis.zRem(index, expired);
+    }
+
+    const pageRecords = records.slice(0, limit);
+    const last = pageRecords[pageRecords.length - 1];
+
+    return {
+      records: pageRecords.map(entry => entry.record),
+      nextCursor: records.length > limit && last ? encodeCursor(last.score, this.idOf(last.record)) : null
+    };
+  }
+
+  /**
+   * Visit every record in a score range in batches, newest first
+   * (for aggregates over windows too large to load at once)
+   * @param {Object} options - { min, max, batchSize }
+   * @param {Function} visit - Called with each record
+   */
+  async forEach({ min = '-inf', max = '+inf', batchSize = 500 } = {}, visit) {
+    let cursor = null;
+    do {
+      const { records, nextCursor } = await this.page({ limit: batchSize, cursor, min, max });
+      records.forEach(visit);
+      cursor = nextCursor;
+    } while (cursor);
+  }
+
+  /**
+   * Page through records by score, newest first
+   * @param {Object} options - { limit (null = all), offset, min, max } (min/max are scores)
+   * @returns {Array<Object>}
+   */
+  async range({ limit = 20, offset = 0, min = '-inf', max = '+inf' } = {}) {
+    const redis = getReadyClient();
+    if (!redis) return [];
+
+    const ids = await redis.zRange(this.index, max, min, {
+      BY: 'SCORE',
+      REV: true,
+      ...(limit !== null && { LIMIT: { offset, count: limit } })
+    });
+
+    return this.getMany(ids);
+  }
+
+  /**
+   * Get every indexed id (for small collections such as alerts)
+   * @returns {Array<string>}
+   */
+  async ids() {
+    const redis = getReadyClient();
+    if (!redis) return [];
+    return redis.zRange(this.index, 0, -1);
+  }
+
+  /**
+   * Number of indexed records in a score range
+   */
+  async count({ min = '-inf', max = '+inf' } = {}) {
+    const redis = getReadyClient();
+    if (!redis) return 0;
+    return redis.zCount(this.index, min, max);
+  }
+
+  /**
+   * Delete records and their index entries
+   * @param {string|Array<string>} ids - Record id(s)
+   */
+  async remove(ids) {
+    const redis = getReadyClient();
+    const list = Array.isArray(ids) ? ids : [ids];
+    if (!redis || list.length === 0) return;
+
+    // Secondary index keys are derived from the records, so read them first
+    const secondary = new Map(); // index key -> ids
+    if (this.secondaryOf) {
+      for (const record of await this.getMany(list)) {
+        for (const key of this.secondaryKeys(record)) {
+          if (!secondary.has(key)) secondary.set(key, []);
+          secondary.get(key).push(this.idOf(record));
+        }
+      }
+    }
+
+    const pipeline = redis.multi()
+      .del(list.map(id => this.keyFor(id)))
+      .zRem(this.index, list);
+    for (const [key, keyIds] of secondary.entries()) {
+      pipeline.zRem(key, keyIds);
+    }
+    await pipeline.execAsPipeline();
+  }
+}
+
+/**
+ * Key of a pool's liquidity history sorted set
+ * Snapshots are stored as members scored by their timestamp
+ */
+const poolHistoryKey = (poolAddress) => `pool:${poolAddress.toLowerCase()}:history`;
+
+/**
+ * Append a pool liquidity snapshot and drop ones past retention
+ * @param {string} poolAddress - Pool address
+ * @param {Object} snapshot - { timestamp, ... }
+ */
+async function addPoolHistory(poolAddress, snapshot) {
+  const redis = getReadyClient();
+  if (!redis) return;
+
+  const key = poolHistoryKey(poolAddress);
+  await redis.multi()
+    .zAdd(key, { score: snapshot.timestamp, value: JSON.stringify(snapshot) })
+    .zRemRangeByScore(key, '-inf', snapshot.timestamp - POOL_HISTORY_RETENTION_MS)
+    .pExpire(key, POOL_HISTORY_RETENTION_MS)
+    .execAsPipeline();
+}
+
+/**
+ * Get pool liquidity snapshots in a time range, oldest first
+ * @param {string} poolAddress - Pool address
+ * @param {number} startTime - Earliest timestamp (ms)
+ * @param {number} endTime - Latest timestamp (ms)
+ * @returns {Array<Object>}
+ */
+async function getPoolHistory(poolAddress, startTime, endTime = Date.now()) {
+  const redis = getReadyClient();
+  if (!redis) return [];
+
+  const members = await redis.zRange(poolHistoryKey(poolAddress), startTime, endTime, { BY: 'SCORE' });
+  return members.map(member => JSON.parse(member));
+}
+
+/**
+ * Key of a wallet's MEV loss sorted set
+ * Loss entries are stored as members scored by their timestamp
+ */
+const victimLossKey = (wallet) => `wallet:mev-losses:${wallet.toLowerCase()}`;
+
+/**
+ * Append MEV loss entries for a wallet and drop ones past retention
+ * @param {string} wallet - Victim wallet
+ * @param {Array<Object>} entries - [{ txHash, timestamp, ... }]
+ */
+async function addVictimLosses(wallet, entries) {
+  const redis = getReadyClient();
+  if (!redis || entries.length === 0) return;
+
+  const key = victimLossKey(wallet);
+  await redis.multi()
+    .zAdd(key, entries.map(entry => ({ score: entry.timestamp, value: JSON.stringify(entry) })))
+    .zRemRangeByScore(key, '-inf', Date.now() - MEV_VICTIM_RETENTION_MS)
+    .pExpire(key, MEV_VICTIM_RETENTION_MS)
+    .execAsPipeline();
+}
+
+/**
+ * Get a wallet's MEV loss entries in a time range, newest first
+ * @param {string} wallet - Victim wallet
+ * @param {number} startTime - Earliest timestamp (ms)
+ * @param {number} endTime - Latest timestamp (ms)
+ * @returns {Array<Object>}
+ */
+async function getVictimLosses(wallet, startTime = 0, endTime = Date.now()) {
+  const redis = getReadyClient();
+  if (!redis) return [];
+
+  const members = await redis.zRange(victimLossKey(wallet), endTime, startTime, { BY: 'SCORE', REV: true });
+  return members.map(member => JSON.parse(member));
+}
+
+/**
+ * Remove a wallet's MEV loss entries for some transactions (chain reorg)
+ * @param {string} wallet - Victim wallet
+ * @param {Array<string>} txHashes - Victim transaction hashes
+ */
+async function removeVictimLosses(wallet, txHashes) {
+  const redis = getReadyClient();
+  if (!redis) return;
+
+  const orphaned = new Set(txHashes);
+  const key = victimLossKey(wallet);
+  const members = await redis.zRange(key, 0, -1);
+  const stale = members.filter(member => orphaned.has(JSON.parse(member).txHash));
+
+  if (stale.length > 0) {
+    await redis.zRem(key, stale);
+  }
+}
+
+const whaleStore = new IndexedCollection({
+  name: 'whales',
+  keyPrefix: 'whale:',
+  index: 'whale:timeline',
+  ttl: 86400, // 24 hours
+  idOf: whale => whale.txHash,
+  matchesKey: key => key.startsWith('whale:') && !key.startsWith('whale:impact:') && key !== 'whale:timeline'
+});
+
+const impactStore = new IndexedCollection({
+  name: 'impacts',
+  keyPrefix: 'whale:impact:',
+  index: 'impacts:timeline',
+  ttl: 86400, // 24 hours
+  idOf: impact => impact.txHash
+});
+
+const alertStore = new IndexedCollection({
+  name: 'alerts',
+  keyPrefix: '', // Alert ids are full keys ("alert:<user>:<type>:<ts>")
+  index: 'alerts:index',
+  ttl: 86400 * 7, // 7 days, refreshed on every update
+  idOf: alert => alert.id,
+  scoreOf: alert => alert.createdAt || Date.now(),
+  matchesKey: key => key.startsWith('alert:'),
+  pruneByAge: false
+});
+
+/**
+ * Addresses that carried out an MEV pattern (bots, signers, JIT providers)
+ */
+const mevAttackersOf = (mev) => [
+  mev.attacker, mev.attackerContract, mev.backRunWallet, mev.bot, mev.searcher,
+  mev.provider, mev.frontRunner, mev.backRunner
+].filter(Boolean).map(address => address.toLowerCase());
+
+/**
+ * Wallets that lost value to an MEV pattern
+ */
+const mevVictimsOf = (mev) => [
+  mev.type === 'jit_liquidity' ? null : mev.victim,
+  ...(mev.victims || []).map(victim => victim.wallet)
+].filter(Boolean).map(address => address.toLowerCase());
+
+const mevStore = new IndexedCollection({
+  name: 'mev',
+  keyPrefix: 'mev:',
+  index: 'mev:timeline',
+  ttl: Math.floor(MEV_RETENTION_MS / 1000),
+  idOf: mev => `${mev.type}:${mev.victimTx || mev.backRunTx || mev.txHash}`,
+  matchesKey: key => key.startsWith('mev:') && !key.startsWith('mev:idx:') &&
+    key !== 'mev:timeline' && key !== 'mev:actors',
+  // mev:idx:type:<type>, mev:idx:pool:<pool>, mev:idx:attacker:<address>, mev:idx:victim:<address>
+  secondaryPrefix: 'mev:idx:',
+  secondaryOf: mev => [
+    `type:${mev.type}`,
+    ...(mev.poolAddresses || [mev.poolAddress]).filter(Boolean).map(pool => `pool:${pool.toLowerCase()}`),
+    ...mevAttackersOf(mev).map(address => `attacker:${address}`),
+    ...mevVictimsOf(mev).map(address => `victim:${address}`)
+  ]
+});
+
+module.exports = {
+  IndexedCollection,
+  isValidCursor,
+  whaleStore,
+  impactStore,
+  alertStore,
+  mevStore,
+  mevAttackersOf,
+  mevVictimsOf,
+  poolHistoryKey,
+  addPoolHistory,
+  getPoolHistory,
+  addVictimLosses,
+  getVictimLosses,
+  removeVictimLosses,
+  POOL_HISTORY_RETENTION_MS,
+  MEV_VICTIM_RETENTION_MS,
+  MEV_RETENTION_MS
+};
@@ -88,6 +88,32 @@ const getJSON = async (key) => {
   }
 };
 
+/**
+ * Get and parse several JSON values from Redis in one MGET
+ * @param {Array<string>} keys - Redis keys
+ * @returns {Array<Object|null>} - Parsed values in key order (null if missing or unparseable)
+ */
+const getManyJSON = async (keys) => {
+  try {
+    if (!redisClient || !redisClient.isOpen || keys.length === 0) {
+      return keys.map(() => null);
+    }
+    const values = await redisClient.mGet(keys);
+    return values.map((data, i) => {
+      if (!data) return null;
+      try {
+        return JSON.parse(data);
+      } catch (error) {
+        logger.error(`Error parsing JSON for key ${keys[i]}:`, error);
+        return null;
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting JSON for ${keys.length} keys:`, error);
+    return keys.map(() => null);
+  }
+};
+
 /**
  * Store JSON object in Redis with optional TTL
  * @param {string} key - Redis key
@@ -146,12 +172,31 @@ const pushToList = async (key, value, maxLength = null) => {
   }
 };
 
+/**
+ * Delete one or more keys (no-op without Redis)
+ * @param {string|Array<string>} keys - Redis key(s)
+ */
+const deleteKey = async (keys) => {
+  try {
+    if (!redisClient || !redisClient.isOpen) {
+      logger.debug('Redis client not available, skipping delete operation');
+      return;
+    }
+    await redisClient.del(keys);
+    logger.debug(`Deleted key(s) ${Array.isArray(keys) ? keys.join(', ') : keys}`);
+  } catch (error) {
+    logger.error(`Error deleting key(s) ${keys}:`, error);
+  }
+};
+
 module.exports = {
   connectRedis,
   getRedisClient,
   disconnectRedis,
   setWithExpiry,
   getJSON,
+  getManyJSON,
   setJSON,
-  pushToList
+  pushToList,
+  deleteKey
 };
@@ -0,0 +1,259 @@
+/**
+ * RPC Endpoint Pool
+ * One viem transport over several RPC endpoints. Each endpoint is scored by
+ * latency (moving average) and recent error rate; requests go to the best
+ * endpoint and fail over to the next one, with exponential backoff, when an
+ * endpoint times out or errors at the transport level.
+ */
+
+const { custom, http, HttpRequestError } = require('viem');
+const logger = require('../utils/logger');
+
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS || '10000');
+const RPC_MAX_RETRIES = parseInt(process.env.RPC_MAX_RETRIES || '3');
+const RPC_RETRY_BASE_MS = parseInt(process.env.RPC_RETRY_BASE_MS || '250');
+const RPC_COOLDOWN_MS = parseInt(process.env.RPC_COOLDOWN_MS || '30000');
+const MAX_CONSECUTIVE_FAILURES = 3; // Failures in a row before an endpoint cools down
+const LATENCY_ALPHA = 0.2; // Weight of the newest latency sample
+const OUTCOME_WINDOW = 50; // Recent requests used for the error rate
+const ERROR_RATE_WEIGHT = 4; // 25% errors doubles an endpoint's effective latency
+
+// Node-side JSON-RPC errors that mean "try another node" rather than "bad request"
+const RETRYABLE_RPC_CODES = new Set([-1, -32005, -32603]); // unknown, limit exceeded, internal error
+const RETRYABLE_HTTP_STATUSES = new Set([403, 408, 413, 429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Hide API keys in endpoint URLs (keys usually live in the path or query)
+ * @param {string} url - Endpoint URL
+ * @returns {string}
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const hasSecret = parsed.pathname.length > 1 || parsed.search;
+    return hasSecret ? `${parsed.origin}/***` : parsed.origin;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+class RpcPool {
+  /**
+   * @param {Array<string>} urls - RPC endpoint URLs, in order of preference
+   * @param {Object} chain - viem chain definition
+   */
+  constructor(urls, chain) {
+    this.chain = chain;
+    this.endpoints = urls.map((url, index) => ({
+      url,
+      index,
+      transport: null,
+      latencyMs: null,
+      outcomes: [], // true = success, false = failure
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      lastError: null,
+      lastFailureAt: null
+    }));
+  }
+
+  /**
+   * Get the plain HTTP transport for one endpoint (no retries of its own)
+   * @private
+   */
+  getEndpointTransport(endpoint) {
+    if (!endpoint.transport) {
+      endpoint.transport = http(endpoint.url, {
+        retryCount: 0,
+        timeout: RPC_TIMEOUT_MS
+      })({ chain: this.chain, retryCount: 0 });
+    }
+    return endpoint.transport;
+  }
+
+  /**
+   * Lower is better: latency inflated by the recent error rate
+   * @private
+   */
+  score(endpoint) {
+    const latency = endpoint.latencyMs ?? RPC_TIMEOUT_MS / 10; // Unmeasured endpoints get a fair chance
+    return latency * (1 + ERROR_RATE_WEIGHT * this.getErrorRate(endpoint));
+  }
+
+  /**
+   * Share of failed requests in the recent window
+   * @private
+   */
+  getErrorRate(endpoint) {
+    if (endpoint.outcomes.length === 0) return 0;
+    const failures = endpoint.outcomes.filter(ok => !ok).length;
+    return failures / endpoint.outcomes.length;
+  }
+
+  /**
+   * Pick the best endpoint, preferring ones not yet tried for this request
+   * Endpoints cooling down are only used when nothing else is left
+   * @param {Set<number>} tried - Indexes already tried
+   * @private
+   */
+  pickEndpoint(tried) {
+    const now = Date.now();
+
+    // Failing endpoints rank last and would never be retried; once their
+    // cooldown has passed, clear the error history so they get probed again
+    for (const endpoint of this.endpoints) {
+      if (endpoint.consecutiveFailures > 0 && now - endpoint.lastFailureAt > RPC_COOLDOWN_MS) {
+        endpoint.consecutiveFailures = 0;
+        endpoint.outcomes = [];
+      }
+    }
+
+    const rank = (a, b) => {
+      const coolingA = a.cooldownUntil > now;
+      const coolingB = b.cooldownUntil > now;
+      if (coolingA !== coolingB) return coolingA ? 1 : -1;
+      return this.score(a) - this.score(b) || a.index - b.index;
+    };
+
+    const untried = this.endpoints.filter(endpoint => !tried.has(endpoint.index));
+    const candidates = untried.length > 0 ? untried : this.endpoints;
+    return [...candidates].sort(rank)[0];
+  }
+
+  /**
+   * Record a request outcome
+   * @private
+   */
+  recordOutcome(endpoint, ok, latencyMs, error = null) {
+    endpoint.requests++;
+    endpoint.outcomes.push(ok);
+    if (endpoint.outcomes.length > OUTCOME_WINDOW) {
+      endpoint.outcomes.shift();
+    }
+
+    if (ok) {
+      endpoint.consecutiveFailures = 0;
+      endpoint.cooldownUntil = 0;
+      endpoint.latencyMs = endpoint.latencyMs === null
+        ? latencyMs
+        : endpoint.latencyMs * (1 - LATENCY_ALPHA) + latencyMs * LATENCY_ALPHA;
+      return;
+    }
+
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error ? (error.shortMessage || error.message) : null;
+    endpoint.lastFailureAt = Date.now();
+
+    if (endpoint.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES && endpoint.cooldownUntil <= Date.now()) {
+      endpoint.cooldownUntil = Date.now() + RPC_COOLDOWN_MS;
+      logger.warn(`⚠️  RPC endpoint ${redactUrl(endpoint.url)} cooling down for ${RPC_COOLDOWN_MS}ms after ${endpoint.consecutiveFailures} failures`);
+    }
+  }
+
+  /**
+   * Whether an error means the endpoint failed (vs. the node rejecting the call)
+   * @private
+   */
+  isTransportError(error) {
+    if (typeof error.code === 'number') {
+      return RETRYABLE_RPC_CODES.has(error.code);
+    }
+    if (error instanceof HttpRequestError && error.status) {
+      return RETRYABLE_HTTP_STATUSES.has(error.status);
+    }
+    return true; // Timeouts, connection resets, DNS failures
+  }
+
+  /**
+   * Send a JSON-RPC request with failover and backoff
+   * @param {Object} args - { method, params }
+   * @returns {*} - JSON-RPC result
+   */
+  async request({ method, params }) {
+    const tried = new Set();
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= RPC_MAX_RETRIES; attempt++) {
+      const endpoint = this.pickEndpoint(tried);
+      tried.add(endpoint.index);
+
+      const startedAt = Date.now();
+      try {
+        const result = await this.getEndpointTransport(endpoint).request({ method, params });
+        this.recordOutcome(endpoint, true, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        if (!this.isTransportError(error)) {
+          // The node answered (e.g. execution reverted): the endpoint is fine
+          this.recordOutcome(endpoint, true, Date.now() - startedAt);
+          throw error;
+        }
+
+        this.recordOutcome(endpoint, false, Date.now() - startedAt, error);
+        lastError = error;
+
+        if (attempt < RPC_MAX_RETRIES) {
+          logger.debug(`RPC ${method} failed on ${redactUrl(endpoint.url)} (${error.shortMessage || error.message}), retrying`);
+          await sleep(RPC_RETRY_BASE_MS * 2 ** attempt);
+        }
+      }
+    }
+
+    logger.error(`RPC ${method} failed after ${RPC_MAX_RETRIES + 1} attempts`);
+    throw lastError;
+  }
+
+  /**
+   * viem transport backed by this pool
+   * Retries are handled here, so viem's own retry layer is disabled
+   */
+  createTransport() {
+    return custom({ request: (args) => this.request(args) }, {
+      key: 'rpcPool',
+      name: 'RPC Pool',
+      retryCount: 0
+    });
+  }
+
+  /**
+   * Endpoint health for /health
+   */
+  getStatus() {
+    const now = Date.now();
+    const endpoints = this.endpoints
+      .map(endpoint => ({
+        url: redactUrl(endpoint.url),
+        healthy: endpoint.cooldownUntil <= now,
+        latencyMs: endpoint.latencyMs !== null ? Math.round(endpoint.latencyMs) : null,
+        errorRate: parseFloat(this.getErrorRate(endpoint).toFixed(3)),
+        score: Math.round(this.score(endpoint)),
+        requests: endpoint.requests,
+        failures: endpoint.failures,
+        lastError: endpoint.lastError,
+        lastFailureAt: endpoint.lastFailureAt
+      }))
+      .sort((a, b) => (a.healthy === b.healthy ? a.score - b.score : a.healthy ? -1 : 1));
+
+    const healthy = endpoints.filter(endpoint => endpoint.healthy).length;
+    let status = 'ok';
+    if (healthy === 0) status = 'down';
+    else if (healthy < endpoints.length) status = 'degraded';
+
+    return {
+      status,
+      healthy,
+      total: endpoints.length,
+      endpoints
+    };
+  }
+}
+
+module.exports = {
+  RpcPool,
+  redactUrl
+};
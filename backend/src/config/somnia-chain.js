@@ -1,11 +1,27 @@
-const { createPublicClient, createWalletClient, http, defineChain } = require('viem');
+const {
+  createPublicClient,
+  createTestClient,
+  createWalletClient,
+  defineChain,
+  http,
+  publicActions,
+  walletActions,
+  webSocket
+} = require('viem');
 const { privateKeyToAccount } = require('viem/accounts');
 const logger = require('../utils/logger');
+const { RpcPool } = require('./rpc-pool');
 
 // Chain configuration - uses environment variables
 const chainId = parseInt(process.env.SOMNIA_CHAIN_ID) || 1;
 const rpcUrl = process.env.SOMNIA_RPC_URL || 'https://eth.llamarpc.com';
 
+// RPC_URLS lists extra endpoints for failover (comma-separated); SOMNIA_RPC_URL stays first
+const rpcUrls = [...new Set([
+  rpcUrl,
+  ...(process.env.RPC_URLS || '').split(',').map(url => url.trim()).filter(Boolean)
+])];
+
 const somniaChain = defineChain({
   id: chainId,
   name: chainId === 1 ? 'Ethereum' : 'Somnia Dream',
@@ -17,10 +33,10 @@ const somniaChain = defineChain({
   },
   rpcUrls: {
     default: {
-      http: [rpcUrl]
+      http: rpcUrls
     },
     public: {
-      http: [rpcUrl]
+      http: rpcUrls
     }
   },
   blockExplorers: {
@@ -31,14 +47,18 @@ const somniaChain = defineChain({
   }
 });
 
+// Every client shares one endpoint pool, so health scores and failover are global
+const rpcPool = new RpcPool(rpcUrls, somniaChain);
+let sharedPublicClient = null;
+
 // Create public client for read operations
 const createSomniaPublicClient = () => {
   try {
     const client = createPublicClient({
       chain: somniaChain,
-      transport: http(somniaChain.rpcUrls.default.http[0])
+      transport: rpcPool.createTransport()
     });
-    logger.info('Somnia public client created');
+    logger.info(`Somnia public client created (${rpcUrls.length} RPC endpoint${rpcUrls.length === 1 ? '' : 's'})`);
     return client;
   } catch (error) {
     logger.error('Failed to create Somnia public client:', error);
@@ -46,14 +66,43 @@ const createSomniaPublicClient = () => {
   }
 };
 
-// Helper function to get a provider (public client)
+// Helper function to get the shared provider (public client)
 const getProvider = () => {
+  if (!sharedPublicClient) {
+    sharedPublicClient = createSomniaPublicClient();
+  }
+  return sharedPublicClient;
+};
+
+// Create a WebSocket public client for eth_subscribe log streams
+// Reconnection is handled by the caller, which also replays missed blocks
+const createSomniaWebSocketClient = (wsUrl) => {
   return createPublicClient({
     chain: somniaChain,
-    transport: http(somniaChain.rpcUrls.default.http[0])
+    transport: webSocket(wsUrl, {
+      reconnect: false,
+      keepAlive: { interval: 15000 },
+      timeout: 10000
+    })
   });
 };
 
+// Create a client for a local hardhat/anvil fork of the chain, used to
+// execute transactions from impersonated accounts and roll them back.
+// Anvil also answers the hardhat_* methods, so one mode covers both
+const createSomniaForkClient = (forkUrl) => {
+  return createTestClient({
+    chain: somniaChain,
+    mode: 'hardhat',
+    transport: http(forkUrl, { timeout: 30000 })
+  })
+    .extend(publicActions)
+    .extend(walletActions);
+};
+
+// Endpoint health for /health
+const getRpcStatus = () => rpcPool.getStatus();
+
 // Create wallet client for write operations (optional, requires private key)
 const createSomniaWalletClient = () => {
   try {
@@ -66,7 +115,7 @@ const createSomniaWalletClient = () => {
     const client = createWalletClient({
       account,
       chain: somniaChain,
-      transport: http(somniaChain.rpcUrls.default.http[0])
+      transport: rpcPool.createTransport()
     });
     logger.info('Somnia wallet client created');
     return client;
@@ -79,6 +128,9 @@ const createSomniaWalletClient = () => {
 module.exports = {
   somniaChain,
   getProvider,
+  getRpcStatus,
   createSomniaPublicClient,
-  createSomniaWalletClient
+  createSomniaWalletClient,
+  createSomniaWebSocketClient,
+  createSomniaForkClient
 };
@@ -4,7 +4,8 @@ const http = require('http');
 const cors = require('cors');
 const compression = require('compression');
 const logger = require('./utils/logger');
-const { connectRedis, disconnectRedis, setJSON, getJSON } = require('./config/redis');
+const { connectRedis, disconnectRedis } = require('./config/redis');
+const { getRpcStatus } = require('./config/somnia-chain');
 const socketHandler = require('./websocket/socket-handler');
 const sdsClient = require('./services/sds-client');
 const quickswapFetcher = require('./services/quickswap-fetcher');
@@ -15,6 +16,15 @@ const walletTracker = require('./services/wallet-tracker');
 const arbitrageScanner = require('./services/arbitrage-scanner');
 const priceImpactPredictor = require('./services/price-impact-predictor');
 const mevDetector = require('./services/mev-detector');
+const mevActorRegistry = require('./services/mev-actor-registry');
+const mempoolMonitor = require('./services/mempool-monitor');
+const priceOracle = require('./services/price-oracle');
+const poolRegistry = require('./services/pool-registry');
+const poolStateManager = require('./services/pool-state-manager');
+const eventProcessor = require('./services/event-processor');
+const ingestQueue = require('./services/ingest-queue');
+const backfillService = require('./services/backfill-service');
+const reorgMonitor = require('./services/reorg-monitor');
 const { apiLimiter, strictLimiter } = require('./middleware/rateLimiter');
 
 // Import routes
@@ -27,6 +37,7 @@ const poolHealthRouter = require('./routes/pool-health');
 const arbitrageRouter = require('./routes/arbitrage');
 const priceImpactRouter = require('./routes/price-impact');
 const mevRouter = require('./routes/mev');
+const adminRouter = require('./routes/admin');
 
 // Initialize Express app
 const app = express();
@@ -35,9 +46,6 @@ const server = http.createServer(app);
 // Port configuration
 const PORT = process.env.PORT || 3001;
 
-// Pool state cache for impact analysis
-const poolStateCache = new Map();
-
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
@@ -69,11 +77,16 @@ app.use((req, res, next) => {
 
 // Health check endpoint (no rate limit)
 app.get('/health', (req, res) => {
+  const rpc = getRpcStatus();
+
   res.json({
-    status: 'ok',
+    status: rpc.status === 'down' ? 'degraded' : 'ok',
     timestamp: Date.now(),
     uptime: process.uptime(),
-    connections: socketHandler.getConnectionCount()
+    connections: socketHandler.getConnectionCount(),
+    rpc,
+    streaming: sdsClient.getTransportStatus(),
+    ingest: ingestQueue.getStats()
   });
 });
 
@@ -92,6 +105,7 @@ app.use('/api/health', poolHealthRouter);
 app.use('/api/arbitrage', arbitrageRouter);
 app.use('/api/price-impact', priceImpactRouter);
 app.use('/api/mev', mevRouter);
+app.use('/api/admin', strictLimiter, adminRouter);
 
 // 404 handler
 app.use((req, res) => {
@@ -110,52 +124,6 @@ app.use((err, req, res, next) => {
   });
 });
 
-/**
- * Get pool state from cache or Redis
- */
-async function getPoolState(poolAddress) {
-  try {
-    // Check cache first
-    if (poolStateCache.has(poolAddress)) {
-      return poolStateCache.get(poolAddress);
-    }
-
-    // Try Redis
-    const poolData = await getJSON(`pool:${poolAddress}`);
-    if (poolData) {
-      poolStateCache.set(poolAddress, poolData);
-      return poolData;
-    }
-
-    // Return default state if not found
-    return {
-      address: poolAddress,
-      tvl: 0,
-      volume24h: 0,
-      price: 0,
-      reserve0: 0,
-      reserve1: 0,
-      timestamp: Date.now()
-    };
-  } catch (error) {
-    logger.error(`Error getting pool state for ${poolAddress}:`, error);
-    return null;
-  }
-}
-
-/**
- * Update pool state in cache and Redis
- */
-async function updatePoolState(poolAddress, poolData) {
-  try {
-    poolStateCache.set(poolAddress, poolData);
-    await setJSON(`pool:${poolAddress}`, poolData, 3600); // 1 hour TTL
-    logger.debug(`Updated pool state for ${poolAddress}`);
-  } catch (error) {
-    logger.error(`Error updating pool state for ${poolAddress}:`, error);
-  }
-}
-
 /**
  * Initialize all services
  */
@@ -186,6 +154,24 @@ async function initializeServices() {
       }
     }
 
+    // 1.5 Initialize Price Oracle (seeded from pools already in Redis)
+    logger.info('💲 Initializing Price Oracle...');
+    try {
+      await priceOracle.initialize();
+    } catch (error) {
+      logger.error('❌ Price Oracle initialization failed:', error.message);
+      logger.warn('USD valuation will fall back to static prices');
+    }
+
+    // 1.6 Initialize Pool Registry (DEX, protocol, tokens and fee per pool)
+    logger.info('📇 Initializing Pool Registry...');
+    try {
+      await poolRegistry.initialize();
+    } catch (error) {
+      logger.error('❌ Pool Registry initialization failed:', error.message);
+      logger.warn('Pools will be identified as they appear in events');
+    }
+
     // 2. Initialize SDS Client with error recovery
     logger.info('🌊 Initializing Somnia Data Streams...');
     try {
@@ -215,6 +201,10 @@ async function initializeServices() {
       const discoveredPools = await quickswapFetcher.discoverPools();
       if (discoveredPools.length > 0) {
         logger.info(`📊 Discovered ${discoveredPools.length} QuickSwap pools on Somnia Mainnet`);
+        priceOracle.registerPools(discoveredPools);
+        for (const pool of discoveredPools) {
+          await poolStateManager.seedPoolState(pool);
+        }
       }
     } catch (error) {
       logger.error('❌ QuickSwap Fetcher initialization failed:', error.message);
@@ -276,12 +266,41 @@ async function initializeServices() {
     logger.info('🚨 Initializing MEV Detector...');
     try {
       await mevDetector.initialize();
+      await mevActorRegistry.initialize();
       logger.info('✅ MEV Detector initialized');
     } catch (error) {
       logger.error('❌ MEV Detector initialization failed:', error.message);
       logger.warn('MEV detection will be unavailable');
     }
 
+    // 4.85 Initialize Mempool Monitor (optional, needs a node exposing pending transactions)
+    logger.info('👀 Initializing Mempool Monitor...');
+    try {
+      await mempoolMonitor.initialize();
+    } catch (error) {
+      logger.error('❌ Mempool Monitor initialization failed:', error.message);
+      logger.warn('Pending swaps will not be checked for sandwich risk');
+    }
+
+    // 4.9 Initialize Event Processor and Backfill Service
+    logger.info('📜 Initializing Event Processor and Backfill...');
+    try {
+      await eventProcessor.initialize();
+      await backfillService.initialize();
+    } catch (error) {
+      logger.error('❌ Backfill initialization failed:', error.message);
+      logger.warn('Missed blocks will not be replayed');
+    }
+
+    // 4.10 Initialize Reorg Monitor
+    logger.info('⛓️  Initializing Reorg Monitor...');
+    try {
+      await reorgMonitor.initialize();
+    } catch (error) {
+      logger.error('❌ Reorg Monitor initialization failed:', error.message);
+      logger.warn('Events will not be checked for chain reorganizations');
+    }
+
     // 5. Initialize Socket.IO
     logger.info('🔌 Initializing Socket.IO...');
     try {
@@ -324,6 +343,30 @@ async function initializeServices() {
       logger.warn('⚠️  Could not connect MEVDetector to WebSocket:', error.message);
     }
 
+    // 9.1 Connect MempoolMonitor to SocketHandler
+    try {
+      mempoolMonitor.setSocketHandler(socketHandler);
+      logger.info('✅ MempoolMonitor connected to WebSocket');
+    } catch (error) {
+      logger.warn('⚠️  Could not connect MempoolMonitor to WebSocket:', error.message);
+    }
+
+    // 9.5 Connect EventProcessor to SocketHandler
+    try {
+      eventProcessor.setSocketHandler(socketHandler);
+      logger.info('✅ EventProcessor connected to WebSocket');
+    } catch (error) {
+      logger.warn('⚠️  Could not connect EventProcessor to WebSocket:', error.message);
+    }
+
+    // 9.6 Connect ReorgMonitor to SocketHandler
+    try {
+      reorgMonitor.setSocketHandler(socketHandler);
+      logger.info('✅ ReorgMonitor connected to WebSocket');
+    } catch (error) {
+      logger.warn('⚠️  Could not connect ReorgMonitor to WebSocket:', error.message);
+    }
+
     // 10. Connect AlertEngine to SocketHandler
     try {
       alertEngine.setSocketHandler(socketHandler);
@@ -366,125 +409,34 @@ async function startSDSStreaming() {
   try {
     logger.info('=== Starting SDS Event Streaming ===');
 
+    // Live logs go through the same per-pool queue as backfill replay, so
+    // each pool's events are applied one at a time in block/log order
+    const processEvent = (event) => ingestQueue.enqueue(event);
+
     // A. Subscribe to swap events
     logger.info('📡 Subscribing to Swap events...');
-    await sdsClient.subscribeToSwaps(async (event) => {
-      try {
-        const poolAddress = event.address;
-        logger.debug(`Swap event received for pool: ${poolAddress}`);
-
-        // Get pool state before (from cache)
-        const poolBefore = await getPoolState(poolAddress);
-
-        // Process with WhaleDetector
-        const whaleData = await whaleDetector.processSwapEvent(event);
-
-        if (whaleData) {
-          logger.info(`🐋 Whale detected: ${whaleData.txHash} - $${whaleData.amountUSD.toFixed(2)}`);
-
-          // Get pool state after (simulate or fetch updated state)
-          // In production, this would come from a price oracle or contract read
-          const poolAfter = {
-            ...poolBefore,
-            price: poolBefore.price * (1 + (Math.random() - 0.5) * 0.1), // Simulated price change
-            volume24h: poolBefore.volume24h + whaleData.amountUSD,
-            timestamp: Date.now()
-          };
-
-          // Analyze impact
-          const poolsBefore = { [poolAddress]: poolBefore };
-          const poolsAfter = { [poolAddress]: poolAfter };
-          const impactData = await impactAnalyzer.analyzeWhaleImpact(
-            whaleData,
-            poolsBefore,
-            poolsAfter
-          );
-
-          logger.info(`📊 Impact analyzed: ${impactData.severity} severity`);
-
-          // Broadcast whale impact via WebSocket
-          socketHandler.broadcastWhaleImpact(impactData);
-
-          // Update pool state in cache
-          await updatePoolState(poolAddress, poolAfter);
-
-          // Check TVL and volume alerts
-          try {
-            await alertEngine.checkTVLAlert(poolAfter, poolBefore.tvl);
-            await alertEngine.checkVolumeSpikeAlert(poolAfter, poolBefore.volume24h);
-          } catch (alertError) {
-            logger.error('Error checking pool alerts:', alertError);
-          }
-        }
-
-        // Always update pool state (even for non-whale swaps)
-        const updatedPool = {
-          ...poolBefore,
-          lastUpdate: Date.now(),
-          volume24h: poolBefore.volume24h + (event.args?.amount0 || 0)
-        };
-        await updatePoolState(poolAddress, updatedPool);
-
-      } catch (error) {
-        logger.error('Error processing swap event:', error);
-      }
-    });
+    await sdsClient.subscribeToSwaps(processEvent);
 
     logger.info('✅ Subscribed to Swap events');
 
-    // B. Subscribe to liquidity events
-    logger.info('📡 Subscribing to Liquidity events (Mint/Burn)...');
-    await sdsClient.subscribeToLiquidity(async (event) => {
-      try {
-        const poolAddress = event.address;
-        const eventType = event.event; // 'Mint' or 'Burn'
-
-        logger.debug(`${eventType} event received for pool: ${poolAddress}`);
-
-        // Get current pool state
-        const currentPool = await getPoolState(poolAddress);
-
-        // Calculate liquidity change
-        const amount0 = Number(event.args?.amount0 || 0);
-        const amount1 = Number(event.args?.amount1 || 0);
+    // B. Subscribe to V2 Sync events (authoritative post-trade reserves)
+    logger.info('📡 Subscribing to Sync events...');
+    await sdsClient.subscribeToSync(processEvent);
 
-        // Update pool data based on event type
-        const tvlChange = eventType === 'Mint' ? amount0 + amount1 : -(amount0 + amount1);
+    logger.info('✅ Subscribed to Sync events');
 
-        const updatedPool = {
-          ...currentPool,
-          tvl: Math.max(0, currentPool.tvl + tvlChange),
-          lastUpdate: Date.now(),
-          reserve0: currentPool.reserve0 + (eventType === 'Mint' ? amount0 : -amount0),
-          reserve1: currentPool.reserve1 + (eventType === 'Mint' ? amount1 : -amount1)
-        };
-
-        // Update pool data in Redis
-        await updatePoolState(poolAddress, updatedPool);
+    // C. Subscribe to liquidity events
+    logger.info('📡 Subscribing to Liquidity events (Mint/Burn)...');
+    await sdsClient.subscribeToLiquidity(processEvent);
 
-        // Check TVL change alert for liquidity events
-        try {
-          await alertEngine.checkTVLAlert(updatedPool, currentPool.tvl);
-        } catch (alertError) {
-          logger.error('Error checking TVL alert:', alertError);
-        }
+    logger.info('✅ Subscribed to Liquidity events');
 
-        // Broadcast pool:update via WebSocket
-        socketHandler.broadcastPoolUpdate({
-          address: poolAddress,
-          eventType,
-          tvl: updatedPool.tvl,
-          timestamp: Date.now()
-        });
+    // D. Watch processed blocks until they reach confirmation depth
+    reorgMonitor.start();
 
-        logger.info(`💧 Pool ${poolAddress} updated: ${eventType}, TVL: ${updatedPool.tvl}`);
+    // E. Warn about sandwich-prone swaps while they are still pending
+    await mempoolMonitor.start();
 
-      } catch (error) {
-        logger.error('Error processing liquidity event:', error);
-      }
-    });
-
-    logger.info('✅ Subscribed to Liquidity events');
     logger.info('=== SDS Event Streaming Started ===');
 
   } catch (error) {
@@ -512,6 +464,9 @@ async function startServer() {
       logger.info('=================================');
     });
 
+    // Snapshot missed block ranges before live events move the checkpoints
+    const backfillPlan = await backfillService.planStartupBackfill();
+
     // Start SDS streaming (don't crash if it fails)
     try {
       await startSDSStreaming();
@@ -520,6 +475,14 @@ async function startServer() {
       logger.debug('SDS error:', error.message);
     }
 
+    // Scan for cross-pool arbitrage once, then on every pool update
+    await arbitrageScanner.startScanning();
+
+    // Replay missed blocks in the background
+    backfillService.runStartupBackfill(backfillPlan).catch((error) => {
+      logger.error('❌ Startup backfill failed:', error.message);
+    });
+
     logger.info('✅ Server is ready and listening for events');
 
   } catch (error) {
@@ -548,11 +511,28 @@ async function shutdown() {
     socketHandler.shutdown();
     logger.info('✅ Socket.IO closed');
 
-    // 3. Disconnect SDS client
+    // 3. Stop reorg and mempool monitoring and arbitrage scanning
+    reorgMonitor.stop();
+    await mempoolMonitor.stop();
+    arbitrageScanner.stopScanning();
+
+    // 3.5 Disconnect SDS client
     logger.info('🌊 Disconnecting from SDS...');
     await sdsClient.disconnect();
     logger.info('✅ SDS client disconnected');
 
+    // 3.6 Finish queued events before Redis goes away
+    const SHUTDOWN_DRAIN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || '10000');
+    const { drained, remaining } = await ingestQueue.drain(SHUTDOWN_DRAIN_TIMEOUT_MS);
+    if (drained) {
+      logger.info('✅ Ingest queue drained');
+    } else {
+      logger.warn(`⚠️  ${remaining} queued events not processed`);
+    }
+
+    // 3.7 Analyze blocks still buffered for MEV detection
+    await mevDetector.shutdown();
+
     // 4. Disconnect from Redis
     logger.info('📦 Disconnecting from Redis...');
     try {
@@ -563,7 +543,7 @@ async function shutdown() {
     }
 
     // 5. Clear pool state cache
-    poolStateCache.clear();
+    poolStateManager.clear();
     logger.info('✅ Pool state cache cleared');
 
     logger.info('=================================');
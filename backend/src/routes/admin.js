@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const backfillService = require('../services/backfill-service');
+const reorgMonitor = require('../services/reorg-monitor');
+const poolRegistry = require('../services/pool-registry');
+
+/**
+ * Require the admin API key (x-admin-key header)
+ * Without ADMIN_API_KEY configured, admin routes are only open outside production
+ */
+const requireAdminKey = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin API disabled: ADMIN_API_KEY is not configured'
+      });
+    }
+    return next();
+  }
+
+  if (req.get('x-admin-key') !== adminKey) {
+    logger.warn(`Rejected admin request from IP: ${req.ip} on ${req.path}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key'
+    });
+  }
+
+  next();
+};
+
+router.use(requireAdminKey);
+
+/**
+ * GET /api/admin/backfill
+ * Get backfill status: pool checkpoints, processor stats and recent jobs
+ */
+router.get('/backfill', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: backfillService.getStatus()
+    });
+  } catch (error) {
+    logger.error('Error fetching backfill status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch backfill status'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/reindex
+ * Re-index a block range through the live event handlers
+ * Body: { fromBlock, toBlock, pools?: [address] }
+ */
+router.post('/reindex', async (req, res) => {
+  try {
+    const { fromBlock, toBlock, pools = [] } = req.body || {};
+
+    if (fromBlock === undefined || toBlock === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: fromBlock, toBlock'
+      });
+    }
+
+    if (!Array.isArray(pools) || pools.some(pool => !/^0x[a-fA-F0-9]{40}$/.test(pool))) {
+      return res.status(400).json({
+        success: false,
+        error: 'pools must be an array of addresses'
+      });
+    }
+
+    let job;
+    try {
+      job = backfillService.reindexRange({
+        fromBlock: Number(fromBlock),
+        toBlock: Number(toBlock),
+        pools
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.info(`Re-index requested: blocks ${fromBlock}-${toBlock} (job ${job.id})`);
+
+    res.status(202).json({
+      success: true,
+      data: { job },
+      message: 'Re-index queued'
+    });
+  } catch (error) {
+    logger.error('Error starting re-index:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to start re-index'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reindex/:jobId
+ * Get progress of a backfill or re-index job
+ */
+router.get('/reindex/:jobId', async (req, res) => {
+  try {
+    const job = backfillService.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+  } catch (error) {
+    logger.error('Error fetching re-index job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reorgs
+ * Get reorg monitor status: pending blocks and recent rollbacks
+ */
+router.get('/reorgs', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: reorgMonitor.getStatus()
+    });
+  } catch (error) {
+    logger.error('Error fetching reorg status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reorg status'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/pools
+ * Register a pool manually
+ * Body: { address, dex?, factory?, protocol?, token0?, token1?, fee? }
+ * With only an address, the pool is identified on-chain
+ */
+router.post('/pools', async (req, res) => {
+  try {
+    const poolData = req.body || {};
+
+    if (!poolData.address || !/^0x[a-fA-F0-9]{40}$/.test(poolData.address)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing or invalid pool address'
+      });
+    }
+
+    if (poolData.protocol && !['v2', 'v3', 'algebra'].includes(poolData.protocol)) {
+      return res.status(400).json({
+        success: false,
+        error: 'protocol must be one of: v2, v3, algebra'
+      });
+    }
+
+    // Without token metadata the pool has to be identifiable on-chain
+    if (!(poolData.token0 && poolData.token1) && !(await poolRegistry.ensurePool(poolData.address))) {
+      return res.status(422).json({
+        success: false,
+        error: 'Could not identify pool on-chain; provide token0 and token1'
+      });
+    }
+
+    // Manual fields override anything read on-chain
+    const pool = await poolRegistry.register(poolData, 'manual');
+
+    logger.info(`Pool registered manually: ${pool.address} (${pool.dex})`);
+
+    res.status(201).json({
+      success: true,
+      data: { pool }
+    });
+  } catch (error) {
+    logger.error('Error registering pool:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register pool'
+    });
+  }
+});
+
+module.exports = router;
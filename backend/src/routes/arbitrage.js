@@ -2,28 +2,8 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const arbitrageScanner = require('../services/arbitrage-scanner');
-
-// Mock arbitrage opportunities
-const MOCK_ARBITRAGE = [
-  {
-    id: 'arb1',
-    tokenPair: 'WETH/USDC',
-    poolA: { address: '0x1234...', dex: 'UniswapV2', price: 1852.30 },
-    poolB: { address: '0x5678...', dex: 'SushiSwap', price: 1849.50 },
-    profitUSD: 145.20,
-    profitPercent: 0.15,
-    timestamp: Date.now()
-  },
-  {
-    id: 'arb2',
-    tokenPair: 'WBTC/WETH',
-    poolA: { address: '0xabcd...', dex: 'UniswapV3', price: 15.52 },
-    poolB: { address: '0xef01...', dex: 'Balancer', price: 15.48 },
-    profitUSD: 85.40,
-    profitPercent: 0.26,
-    timestamp: Date.now()
-  }
-];
+const poolRegistry = require('../services/pool-registry');
+const routeBuilder = require('../services/route-builder');
 
 /**
  * GET /api/arbitrage/opportunities
@@ -32,17 +12,7 @@ const MOCK_ARBITRAGE = [
 router.get('/opportunities', async (req, res) => {
   try {
     const { limit = 20 } = req.query;
-    let opportunities;
-
-    try {
-      opportunities = arbitrageScanner.getOpportunities(parseInt(limit));
-      if (!opportunities || opportunities.length === 0) {
-        opportunities = MOCK_ARBITRAGE;
-      }
-    } catch (error) {
-      logger.warn('Arbitrage scanner error, using mock data');
-      opportunities = MOCK_ARBITRAGE;
-    }
+    const opportunities = arbitrageScanner.getOpportunities(parseInt(limit));
 
     res.json({
       success: true,
@@ -51,10 +21,9 @@ router.get('/opportunities', async (req, res) => {
     });
   } catch (error) {
     logger.error('Error fetching arbitrage opportunities:', error);
-    res.json({
-      success: true,
-      data: { opportunities: MOCK_ARBITRAGE },
-      count: MOCK_ARBITRAGE.length
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch arbitrage opportunities'
     });
   }
 });
@@ -96,9 +65,43 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+const CLOSE_REASONS = ['captured', 'swap', 'liquidity', 'repriced'];
+
+/**
+ * GET /api/arbitrage/history
+ * Get closed arbitrage opportunities, most recently closed first
+ * Query: limit, reason (captured | swap | liquidity | repriced)
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { limit = 50, reason } = req.query;
+
+    if (reason && !CLOSE_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `reason must be one of: ${CLOSE_REASONS.join(', ')}`
+      });
+    }
+
+    const opportunities = arbitrageScanner.getHistory({ limit: parseInt(limit), reason });
+
+    res.json({
+      success: true,
+      data: { opportunities },
+      count: opportunities.length
+    });
+  } catch (error) {
+    logger.error('Error fetching arbitrage history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch arbitrage history'
+    });
+  }
+});
+
 /**
  * GET /api/arbitrage/:id
- * Get specific arbitrage opportunity
+ * Get specific arbitrage opportunity (open, or recently closed)
  */
 router.get('/:id', async (req, res) => {
   try {
@@ -127,20 +130,65 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/arbitrage/route
- * Calculate optimal arbitrage route
+ * Build router calldata for a route and simulate it (eth_call, or a local fork)
+ * Body: { opportunityId } or { pools: [address], tokenIn } or { buyPool, sellPool, tokenIn? },
+ * plus { amount, from, recipient?, slippageBps?, simulate? }
  */
 router.post('/route', async (req, res) => {
   try {
-    const { buyPool, sellPool, amount } = req.body;
+    const {
+      opportunityId,
+      buyPool,
+      sellPool,
+      from,
+      recipient,
+      slippageBps,
+      simulate = true
+    } = req.body || {};
+    let { pools, tokenIn, amount } = req.body || {};
+
+    if (opportunityId) {
+      const opportunity = arbitrageScanner.getOpportunityById(opportunityId);
+      if (!opportunity) {
+        return res.status(404).json({
+          success: false,
+          error: 'Opportunity not found or expired'
+        });
+      }
+      pools = opportunity.hops.map(hop => hop.poolAddress);
+      tokenIn = opportunity.hops[0].tokenInAddress;
+      amount = amount ?? opportunity.optimalAmountIn;
+    } else if (buyPool && sellPool) {
+      // Same-pair route: buy the pair's base token with its quote token, then sell it back
+      const tokens = poolRegistry.getTokens(buyPool);
+      pools = [buyPool, sellPool];
+      tokenIn = tokenIn ?? (tokens ? arbitrageScanner.getPairKey(tokens.token0.address, tokens.token1.address).split('-')[1] : null);
+    }
 
-    if (!buyPool || !sellPool || !amount) {
+    if (!pools || !tokenIn || !amount || !from) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: buyPool, sellPool, amount'
+        error: 'Missing required fields: opportunityId, pools and tokenIn, or buyPool and sellPool; plus amount and from'
       });
     }
 
-    const route = arbitrageScanner.calculateOptimalRoute(buyPool, sellPool, amount);
+    let route;
+    try {
+      route = await routeBuilder.buildRoute({
+        pools,
+        tokenIn,
+        amount,
+        from,
+        recipient: recipient || from,
+        slippageBps,
+        simulate: simulate !== false
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
 
     res.json({
       success: true,
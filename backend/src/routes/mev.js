@@ -2,103 +2,267 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const mevDetector = require('../services/mev-detector');
-
-// Mock MEV activities
-const MOCK_MEV = [
-  {
-    id: 'mev1',
-    type: 'sandwich',
-    txHash: '0xmev1111111111111111111111111111111111111111111111111111111111',
-    frontrunTx: '0xfront11111111111111111111111111111111111111111111111111111',
-    victimTx: '0xvictim111111111111111111111111111111111111111111111111111',
-    backrunTx: '0xback1111111111111111111111111111111111111111111111111111111',
-    poolAddress: '0x1234567890abcdef1234567890abcdef12345678',
-    profitUSD: 1250,
-    timestamp: Date.now() - 1800000
-  },
-  {
-    id: 'mev2',
-    type: 'arbitrage',
-    txHash: '0xmev2222222222222222222222222222222222222222222222222222222222',
-    poolAddresses: ['0x1234...', '0x5678...'],
-    profitUSD: 850,
-    timestamp: Date.now() - 3600000
-  }
-];
+const mevActorRegistry = require('../services/mev-actor-registry');
+const mevVictimTracker = require('../services/mev-victim-tracker');
+const mempoolMonitor = require('../services/mempool-monitor');
+const { mevStore, isValidCursor } = require('../config/redis-store');
 
 /**
- * GET /api/mev/detected
- * Get detected MEV activities
+ * GET /api/mev/detected?type=&pool=&attacker=&victim=&from=&to=&minProfit=&limit=50&cursor=
+ * Get detected MEV activities, newest first
+ * from/to are ms timestamps; pass the response's nextCursor to get the next page
  */
 router.get('/detected', async (req, res) => {
   try {
-    const { type, limit = 50 } = req.query;
-    let mevActivities;
+    const { type, pool, attacker, victim, cursor } = req.query;
+    const limit = parseInt(req.query.limit || '50');
+    const from = req.query.from ? parseInt(req.query.from) : undefined;
+    const to = req.query.to ? parseInt(req.query.to) : undefined;
+    const minProfit = req.query.minProfit ? parseFloat(req.query.minProfit) : undefined;
 
-    try {
-      mevActivities = mevDetector.getDetectedMEV(type, parseInt(limit));
-      if (!mevActivities || mevActivities.length === 0) {
-        mevActivities = type ? MOCK_MEV.filter(m => m.type === type) : MOCK_MEV;
-      }
-    } catch (error) {
-      logger.warn('MEV detector error, using mock data');
-      mevActivities = type ? MOCK_MEV.filter(m => m.type === type) : MOCK_MEV;
+    if (!(limit >= 1 && limit <= 500)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Limit must be between 1 and 500'
+      });
     }
 
+    if ([from, to, minProfit].some(value => value !== undefined && Number.isNaN(value))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from, to and minProfit must be numbers'
+      });
+    }
+
+    if (cursor !== undefined && !isValidCursor(cursor)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    const { mevActivities, nextCursor } = await mevDetector.queryMEV({
+      type, pool, attacker, victim, from, to, minProfit, limit, cursor
+    });
+
     res.json({
       success: true,
       data: { mevActivities },
-      count: mevActivities.length
+      count: mevActivities.length,
+      nextCursor
     });
   } catch (error) {
     logger.error('Error fetching MEV activities:', error);
-    res.json({
-      success: true,
-      data: { mevActivities: MOCK_MEV },
-      count: MOCK_MEV.length
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch MEV activities'
     });
   }
 });
 
 /**
- * GET /api/mev/stats
- * Get MEV detection statistics
+ * GET /api/mev/stats?timeRange=24h (or ?from=&to= in ms)
+ * Get MEV detection statistics over a time window, plus live detector counters
  */
 router.get('/stats', async (req, res) => {
   try {
-    let stats;
-    try {
-      stats = mevDetector.getStats();
-    } catch (error) {
-      logger.warn('MEV detector error, using mock stats');
-      stats = {
-        totalDetected: 2,
-        totalProfitUSD: 2100,
-        sandwichAttacks: 1,
-        arbitrages: 1,
-        liquidations: 0,
-        detectionRate: 95.5
-      };
+    const { timeRange = '24h' } = req.query;
+    const to = req.query.to ? parseInt(req.query.to) : Date.now();
+    const from = req.query.from ? parseInt(req.query.from) : to - parseTimeRange(timeRange);
+
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be ms timestamps with from <= to'
+      });
     }
 
+    const stats = {
+      ...await mevDetector.getWindowStats(from, to),
+      timeRange: req.query.from ? null : timeRange,
+      detector: mevDetector.getStats()
+    };
+
     res.json({
       success: true,
       data: stats
     });
   } catch (error) {
     logger.error('Error fetching MEV stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch MEV stats'
+    });
+  }
+});
+
+/**
+ * GET /api/mev/attackers?sortBy=profit&type=sandwich_attack&limit=50
+ * List known MEV actors (sortBy: profit, attacks or recent)
+ */
+router.get('/attackers', async (req, res) => {
+  try {
+    const { sortBy = 'profit', type } = req.query;
+    const limit = parseInt(req.query.limit || '50');
+
+    if (!(limit >= 1 && limit <= 500)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Limit must be between 1 and 500'
+      });
+    }
+
+    const attackers = mevActorRegistry.getActors({ sortBy, type, limit });
+
+    res.json({
+      success: true,
+      data: { attackers },
+      count: attackers.length,
+      sortBy
+    });
+  } catch (error) {
+    logger.error('Error fetching MEV attackers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch MEV attackers'
+    });
+  }
+});
+
+/**
+ * GET /api/mev/attackers/:address
+ * Profile of one MEV actor (by its bot contract or any linked wallet),
+ * with its most recent detections
+ */
+router.get('/attackers/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address format'
+      });
+    }
+
+    const attacker = mevActorRegistry.getActor(address);
+    if (!attacker) {
+      return res.status(404).json({
+        success: false,
+        error: 'No MEV activity recorded for this address'
+      });
+    }
+
+    // Detections expire after MEV_RETENTION_MS; the profile's totals do not
+    const recentAttacks = await mevStore.getMany(attacker.recentAttacks);
+
     res.json({
       success: true,
       data: {
-        totalDetected: 2,
-        totalProfitUSD: 2100,
-        sandwichAttacks: 1,
-        arbitrages: 1,
-        liquidations: 0,
-        detectionRate: 95.5
+        ...attacker,
+        recentAttacks
       }
     });
+  } catch (error) {
+    logger.error('Error fetching MEV attacker:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch MEV attacker'
+    });
   }
 });
 
+/**
+ * GET /api/mev/victims/:address?days=30
+ * MEV exposure of a wallet: every sandwich and front-run that hit it, loss
+ * per transaction, worst pools and hour-of-day (UTC) pattern
+ */
+router.get('/victims/:address', async (req, res) => {
+  try {
+    const { address } = req.params;
+    const days = req.query.days ? parseFloat(req.query.days) : null;
+
+    if (!address.match(/^0x[a-fA-F0-9]{40}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid address format'
+      });
+    }
+
+    if (days !== null && !(days > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be a positive number'
+      });
+    }
+
+    const report = await mevVictimTracker.getReport(address, { days });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error fetching MEV victim report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch MEV victim report'
+    });
+  }
+});
+
+/**
+ * GET /api/mev/risks?limit=50
+ * Latest sandwich-risk warnings raised for pending swaps, newest first
+ * (empty unless the mempool monitor is enabled)
+ */
+router.get('/risks', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '50');
+
+    if (isNaN(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be between 1 and 100'
+      });
+    }
+
+    const risks = mempoolMonitor.getRecentWarnings(limit);
+
+    res.json({
+      success: true,
+      data: {
+        risks,
+        monitor: mempoolMonitor.getStats()
+      },
+      count: risks.length
+    });
+  } catch (error) {
+    logger.error('Error fetching MEV risks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch MEV risks'
+    });
+  }
+});
+
+/**
+ * Helper function to parse time range strings
+ */
+function parseTimeRange(timeRange) {
+  const units = {
+    'm': 60 * 1000,
+    'h': 60 * 60 * 1000,
+    'd': 24 * 60 * 60 * 1000
+  };
+
+  const match = timeRange.match(/^(\d+)([mhd])$/);
+  if (!match) {
+    return 24 * 60 * 60 * 1000; // Default 24 hours
+  }
+
+  const [, value, unit] = match;
+  return parseInt(value) * units[unit];
+}
+
 module.exports = router;
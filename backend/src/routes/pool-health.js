@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const impactAnalyzer = require('../services/impact-analyzer');
+const poolStateManager = require('../services/pool-state-manager');
 const { getJSON } = require('../config/redis');
 
 // Mock pool health data with diverse distribution
@@ -159,7 +160,7 @@ router.get('/pool/:address', async (req, res) => {
     let poolData, healthMetrics;
     try {
       // Get pool data from Redis
-      poolData = await getJSON(`pool:${address}`);
+      poolData = await getJSON(`pool:${address.toLowerCase()}`);
 
       if (!poolData) {
         // Find mock data for this address
@@ -278,24 +279,11 @@ router.get('/metrics', async (req, res) => {
     let pools = [];
 
     try {
-      const { getRedisClient } = require('../config/redis');
-      const redis = getRedisClient();
+      const poolStates = await poolStateManager.getRegisteredPoolStates();
 
-      if (redis && redis.isOpen) {
-        const poolKeys = await redis.keys('pool:*');
-        const filteredKeys = poolKeys.filter(key => !key.includes(':history:'));
-
-        for (const key of filteredKeys) {
-          try {
-            const poolData = await getJSON(key);
-            if (poolData) {
-              const health = impactAnalyzer.calculatePoolHealth(poolData);
-              pools.push({ ...poolData, health });
-            }
-          } catch (error) {
-            logger.debug(`Error parsing pool ${key}:`, error);
-          }
-        }
+      for (const poolData of poolStates) {
+        const health = impactAnalyzer.calculatePoolHealth(poolData);
+        pools.push({ ...poolData, health });
       }
     } catch (error) {
       logger.debug('Redis not available, using mock data');
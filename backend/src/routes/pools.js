@@ -2,20 +2,31 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
 const { getRedisClient, getJSON } = require('../config/redis');
+const { getPoolHistory } = require('../config/redis-store');
 const impactAnalyzer = require('../services/impact-analyzer');
 const quickswapFetcher = require('../services/quickswap-fetcher');
+const poolRegistry = require('../services/pool-registry');
+const poolStateManager = require('../services/pool-state-manager');
 
 /**
  * Format pool object to standardized structure
+ * DEX, protocol, fee and token symbols come from the pool registry
  * @param {Object} poolData - Raw pool data
  * @returns {Object} - Formatted pool object
  */
 function formatPoolObject(poolData) {
+  const address = poolData.address || poolData.poolAddress;
+  const registered = poolRegistry.getPool(address) || {};
+
   return {
-    address: poolData.address || poolData.poolAddress,
-    dex: poolData.dex || 'Unknown DEX',
-    token0: poolData.token0 || poolData.token0Address,
-    token1: poolData.token1 || poolData.token1Address,
+    address,
+    dex: poolData.dex || registered.dex || 'Unknown DEX',
+    protocol: registered.protocol || null,
+    fee: registered.fee ?? poolData.fee ?? null,
+    token0: poolData.token0 || poolData.token0Address || registered.token0?.address,
+    token1: poolData.token1 || poolData.token1Address || registered.token1?.address,
+    token0Symbol: poolData.token0Symbol || registered.token0?.symbol || null,
+    token1Symbol: poolData.token1Symbol || registered.token1?.symbol || null,
     tvl: poolData.tvl || poolData.totalLiquidity || 0,
     volume24h: poolData.volume24h || 0,
     price: poolData.price || 0,
@@ -133,21 +144,9 @@ router.get('/', async (req, res) => {
       });
     }
 
-    // Get all pool keys (excluding history keys)
-    const poolKeys = await redis.keys('pool:*');
-    const filteredKeys = poolKeys.filter(key => !key.includes(':history:'));
-
-    const pools = [];
-    for (const key of filteredKeys) {
-      try {
-        const poolData = await getJSON(key);
-        if (poolData) {
-          pools.push(formatPoolObject(poolData));
-        }
-      } catch (parseError) {
-        logger.error(`Error parsing pool data for ${key}:`, parseError);
-      }
-    }
+    // Get the state of every registered pool
+    const poolStates = await poolStateManager.getRegisteredPoolStates();
+    const pools = poolStates.map(formatPoolObject);
 
     // If no pools found in Redis, try QuickSwap
     if (pools.length === 0) {
@@ -217,6 +216,41 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/pools/registry
+ * List registered pools with DEX, protocol, token metadata and fee tier
+ * Query: ?dex=QuickSwap V4&protocol=algebra
+ */
+router.get('/registry', async (req, res) => {
+  try {
+    const { dex, protocol } = req.query;
+
+    let pools = poolRegistry.getAllPools();
+    if (dex) {
+      pools = pools.filter(pool => pool.dex === dex);
+    }
+    if (protocol) {
+      pools = pools.filter(pool => pool.protocol === protocol);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        pools,
+        stats: poolRegistry.getStats()
+      },
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    logger.error('Error fetching pool registry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pool registry',
+      timestamp: Date.now()
+    });
+  }
+});
+
 /**
  * GET /api/pools/:address
  * Fetch specific pool data
@@ -234,8 +268,9 @@ router.get('/:address', async (req, res) => {
       });
     }
 
-    const redis = getRedisClient();
-    const poolData = await getJSON(`pool:${address}`);
+    // Registered pools without any state yet still return their metadata
+    const poolData = await getJSON(`pool:${address.toLowerCase()}`)
+      || (poolRegistry.has(address) ? { address: poolRegistry.getPool(address).address } : null);
 
     // Handle missing pool
     if (!poolData) {
@@ -279,7 +314,7 @@ router.get('/:address/health', async (req, res) => {
     const { address } = req.params;
     const redis = getRedisClient();
 
-    const poolData = await redis.get(`pool:${address}`);
+    const poolData = await redis.get(`pool:${address.toLowerCase()}`);
     if (!poolData) {
       return res.status(404).json({
         success: false,
@@ -340,22 +375,8 @@ router.get('/:address/liquidity', async (req, res) => {
     const now = Date.now();
     const startTime = now - timeRangeMs;
 
-    const redis = getRedisClient();
-    const historyKeys = await redis.keys(`pool:${address}:history:*`);
-
-    const liquidityHistory = [];
-    for (const key of historyKeys) {
-      const timestamp = parseInt(key.split(':').pop());
-      if (timestamp >= startTime) {
-        const data = await redis.get(key);
-        if (data) {
-          liquidityHistory.push(JSON.parse(data));
-        }
-      }
-    }
-
-    // Sort by timestamp
-    liquidityHistory.sort((a, b) => a.timestamp - b.timestamp);
+    // Snapshots are scored by timestamp, so this is one range read, oldest first
+    const liquidityHistory = await getPoolHistory(address, startTime, now);
 
     res.json({
       success: true,
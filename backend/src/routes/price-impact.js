@@ -3,59 +3,64 @@ const router = express.Router();
 const logger = require('../utils/logger');
 const priceImpactPredictor = require('../services/price-impact-predictor');
 
+const DECIMAL_AMOUNT = /^\d+(\.\d+)?$/;
+const RAW_AMOUNT = /^\d+$/;
+
+/**
+ * Normalize an amount in raw units ("1500000", or a JSON number such as
+ * 1.5e21) or in token units ("1.5") to a string; null if it isn't one
+ */
+const normalizeAmount = (amount, decimal) => {
+  if (!decimal && typeof amount === 'number' && Number.isInteger(amount) && amount >= 0) {
+    return BigInt(amount).toString();
+  }
+  const value = String(amount);
+  return (decimal ? DECIMAL_AMOUNT : RAW_AMOUNT).test(value) ? value : null;
+};
+
 /**
  * POST /api/price-impact/predict
  * Predict price impact for a trade
+ * Body: { poolAddress, tokenIn, tokenOut, amountIn (raw units) or amountDecimal (token units) }
  */
 router.post('/predict', async (req, res) => {
   try {
-    const { poolAddress, tokenIn, tokenOut, amountIn } = req.body;
+    const { poolAddress, tokenIn, tokenOut, amountIn, amountDecimal } = req.body;
+    const decimal = amountIn === undefined || amountIn === null;
+    const requested = decimal ? amountDecimal : amountIn;
 
-    if (!poolAddress || !tokenIn || !tokenOut || !amountIn) {
+    if (!poolAddress || !tokenIn || !tokenOut || !requested) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: poolAddress, tokenIn, tokenOut, amountIn'
+        error: 'Missing required fields: poolAddress, tokenIn, tokenOut, amountIn or amountDecimal'
       });
     }
 
-    let prediction;
-    try {
-      prediction = await priceImpactPredictor.predictImpact(
-        poolAddress,
-        tokenIn,
-        tokenOut,
-        parseFloat(amountIn)
-      );
-    } catch (error) {
-      logger.warn('Price impact predictor error, using mock prediction');
-      const amount = parseFloat(amountIn);
-      prediction = {
-        priceImpact: (amount / 1000000) * 2.5,
-        expectedOutput: amount * 0.98,
-        minOutput: amount * 0.97,
-        slippage: 1.5,
-        recommendation: amount > 50000 ? 'Split trade' : 'Execute directly'
-      };
+    const amount = normalizeAmount(requested, decimal);
+    if (!amount) {
+      return res.status(400).json({
+        success: false,
+        error: decimal ? 'amountDecimal must be a decimal number' : 'amountIn must be an integer amount in raw units'
+      });
     }
 
+    const prediction = await priceImpactPredictor.predictImpact(
+      poolAddress,
+      tokenIn,
+      tokenOut,
+      amount,
+      { decimal }
+    );
+
     res.json({
       success: true,
       data: { prediction }
     });
   } catch (error) {
-    logger.error('Error predicting price impact:', error);
-    const amount = parseFloat(req.body.amountIn || 10000);
-    res.json({
-      success: true,
-      data: {
-        prediction: {
-          priceImpact: (amount / 1000000) * 2.5,
-          expectedOutput: amount * 0.98,
-          minOutput: amount * 0.97,
-          slippage: 1.5,
-          recommendation: amount > 50000 ? 'Split trade' : 'Execute directly'
-        }
-      }
+    if (!error.status) logger.error('Error predicting price impact:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to predict price impact'
     });
   }
 });
@@ -131,15 +136,26 @@ router.post('/alternative-routes', async (req, res) => {
 /**
  * POST /api/price-impact/batch-predict
  * Batch predict impact for multiple amounts
+ * Body: { poolAddress, tokenIn, tokenOut, amounts (raw units) or amountsDecimal (token units) }
  */
 router.post('/batch-predict', async (req, res) => {
   try {
-    const { poolAddress, tokenIn, tokenOut, amounts } = req.body;
+    const { poolAddress, tokenIn, tokenOut, amounts, amountsDecimal } = req.body;
+    const decimal = !Array.isArray(amounts);
+    const list = decimal ? amountsDecimal : amounts;
 
-    if (!poolAddress || !tokenIn || !tokenOut || !amounts || !Array.isArray(amounts)) {
+    if (!poolAddress || !tokenIn || !tokenOut || !Array.isArray(list)) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: poolAddress, tokenIn, tokenOut, amounts (array)'
+        error: 'Missing required fields: poolAddress, tokenIn, tokenOut, amounts or amountsDecimal (array)'
+      });
+    }
+
+    const normalized = list.map(amount => normalizeAmount(amount, decimal));
+    if (normalized.includes(null)) {
+      return res.status(400).json({
+        success: false,
+        error: decimal ? 'amountsDecimal must be decimal numbers' : 'amounts must be integer amounts in raw units'
       });
     }
 
@@ -147,7 +163,8 @@ router.post('/batch-predict', async (req, res) => {
       poolAddress,
       tokenIn,
       tokenOut,
-      amounts.map(a => parseFloat(a))
+      normalized,
+      { decimal }
     );
 
     res.json({
@@ -155,8 +172,8 @@ router.post('/batch-predict', async (req, res) => {
       data: { predictions }
     });
   } catch (error) {
-    logger.error('Error in batch prediction:', error);
-    res.status(500).json({
+    if (!error.status) logger.error('Error in batch prediction:', error);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message || 'Failed to perform batch prediction'
     });
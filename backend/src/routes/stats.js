@@ -4,6 +4,7 @@ const logger = require('../utils/logger');
 const { getRedisClient, getJSON, setJSON } = require('../config/redis');
 const whaleDetector = require('../services/whale-detector');
 const impactAnalyzer = require('../services/impact-analyzer');
+const poolStateManager = require('../services/pool-state-manager');
 
 const STATS_CACHE_KEY = 'stats:cache';
 const STATS_CACHE_TTL = 30; // 30 seconds
@@ -52,24 +53,16 @@ router.get('/', async (req, res) => {
       return res.json(MOCK_STATS);
     }
 
-    // Get pool data
-    const poolKeys = await redis.keys('pool:*');
-    const filteredPoolKeys = poolKeys.filter(k => !k.includes(':history:'));
+    // Get pool data for every registered pool
+    const poolStates = await poolStateManager.getRegisteredPoolStates();
 
     let totalTVL = 0;
     let volume24h = 0;
-    const activePoolCount = filteredPoolKeys.length;
-
-    for (const key of filteredPoolKeys) {
-      try {
-        const poolData = await getJSON(key);
-        if (poolData) {
-          totalTVL += poolData.tvl || poolData.totalLiquidity || 0;
-          volume24h += poolData.volume24h || 0;
-        }
-      } catch (error) {
-        logger.error(`Error parsing pool ${key}:`, error);
-      }
+    const activePoolCount = poolStates.length;
+
+    for (const poolData of poolStates) {
+      totalTVL += poolData.tvl || poolData.totalLiquidity || 0;
+      volume24h += poolData.volume24h || 0;
     }
 
     // Get whale stats for last 24 hours
@@ -126,11 +119,9 @@ router.get('/', async (req, res) => {
  */
 router.get('/overview', async (req, res) => {
   try {
-    const redis = getRedisClient();
-
     // Get counts
-    const poolKeys = await redis.keys('pool:*');
-    const poolCount = poolKeys.filter(k => !k.includes(':history:')).length;
+    const poolStates = await poolStateManager.getRegisteredPoolStates();
+    const poolCount = poolStates.length;
 
     // Get whale stats for last 24 hours
     const whaleStats24h = await whaleDetector.getWhaleStats(24 * 60 * 60 * 1000);
@@ -138,15 +129,9 @@ router.get('/overview', async (req, res) => {
     // Get total liquidity across all pools
     let totalLiquidity = 0;
     let totalVolume24h = 0;
-    for (const key of poolKeys) {
-      if (!key.includes(':history:')) {
-        const poolData = await redis.get(key);
-        if (poolData) {
-          const pool = JSON.parse(poolData);
-          totalLiquidity += pool.totalLiquidity || 0;
-          totalVolume24h += pool.volume24h || 0;
-        }
-      }
+    for (const pool of poolStates) {
+      totalLiquidity += pool.totalLiquidity || 0;
+      totalVolume24h += pool.volume24h || 0;
     }
 
     res.json({
@@ -236,19 +221,7 @@ router.get('/pools/top', async (req, res) => {
     const { metric = 'liquidity', limit = 10 } = req.query;
     const limitNum = parseInt(limit);
 
-    const redis = getRedisClient();
-    const poolKeys = await redis.keys('pool:*');
-
-    const pools = [];
-    for (const key of poolKeys) {
-      if (!key.includes(':history:')) {
-        const poolData = await redis.get(key);
-        if (poolData) {
-          const pool = JSON.parse(poolData);
-          pools.push(pool);
-        }
-      }
-    }
+    const pools = await poolStateManager.getRegisteredPoolStates();
 
     // Sort by metric
     const sortedPools = pools.sort((a, b) => {
@@ -285,23 +258,16 @@ router.get('/pools/top', async (req, res) => {
  */
 router.get('/health', async (req, res) => {
   try {
-    const redis = getRedisClient();
-    const poolKeys = await redis.keys('pool:*');
+    const pools = await poolStateManager.getRegisteredPoolStates();
 
     const healthScores = [];
-    for (const key of poolKeys) {
-      if (!key.includes(':history:')) {
-        const poolData = await redis.get(key);
-        if (poolData) {
-          const pool = JSON.parse(poolData);
-          const health = impactAnalyzer.calculatePoolHealth(pool);
-          healthScores.push({
-            pool: pool.address,
-            name: pool.name,
-            ...health
-          });
-        }
-      }
+    for (const pool of pools) {
+      const health = impactAnalyzer.calculatePoolHealth(pool);
+      healthScores.push({
+        pool: pool.address,
+        name: pool.name,
+        ...health
+      });
     }
 
     // Calculate aggregate metrics
@@ -54,15 +54,17 @@ const MOCK_WHALES = [
 ];
 
 /**
- * GET /api/whales/recent?limit=20&minAmount=10000&page=1
+ * GET /api/whales/recent?limit=20&minAmount=10000&page=1&bots=exclude
  * Get recent whale transactions with filtering and pagination
+ * Whales sent by known MEV bots carry `mevBot`; bots=exclude|only filters on it
  */
 router.get('/recent', async (req, res) => {
   try {
     const {
       limit = 20,
       minAmount = 0,
-      page = 1
+      page = 1,
+      bots
     } = req.query;
 
     const limitNum = parseInt(limit);
@@ -86,6 +88,14 @@ router.get('/recent', async (req, res) => {
       });
     }
 
+    if (bots && bots !== 'exclude' && bots !== 'only') {
+      return res.status(400).json({
+        success: false,
+        error: 'bots must be "exclude" or "only"',
+        timestamp: Date.now()
+      });
+    }
+
     // Fetch more whales to support pagination and filtering
     const fetchLimit = limitNum * pageNum + 50;
     let whales = await whaleDetector.getRecentWhales(fetchLimit);
@@ -101,6 +111,14 @@ router.get('/recent', async (req, res) => {
       whales = whales.filter(w => (w.amountUSD || w.valueUSD || 0) >= minAmountNum);
     }
 
+    // Mark (and optionally filter) whales sent by known MEV bots
+    whales = whaleDetector.markBots(whales);
+    if (bots === 'exclude') {
+      whales = whales.filter(w => !w.mevBot);
+    } else if (bots === 'only') {
+      whales = whales.filter(w => w.mevBot);
+    }
+
     // Calculate pagination
     const startIndex = (pageNum - 1) * limitNum;
     const endIndex = startIndex + limitNum;
@@ -5,7 +5,10 @@
  */
 
 const logger = require('../utils/logger');
-const { getRedisClient, setJSON, getJSON } = require('../config/redis');
+const { getRedisClient } = require('../config/redis');
+const { alertStore } = require('../config/redis-store');
+
+const MAX_TRACKED_TRIGGERS = 1000;
 
 class AlertEngine {
   constructor() {
@@ -20,6 +23,7 @@ class AlertEngine {
     ];
     this.socketHandler = null;
     this.isInitialized = false;
+    this.triggersByTx = new Map(); // txHash -> alert ids triggered by it (for reorg retraction)
   }
 
   /**
@@ -59,13 +63,10 @@ class AlertEngine {
         return;
       }
 
-      const keys = await redis.keys('alert:*');
-
-      for (const key of keys) {
-        const alertData = await getJSON(key);
-        if (alertData) {
-          this.alerts.set(key, alertData);
-        }
+      // Alert ids come from the alerts:index sorted set, records in one MGET
+      const alerts = await alertStore.getMany(await alertStore.ids());
+      for (const alert of alerts) {
+        this.alerts.set(alert.id, alert);
       }
 
       logger.info(`Loaded ${this.alerts.size} alerts from Redis`);
@@ -112,7 +113,7 @@ class AlertEngine {
       };
 
       // Save to Redis
-      await setJSON(alertId, alert, 86400 * 7); // 7 days TTL
+      await alertStore.save(alert); // 7 days TTL
       this.alerts.set(alertId, alert);
 
       logger.info(`Alert created: ${alertId} (${type})`);
@@ -258,7 +259,18 @@ class AlertEngine {
       // Update alert stats
       alert.triggeredCount++;
       alert.lastTriggered = Date.now();
-      await setJSON(alert.id, alert, 86400 * 7);
+      await alertStore.save(alert);
+
+      // Remember which transaction fired the alert so a reorg can retract it
+      const txHash = data.whale?.txHash || data.impact?.txHash;
+      if (txHash) {
+        const alertIds = this.triggersByTx.get(txHash) || [];
+        alertIds.push(alert.id);
+        this.triggersByTx.set(txHash, alertIds);
+        if (this.triggersByTx.size > MAX_TRACKED_TRIGGERS) {
+          this.triggersByTx.delete(this.triggersByTx.keys().next().value);
+        }
+      }
 
       // Emit via WebSocket
       if (this.socketHandler) {
@@ -280,6 +292,40 @@ class AlertEngine {
     }
   }
 
+  /**
+   * Retract alert triggers fired by transactions orphaned by a chain reorg
+   * @param {Array<string>} txHashes - Orphaned transaction hashes
+   * @returns {Array} - Retracted triggers ({ alertId, txHash })
+   */
+  async retractTriggers(txHashes) {
+    const retracted = [];
+
+    try {
+      for (const txHash of txHashes) {
+        const alertIds = this.triggersByTx.get(txHash);
+        if (!alertIds) continue;
+        this.triggersByTx.delete(txHash);
+
+        for (const alertId of alertIds) {
+          const alert = this.alerts.get(alertId);
+          if (!alert) continue;
+
+          alert.triggeredCount = Math.max(alert.triggeredCount - 1, 0);
+          await alertStore.save(alert);
+          retracted.push({ alertId, txHash });
+        }
+      }
+
+      if (retracted.length > 0) {
+        logger.warn(`🔙 Retracted ${retracted.length} alert triggers after reorg`);
+      }
+    } catch (error) {
+      logger.error('Error retracting alert triggers:', error);
+    }
+
+    return retracted;
+  }
+
   /**
    * Get user alerts
    * @param {string} userId - User ID
@@ -308,7 +354,7 @@ class AlertEngine {
       }
 
       Object.assign(alert, updates);
-      await setJSON(alertId, alert, 86400 * 7);
+      await alertStore.save(alert);
       this.alerts.set(alertId, alert);
 
       logger.info(`Alert updated: ${alertId}`);
@@ -325,8 +371,7 @@ class AlertEngine {
    */
   async deleteAlert(alertId) {
     try {
-      const redis = getRedisClient();
-      await redis.del(alertId);
+      await alertStore.remove(alertId);
       this.alerts.delete(alertId);
 
       logger.info(`Alert deleted: ${alertId}`);
@@ -1,19 +1,138 @@
 /**
  * Arbitrage Opportunity Scanner
- * Scans for price differences across DEXes and calculates profit opportunities
+ * Scans for price differences across DEXes and calculates profit opportunities.
+ * Live pool states are grouped by token pair; a pair is rescanned whenever
+ * one of its pools changes, rather than on a timer. All pools together also
+ * form a token graph that is searched for 3-4 hop arbitrage cycles.
+ * Every route is sized at its profit-maximizing input (closed form through
+ * V2 pools, a search over tick-walking simulations through concentrated
+ * liquidity) and charged gas at the chain's current gas price.
+ * Opportunities are tracked from open through updates to close; a close is
+ * attributed to the swap that ended it, and counts as captured when one
+ * transaction traded through two or more of the route's pools.
  */
 
+const { formatUnits } = require('viem');
 const logger = require('../utils/logger');
-const { getJSON } = require('../config/redis');
+const { getProvider } = require('../config/somnia-chain');
+const priceOracle = require('./price-oracle');
+const poolRegistry = require('./pool-registry');
+const poolStateManager = require('./pool-state-manager');
+const concentratedSwapSimulator = require('./concentrated-swap-simulator');
+
+const MIN_CYCLE_HOPS = 3; // Two-hop cycles are the same-pair comparison
+const MAX_CYCLE_HOPS = 4;
+const SEARCH_ITERATIONS = 40; // Golden-section steps when sizing through concentrated liquidity
+const MAX_BRACKET_DOUBLINGS = 30;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+const PROFIT_CURVE_POINTS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2]; // Multiples of the optimal input
+const Q96 = 2 ** 96;
+const FEE_DENOMINATOR = 1000000n;
+
+// Gas per route: one transaction, plus each hop, plus each tick a hop crosses
+const GAS_PER_TRANSACTION = 50000;
+const GAS_PER_HOP = { v2: 60000, v3: 110000, algebra: 120000 };
+const GAS_PER_TICK_CROSSED = 25000;
+const GAS_PRICE_TTL_MS = 15000;
+const ESTIMATED_GAS_COST_USD = 5; // Used while the gas price or native token price is unknown
+const WRAPPED_NATIVE_TOKEN = (process.env.WRAPPED_NATIVE_TOKEN || '').toLowerCase(); // Prices gas in USD
+const MAX_TOP_ARBITRAGEURS = 10;
+const MAX_ARBITRAGEURS = 1000; // Tracked capturing wallets; the least recent capturer is dropped beyond this
+
+const lower = (address) => (address ? address.toLowerCase() : null);
+const toRaw = (amount) => BigInt(Math.max(0, Math.floor(amount)));
+
+/**
+ * Reserves a pool trades against: V2 reserves, or the virtual reserves of
+ * the active range of a concentrated-liquidity pool (L / sqrtP, L * sqrtP)
+ * @param {Object} pool - Pool state
+ * @returns {Object|null} - { reserve0, reserve1, concentrated } with numeric reserves
+ */
+function getReserves(pool) {
+  const reserve0 = Number(pool.reserve0 || 0);
+  const reserve1 = Number(pool.reserve1 || 0);
+  if (reserve0 > 0 && reserve1 > 0) return { reserve0, reserve1, concentrated: false };
+
+  const sqrtPrice = Number(pool.sqrtPriceX96 || 0) / Q96;
+  const liquidity = Number(pool.liquidity || 0);
+  if (sqrtPrice > 0 && liquidity > 0) {
+    return { reserve0: liquidity / sqrtPrice, reserve1: liquidity * sqrtPrice, concentrated: true };
+  }
+
+  return null;
+}
+
+/**
+ * One direction of a pool as a graph edge / route hop
+ * @param {Object} pool - Pool state with registry tokens
+ * @param {string} tokenIn - Token sold into the pool
+ * @returns {Object|null} - Edge, weighted by -ln(marginal rate after fee);
+ *   null without liquidity or for a protocol routes can't be costed for
+ */
+function makeEdge(pool, tokenIn) {
+  const reserves = getReserves(pool);
+  if (!reserves) return null;
+
+  const protocol = reserves.concentrated ? pool.protocol || 'v3' : 'v2';
+  if (!GAS_PER_HOP[protocol]) return null;
+
+  const fee = poolRegistry.getFeeFraction(pool.address);
+  const zeroForOne = lower(pool.token0) === lower(tokenIn);
+  const [reserveIn, reserveOut] = zeroForOne
+    ? [reserves.reserve0, reserves.reserve1]
+    : [reserves.reserve1, reserves.reserve0];
+
+  return {
+    poolAddress: pool.address,
+    dex: pool.dex,
+    protocol,
+    fee,
+    feePips: Math.round(fee * 1e6),
+    tokenIn: lower(tokenIn),
+    tokenOut: lower(zeroForOne ? pool.token1 : pool.token0),
+    zeroForOne,
+    reserveIn,
+    reserveOut,
+    weight: -Math.log((reserveOut / reserveIn) * (1 - fee)),
+    pool
+  };
+}
 
 class ArbitrageScanner {
   constructor() {
     this.minProfitUSD = parseFloat(process.env.ARB_MIN_PROFIT_USD || '10');
-    this.scanInterval = parseInt(process.env.ARB_SCAN_INTERVAL || '5000');
-    this.opportunities = [];
+    this.rescanDelay = parseInt(process.env.ARB_RESCAN_DEBOUNCE_MS || '250'); // Coalesces bursts of pool updates
+    this.historyLimit = parseInt(process.env.ARB_HISTORY_LIMIT || '1000');
+    this.opportunities = new Map(); // 'pair:<buy pool>-<sell pool>' or 'cycle:<pools>' -> open opportunity
+    this.history = []; // Closed opportunities, newest first
+    this.arbitrageurs = new Map(); // wallet -> { wallet, captures, capturedProfitUSD, lastCaptureAt }, least recent first
     this.socketHandler = null;
     this.isScanning = false;
-    this.scanTimer = null;
+    this.changedPools = new Map(); // Pools updated since the last rescan -> { eventName, swaps }
+    this.pools = new Map(); // pool address -> loaded pool state (only changed pools are reloaded)
+    this.pairIndex = new Map(); // pair key -> Set of loaded pool addresses
+    this.graph = new Map(); // Token graph over the loaded pools: token -> (token -> best edge)
+    this.rescanTimer = null;
+    this.scanInProgress = false; // One scan at a time: later requests are folded into a follow-up scan
+    this.fullScanPending = false;
+    this.client = null;
+    this.gasPrice = { wei: null, fetchedAt: 0 };
+    this.stats = {
+      scans: 0,
+      pairsScanned: 0,
+      poolsScanned: 0,
+      cyclesFound: 0
+    };
+    this.lifecycle = {
+      opened: 0,
+      updated: 0,
+      closed: 0,
+      closeReasons: { captured: 0, swap: 0, liquidity: 0, repriced: 0 },
+      byType: {
+        pair: { closed: 0, captured: 0 },
+        cycle: { closed: 0, captured: 0 }
+      }
+    };
   }
 
   /**
@@ -38,9 +157,9 @@ class ArbitrageScanner {
   }
 
   /**
-   * Start continuous scanning
+   * Start scanning: one full scan, then rescans driven by pool updates
    */
-  startScanning() {
+  async startScanning() {
     if (this.isScanning) {
       logger.warn('Arbitrage scanner already running');
       return;
@@ -48,79 +167,448 @@ class ArbitrageScanner {
 
     this.isScanning = true;
     logger.info('🔍 Starting arbitrage scanner...');
-
-    this.scanTimer = setInterval(async () => {
-      try {
-        await this.scanForOpportunities();
-      } catch (error) {
-        logger.error('Error in arbitrage scan:', error);
-      }
-    }, this.scanInterval);
+    await this.scanForOpportunities();
   }
 
   /**
    * Stop scanning
    */
   stopScanning() {
-    if (this.scanTimer) {
-      clearInterval(this.scanTimer);
-      this.scanTimer = null;
+    if (this.rescanTimer) {
+      clearTimeout(this.rescanTimer);
+      this.rescanTimer = null;
     }
+    this.changedPools.clear();
+    this.fullScanPending = false;
     this.isScanning = false;
     logger.info('Arbitrage scanner stopped');
   }
 
+  /**
+   * Note a pool state change; the pool's pair is rescanned shortly after
+   * @param {string} poolAddress - Updated pool
+   * @param {Object} change - { eventName, swap: decoded swap for Swap events }
+   */
+  notifyPoolChange(poolAddress, { eventName = null, swap = null } = {}) {
+    if (!this.isScanning || !poolAddress) return;
+
+    // Every swap in the window is kept so a capture is attributed to its own transaction
+    const key = lower(poolAddress);
+    const change = this.changedPools.get(key) || { eventName, swaps: [] };
+    change.eventName = eventName;
+    if (swap) change.swaps.push(swap);
+    this.changedPools.set(key, change);
+    if (this.rescanTimer) return;
+
+    this.rescanTimer = setTimeout(() => {
+      this.rescanTimer = null;
+      this.rescanChangedPools().catch((error) => {
+        logger.error('Error in arbitrage rescan:', error);
+      });
+    }, this.rescanDelay);
+  }
+
+  /**
+   * Rescan the pairs of every pool updated since the last rescan
+   * @private
+   */
+  async rescanChangedPools() {
+    const changes = new Map(this.changedPools);
+    this.changedPools.clear();
+
+    if (changes.size > 0) {
+      await this.scanForOpportunities({ changes });
+    }
+  }
+
+  /**
+   * Reload pools into the scanner's in-memory view and update their pairs'
+   * graph edges; pools that lost their state or price are dropped
+   * @param {Array<string>} poolAddresses - Pools to reload
+   * @returns {Promise<Set<string>>} - Pair keys of the reloaded pools
+   * @private
+   */
+  async refreshPools(poolAddresses) {
+    const pairs = new Set();
+
+    for (const poolAddress of poolAddresses) {
+      const key = lower(poolAddress);
+      const record = poolRegistry.getPool(key);
+      const [pool] = record ? await this.loadPools([record]) : [];
+
+      const previous = this.pools.get(key);
+      if (previous) {
+        const pairKey = this.getPairKey(previous.token0, previous.token1);
+        this.pairIndex.get(pairKey)?.delete(key);
+        pairs.add(pairKey);
+      }
+
+      if (pool) {
+        const pairKey = this.getPairKey(pool.token0, pool.token1);
+        if (!this.pairIndex.has(pairKey)) this.pairIndex.set(pairKey, new Set());
+        this.pairIndex.get(pairKey).add(key);
+        this.pools.set(key, pool);
+        pairs.add(pairKey);
+      } else {
+        this.pools.delete(key);
+      }
+    }
+
+    for (const pairKey of pairs) {
+      this.refreshGraphPair(pairKey);
+    }
+    return pairs;
+  }
+
+  /**
+   * Loaded pools of one token pair
+   * @param {string} pairKey - Pair key
+   * @returns {Array<Object>}
+   * @private
+   */
+  getPairPools(pairKey) {
+    return Array.from(this.pairIndex.get(pairKey) || [], address => this.pools.get(address));
+  }
+
+  /**
+   * Load the live state of registered pools, with registry tokens, DEX and fee
+   * Pools without tokens or a price yet are left out
+   * @param {Array<Object>} records - Pool registry records
+   * @returns {Array<Object>} - Pool states
+   * @private
+   */
+  async loadPools(records) {
+    const pools = [];
+
+    for (const record of records) {
+      if (!record.token0 || !record.token1) continue;
+
+      const state = await poolStateManager.getPoolState(record.address);
+      if (!state || !(this.getPoolPrice(state) > 0)) continue;
+
+      pools.push({
+        ...state,
+        address: record.address,
+        dex: record.dex,
+        protocol: record.protocol,
+        fee: record.fee,
+        token0: record.token0.address,
+        token1: record.token1.address,
+        token0Symbol: record.token0.symbol,
+        token1Symbol: record.token1.symbol
+      });
+    }
+
+    return pools;
+  }
+
   /**
    * Scan for arbitrage opportunities
+   * A full scan (no changes given) reloads every registered pool and searches
+   * the whole token graph. A rescan reloads only the changed pools, recomputes
+   * their pairs' price gaps and searches only cycles through those pairs.
+   * Open opportunities the scan covered but no longer finds are closed
+   * @param {Object} options - { changes: pools updated since the last scan
+   *   (pool -> { eventName, swaps }), omitted for a full scan }
    */
-  async scanForOpportunities() {
+  async scanForOpportunities({ changes = null } = {}) {
+    // A scan still awaiting RPC data would otherwise race this one over
+    // pools/graph/opportunities: defer the request to a follow-up scan
+    if (this.scanInProgress) {
+      if (changes === null) {
+        this.fullScanPending = true;
+      } else {
+        this.requeueChanges(changes);
+      }
+      return;
+    }
+
+    this.scanInProgress = true;
     try {
-      // Get all pools (this would be from your pool service/Redis)
-      // For now, we'll use a placeholder
-      const pools = []; // TODO: Implement pool fetching
+      await this.runScan(changes);
+    } finally {
+      this.scanInProgress = false;
+      this.runFollowUpScan();
+    }
+  }
 
-      // Group pools by token pair
-      const pairGroups = this.groupPoolsByPair(pools);
+  /**
+   * Put the changes of a deferred rescan back in front of those noted since
+   * @param {Map} changes - pool -> { eventName, swaps }
+   * @private
+   */
+  requeueChanges(changes) {
+    for (const [key, change] of changes) {
+      const newer = this.changedPools.get(key);
+      this.changedPools.set(key, newer
+        ? { eventName: newer.eventName, swaps: [...change.swaps, ...newer.swaps] }
+        : change);
+    }
+  }
 
-      // Find arbitrage opportunities
-      const opportunities = [];
+  /**
+   * Once a scan finishes, run the one full scan or rescan requested meanwhile
+   * @private
+   */
+  runFollowUpScan() {
+    if (!this.isScanning) return;
 
-      for (const [pairKey, poolGroup] of Object.entries(pairGroups)) {
-        if (poolGroup.length < 2) continue;
+    let next = null;
+    if (this.fullScanPending) {
+      this.fullScanPending = false;
+      next = this.scanForOpportunities();
+    } else if (this.changedPools.size > 0 && !this.rescanTimer) {
+      next = this.rescanChangedPools();
+    }
+
+    next?.catch((error) => {
+      logger.error('Error in follow-up arbitrage scan:', error);
+    });
+  }
+
+  /**
+   * Run one scan (see scanForOpportunities)
+   * @param {Map|null} changes - Pool changes, or null for a full scan
+   * @private
+   */
+  async runScan(changes) {
+    try {
+      const full = changes === null;
+      if (full) {
+        this.pools.clear();
+        this.pairIndex.clear();
+        this.graph.clear();
+      }
+
+      const reloaded = full ? poolRegistry.getAllPools().map(record => record.address) : Array.from(changes.keys());
+      const pairs = await this.refreshPools(reloaded);
+      const tokens = this.getTokenMetadata(this.pools.values());
+      await this.refreshGasPrice();
+
+      // Find arbitrage opportunities, keyed by the pools they trade through
+      const found = new Map();
+
+      for (const pairKey of pairs) {
+        const poolGroup = this.groupPoolsByPair(this.getPairPools(pairKey))[pairKey] || [];
 
         // Calculate price differences
-        const arb = this.calculateArbitrage(poolGroup);
+        const arb = poolGroup.length >= 2 ? await this.calculateArbitrage(poolGroup, tokens) : null;
         if (arb && arb.profitUSD >= this.minProfitUSD) {
-          opportunities.push(arb);
+          found.set(`pair:${arb.buyPool.address}-${arb.sellPool.address}`, { ...arb, pairKey });
         }
       }
 
-      // Update opportunities
-      this.opportunities = opportunities.sort((a, b) => b.profitUSD - a.profitUSD);
+      for (const cycle of await this.findCycleOpportunities(tokens, full ? null : pairs)) {
+        found.set(`cycle:${cycle.hops.map(hop => hop.poolAddress).join('-')}`, cycle);
+      }
+
+      // A rescan only covers opportunities trading through a reloaded pair
+      const covers = (open) => full || (open.type === 'cycle'
+        ? open.hops.some(hop => pairs.has(this.getPairKey(hop.tokenInAddress, hop.tokenOutAddress)))
+        : pairs.has(open.pairKey));
+
+      const now = Date.now();
+      const closed = [];
+      for (const [key, open] of this.opportunities) {
+        if (covers(open) && !found.has(key)) closed.push(this.closeOpportunity(key, changes || new Map(), now));
+      }
+
+      const changed = [];
+      for (const [key, opportunity] of found) {
+        const { record, isNew, repriced } = this.trackOpportunity(key, opportunity, now);
+        if (isNew || repriced) changed.push(record);
+      }
 
-      // Broadcast top opportunities
-      if (this.socketHandler && opportunities.length > 0) {
-        this.socketHandler.broadcastArbitrageOpportunity(opportunities[0]);
+      this.stats.scans++;
+      this.stats.pairsScanned += pairs.size;
+      this.stats.poolsScanned += reloaded.length;
+
+      // Broadcast closes, and the best opportunity this scan opened or repriced
+      if (this.socketHandler) {
+        for (const record of closed) {
+          this.socketHandler.broadcastArbitrageClosed(record);
+        }
+        changed.sort((a, b) => b.profitUSD - a.profitUSD);
+        if (changed.length > 0) {
+          this.socketHandler.broadcastArbitrageOpportunity(changed[0]);
+        }
       }
 
-      logger.debug(`Found ${opportunities.length} arbitrage opportunities`);
+      logger.debug(`Found ${found.size} arbitrage opportunities after reloading ${reloaded.length} pools (${closed.length} closed)`);
     } catch (error) {
       logger.error('Error scanning for arbitrage:', error);
     }
   }
 
+  /**
+   * Open a newly found opportunity, or update the open one on the same pools
+   * (which keeps its id and open time)
+   * @param {string} key - Lifecycle key
+   * @param {Object} opportunity - Opportunity found by this scan
+   * @param {number} now - Scan time
+   * @returns {Object} - { record, isNew, repriced }
+   * @private
+   */
+  trackOpportunity(key, opportunity, now) {
+    const current = this.opportunities.get(key);
+
+    if (!current) {
+      const record = {
+        ...opportunity,
+        status: 'open',
+        openedAt: now,
+        updatedAt: now,
+        updates: 0,
+        peakNetProfitUSD: opportunity.netProfitUSD
+      };
+      this.opportunities.set(key, record);
+      this.lifecycle.opened++;
+      return { record, isNew: true, repriced: false };
+    }
+
+    // Cycles are found again on every scan; only a new profit counts as an update
+    const repriced = current.netProfitUSD !== opportunity.netProfitUSD;
+    const record = {
+      ...opportunity,
+      id: current.id,
+      status: 'open',
+      openedAt: current.openedAt,
+      updatedAt: repriced ? now : current.updatedAt,
+      updates: current.updates + (repriced ? 1 : 0),
+      peakNetProfitUSD: Math.max(current.peakNetProfitUSD, opportunity.netProfitUSD)
+    };
+    this.opportunities.set(key, record);
+    if (repriced) this.lifecycle.updated++;
+    return { record, isNew: false, repriced };
+  }
+
+  /**
+   * Close an open opportunity and attribute the close
+   * @param {string} key - Lifecycle key
+   * @param {Map} changes - Pool changes behind this scan
+   * @param {number} now - Scan time
+   * @returns {Object} - Closed record
+   * @private
+   */
+  closeOpportunity(key, changes, now) {
+    const { profitCurve, ...record } = this.opportunities.get(key);
+    this.opportunities.delete(key);
+
+    const { reason, closedBy } = this.attributeClose(record, changes);
+    const closed = {
+      ...record,
+      status: 'closed',
+      closedAt: now,
+      durationMs: now - record.openedAt,
+      closeReason: reason,
+      closedBy
+    };
+
+    this.history.unshift(closed);
+    if (this.history.length > this.historyLimit) {
+      this.history.length = this.historyLimit;
+    }
+
+    this.lifecycle.closed++;
+    this.lifecycle.closeReasons[reason]++;
+    const byType = this.lifecycle.byType[record.type];
+    byType.closed++;
+
+    if (reason === 'captured') {
+      byType.captured++;
+      const wallet = closedBy.wallet;
+      const arbitrageur = this.arbitrageurs.get(wallet) || { wallet, captures: 0, capturedProfitUSD: 0, lastCaptureAt: null };
+      arbitrageur.captures++;
+      arbitrageur.capturedProfitUSD += Math.max(record.netProfitUSD, 0);
+      arbitrageur.lastCaptureAt = now;
+
+      // Re-insert so the map stays ordered by last capture
+      this.arbitrageurs.delete(wallet);
+      this.arbitrageurs.set(wallet, arbitrageur);
+      if (this.arbitrageurs.size > MAX_ARBITRAGEURS) {
+        this.arbitrageurs.delete(this.arbitrageurs.keys().next().value);
+      }
+    }
+
+    logger.debug(`Arbitrage ${record.id} closed after ${closed.durationMs}ms (${reason}${closedBy?.wallet ? ` by ${closedBy.wallet}` : ''})`);
+    return closed;
+  }
+
+  /**
+   * Work out what closed an opportunity from the pool changes behind the scan
+   * - captured: one transaction swapped through two or more of its pools
+   * - swap: a swap in one of its pools moved the price back
+   * - liquidity: its pools only had liquidity or reserve updates
+   * - repriced: none of its pools changed (prices elsewhere moved, or a full scan)
+   * @param {Object} record - Open opportunity
+   * @param {Map} changes - Pool changes behind this scan
+   * @returns {Object} - { reason, closedBy }
+   * @private
+   */
+  attributeClose(record, changes) {
+    const poolAddresses = record.hops.map(hop => lower(hop.poolAddress));
+    const touched = poolAddresses.filter(poolAddress => changes.has(poolAddress));
+
+    // Replayed swaps are history, not what closed a live opportunity
+    const swaps = touched
+      .flatMap(poolAddress => changes.get(poolAddress).swaps || [])
+      .filter(swap => !swap.replayed);
+
+    if (swaps.length === 0) {
+      return { reason: touched.length > 0 ? 'liquidity' : 'repriced', closedBy: null };
+    }
+
+    const byTransaction = new Map();
+    for (const swap of swaps) {
+      byTransaction.set(swap.txHash, [...(byTransaction.get(swap.txHash) || []), swap]);
+    }
+    const capture = Array.from(byTransaction.values())
+      .find(group => new Set(group.map(swap => lower(swap.poolAddress))).size >= 2);
+
+    const closer = capture
+      ? capture[0]
+      : swaps.sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex))[0];
+
+    return {
+      reason: capture ? 'captured' : 'swap',
+      closedBy: {
+        txHash: closer.txHash,
+        blockNumber: closer.blockNumber,
+        poolAddress: closer.poolAddress,
+        dex: closer.dex,
+        wallet: lower(closer.origin || closer.wallet),
+        amountUSD: closer.amountUSD,
+        pools: capture ? [...new Set(capture.map(swap => swap.poolAddress))] : [closer.poolAddress]
+      }
+    };
+  }
+
   /**
    * Group pools by token pair
+   * Each pool gets its price in the pair's canonical direction (second
+   * token per first token of the sorted pair), so pools listing the tokens
+   * in opposite order compare correctly
    */
   groupPoolsByPair(pools) {
     const groups = {};
 
     for (const pool of pools) {
       const pairKey = this.getPairKey(pool.token0, pool.token1);
+      const [baseToken, quoteToken] = pairKey.split('-');
+      const price = this.getPoolPrice(pool);
+      const inverted = lower(pool.token0) !== baseToken;
+
       if (!groups[pairKey]) {
         groups[pairKey] = [];
       }
-      groups[pairKey].push(pool);
+      groups[pairKey].push({
+        ...pool,
+        baseToken,
+        quoteToken,
+        baseSymbol: inverted ? pool.token1Symbol : pool.token0Symbol,
+        quoteSymbol: inverted ? pool.token0Symbol : pool.token1Symbol,
+        pairPrice: inverted ? 1 / price : price
+      });
     }
 
     return groups;
@@ -130,13 +618,33 @@ class ArbitrageScanner {
    * Get normalized pair key
    */
   getPairKey(token0, token1) {
-    return [token0, token1].sort().join('-');
+    return [lower(token0), lower(token1)].sort().join('-');
+  }
+
+  /**
+   * Token metadata of every token in the scanned pools
+   * @param {Array<Object>} pools - Pool states with registry tokens
+   * @returns {Map<string, Object>} - token address -> { address, symbol, decimals }
+   * @private
+   */
+  getTokenMetadata(pools) {
+    const tokens = new Map();
+    for (const pool of pools) {
+      for (const token of Object.values(poolRegistry.getTokens(pool.address) || {})) {
+        tokens.set(token.address, token);
+      }
+    }
+    return tokens;
   }
 
   /**
    * Calculate arbitrage opportunity from pool group
+   * Buys the base token in the cheapest pool and sells it in the dearest,
+   * sized at the input that maximizes profit
+   * @param {Array<Object>} pools - Pools of one pair (from groupPoolsByPair)
+   * @param {Map} tokens - Token metadata by address
    */
-  calculateArbitrage(pools) {
+  async calculateArbitrage(pools, tokens = this.getTokenMetadata(pools)) {
     try {
       // Find highest and lowest price
       let highestPrice = -Infinity;
@@ -145,7 +653,7 @@ class ArbitrageScanner {
       let sellPool = null;
 
       for (const pool of pools) {
-        const price = this.getPoolPrice(pool);
+        const price = pool.pairPrice ?? this.getPoolPrice(pool);
         if (price > highestPrice) {
           highestPrice = price;
           sellPool = pool;
@@ -160,43 +668,44 @@ class ArbitrageScanner {
         return null;
       }
 
-      // Calculate profit
-      const priceDiff = highestPrice - lowestPrice;
-      const profitPercent = (priceDiff / lowestPrice) * 100;
-
-      // Estimate profit in USD (simplified)
-      const tradeSize = 10000; // $10k trade size
-      const profitUSD = (tradeSize * profitPercent) / 100;
+      const token0Address = buyPool.baseToken || lower(buyPool.token0);
+      const token1Address = buyPool.quoteToken || lower(buyPool.token1);
 
-      // Estimate gas cost (simplified)
-      const gasCostUSD = 5; // Approximate gas cost
-      const netProfitUSD = profitUSD - gasCostUSD;
+      // Quote -> base in the cheap pool, base -> quote in the dear one; the
+      // profit is taken in the quote token unless only the base is priced
+      let path = [makeEdge(buyPool, token1Address), makeEdge(sellPool, token0Address)];
+      if (path.includes(null)) return null;
+      if (!priceOracle.getTokenPrice(token1Address) && priceOracle.getTokenPrice(token0Address)) {
+        path = [path[1], path[0]];
+      }
 
-      if (netProfitUSD < this.minProfitUSD) {
+      const route = await this.evaluatePath(path, tokens);
+      if (!route || route.netProfitUSD < this.minProfitUSD) {
         return null;
       }
 
+      const baseLabel = buyPool.baseSymbol || token0Address;
+      const quoteLabel = buyPool.quoteSymbol || token1Address;
+
       return {
-        id: `arb-${Date.now()}`,
+        id: `arb-${buyPool.address.slice(2, 10)}-${sellPool.address.slice(2, 10)}-${Date.now()}`,
+        type: 'pair',
+        tokenPair: `${baseLabel}/${quoteLabel}`,
         buyPool: {
           address: buyPool.address,
-          dex: buyPool.dex || 'Unknown',
+          dex: buyPool.dex || poolRegistry.getDexName(buyPool.address),
           price: lowestPrice
         },
         sellPool: {
           address: sellPool.address,
-          dex: sellPool.dex || 'Unknown',
+          dex: sellPool.dex || poolRegistry.getDexName(sellPool.address),
           price: highestPrice
         },
-        token0: buyPool.token0,
-        token1: buyPool.token1,
-        priceDiff,
-        profitPercent,
-        profitUSD,
-        gasCostUSD,
-        netProfitUSD,
-        timestamp: Date.now(),
-        ttl: 30000 // 30 seconds TTL
+        token0: token0Address,
+        token1: token1Address,
+        priceDiff: highestPrice - lowestPrice,
+        ...route,
+        timestamp: Date.now()
       };
     } catch (error) {
       logger.error('Error calculating arbitrage:', error);
@@ -204,6 +713,396 @@ class ArbitrageScanner {
     }
   }
 
+  /**
+   * Recompute the token graph edges of one pair: one directed edge per
+   * direction, weighted by -ln(marginal rate after fee), so a cycle whose
+   * rates multiply to more than 1 has negative total weight. Only the best
+   * pool per direction is kept; parallel pools are the same-pair scan's job.
+   * @param {string} pairKey - Pair key
+   * @private
+   */
+  refreshGraphPair(pairKey) {
+    const [tokenA, tokenB] = pairKey.split('-');
+    const pools = this.getPairPools(pairKey);
+
+    for (const [tokenIn, tokenOut] of [[tokenA, tokenB], [tokenB, tokenA]]) {
+      let best = null;
+      for (const pool of pools) {
+        const edge = makeEdge(pool, tokenIn);
+        if (edge && (!best || edge.weight < best.weight)) best = edge;
+      }
+
+      if (best) {
+        if (!this.graph.has(tokenIn)) this.graph.set(tokenIn, new Map());
+        this.graph.get(tokenIn).set(tokenOut, best);
+      } else {
+        this.graph.get(tokenIn)?.delete(tokenOut);
+      }
+    }
+  }
+
+  /**
+   * Find negative cycles of 3-4 hops
+   * Without pairs this is a depth-bounded search from every token, and a
+   * cycle is only reported from its lowest token address so each one is
+   * found once. With pairs, only cycles using one of those pairs' edges are
+   * searched for (the rest of the graph did not change)
+   * @param {Map} graph - Token graph
+   * @param {Set<string>|null} pairs - Pair keys the cycles must pass through
+   * @returns {Array<Array<Object>>} - Cycles as edge lists, starting at their lowest token
+   */
+  findNegativeCycles(graph, pairs = null) {
+    const cycles = new Map(); // pools in cycle order -> cycle
+
+    const visit = (start, token, path, weight, visited) => {
+      for (const [next, edge] of graph.get(token) || []) {
+        const total = weight + edge.weight;
+
+        if (next === start) {
+          if (path.length + 1 >= MIN_CYCLE_HOPS && total < -1e-9) {
+            const cycle = [...path, edge];
+            const first = cycle.reduce((low, hop, i) => (hop.tokenIn < cycle[low].tokenIn ? i : low), 0);
+            const rotated = [...cycle.slice(first), ...cycle.slice(0, first)];
+            cycles.set(rotated.map(hop => hop.poolAddress).join('-'), rotated);
+          }
+          continue;
+        }
+
+        if (path.length + 1 >= MAX_CYCLE_HOPS || visited.has(next) || (!pairs && next < start)) continue;
+
+        visited.add(next);
+        path.push(edge);
+        visit(start, next, path, total, visited);
+        path.pop();
+        visited.delete(next);
+      }
+    };
+
+    if (!pairs) {
+      for (const start of graph.keys()) {
+        visit(start, start, [], 0, new Set([start]));
+      }
+    } else {
+      for (const pairKey of pairs) {
+        const [tokenA, tokenB] = pairKey.split('-');
+        for (const [from, to] of [[tokenA, tokenB], [tokenB, tokenA]]) {
+          const edge = graph.get(from)?.get(to);
+          if (edge) visit(from, to, [edge], edge.weight, new Set([from, to]));
+        }
+      }
+    }
+
+    return Array.from(cycles.values());
+  }
+
+  /**
+   * Swap an exact input through one hop
+   * @param {Object} edge - Route hop
+   * @param {bigint} amountIn - Raw input amount
+   * @returns {Promise<Object>} - { amountOut, ticksCrossed }
+   * @private
+   */
+  async swapEdge(edge, amountIn) {
+    const { pool } = edge;
+
+    if (edge.protocol === 'v2') {
+      const reserveIn = BigInt(edge.zeroForOne ? pool.reserve0 : pool.reserve1);
+      const reserveOut = BigInt(edge.zeroForOne ? pool.reserve1 : pool.reserve0);
+      const amountInWithFee = amountIn * (FEE_DENOMINATOR - BigInt(edge.feePips));
+      return {
+        amountOut: (amountInWithFee * reserveOut) / (reserveIn * FEE_DENOMINATOR + amountInWithFee),
+        ticksCrossed: 0
+      };
+    }
+
+    return concentratedSwapSimulator.simulateSwap({
+      poolAddress: edge.poolAddress,
+      protocol: edge.protocol,
+      sqrtPriceX96: pool.sqrtPriceX96,
+      liquidity: pool.liquidity,
+      tick: pool.tick,
+      fee: edge.feePips,
+      zeroForOne: edge.zeroForOne,
+      amountIn
+    });
+  }
+
+  /**
+   * Swap an exact input along a route
+   * @param {Array<Object>} path - Route hops
+   * @param {bigint} amountIn - Raw input amount of the first hop
+   * @returns {Promise<Object>} - { amounts, ticksCrossed, profit } (raw, per hop)
+   * @private
+   */
+  async simulatePath(path, amountIn) {
+    const amounts = [amountIn];
+    const ticksCrossed = [];
+
+    for (const edge of path) {
+      const result = await this.swapEdge(edge, amounts[amounts.length - 1]);
+      amounts.push(result.amountOut);
+      ticksCrossed.push(result.ticksCrossed);
+    }
+
+    return { amounts, ticksCrossed, profit: amounts[path.length] - amountIn };
+  }
+
+  /**
+   * Find the input that maximizes a route's profit
+   * A constant-product hop maps x to p*x / (q + s*x) and composing hops keeps
+   * that form, so a V2 route's output is P*x / (Q + S*x) with its optimum at
+   * (sqrt(P*Q) - Q) / S. Concentrated liquidity only behaves like this within
+   * the active range: there the closed form is the starting bracket of a
+   * golden-section search over tick-walking simulations (profit is concave).
+   * P, Q and S are products of up to four reserves, which overflow doubles
+   * for large virtual reserves, so they are carried as logarithms
+   * @param {Array<Object>} path - Route hops
+   * @returns {Promise<Object|null>} - Simulation at the optimum, null if unprofitable
+   * @private
+   */
+  async sizePath(path) {
+    let logP = 0;
+    let logQ = 0;
+    let logS = -Infinity;
+    for (const edge of path) {
+      const logKeep = Math.log(1 - edge.fee);
+      // S = reserveIn * S + keep * P, as log-sum-exp
+      const a = Math.log(edge.reserveIn) + logS;
+      const b = logKeep + logP;
+      const top = Math.max(a, b);
+      logS = top + Math.log(Math.exp(a - top) + Math.exp(b - top));
+      logP += logKeep + Math.log(edge.reserveOut);
+      logQ += Math.log(edge.reserveIn);
+    }
+
+    // The marginal rate at zero input (P / Q) must beat 1;
+    // the optimum is Q / S * (sqrt(P / Q) - 1)
+    if (!(logP > logQ)) return null;
+    const optimum = Math.exp(logQ - logS) * Math.expm1((logP - logQ) / 2);
+    if (!Number.isFinite(optimum) || !(optimum >= 1)) return null;
+
+    const best = path.every(edge => edge.protocol === 'v2')
+      ? await this.simulatePath(path, toRaw(optimum))
+      : await this.searchPath(path, optimum);
+
+    return best.profit > 0n ? best : null;
+  }
+
+  /**
+   * Golden-section search for the most profitable input of a route
+   * @param {Array<Object>} path - Route hops
+   * @param {number} guess - Starting input (closed form on the active ranges)
+   * @private
+   */
+  async searchPath(path, guess) {
+    const evaluate = (amount) => this.simulatePath(path, toRaw(amount));
+
+    // Widen the bracket while doubling the input still pays more
+    let high = guess;
+    let atHigh = await evaluate(high);
+    for (let i = 0; i < MAX_BRACKET_DOUBLINGS; i++) {
+      const doubled = await evaluate(high * 2);
+      if (doubled.profit <= atHigh.profit) break;
+      high *= 2;
+      atHigh = doubled;
+    }
+
+    let low = 0;
+    high *= 2;
+    let a = high - GOLDEN_RATIO * (high - low);
+    let b = low + GOLDEN_RATIO * (high - low);
+    let atA = await evaluate(a);
+    let atB = await evaluate(b);
+
+    for (let i = 0; i < SEARCH_ITERATIONS; i++) {
+      if (atA.profit > atB.profit) {
+        high = b;
+        b = a;
+        atB = atA;
+        a = high - GOLDEN_RATIO * (high - low);
+        atA = await evaluate(a);
+      } else {
+        low = a;
+        a = b;
+        atA = atB;
+        b = low + GOLDEN_RATIO * (high - low);
+        atB = await evaluate(b);
+      }
+    }
+
+    return atA.profit > atB.profit ? atA : atB;
+  }
+
+  /**
+   * Refresh the cached chain gas price
+   * @private
+   */
+  async refreshGasPrice() {
+    if (this.gasPrice.wei !== null && Date.now() - this.gasPrice.fetchedAt < GAS_PRICE_TTL_MS) return;
+
+    try {
+      if (!this.client) {
+        this.client = getProvider();
+      }
+      this.gasPrice = { wei: await this.client.getGasPrice(), fetchedAt: Date.now() };
+    } catch (error) {
+      logger.debug(`Could not read gas price: ${error.message}`);
+    }
+  }
+
+  /**
+   * Estimate the gas of executing a route and price it in USD
+   * @param {Array<Object>} path - Route hops
+   * @param {Array<number>} ticksCrossed - Ticks crossed per hop
+   * @returns {Object} - { gasUnits, gasPriceGwei, gasCostUSD }
+   * @private
+   */
+  estimateGas(path, ticksCrossed) {
+    const gasUnits = GAS_PER_TRANSACTION +
+      path.reduce((sum, edge, i) => sum + GAS_PER_HOP[edge.protocol] + GAS_PER_TICK_CROSSED * (ticksCrossed[i] || 0), 0);
+
+    const { wei } = this.gasPrice;
+    const gasCostUSD = wei !== null && WRAPPED_NATIVE_TOKEN
+      ? priceOracle.toUSD(WRAPPED_NATIVE_TOKEN, BigInt(gasUnits) * wei, 18)
+      : null;
+
+    return {
+      gasUnits,
+      gasPriceGwei: wei !== null ? Number(formatUnits(wei, 9)) : null,
+      gasCostUSD: gasCostUSD ?? ESTIMATED_GAS_COST_USD
+    };
+  }
+
+  /**
+   * Size a route, price its profit and gas, and describe its hops
+   * @param {Array<Object>} path - Route hops, starting at the profit token
+   * @param {Map} tokens - Token metadata by address
+   * @returns {Promise<Object|null>} - Opportunity fields shared by pairs and cycles
+   * @private
+   */
+  async evaluatePath(path, tokens) {
+    const token = (address) => tokens.get(address) || { address, symbol: null, decimals: 18 };
+    const label = (address) => token(address).symbol || address;
+    const start = token(path[0].tokenIn);
+
+    const best = await this.sizePath(path);
+    if (!best) return null;
+
+    // Profit and gas at a given input, signed
+    const valueAt = (simulation) => {
+      const usd = priceOracle.toUSD(start.address, simulation.profit, start.decimals);
+      const profitUSD = usd === null ? null : simulation.profit < 0n ? -usd : usd;
+      const gas = this.estimateGas(path, simulation.ticksCrossed);
+      return { profitUSD, gas };
+    };
+
+    const { profitUSD, gas } = valueAt(best);
+    if (profitUSD === null) return null;
+
+    const amountIn = best.amounts[0];
+    const amountOut = best.amounts[path.length];
+    const curve = [];
+    for (const multiple of PROFIT_CURVE_POINTS) {
+      const simulation = multiple === 1
+        ? best
+        : await this.simulatePath(path, (amountIn * BigInt(Math.round(multiple * 100))) / 100n);
+      const point = valueAt(simulation);
+      curve.push({
+        amountIn: formatUnits(simulation.amounts[0], start.decimals),
+        profit: formatUnits(simulation.profit, start.decimals),
+        profitUSD: point.profitUSD,
+        gasCostUSD: point.gas.gasCostUSD,
+        netProfitUSD: point.profitUSD - point.gas.gasCostUSD
+      });
+    }
+
+    return {
+      route: [...path.map(edge => label(edge.tokenIn)), label(start.address)].join(' → '),
+      hops: path.map((edge, i) => ({
+        poolAddress: edge.poolAddress,
+        dex: edge.dex,
+        protocol: edge.protocol,
+        tokenIn: label(edge.tokenIn),
+        tokenOut: label(edge.tokenOut),
+        tokenInAddress: edge.tokenIn,
+        tokenOutAddress: edge.tokenOut,
+        price: (edge.reserveOut / edge.reserveIn) *
+          Math.pow(10, token(edge.tokenIn).decimals - token(edge.tokenOut).decimals), // tokenOut per tokenIn
+        fee: edge.fee,
+        amountIn: formatUnits(best.amounts[i], token(edge.tokenIn).decimals),
+        amountOut: formatUnits(best.amounts[i + 1], token(edge.tokenOut).decimals),
+        ticksCrossed: best.ticksCrossed[i]
+      })),
+      profitToken: label(start.address),
+      optimalAmountIn: formatUnits(amountIn, start.decimals),
+      expectedAmountOut: formatUnits(amountOut, start.decimals),
+      profitPercent: Number(best.profit * 1000000n / amountIn) / 10000,
+      profitUSD,
+      ...gas,
+      netProfitUSD: profitUSD - gas.gasCostUSD,
+      profitCurve: curve
+    };
+  }
+
+  /**
+   * Search the token graph for profitable 3-4 hop cycles
+   * @param {Map} tokens - Token metadata by address
+   * @param {Set<string>|null} pairs - Only cycles through these pairs (all cycles when null)
+   * @returns {Promise<Array<Object>>} - Cycle opportunities
+   */
+  async findCycleOpportunities(tokens, pairs = null) {
+    const opportunities = [];
+
+    for (let cycle of this.findNegativeCycles(this.graph, pairs)) {
+      // Profit is taken in the cycle's start token: start from one with a USD price
+      const priced = cycle.findIndex(edge => priceOracle.getTokenPrice(edge.tokenIn));
+      if (priced < 0) continue;
+      cycle = [...cycle.slice(priced), ...cycle.slice(0, priced)];
+
+      const opportunity = await this.buildCycleOpportunity(cycle, tokens);
+      if (opportunity && opportunity.netProfitUSD >= this.minProfitUSD) {
+        opportunities.push(opportunity);
+      }
+    }
+
+    this.stats.cyclesFound += opportunities.length;
+    return opportunities;
+  }
+
+  /**
+   * Size a cycle and describe it in the opportunity shape
+   * @param {Array<Object>} cycle - Cycle edges, starting at the profit token
+   * @param {Map} tokens - Token metadata by address
+   * @returns {Promise<Object|null>}
+   * @private
+   */
+  async buildCycleOpportunity(cycle, tokens) {
+    try {
+      const route = await this.evaluatePath(cycle, tokens);
+      if (!route) return null;
+
+      const first = route.hops[0];
+      const last = route.hops[route.hops.length - 1];
+
+      return {
+        id: `arb-${cycle.map(edge => edge.poolAddress.slice(2, 6)).join('')}-${Date.now()}`,
+        type: 'cycle',
+        tokenPair: route.hops.map(hop => hop.tokenIn).join('/'),
+        buyPool: { address: first.poolAddress, dex: first.dex, price: first.price },
+        sellPool: { address: last.poolAddress, dex: last.dex, price: last.price },
+        token0: cycle[0].tokenIn,
+        token1: cycle[1].tokenIn,
+        priceDiff: null,
+        ...route,
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      // One bad route must not abort the scan of every other
+      logger.error(`Error evaluating arbitrage cycle ${cycle.map(edge => edge.poolAddress).join(' -> ')}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Get pool price
    */
@@ -225,58 +1124,74 @@ class ArbitrageScanner {
   }
 
   /**
-   * Get current opportunities
+   * Get current opportunities, most profitable first
+   * An opportunity stands until one of its pools changes and the pair is rescanned
    */
   getOpportunities(limit = 20) {
-    const now = Date.now();
-
-    // Filter expired opportunities
-    this.opportunities = this.opportunities.filter(
-      opp => now - opp.timestamp < opp.ttl
-    );
-
-    return this.opportunities.slice(0, limit);
+    return Array.from(this.opportunities.values())
+      .sort((a, b) => b.profitUSD - a.profitUSD)
+      .slice(0, limit);
   }
 
   /**
-   * Get opportunity by ID
+   * Get opportunity by ID (open, or closed and still in the history)
    */
   getOpportunityById(id) {
-    return this.opportunities.find(opp => opp.id === id);
+    return Array.from(this.opportunities.values()).find(opp => opp.id === id) ||
+      this.history.find(opp => opp.id === id);
   }
 
   /**
-   * Calculate optimal trade route
+   * Get closed opportunities, most recently closed first
+   * @param {Object} options - { limit, reason: close reason filter }
+   * @returns {Array<Object>}
    */
-  calculateOptimalRoute(buyPoolAddress, sellPoolAddress, amount) {
-    return {
-      steps: [
-        {
-          action: 'BUY',
-          pool: buyPoolAddress,
-          amountIn: amount,
-          amountOut: 0, // Would calculate based on pool reserves
-          priceImpact: 0
-        },
-        {
-          action: 'SELL',
-          pool: sellPoolAddress,
-          amountIn: 0,
-          amountOut: 0,
-          priceImpact: 0
-        }
-      ],
-      totalGasCost: 0,
-      expectedProfit: 0,
-      profitAfterGas: 0
-    };
+  getHistory({ limit = 50, reason = null } = {}) {
+    return this.history
+      .filter(opp => !reason || opp.closeReason === reason)
+      .slice(0, limit);
+  }
+
+  /**
+   * Quote an exact input along a path of registered pools, with the same
+   * simulation and gas estimate used to size opportunities
+   * @param {Array<string>} poolAddresses - Pools in trade order
+   * @param {string} tokenIn - Token sold into the first pool
+   * @param {bigint} amountIn - Raw input amount
+   * @returns {Promise<Object>} - { path, amounts, ticksCrossed, profit, gasUnits, gasPriceGwei, gasCostUSD }
+   */
+  async quotePath(poolAddresses, tokenIn, amountIn) {
+    const path = [];
+    let token = lower(tokenIn);
+
+    for (const poolAddress of poolAddresses) {
+      const record = poolRegistry.getPool(poolAddress);
+      if (!record) throw new Error(`Unknown pool ${poolAddress}`);
+
+      const [pool] = await this.loadPools([record]);
+      if (!pool) throw new Error(`No live state for pool ${poolAddress}`);
+      if (token !== lower(pool.token0) && token !== lower(pool.token1)) {
+        throw new Error(`Pool ${poolAddress} does not trade ${token}`);
+      }
+
+      const edge = makeEdge(pool, token);
+      if (!edge) throw new Error(`Pool ${poolAddress} has no liquidity or an unsupported protocol`);
+      path.push(edge);
+      token = edge.tokenOut;
+    }
+
+    await this.refreshGasPrice();
+    const simulation = await this.simulatePath(path, amountIn);
+    return { path, ...simulation, ...this.estimateGas(path, simulation.ticksCrossed) };
   }
 
   /**
    * Get statistics
    */
   getStats() {
-    const opportunities = this.getOpportunities();
+    const opportunities = this.getOpportunities(this.opportunities.size);
+    const durations = this.history.map(opp => opp.durationMs).sort((a, b) => a - b);
+    const rate = ({ closed, captured }) => (closed > 0 ? captured / closed : 0);
 
     return {
       totalOpportunities: opportunities.length,
@@ -287,7 +1202,29 @@ class ArbitrageScanner {
         ? Math.max(...opportunities.map(opp => opp.netProfitUSD))
         : 0,
       isScanning: this.isScanning,
-      minProfitThreshold: this.minProfitUSD
+      minProfitThreshold: this.minProfitUSD,
+      ...this.stats,
+      lifecycle: {
+        open: this.opportunities.size,
+        opened: this.lifecycle.opened,
+        updated: this.lifecycle.updated,
+        closed: this.lifecycle.closed,
+        closeReasons: { ...this.lifecycle.closeReasons },
+        // Durations cover the closed opportunities still in the history
+        avgDurationMs: durations.length > 0
+          ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length
+          : null,
+        medianDurationMs: durations.length > 0 ? durations[Math.floor(durations.length / 2)] : null,
+        maxDurationMs: durations.length > 0 ? durations[durations.length - 1] : null,
+        captureRate: rate({ closed: this.lifecycle.closed, captured: this.lifecycle.closeReasons.captured }),
+        captureRateByType: {
+          pair: rate(this.lifecycle.byType.pair),
+          cycle: rate(this.lifecycle.byType.cycle)
+        },
+        topArbitrageurs: Array.from(this.arbitrageurs.values())
+          .sort((a, b) => b.captures - a.captures || b.capturedProfitUSD - a.capturedProfitUSD)
+          .slice(0, MAX_TOP_ARBITRAGEURS)
+      }
     };
   }
 }
@@ -0,0 +1,332 @@
+/**
+ * Backfill Service
+ * Replays historical pool logs through the live event handlers.
+ * On startup it pages through the blocks each pool missed since its last
+ * checkpoint; admins can also re-index an arbitrary block range. Jobs run
+ * one at a time, in the order they were created.
+ */
+
+const logger = require('../utils/logger');
+const { getProvider } = require('../config/somnia-chain');
+const sdsClient = require('./sds-client');
+const eventProcessor = require('./event-processor');
+const ingestQueue = require('./ingest-queue');
+const poolStateManager = require('./pool-state-manager');
+
+const MAX_JOBS_IN_MEMORY = 20;
+
+class BackfillService {
+  constructor() {
+    this.enabled = process.env.BACKFILL_ENABLED !== 'false';
+    this.pageSize = parseInt(process.env.BACKFILL_PAGE_SIZE || '500'); // blocks per getLogs call
+    this.initialBlocks = parseInt(process.env.BACKFILL_INITIAL_BLOCKS || '1000'); // lookback for pools without a checkpoint
+    this.maxBlocks = parseInt(process.env.BACKFILL_MAX_BLOCKS || '100000'); // cap on any single replayed range
+    this.provider = null;
+    this.jobs = new Map(); // job id -> job
+    this.activeJob = null;
+    this.jobQueue = Promise.resolve(); // Tail of the job chain: each job starts when the previous one ends
+    this.jobCounter = 0;
+    this.blockTimestamps = new Map(); // block number -> unix seconds (per page)
+  }
+
+  /**
+   * Initialize the backfill service
+   */
+  async initialize() {
+    try {
+      this.provider = sdsClient.provider || getProvider();
+      logger.info(`✅ Backfill Service initialized (page size: ${this.pageSize} blocks, enabled: ${this.enabled})`);
+    } catch (error) {
+      logger.error('Failed to initialize Backfill Service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pools to catch up on startup: everything checkpointed, cached or configured
+   * @returns {Array<string>} - Lowercased pool addresses
+   * @private
+   */
+  getKnownPools() {
+    const pools = new Set(Object.keys(eventProcessor.getCheckpoints()));
+
+    for (const state of poolStateManager.getCachedStates()) {
+      if (state.address) pools.add(state.address.toLowerCase());
+    }
+
+    (process.env.DEFAULT_POOLS || '')
+      .split(',')
+      .map(address => address.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach(address => pools.add(address));
+
+    return Array.from(pools);
+  }
+
+  /**
+   * Snapshot the missed range start for every known pool
+   * Must run before live streaming starts, so live events can't move
+   * checkpoints past the gap.
+   * @returns {Object|null} - Startup plan, or null if backfill is disabled
+   */
+  async planStartupBackfill() {
+    try {
+      if (!this.enabled) {
+        logger.info('Backfill disabled (BACKFILL_ENABLED=false)');
+        return null;
+      }
+
+      const headBlock = Number(await this.provider.getBlockNumber());
+      const ranges = this.getKnownPools().map((pool) => {
+        const checkpoint = eventProcessor.getCheckpoint(pool);
+        // Resume at the checkpoint block itself: it may have been partly processed,
+        // already-seen logs are skipped by the event processor
+        const fromBlock = checkpoint !== null
+          ? checkpoint
+          : Math.max(headBlock - this.initialBlocks, 0);
+        return { pool, fromBlock: Math.max(fromBlock, headBlock - this.maxBlocks, 0) };
+      });
+
+      logger.info(`📜 Backfill planned for ${ranges.length} pools (head: ${headBlock})`);
+      return { headBlock, ranges };
+    } catch (error) {
+      logger.error('Error planning startup backfill:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Run a planned startup backfill up to the current head
+   * @param {Object} plan - Plan from planStartupBackfill()
+   * @returns {Object|null} - Backfill job
+   */
+  async runStartupBackfill(plan) {
+    if (!plan || plan.ranges.length === 0) return null;
+
+    try {
+      // Replay through the current head so blocks mined while subscribing are covered
+      const toBlock = Number(await this.provider.getBlockNumber());
+      const ranges = plan.ranges
+        .filter(range => range.fromBlock <= toBlock)
+        .map(range => ({ ...range, toBlock }));
+
+      const job = this.createJob('startup', ranges);
+      await this.scheduleJob(job);
+      return job;
+    } catch (error) {
+      logger.error('Error running startup backfill:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Queue a re-index of a block range (runs in the background once any
+   * earlier job has finished)
+   * @param {Object} params - { fromBlock, toBlock, pools?: Array<string> }
+   * @returns {Object} - Created job
+   */
+  reindexRange(params) {
+    const job = this.createReindexJob(params);
+    this.scheduleJob(job).catch((error) => {
+      logger.error(`Re-index job ${job.id} failed:`, error);
+    });
+    return job;
+  }
+
+  /**
+   * Re-index a block range and wait for it to finish
+   * @param {Object} params - { fromBlock, toBlock, pools?: Array<string> }
+   * @returns {Promise<Object>} - Finished job (status completed or failed)
+   */
+  async reindexRangeAndWait(params) {
+    const job = this.createReindexJob(params);
+    await this.scheduleJob(job);
+    return job;
+  }
+
+  /**
+   * Validate a re-index request and create its job
+   * @param {Object} params - { fromBlock, toBlock, pools?: Array<string> }
+   * @returns {Object} - Created job
+   * @private
+   */
+  createReindexJob({ fromBlock, toBlock, pools = [] }) {
+    if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0 || toBlock < fromBlock) {
+      throw new Error('fromBlock and toBlock must be block numbers with fromBlock <= toBlock');
+    }
+    if (toBlock - fromBlock + 1 > this.maxBlocks) {
+      throw new Error(`Block range too large (max ${this.maxBlocks} blocks)`);
+    }
+    // Without a pool filter, replay every pool's logs like the live stream does
+    const ranges = pools.length > 0
+      ? pools.map(pool => ({ pool: pool.toLowerCase(), fromBlock, toBlock }))
+      : [{ pool: null, fromBlock, toBlock }];
+
+    const job = this.createJob('reindex', ranges);
+    if (this.activeJob) {
+      logger.info(`📜 Re-index job ${job.id} queued behind ${this.activeJob.id}`);
+    }
+    return job;
+  }
+
+  /**
+   * Run a job after every job scheduled before it
+   * @param {Object} job - Backfill job
+   * @returns {Promise<void>} - Resolves when the job has finished
+   * @private
+   */
+  scheduleJob(job) {
+    const run = this.jobQueue.then(() => this.runJob(job));
+    this.jobQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Create and register a backfill job
+   * @private
+   */
+  createJob(type, ranges) {
+    this.jobCounter++;
+    const job = {
+      id: `${type}-${Date.now()}-${this.jobCounter}`,
+      type,
+      status: 'pending',
+      ranges,
+      blocksTotal: ranges.reduce((sum, range) => sum + (range.toBlock - range.fromBlock + 1), 0),
+      blocksScanned: 0,
+      logsFound: 0,
+      logsProcessed: 0,
+      logsSkipped: 0,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    if (this.jobs.size > MAX_JOBS_IN_MEMORY) {
+      this.jobs.delete(this.jobs.keys().next().value);
+    }
+    return job;
+  }
+
+  /**
+   * Run a job's ranges sequentially
+   * @param {Object} job - Backfill job
+   * @private
+   */
+  async runJob(job) {
+    this.activeJob = job;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    logger.info(`📜 Backfill job ${job.id} started: ${job.ranges.length} ranges, ${job.blocksTotal} blocks`);
+
+    try {
+      for (const range of job.ranges) {
+        await this.replayRange(range, job);
+      }
+
+      job.status = 'completed';
+      logger.info(`✅ Backfill job ${job.id} completed: ${job.logsProcessed} replayed, ${job.logsSkipped} skipped`);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error(`❌ Backfill job ${job.id} failed:`, error);
+    } finally {
+      job.completedAt = Date.now();
+      this.activeJob = null;
+      this.blockTimestamps.clear();
+    }
+  }
+
+  /**
+   * Page through a block range with getLogs and replay each log in chain order
+   * @param {Object} range - { pool: string|null, fromBlock, toBlock }
+   * @param {Object} job - Backfill job (progress is updated in place)
+   * @private
+   */
+  async replayRange(range, job) {
+    for (let start = range.fromBlock; start <= range.toBlock; start += this.pageSize) {
+      const end = Math.min(start + this.pageSize - 1, range.toBlock);
+
+      const logs = await sdsClient.getEventLogs({
+        address: range.pool || undefined,
+        fromBlock: start,
+        toBlock: end
+      });
+
+      logs.sort((a, b) => Number(a.blockNumber - b.blockNumber) || a.logIndex - b.logIndex);
+      job.logsFound += logs.length;
+
+      for (const log of logs) {
+        if (log.eventName === 'Swap') {
+          log.blockTimestamp = log.blockTimestamp ?? await this.getBlockTimestamp(log.blockNumber);
+        }
+
+        // Queued behind any live events for the same pool
+        const processed = await ingestQueue.enqueue(log, { replay: true });
+        if (processed) {
+          job.logsProcessed++;
+        } else {
+          job.logsSkipped++;
+        }
+      }
+
+      if (range.pool) {
+        await eventProcessor.recordCheckpoint(range.pool, end);
+      }
+
+      job.blocksScanned += end - start + 1;
+      this.blockTimestamps.clear();
+      logger.debug(`Backfill ${job.id}: blocks ${start}-${end} (${logs.length} logs)`);
+    }
+  }
+
+  /**
+   * Get a block's timestamp so replayed whales keep their on-chain time
+   * @param {bigint} blockNumber - Block number
+   * @returns {bigint|null} - Unix timestamp in seconds
+   * @private
+   */
+  async getBlockTimestamp(blockNumber) {
+    const key = Number(blockNumber);
+    if (this.blockTimestamps.has(key)) {
+      return this.blockTimestamps.get(key);
+    }
+
+    try {
+      const block = await this.provider.getBlock({ blockNumber: BigInt(blockNumber) });
+      this.blockTimestamps.set(key, block.timestamp);
+      return block.timestamp;
+    } catch (error) {
+      logger.warn(`Could not fetch timestamp for block ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} jobId - Job id
+   * @returns {Object|null} - Job or null
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Get backfill status: settings, checkpoints and recent jobs
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      pageSize: this.pageSize,
+      maxBlocks: this.maxBlocks,
+      activeJob: this.activeJob ? this.activeJob.id : null,
+      checkpoints: eventProcessor.getCheckpoints(),
+      processor: eventProcessor.getStats(),
+      jobs: Array.from(this.jobs.values()).reverse()
+    };
+  }
+}
+
+module.exports = new BackfillService();
@@ -0,0 +1,415 @@
+/**
+ * Concentrated Liquidity Swap Simulator
+ * Exact-input swaps through Uniswap V3 / Algebra pools with the pools' own
+ * integer math (TickMath, SqrtPriceMath, SwapMath), walking initialized
+ * ticks read from the pool's tick bitmap. Tick data is cached per pool and
+ * dropped whenever the pool's liquidity changes.
+ */
+
+const logger = require('../utils/logger');
+const { getProvider } = require('../config/somnia-chain');
+const { TICK_DATA_ABI } = require('../config/dex-abi');
+
+const Q96 = 1n << 96n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+const FEE_DENOMINATOR = 1000000n; // Fees are in hundredths of a bip
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+const ALGEBRA_TICK_SPACING = 60; // Algebra V1 pools use a fixed spacing
+const DEFAULT_TICK_SPACING = 60;
+const MAX_SWAP_STEPS = 200; // Bitmap words / ticks walked before giving up on a swap
+const TICK_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Q128 multipliers for each bit of |tick| (TickMath.getSqrtRatioAtTick)
+const TICK_RATIOS = [
+  [0x2, 0xfff97272373d413259a46990580e213an],
+  [0x4, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+  [0x8, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+  [0x10, 0xffcb9843d60f6159c9db58835c926644n],
+  [0x20, 0xff973b41fa98c081472e6896dfb254c0n],
+  [0x40, 0xff2ea16466c96a3843ec78b326b52861n],
+  [0x80, 0xfe5dee046a99a2a811c461f1969c3053n],
+  [0x100, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+  [0x200, 0xf987a7253ac413176f2b074cf7815e54n],
+  [0x400, 0xf3392b0822b70005940c7a398e4b70f3n],
+  [0x800, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+  [0x1000, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+  [0x2000, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+  [0x4000, 0x70d869a156d2a1b890bb3df62baf32f7n],
+  [0x8000, 0x31be135f97d08fd981231505542fcfa6n],
+  [0x10000, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+  [0x20000, 0x5d6af8dedb81196699c329225ee604n],
+  [0x40000, 0x2216e584f5fa1ea926041bedfe98n],
+  [0x80000, 0x48a170391f7dc42444e8fa2n]
+];
+
+const divRoundingUp = (a, b) => a / b + (a % b > 0n ? 1n : 0n);
+const mulDivRoundingUp = (a, b, denominator) => divRoundingUp(a * b, denominator);
+
+/**
+ * sqrt(1.0001^tick) as a Q64.96
+ * @param {number} tick - Tick in [MIN_TICK, MAX_TICK]
+ * @returns {bigint}
+ */
+function getSqrtRatioAtTick(tick) {
+  if (tick < MIN_TICK || tick > MAX_TICK) throw new Error(`Tick out of range: ${tick}`);
+
+  const absTick = Math.abs(tick);
+  let ratio = absTick & 0x1
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+  for (const [bit, multiplier] of TICK_RATIOS) {
+    if (absTick & bit) ratio = (ratio * multiplier) >> 128n;
+  }
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+  // Q128.128 -> Q64.96, rounding up so getTickAtSqrtRatio is consistent
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+/**
+ * Greatest tick whose sqrt ratio is at or below the given price
+ * @param {bigint} sqrtPriceX96 - Q64.96 sqrt price
+ * @returns {number}
+ */
+function getTickAtSqrtRatio(sqrtPriceX96) {
+  let low = MIN_TICK;
+  let high = MAX_TICK;
+  while (low < high) {
+    const mid = Math.floor((low + high + 1) / 2);
+    if (getSqrtRatioAtTick(mid) <= sqrtPriceX96) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Amount of token0 between two prices for a liquidity (SqrtPriceMath.getAmount0Delta)
+ */
+function getAmount0Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+  const [lower, upper] = sqrtRatioA < sqrtRatioB ? [sqrtRatioA, sqrtRatioB] : [sqrtRatioB, sqrtRatioA];
+  const numerator1 = liquidity << 96n;
+  const numerator2 = upper - lower;
+
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, upper), lower)
+    : (numerator1 * numerator2 / upper) / lower;
+}
+
+/**
+ * Amount of token1 between two prices for a liquidity (SqrtPriceMath.getAmount1Delta)
+ */
+function getAmount1Delta(sqrtRatioA, sqrtRatioB, liquidity, roundUp) {
+  const [lower, upper] = sqrtRatioA < sqrtRatioB ? [sqrtRatioA, sqrtRatioB] : [sqrtRatioB, sqrtRatioA];
+  return roundUp
+    ? mulDivRoundingUp(liquidity, upper - lower, Q96)
+    : liquidity * (upper - lower) / Q96;
+}
+
+/**
+ * Price after adding token0 (SqrtPriceMath.getNextSqrtPriceFromAmount0RoundingUp)
+ */
+function getNextSqrtPriceFromAmount0(sqrtPriceX96, liquidity, amount) {
+  if (amount === 0n) return sqrtPriceX96;
+  const numerator1 = liquidity << 96n;
+
+  // The contract switches formulas when amount * price overflows 256 bits
+  const product = amount * sqrtPriceX96;
+  if (product <= MAX_UINT256) {
+    return mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1 + product);
+  }
+  return divRoundingUp(numerator1, numerator1 / sqrtPriceX96 + amount);
+}
+
+/**
+ * Price after adding token1 (SqrtPriceMath.getNextSqrtPriceFromAmount1RoundingDown)
+ */
+function getNextSqrtPriceFromAmount1(sqrtPriceX96, liquidity, amount) {
+  const quotient = amount <= MAX_UINT160
+    ? (amount << 96n) / liquidity
+    : amount * Q96 / liquidity;
+  return sqrtPriceX96 + quotient;
+}
+
+/**
+ * One exact-input swap step within a single liquidity range (SwapMath.computeSwapStep)
+ * @param {bigint} sqrtPriceCurrent - Current Q64.96 price
+ * @param {bigint} sqrtPriceTarget - Price the step may not pass
+ * @param {bigint} liquidity - Active liquidity
+ * @param {bigint} amountRemaining - Input left, fee included
+ * @param {bigint} feePips - Fee in hundredths of a bip
+ * @returns {Object} - { sqrtPriceNext, amountIn, amountOut, feeAmount }
+ */
+function computeSwapStep(sqrtPriceCurrent, sqrtPriceTarget, liquidity, amountRemaining, feePips) {
+  const zeroForOne = sqrtPriceCurrent >= sqrtPriceTarget;
+  const amountRemainingLessFee = amountRemaining * (FEE_DENOMINATOR - feePips) / FEE_DENOMINATOR;
+
+  let amountIn = zeroForOne
+    ? getAmount0Delta(sqrtPriceTarget, sqrtPriceCurrent, liquidity, true)
+    : getAmount1Delta(sqrtPriceCurrent, sqrtPriceTarget, liquidity, true);
+
+  let sqrtPriceNext;
+  if (amountRemainingLessFee >= amountIn) {
+    sqrtPriceNext = sqrtPriceTarget;
+  } else {
+    sqrtPriceNext = zeroForOne
+      ? getNextSqrtPriceFromAmount0(sqrtPriceCurrent, liquidity, amountRemainingLessFee)
+      : getNextSqrtPriceFromAmount1(sqrtPriceCurrent, liquidity, amountRemainingLessFee);
+  }
+
+  const reachedTarget = sqrtPriceNext === sqrtPriceTarget;
+  let amountOut;
+  if (zeroForOne) {
+    if (!reachedTarget) amountIn = getAmount0Delta(sqrtPriceNext, sqrtPriceCurrent, liquidity, true);
+    amountOut = getAmount1Delta(sqrtPriceNext, sqrtPriceCurrent, liquidity, false);
+  } else {
+    if (!reachedTarget) amountIn = getAmount1Delta(sqrtPriceCurrent, sqrtPriceNext, liquidity, true);
+    amountOut = getAmount0Delta(sqrtPriceCurrent, sqrtPriceNext, liquidity, false);
+  }
+
+  // Whatever input is left when the step stops short is the fee
+  const feeAmount = reachedTarget
+    ? mulDivRoundingUp(amountIn, feePips, FEE_DENOMINATOR - feePips)
+    : amountRemaining - amountIn;
+
+  return { sqrtPriceNext, amountIn, amountOut, feeAmount };
+}
+
+const mostSignificantBit = (value) => value.toString(2).length - 1;
+const leastSignificantBit = (value) => (value & -value).toString(2).length - 1;
+
+class ConcentratedSwapSimulator {
+  constructor() {
+    this.client = null;
+    this.tickData = new Map(); // pool address -> { tickSpacing, words, ticks, available, loadedAt }
+    this.stats = {
+      simulations: 0,
+      ticksCrossed: 0,
+      tickReads: 0,
+      tickReadFailures: 0
+    };
+  }
+
+  /**
+   * Drop a pool's cached tick data (its liquidity changed)
+   * @param {string} poolAddress - Pool address
+   */
+  invalidate(poolAddress) {
+    if (poolAddress) this.tickData.delete(poolAddress.toLowerCase());
+  }
+
+  /**
+   * Get (or start) the tick data cache of a pool
+   * @private
+   */
+  getPoolTickData(poolAddress, protocol) {
+    const key = poolAddress.toLowerCase();
+    const cached = this.tickData.get(key);
+    if (cached && Date.now() - cached.loadedAt < TICK_CACHE_TTL_MS) return cached;
+
+    const data = {
+      protocol,
+      tickSpacing: null,
+      words: new Map(), // word position -> Promise<bigint>
+      ticks: new Map(), // tick -> Promise<bigint> liquidityNet
+      available: true, // false once a read fails: the pool is treated as one range
+      loadedAt: Date.now()
+    };
+    this.tickData.set(key, data);
+    return data;
+  }
+
+  /**
+   * Read a pool view function; null (and the pool marked as single-range) on failure
+   * @private
+   */
+  async read(poolAddress, data, functionName, args) {
+    if (!this.client) {
+      this.client = getProvider();
+    }
+
+    try {
+      this.stats.tickReads++;
+      return await this.client.readContract({ address: poolAddress, abi: TICK_DATA_ABI, functionName, args });
+    } catch (error) {
+      this.stats.tickReadFailures++;
+      if (data.available) {
+        logger.debug(`Tick data unavailable for ${poolAddress} (${functionName}): ${error.message}`);
+      }
+      data.available = false;
+      return null;
+    }
+  }
+
+  /**
+   * Tick spacing of a pool (fixed for Algebra V1, read for V3)
+   * @private
+   */
+  async getTickSpacing(poolAddress, data) {
+    if (data.tickSpacing === null) {
+      if (!this.client) {
+        this.client = getProvider();
+      }
+
+      // Older Algebra pools have no getter, so a failure here is not fatal
+      const spacing = await this.client.readContract({
+        address: poolAddress,
+        abi: TICK_DATA_ABI,
+        functionName: 'tickSpacing'
+      }).catch(() => null);
+
+      data.tickSpacing = spacing !== null
+        ? Number(spacing)
+        : data.protocol === 'algebra' ? ALGEBRA_TICK_SPACING : DEFAULT_TICK_SPACING;
+    }
+    return data.tickSpacing;
+  }
+
+  /**
+   * Bitmap word of initialized ticks
+   * @private
+   */
+  getWord(poolAddress, data, wordPosition) {
+    if (!data.words.has(wordPosition)) {
+      const functionName = data.protocol === 'algebra' ? 'tickTable' : 'tickBitmap';
+      data.words.set(wordPosition, this.read(poolAddress, data, functionName, [wordPosition])
+        .then(word => (word === null ? 0n : word)));
+    }
+    return data.words.get(wordPosition);
+  }
+
+  /**
+   * Net liquidity added when crossing a tick left to right
+   * @private
+   */
+  getLiquidityNet(poolAddress, data, tick) {
+    if (!data.ticks.has(tick)) {
+      data.ticks.set(tick, this.read(poolAddress, data, 'ticks', [tick])
+        .then(info => (info === null ? 0n : info[1])));
+    }
+    return data.ticks.get(tick);
+  }
+
+  /**
+   * Next initialized tick in the current bitmap word (TickBitmap.nextInitializedTickWithinOneWord)
+   * @returns {Promise<Object>} - { tick, initialized }
+   * @private
+   */
+  async nextInitializedTick(poolAddress, data, tick, tickSpacing, lte) {
+    const compressed = Math.floor(tick / tickSpacing);
+
+    if (lte) {
+      const wordPosition = compressed >> 8;
+      const bitPosition = compressed & 0xff;
+      const word = data.available ? await this.getWord(poolAddress, data, wordPosition) : 0n;
+      const masked = word & ((1n << BigInt(bitPosition + 1)) - 1n);
+
+      return masked !== 0n
+        ? { tick: (compressed - (bitPosition - mostSignificantBit(masked))) * tickSpacing, initialized: true }
+        : { tick: (compressed - bitPosition) * tickSpacing, initialized: false };
+    }
+
+    const wordPosition = (compressed + 1) >> 8;
+    const bitPosition = (compressed + 1) & 0xff;
+    const word = data.available ? await this.getWord(poolAddress, data, wordPosition) : 0n;
+    const masked = word & ~((1n << BigInt(bitPosition)) - 1n);
+
+    return masked !== 0n
+      ? { tick: (compressed + 1 + (leastSignificantBit(masked) - bitPosition)) * tickSpacing, initialized: true }
+      : { tick: (compressed + 1 + (255 - bitPosition)) * tickSpacing, initialized: false };
+  }
+
+  /**
+   * Simulate an exact-input swap, crossing initialized ticks as it goes
+   * Without tick data the active liquidity is assumed to extend indefinitely
+   * @param {Object} params
+   * @param {string} params.poolAddress - Pool address
+   * @param {string} params.protocol - 'v3' or 'algebra'
+   * @param {bigint|string} params.sqrtPriceX96 - Current price
+   * @param {bigint|string} params.liquidity - Active liquidity
+   * @param {number} [params.tick] - Current tick (derived from the price when missing)
+   * @param {number} params.fee - Fee in hundredths of a bip (3000 = 0.3%)
+   * @param {boolean} params.zeroForOne - Swap token0 for token1
+   * @param {bigint} params.amountIn - Raw input amount, fee included
+   * @returns {Promise<Object>} - { amountIn, amountOut, sqrtPriceX96, tick, liquidity, ticksCrossed, complete }
+   */
+  async simulateSwap({ poolAddress, protocol, sqrtPriceX96, liquidity, tick, fee, zeroForOne, amountIn }) {
+    this.stats.simulations++;
+
+    const data = this.getPoolTickData(poolAddress, protocol);
+    const tickSpacing = await this.getTickSpacing(poolAddress, data);
+    const feePips = BigInt(Math.round(fee));
+    const sqrtPriceLimit = zeroForOne ? MIN_SQRT_RATIO + 1n : MAX_SQRT_RATIO - 1n;
+
+    const state = {
+      amountRemaining: BigInt(amountIn),
+      amountOut: 0n,
+      sqrtPriceX96: BigInt(sqrtPriceX96),
+      liquidity: BigInt(liquidity),
+      tick: tick ?? getTickAtSqrtRatio(BigInt(sqrtPriceX96))
+    };
+    let ticksCrossed = 0;
+    let steps = 0;
+
+    while (state.amountRemaining > 0n && state.sqrtPriceX96 !== sqrtPriceLimit && steps < MAX_SWAP_STEPS) {
+      steps++;
+      const sqrtPriceStart = state.sqrtPriceX96;
+
+      const next = await this.nextInitializedTick(poolAddress, data, state.tick, tickSpacing, zeroForOne);
+      const tickNext = Math.min(Math.max(next.tick, MIN_TICK), MAX_TICK);
+      const sqrtPriceNext = getSqrtRatioAtTick(tickNext);
+      const sqrtPriceTarget = zeroForOne
+        ? (sqrtPriceNext < sqrtPriceLimit ? sqrtPriceLimit : sqrtPriceNext)
+        : (sqrtPriceNext > sqrtPriceLimit ? sqrtPriceLimit : sqrtPriceNext);
+
+      const step = computeSwapStep(state.sqrtPriceX96, sqrtPriceTarget, state.liquidity, state.amountRemaining, feePips);
+      state.sqrtPriceX96 = step.sqrtPriceNext;
+      state.amountRemaining -= step.amountIn + step.feeAmount;
+      state.amountOut += step.amountOut;
+
+      if (state.sqrtPriceX96 === sqrtPriceNext) {
+        // Crossed into the next range: apply its liquidity change
+        if (next.initialized && data.available) {
+          const liquidityNet = await this.getLiquidityNet(poolAddress, data, tickNext);
+          state.liquidity += zeroForOne ? -liquidityNet : liquidityNet;
+          ticksCrossed++;
+        }
+        state.tick = zeroForOne ? tickNext - 1 : tickNext;
+      } else if (state.sqrtPriceX96 !== sqrtPriceStart) {
+        state.tick = getTickAtSqrtRatio(state.sqrtPriceX96);
+      }
+    }
+
+    this.stats.ticksCrossed += ticksCrossed;
+
+    return {
+      amountIn: BigInt(amountIn) - state.amountRemaining,
+      amountOut: state.amountOut,
+      sqrtPriceX96: state.sqrtPriceX96,
+      tick: state.tick,
+      liquidity: state.liquidity,
+      ticksCrossed,
+      complete: state.amountRemaining === 0n
+    };
+  }
+
+  /**
+   * Get simulator statistics
+   */
+  getStats() {
+    return {
+      cachedPools: this.tickData.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new ConcentratedSwapSimulator();
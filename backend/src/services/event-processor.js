@@ -0,0 +1,411 @@
+/**
+ * Event Processor
+ * Shared swap/sync/liquidity handlers for the live stream and historical replay.
+ * Events are deduplicated by txHash:logIndex and the last processed block
+ * is checkpointed per pool so missed ranges can be backfilled.
+ */
+
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+const poolStateManager = require('./pool-state-manager');
+const poolRegistry = require('./pool-registry');
+const whaleDetector = require('./whale-detector');
+const swapDecoder = require('./swap-decoder');
+const impactAnalyzer = require('./impact-analyzer');
+const alertEngine = require('./alert-engine');
+const mevDetector = require('./mev-detector');
+const reorgMonitor = require('./reorg-monitor');
+const arbitrageScanner = require('./arbitrage-scanner');
+const concentratedSwapSimulator = require('./concentrated-swap-simulator');
+
+const CHECKPOINT_KEY = 'backfill:checkpoints'; // hash: pool address -> last processed block
+const PROCESSED_EVENT_TTL = parseInt(process.env.PROCESSED_EVENT_TTL || String(86400 * 7)); // seconds
+const MAX_PROCESSED_IN_MEMORY = 10000;
+
+class EventProcessor {
+  constructor() {
+    this.socketHandler = null;
+    this.checkpoints = new Map(); // pool address -> last processed block
+    this.processedEvents = new Set(); // Recent txHash:logIndex ids (fallback when Redis is down)
+    this.stats = {
+      swaps: 0,
+      syncs: 0,
+      liquidity: 0,
+      replayed: 0,
+      duplicates: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Initialize the event processor
+   * Loads per-pool block checkpoints from Redis
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing Event Processor...');
+      await this.loadCheckpoints();
+      logger.info(`✅ Event Processor initialized (${this.checkpoints.size} pool checkpoints)`);
+    } catch (error) {
+      logger.error('Failed to initialize Event Processor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set socket handler for emitting events
+   * @param {Object} handler - Socket handler instance
+   */
+  setSocketHandler(handler) {
+    this.socketHandler = handler;
+    logger.info('Socket handler set for EventProcessor');
+  }
+
+  /**
+   * Get a ready Redis client, or null when running without Redis
+   * @private
+   */
+  getRedis() {
+    try {
+      const redis = getRedisClient();
+      return redis.isReady ? redis : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load pool checkpoints from Redis
+   * @private
+   */
+  async loadCheckpoints() {
+    const redis = this.getRedis();
+    if (!redis) {
+      logger.warn('Redis not available, block checkpoints will be in-memory only');
+      return;
+    }
+
+    const checkpoints = await redis.hGetAll(CHECKPOINT_KEY);
+    for (const [poolAddress, blockNumber] of Object.entries(checkpoints)) {
+      this.checkpoints.set(poolAddress.toLowerCase(), parseInt(blockNumber));
+    }
+  }
+
+  /**
+   * Get the last processed block for a pool
+   * @param {string} poolAddress - Pool address
+   * @returns {number|null} - Block number or null if the pool was never processed
+   */
+  getCheckpoint(poolAddress) {
+    const checkpoint = this.checkpoints.get(poolAddress.toLowerCase());
+    return checkpoint !== undefined ? checkpoint : null;
+  }
+
+  /**
+   * Get all pool checkpoints
+   * @returns {Object} - Map of pool address to last processed block
+   */
+  getCheckpoints() {
+    return Object.fromEntries(this.checkpoints);
+  }
+
+  /**
+   * Advance a pool's checkpoint (never moves backwards)
+   * @param {string} poolAddress - Pool address
+   * @param {number|bigint} blockNumber - Processed block number
+   */
+  async recordCheckpoint(poolAddress, blockNumber) {
+    if (!poolAddress || blockNumber === undefined || blockNumber === null) return;
+
+    const pool = poolAddress.toLowerCase();
+    const block = Number(blockNumber);
+    const current = this.checkpoints.get(pool);
+    if (current !== undefined && current >= block) return;
+
+    this.checkpoints.set(pool, block);
+
+    try {
+      const redis = this.getRedis();
+      if (redis) {
+        await redis.hSet(CHECKPOINT_KEY, pool, String(block));
+      }
+    } catch (error) {
+      logger.error(`Error saving checkpoint for ${pool}:`, error);
+    }
+  }
+
+  /**
+   * Move pool checkpoints back after a reorg so the orphaned range is replayed
+   * @param {Array<string>} pools - Pool addresses
+   * @param {number} blockNumber - Last block still considered valid
+   */
+  async rewindCheckpoints(pools, blockNumber) {
+    const redis = this.getRedis();
+
+    for (const poolAddress of pools) {
+      const pool = poolAddress.toLowerCase();
+      const current = this.checkpoints.get(pool);
+      if (current === undefined || current <= blockNumber) continue;
+
+      this.checkpoints.set(pool, blockNumber);
+      try {
+        if (redis) {
+          await redis.hSet(CHECKPOINT_KEY, pool, String(blockNumber));
+        }
+      } catch (error) {
+        logger.error(`Error rewinding checkpoint for ${pool}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Unique id of a log within the chain
+   * @param {Object} event - Decoded log
+   * @returns {string|null} - txHash:logIndex
+   */
+  getEventId(event) {
+    if (!event.transactionHash || event.logIndex === undefined || event.logIndex === null) {
+      return null;
+    }
+    return `${event.transactionHash}:${Number(event.logIndex)}`;
+  }
+
+  /**
+   * Claim an event for processing
+   * @param {string} eventId - txHash:logIndex
+   * @returns {boolean} - False if the event was already processed
+   * @private
+   */
+  async claimEvent(eventId) {
+    if (this.processedEvents.has(eventId)) return false;
+
+    const redis = this.getRedis();
+    if (redis) {
+      try {
+        const claimed = await redis.set(`event:processed:${eventId}`, '1', {
+          condition: 'NX',
+          expiration: { type: 'EX', value: PROCESSED_EVENT_TTL }
+        });
+        if (claimed === null) return false;
+      } catch (error) {
+        logger.warn(`Could not claim event ${eventId} in Redis:`, error.message);
+      }
+    }
+
+    this.processedEvents.add(eventId);
+    if (this.processedEvents.size > MAX_PROCESSED_IN_MEMORY) {
+      // Sets iterate in insertion order, so this drops the oldest id
+      this.processedEvents.delete(this.processedEvents.values().next().value);
+    }
+    return true;
+  }
+
+  /**
+   * Forget processed event ids so re-included logs are handled again
+   * @param {Array<string>} eventIds - txHash:logIndex ids
+   */
+  async releaseEvents(eventIds) {
+    if (eventIds.length === 0) return;
+
+    eventIds.forEach(eventId => this.processedEvents.delete(eventId));
+
+    try {
+      const redis = this.getRedis();
+      if (redis) {
+        await redis.del(eventIds.map(eventId => `event:processed:${eventId}`));
+      }
+    } catch (error) {
+      logger.error('Error releasing processed events:', error);
+    }
+  }
+
+  /**
+   * Process a decoded pool log once
+   * @param {Object} event - Decoded log (Swap, Sync, Mint or Burn)
+   * @param {Object} options - { replay: true when coming from backfill }
+   * @returns {boolean} - True if the event was processed, false if skipped
+   */
+  async processEvent(event, { replay = false } = {}) {
+    let eventId = null;
+    try {
+      // The node retracted this log: its block was reorged out
+      if (event.removed) {
+        await reorgMonitor.handleRemovedLog(event);
+        return false;
+      }
+
+      eventId = this.getEventId(event);
+      if (eventId && !(await this.claimEvent(eventId))) {
+        this.stats.duplicates++;
+        logger.debug(`Skipping already processed event: ${eventId}`);
+        eventId = null; // Another delivery owns the claim
+        return false;
+      }
+
+      if (replay) {
+        event.replayed = true;
+        this.stats.replayed++;
+      }
+
+      // First sighting of a pool: identify DEX, protocol, tokens and fee
+      await poolRegistry.ensurePool(event.address);
+
+      // Lets a reorg of this block restore the pool's state
+      await reorgMonitor.snapshotPoolState(event);
+
+      let swap = null;
+      switch (event.eventName) {
+        case 'Swap':
+          swap = await this.handleSwap(event);
+          break;
+        case 'Sync':
+          await this.handleSync(event);
+          break;
+        case 'Mint':
+        case 'Burn':
+          await this.handleLiquidity(event);
+          break;
+        default:
+          logger.debug(`Ignoring unsupported event: ${event.eventName}`);
+          return false;
+      }
+
+      // The pool's price moved: its pair is rescanned for arbitrage, and the
+      // swap (if any) is credited with closing opportunities it ended
+      arbitrageScanner.notifyPoolChange(event.address, { eventName: event.eventName, swap });
+
+      await this.recordCheckpoint(event.address, event.blockNumber);
+      await reorgMonitor.trackEvent(event, eventId);
+      return true;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error(`Error processing ${event.eventName} event:`, error);
+
+      // Give the claim back so a backfill or replay can retry the event
+      if (eventId) {
+        await this.releaseEvents([eventId]);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Handle a Swap log: update pool state, detect whales and analyze impact
+   * @param {Object} event - Decoded Swap log
+   * @returns {Object} - Normalized swap record
+   */
+  async handleSwap(event) {
+    const poolAddress = event.address;
+    logger.debug(`Swap event received for pool: ${poolAddress}`);
+    this.stats.swaps++;
+
+    // Derive pool state before/after from the event itself
+    // (V2 reserve deltas, V3 sqrtPriceX96/liquidity/tick)
+    const { before: poolBefore, after: poolAfter } = await poolStateManager.applySwap(event);
+
+    // One normalized record (direction, exact amounts, post-swap price) for every consumer
+    const swap = swapDecoder.decode(event, { poolState: poolAfter });
+
+    // Buffered per block; MEV detection runs once the block is complete
+    await mevDetector.processTransaction(swap);
+
+    // Process with WhaleDetector
+    const whaleData = await whaleDetector.processSwapEvent(event, swap);
+
+    if (whaleData) {
+      logger.info(`🐋 Whale detected: ${whaleData.txHash} - $${whaleData.amountUSD.toFixed(2)}`);
+
+      // Analyze impact
+      const poolsBefore = { [poolAddress]: poolBefore };
+      const poolsAfter = { [poolAddress]: poolAfter };
+      const impactData = await impactAnalyzer.analyzeWhaleImpact(
+        whaleData,
+        poolsBefore,
+        poolsAfter
+      );
+
+      logger.info(`📊 Impact analyzed: ${impactData.severity} severity`);
+
+      // Broadcast whale impact via WebSocket
+      if (this.socketHandler) {
+        this.socketHandler.broadcastWhaleImpact(impactData);
+      }
+
+      // Replayed swaps describe past pool state, so skip live pool alerts
+      if (!event.replayed) {
+        try {
+          await alertEngine.checkTVLAlert(poolAfter, poolBefore.tvl);
+          await alertEngine.checkVolumeSpikeAlert(poolAfter, poolBefore.volume24h);
+        } catch (alertError) {
+          logger.error('Error checking pool alerts:', alertError);
+        }
+      }
+    }
+
+    return swap;
+  }
+
+  /**
+   * Handle a V2 Sync log (authoritative post-trade reserves)
+   * @param {Object} event - Decoded Sync log
+   */
+  async handleSync(event) {
+    this.stats.syncs++;
+    await poolStateManager.applySync(event);
+  }
+
+  /**
+   * Handle a Mint/Burn log: update liquidity and TVL
+   * @param {Object} event - Decoded Mint or Burn log
+   */
+  async handleLiquidity(event) {
+    const poolAddress = event.address;
+    logger.debug(`${event.eventName} event received for pool: ${poolAddress}`);
+    this.stats.liquidity++;
+
+    const { before: currentPool, after: updatedPool, eventType } =
+      await poolStateManager.applyLiquidity(event);
+
+    // Liquidity moved between ticks: swap simulations must re-read them
+    concentratedSwapSimulator.invalidate(poolAddress);
+
+    // Concentrated-liquidity positions are matched against swaps for JIT detection
+    await mevDetector.processLiquidityEvent(event);
+
+    if (event.replayed) {
+      logger.debug(`💧 Replayed ${eventType} for pool ${poolAddress}, TVL: ${updatedPool.tvl}`);
+      return;
+    }
+
+    // Check TVL change alert for liquidity events
+    try {
+      await alertEngine.checkTVLAlert(updatedPool, currentPool.tvl);
+    } catch (alertError) {
+      logger.error('Error checking TVL alert:', alertError);
+    }
+
+    // Broadcast pool:update via WebSocket
+    if (this.socketHandler) {
+      this.socketHandler.broadcastPoolUpdate({
+        address: poolAddress,
+        eventType,
+        tvl: updatedPool.tvl,
+        timestamp: Date.now()
+      });
+    }
+
+    logger.info(`💧 Pool ${poolAddress} updated: ${eventType}, TVL: ${updatedPool.tvl}`);
+  }
+
+  /**
+   * Get processing statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      trackedPools: this.checkpoints.size
+    };
+  }
+}
+
+module.exports = new EventProcessor();
@@ -1,8 +1,10 @@
 const logger = require('../utils/logger');
-const { getRedisClient, setJSON, getJSON } = require('../config/redis');
+const { getRedisClient } = require('../config/redis');
+const { impactStore } = require('../config/redis-store');
 const alertEngine = require('./alert-engine');
+const priceOracle = require('./price-oracle');
+const poolRegistry = require('./pool-registry');
 
-const IMPACT_TTL = 86400; // 24 hours
 const SIGNIFICANT_IMPACT_THRESHOLD = 2; // 2% for significant impact
 
 class ImpactAnalyzer {
@@ -82,6 +84,9 @@ class ImpactAnalyzer {
       // Calculate liquidity impact
       const liquidityImpactData = this.estimateLiquidityChange(primaryPoolBefore, primaryPoolAfter);
 
+      // On-chain state deltas (reserves for V2, sqrt price/liquidity/tick for V3)
+      const stateDelta = this.calculateStateDelta(primaryPoolBefore, primaryPoolAfter);
+
       // Calculate volume spike
       const volumeSpike = this.calculateVolumeSpike(amountUSD, primaryPoolBefore);
 
@@ -106,6 +111,7 @@ class ImpactAnalyzer {
         details: {
           priceData: priceImpactData,
           liquidityData: liquidityImpactData,
+          stateDelta,
           cascadeData
         }
       };
@@ -175,18 +181,51 @@ class ImpactAnalyzer {
    * @private
    */
   calculatePoolPrice(poolState) {
-    const { reserve0, reserve1, token0Decimals = 18, token1Decimals = 18 } = poolState;
+    const { reserve0, reserve1 } = poolState;
 
     if (!reserve0 || !reserve1) {
       return poolState.price || 0;
     }
 
+    // Prefer decimals from the pool state, then the price oracle's token metadata
+    const poolAddress = poolState.address || poolState.poolAddress;
+    const poolTokens = poolRegistry.getTokens(poolAddress) || priceOracle.getPoolTokens(poolAddress) || {};
+    const token0Decimals = poolState.token0Decimals ?? poolTokens.token0?.decimals ?? 18;
+    const token1Decimals = poolState.token1Decimals ?? poolTokens.token1?.decimals ?? 18;
+
     const reserve0Adjusted = Number(reserve0) / Math.pow(10, token0Decimals);
     const reserve1Adjusted = Number(reserve1) / Math.pow(10, token1Decimals);
 
     return reserve1Adjusted / reserve0Adjusted;
   }
 
+  /**
+   * Calculate raw on-chain state deltas between pool states
+   * @param {Object} poolBefore - Pool state before transaction
+   * @param {Object} poolAfter - Pool state after transaction
+   * @returns {Object} - Reserve, liquidity and tick deltas (raw units as strings)
+   */
+  calculateStateDelta(poolBefore, poolAfter) {
+    const diff = (before, after) => {
+      try {
+        if (before === undefined || after === undefined) return null;
+        return (BigInt(after) - BigInt(before)).toString();
+      } catch (error) {
+        return null;
+      }
+    };
+
+    return {
+      reserve0Delta: diff(poolBefore.reserve0, poolAfter.reserve0),
+      reserve1Delta: diff(poolBefore.reserve1, poolAfter.reserve1),
+      liquidityDelta: diff(poolBefore.liquidity, poolAfter.liquidity),
+      sqrtPriceX96Before: poolBefore.sqrtPriceX96 || null,
+      sqrtPriceX96After: poolAfter.sqrtPriceX96 || null,
+      tickBefore: poolBefore.tick ?? null,
+      tickAfter: poolAfter.tick ?? null
+    };
+  }
+
   /**
    * Estimate liquidity change between pool states
    * @param {Object} poolBefore - Pool state before
@@ -195,11 +234,20 @@ class ImpactAnalyzer {
    */
   estimateLiquidityChange(poolBefore, poolAfter) {
     try {
-      const tvlBefore = poolBefore.tvl || poolBefore.totalLiquidity || 0;
-      const tvlAfter = poolAfter.tvl || poolAfter.totalLiquidity || 0;
+      const tvlBefore = priceOracle.getPoolTVL(poolBefore) ?? (poolBefore.tvl || poolBefore.totalLiquidity || 0);
+      const tvlAfter = priceOracle.getPoolTVL(poolAfter) ?? (poolAfter.tvl || poolAfter.totalLiquidity || 0);
 
       const tvlChange = tvlAfter - tvlBefore;
-      const liquidityChange = tvlBefore > 0 ? (tvlChange / tvlBefore) * 100 : 0;
+      let liquidityChange = tvlBefore > 0 ? (tvlChange / tvlBefore) * 100 : 0;
+
+      // Concentrated-liquidity pools: fall back to active liquidity (L) when TVL is unknown
+      if (!tvlBefore && poolBefore.liquidity && poolAfter.liquidity) {
+        const liquidityBefore = Number(poolBefore.liquidity);
+        const liquidityAfter = Number(poolAfter.liquidity);
+        if (liquidityBefore > 0) {
+          liquidityChange = ((liquidityAfter - liquidityBefore) / liquidityBefore) * 100;
+        }
+      }
 
       return {
         liquidityChange: parseFloat(liquidityChange.toFixed(4)),
@@ -321,9 +369,9 @@ class ImpactAnalyzer {
    */
   async storeWhaleImpact(txHash, impactAnalysis) {
     try {
-      const key = `whale:impact:${txHash}`;
-      await setJSON(key, impactAnalysis, IMPACT_TTL);
-      logger.debug(`Whale impact stored: ${key}`);
+      // Record (24 hour TTL) plus impacts:timeline index
+      await impactStore.save({ ...impactAnalysis, txHash });
+      logger.debug(`Whale impact stored: ${impactStore.keyFor(txHash)}`);
     } catch (error) {
       logger.error('Error storing whale impact:', error);
       throw error;
@@ -337,14 +385,22 @@ class ImpactAnalyzer {
    */
   async getWhaleImpact(txHash) {
     try {
-      const key = `whale:impact:${txHash}`;
-      return await getJSON(key);
+      return await impactStore.get(txHash);
     } catch (error) {
       logger.error('Error getting whale impact:', error);
       return null;
     }
   }
 
+  /**
+   * Remove impact analyses of transactions orphaned by a chain reorg
+   * @param {Array<string>} txHashes - Orphaned transaction hashes
+   */
+  async removeWhaleImpacts(txHashes) {
+    if (txHashes.length === 0) return;
+    await impactStore.remove(txHashes);
+  }
+
   /**
    * Get default impact object for errors
    * @param {string} txHash - Transaction hash
@@ -372,23 +428,8 @@ class ImpactAnalyzer {
    */
   async getRecentImpacts(limit = 20) {
     try {
-      const redis = getRedisClient();
-      const pattern = 'whale:impact:*';
-      const keys = await redis.keys(pattern);
-
-      // Get all impact data
-      const impacts = [];
-      for (const key of keys.slice(0, limit)) {
-        const data = await getJSON(key);
-        if (data) {
-          impacts.push(data);
-        }
-      }
-
-      // Sort by timestamp descending
-      impacts.sort((a, b) => b.timestamp - a.timestamp);
-
-      return impacts.slice(0, limit);
+      // Newest first from the impacts:timeline index
+      return await impactStore.range({ limit });
     } catch (error) {
       logger.error('Error getting recent impacts:', error);
       return [];
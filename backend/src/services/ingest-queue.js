@@ -0,0 +1,350 @@
+/**
+ * Ingest Queue
+ * Serializes event processing per pool so concurrent read-modify-write of
+ * pool state can't lose updates. Each pool's events run in block/log order;
+ * different pools run in parallel up to a concurrency limit. The queue is
+ * bounded: an overflowing live event is dropped, its pool's checkpoint is
+ * rewound, and the pool's live events are held back until the dropped range
+ * has been re-indexed, so its events are still applied in chain order.
+ */
+
+const logger = require('../utils/logger');
+const eventProcessor = require('./event-processor');
+
+const INGEST_QUEUE_MAX = parseInt(process.env.INGEST_QUEUE_MAX || '10000'); // events across all pools
+const INGEST_CONCURRENCY = parseInt(process.env.INGEST_CONCURRENCY || '8'); // pools processed at once
+const BATCH_SIZE = 50; // Events a pool worker handles before yielding to other pools
+const HIGH_WATER_RATIO = 0.8; // Warn when the queue is this full
+const TIMING_ALPHA = 0.1; // Weight of the newest sample in wait/processing averages
+const REINDEX_RETRY_MS = 5000; // Delay before retrying a failed re-index of dropped events
+
+/**
+ * Order events by block number, then log index
+ */
+function compareEvents(a, b) {
+  const blockDiff = Number(a.event.blockNumber ?? 0) - Number(b.event.blockNumber ?? 0);
+  if (blockDiff !== 0) return blockDiff;
+  return Number(a.event.logIndex ?? 0) - Number(b.event.logIndex ?? 0);
+}
+
+class IngestQueue {
+  constructor() {
+    this.queues = new Map(); // pool address -> pending entries, ordered
+    this.readyPools = []; // Pools with pending events and no running worker
+    this.runningPools = new Set();
+    this.depth = 0;
+    this.accepting = true;
+    this.saturated = false;
+    this.pausedPools = new Map(); // pool address -> { fromBlock, toBlock } of live events awaiting re-index
+    this.reindexing = false;
+    this.reindexTimer = null;
+    this.drainWaiters = [];
+    this.stats = {
+      enqueued: 0,
+      processed: 0,
+      dropped: 0,
+      deferred: 0, // Live events held back while their pool's dropped range is re-indexed
+      rejected: 0, // Arrived after shutdown started
+      maxDepth: 0,
+      avgWaitMs: 0,
+      avgProcessingMs: 0
+    };
+  }
+
+  /**
+   * Queue an event for its pool
+   * @param {Object} event - Decoded log
+   * @param {Object} options - Passed to EventProcessor.processEvent
+   * @returns {Promise<boolean>} - Resolves once processed (false if skipped or dropped)
+   */
+  enqueue(event, options = {}) {
+    if (!this.accepting) {
+      this.stats.rejected++;
+      return Promise.resolve(false);
+    }
+
+    const pool = (event.address || 'unknown').toLowerCase();
+
+    // Replays are always queued, even past the cap. A paused pool's live
+    // events are left to its re-index; other live events are dropped when full
+    if (!options.replay && this.pausedPools.has(pool)) {
+      this.stats.deferred++;
+      this.recordDrop(pool, event);
+      return Promise.resolve(false);
+    }
+    if (this.depth >= INGEST_QUEUE_MAX && !options.replay) {
+      this.stats.dropped++;
+      this.recordDrop(pool, event);
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const entry = { event, options, resolve, enqueuedAt: Date.now() };
+      this.insert(pool, entry);
+
+      this.depth++;
+      this.stats.enqueued++;
+      this.stats.maxDepth = Math.max(this.stats.maxDepth, this.depth);
+      this.checkSaturation();
+
+      if (!this.runningPools.has(pool) && !this.readyPools.includes(pool)) {
+        this.readyPools.push(pool);
+      }
+      this.pump();
+    });
+  }
+
+  /**
+   * Insert an entry into a pool's queue, keeping block/log order
+   * Events almost always arrive in order, so scan from the tail
+   * @private
+   */
+  insert(pool, entry) {
+    let queue = this.queues.get(pool);
+    if (!queue) {
+      queue = [];
+      this.queues.set(pool, queue);
+    }
+
+    let index = queue.length;
+    while (index > 0 && compareEvents(queue[index - 1], entry) > 0) {
+      index--;
+    }
+    queue.splice(index, 0, entry);
+  }
+
+  /**
+   * Start workers for ready pools up to the concurrency limit
+   * @private
+   */
+  pump() {
+    while (this.runningPools.size < INGEST_CONCURRENCY && this.readyPools.length > 0) {
+      const pool = this.readyPools.shift();
+      this.runningPools.add(pool);
+
+      this.runPool(pool).catch((error) => {
+        logger.error(`Ingest worker for pool ${pool} failed:`, error);
+      });
+    }
+  }
+
+  /**
+   * Process one pool's events in order, then yield
+   * @private
+   */
+  async runPool(pool) {
+    const queue = this.queues.get(pool) || [];
+
+    try {
+      for (let handled = 0; handled < BATCH_SIZE && queue.length > 0; handled++) {
+        const entry = queue.shift();
+        this.depth--;
+
+        const startedAt = Date.now();
+        this.stats.avgWaitMs = this.average(this.stats.avgWaitMs, startedAt - entry.enqueuedAt);
+
+        let result = false;
+        try {
+          result = await eventProcessor.processEvent(entry.event, entry.options);
+        } catch (error) {
+          logger.error(`Error processing queued event for pool ${pool}:`, error);
+        }
+
+        this.stats.processed++;
+        this.stats.avgProcessingMs = this.average(this.stats.avgProcessingMs, Date.now() - startedAt);
+        entry.resolve(result);
+      }
+    } finally {
+      this.runningPools.delete(pool);
+
+      if (queue.length > 0) {
+        this.readyPools.push(pool); // Back of the line so other pools get a turn
+      } else {
+        this.queues.delete(pool);
+      }
+
+      this.checkSaturation();
+      this.pump();
+      this.notifyDrained();
+    }
+  }
+
+  /**
+   * Moving average
+   * @private
+   */
+  average(current, sample) {
+    return current === 0 ? sample : current * (1 - TIMING_ALPHA) + sample * TIMING_ALPHA;
+  }
+
+  /**
+   * Track saturation and re-index dropped events once the backlog clears
+   * @private
+   */
+  checkSaturation() {
+    const highWater = INGEST_QUEUE_MAX * HIGH_WATER_RATIO;
+
+    if (!this.saturated && this.depth >= highWater) {
+      this.saturated = true;
+      logger.warn(`⚠️  Ingest queue at ${this.depth}/${INGEST_QUEUE_MAX} events, processing is falling behind`);
+    } else if (this.saturated && this.depth < highWater / 2) {
+      this.saturated = false;
+      logger.info(`Ingest queue recovered (${this.depth} events pending)`);
+      this.reindexDropped();
+    }
+  }
+
+  /**
+   * Pause a pool's live events from a dropped event's block until that range
+   * is re-indexed, rewinding its checkpoint so a restart replays it too
+   * @private
+   */
+  recordDrop(pool, event) {
+    const block = event.blockNumber !== undefined && event.blockNumber !== null ? Number(event.blockNumber) : null;
+    if (block === null) return;
+
+    const paused = this.pausedPools.get(pool);
+    if (paused) {
+      paused.fromBlock = Math.min(paused.fromBlock, block);
+      paused.toBlock = Math.max(paused.toBlock, block);
+      return;
+    }
+
+    this.pausedPools.set(pool, { fromBlock: block, toBlock: block });
+    logger.warn(`⚠️  Ingest queue full, pausing pool ${pool} from block ${block} until it is re-indexed`);
+    eventProcessor.rewindCheckpoints([pool], block - 1).catch((error) => {
+      logger.error(`Error rewinding checkpoint for ${pool}:`, error);
+    });
+  }
+
+  /**
+   * Re-index paused pools through the backfill service, then resume their
+   * live events. Rounds repeat until no pool is paused (events deferred
+   * during a round extend the next one); a failed round is retried
+   * @private
+   */
+  async reindexDropped() {
+    if (this.reindexing || this.pausedPools.size === 0 || !this.accepting || this.saturated) return;
+
+    this.reindexing = true;
+    clearTimeout(this.reindexTimer);
+    this.reindexTimer = null;
+
+    try {
+      // Required lazily: the backfill service feeds replays through this queue
+      const backfillService = require('./backfill-service');
+
+      while (this.pausedPools.size > 0 && this.accepting) {
+        const round = new Map(Array.from(this.pausedPools, ([pool, range]) => [pool, { ...range }]));
+        const fromBlock = Math.min(...Array.from(round.values(), range => range.fromBlock));
+        const toBlock = Math.min(
+          Math.max(...Array.from(round.values(), range => range.toBlock)),
+          fromBlock + backfillService.maxBlocks - 1
+        );
+
+        logger.info(`Re-indexing dropped events: blocks ${fromBlock}-${toBlock} for ${round.size} pools`);
+        const job = await backfillService.reindexRangeAndWait({ fromBlock, toBlock, pools: Array.from(round.keys()) });
+        if (job.status !== 'completed') {
+          throw new Error(job.error || `re-index job ${job.id} ${job.status}`);
+        }
+
+        // Resume pools whose deferred events were all replayed
+        for (const pool of round.keys()) {
+          const paused = this.pausedPools.get(pool);
+          if (paused.toBlock <= toBlock) {
+            this.pausedPools.delete(pool);
+            logger.info(`Resumed live events for pool ${pool}`);
+          } else {
+            paused.fromBlock = Math.max(paused.fromBlock, toBlock + 1);
+          }
+        }
+      }
+    } catch (error) {
+      logger.warn(`Could not re-index dropped events, retrying in ${REINDEX_RETRY_MS}ms: ${error.message}`);
+      this.reindexTimer = setTimeout(() => this.reindexDropped(), REINDEX_RETRY_MS);
+    } finally {
+      this.reindexing = false;
+    }
+  }
+
+  /**
+   * Resolve drain waiters once everything queued has been processed
+   * @private
+   */
+  notifyDrained() {
+    if (this.depth > 0 || this.runningPools.size > 0) return;
+
+    const waiters = this.drainWaiters;
+    this.drainWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Stop accepting events and wait for queued ones to finish
+   * @param {number} timeoutMs - Give up after this long
+   * @returns {Object} - { drained, remaining }
+   */
+  async drain(timeoutMs = 10000) {
+    this.accepting = false;
+    clearTimeout(this.reindexTimer);
+    this.reindexTimer = null;
+
+    if (this.depth > 0 || this.runningPools.size > 0) {
+      logger.info(`Draining ingest queue (${this.depth} events pending)...`);
+
+      let timer;
+      await Promise.race([
+        new Promise(resolve => this.drainWaiters.push(resolve)),
+        new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+      ]);
+      clearTimeout(timer);
+    }
+
+    const remaining = this.depth;
+    if (remaining > 0) {
+      logger.warn(`Ingest queue drain timed out with ${remaining} events pending`);
+    }
+    return { drained: remaining === 0, remaining };
+  }
+
+  /**
+   * Get queue depth and backpressure metrics
+   */
+  getStats() {
+    const now = Date.now();
+    let oldestWaitMs = 0;
+    const poolDepths = [];
+
+    for (const [pool, queue] of this.queues.entries()) {
+      if (queue.length === 0) continue;
+      poolDepths.push({ pool, depth: queue.length });
+      oldestWaitMs = Math.max(oldestWaitMs, now - queue[0].enqueuedAt);
+    }
+
+    return {
+      depth: this.depth,
+      capacity: INGEST_QUEUE_MAX,
+      utilization: parseFloat((this.depth / INGEST_QUEUE_MAX).toFixed(3)),
+      saturated: this.saturated,
+      accepting: this.accepting,
+      activePools: this.runningPools.size,
+      queuedPools: this.queues.size,
+      concurrency: INGEST_CONCURRENCY,
+      oldestWaitMs,
+      ...this.stats,
+      avgWaitMs: Math.round(this.stats.avgWaitMs),
+      avgProcessingMs: Math.round(this.stats.avgProcessingMs),
+      pendingReindex: this.pausedPools.size > 0
+        ? {
+          fromBlock: Math.min(...Array.from(this.pausedPools.values(), range => range.fromBlock)),
+          toBlock: Math.max(...Array.from(this.pausedPools.values(), range => range.toBlock)),
+          pools: this.pausedPools.size,
+          reindexing: this.reindexing
+        }
+        : null,
+      deepestPools: poolDepths.sort((a, b) => b.depth - a.depth).slice(0, 5)
+    };
+  }
+}
+
+module.exports = new IngestQueue();
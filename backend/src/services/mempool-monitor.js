@@ -0,0 +1,420 @@
+/**
+ * Mempool Monitor
+ * Watches pending transactions on nodes that expose them (a local anvil or
+ * hardhat node works as a stand-in) for router swaps into monitored pools,
+ * and estimates how exposed each one is to a sandwich before it lands: the
+ * price impact the swap will have and how much room its minimum output
+ * leaves an attacker. Exposed swaps are broadcast as `mev:risk` warnings.
+ */
+
+const { decodeFunctionData, formatUnits, toFunctionSelector } = require('viem');
+const { watchPendingTransactions } = require('viem/actions');
+const logger = require('../utils/logger');
+const { getProvider, createSomniaWebSocketClient } = require('../config/somnia-chain');
+const { SWAP_ROUTER_ABI } = require('../config/dex-abi');
+const poolRegistry = require('./pool-registry');
+const poolStateManager = require('./pool-state-manager');
+const priceImpactPredictor = require('./price-impact-predictor');
+const priceOracle = require('./price-oracle');
+
+const MEMPOOL_MONITOR_ENABLED = process.env.MEMPOOL_MONITOR_ENABLED === 'true';
+const MEMPOOL_WS_URL = process.env.MEMPOOL_WS_URL || process.env.RPC_WS_URL || ''; // eth_subscribe; pending-tx filter polling otherwise
+const MEMPOOL_POLL_INTERVAL_MS = parseInt(process.env.MEMPOOL_POLL_INTERVAL_MS || '1000');
+const MEMPOOL_MIN_TRADE_USD = parseFloat(process.env.MEMPOOL_MIN_TRADE_USD || '1000'); // Smaller swaps aren't worth a sandwich
+const MEMPOOL_MAX_IN_FLIGHT = parseInt(process.env.MEMPOOL_MAX_IN_FLIGHT || '20'); // Pending lookups at once; extra hashes are dropped
+const MAX_SEEN_TXS = 10000;
+const MAX_RECENT_WARNINGS = 100;
+
+// Slippage room (% of the expected output) that makes a swap worth sandwiching
+const HIGH_RISK_TOLERANCE_PCT = 3;
+const MEDIUM_RISK_TOLERANCE_PCT = 1;
+
+const ROUTER_SELECTORS = new Set(SWAP_ROUTER_ABI.map(item => toFunctionSelector(item)));
+
+const lower = (address) => (address ? address.toLowerCase() : null);
+
+class MempoolMonitor {
+  constructor() {
+    this.provider = null;
+    this.wsProvider = null;
+    this.socketHandler = null;
+    this.isEnabled = MEMPOOL_MONITOR_ENABLED;
+    this.unwatch = null;
+    this.seenTxs = new Set(); // Pending hashes already looked at
+    this.inFlight = 0;
+    this.recentWarnings = []; // Newest first
+    this.stats = {
+      pendingSeen: 0,
+      dropped: 0, // Over MEMPOOL_MAX_IN_FLIGHT
+      swapsDecoded: 0,
+      unmonitored: 0, // Swaps through pools we don't track
+      unsupported: 0, // Pools without reserves or active liquidity to simulate
+      warnings: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Initialize the mempool monitor
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing Mempool Monitor...');
+      this.provider = getProvider();
+      logger.info(`✅ Mempool Monitor initialized (enabled: ${this.isEnabled})`);
+    } catch (error) {
+      logger.error('Failed to initialize Mempool Monitor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set socket handler for risk warnings
+   * @param {Object} handler - Socket handler instance
+   */
+  setSocketHandler(handler) {
+    this.socketHandler = handler;
+    logger.info('Socket handler set for Mempool Monitor');
+  }
+
+  /**
+   * Subscribe to pending transactions
+   * Over a WebSocket endpoint when one is configured, otherwise by polling a
+   * pending-transaction filter. Nodes that don't expose their mempool reject
+   * the subscription; the monitor then stays idle.
+   */
+  async start() {
+    if (!this.isEnabled || this.unwatch) return;
+
+    try {
+      let client = this.provider;
+      if (MEMPOOL_WS_URL) {
+        this.wsProvider = createSomniaWebSocketClient(MEMPOOL_WS_URL);
+        client = this.wsProvider;
+      }
+
+      this.unwatch = watchPendingTransactions(client, {
+        poll: MEMPOOL_WS_URL ? undefined : true,
+        pollingInterval: MEMPOOL_POLL_INTERVAL_MS,
+        onTransactions: (hashes) => this.handlePendingHashes(hashes),
+        onError: (error) => {
+          logger.warn(`Pending transaction subscription error: ${error.shortMessage || error.message}`);
+        }
+      });
+
+      logger.info(`👀 Mempool monitoring started (${MEMPOOL_WS_URL ? 'eth_subscribe' : `filter polling every ${MEMPOOL_POLL_INTERVAL_MS}ms`})`);
+    } catch (error) {
+      logger.error('Failed to start mempool monitoring:', error);
+      await this.stop();
+    }
+  }
+
+  /**
+   * Stop watching pending transactions
+   */
+  async stop() {
+    if (this.unwatch) {
+      try {
+        this.unwatch();
+      } catch (error) {
+        logger.debug(`Error stopping pending transaction watcher: ${error.message}`);
+      }
+      this.unwatch = null;
+      logger.info('Mempool monitoring stopped');
+    }
+
+    const wsProvider = this.wsProvider;
+    this.wsProvider = null;
+    if (wsProvider) {
+      try {
+        const rpcClient = await wsProvider.transport.getRpcClient();
+        rpcClient.close();
+      } catch (error) {
+        logger.debug(`Error closing mempool WebSocket client: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Look up newly seen pending transactions
+   * @param {Array<string>} hashes - Pending transaction hashes
+   * @private
+   */
+  handlePendingHashes(hashes) {
+    for (const hash of hashes) {
+      if (this.seenTxs.has(hash)) continue;
+
+      this.seenTxs.add(hash);
+      if (this.seenTxs.size > MAX_SEEN_TXS) {
+        this.seenTxs.delete(this.seenTxs.values().next().value);
+      }
+      this.stats.pendingSeen++;
+
+      if (this.inFlight >= MEMPOOL_MAX_IN_FLIGHT) {
+        this.stats.dropped++;
+        continue;
+      }
+
+      this.inFlight++;
+      this.inspectTransaction(hash)
+        .catch((error) => {
+          this.stats.failed++;
+          logger.debug(`Error inspecting pending transaction ${hash}: ${error.message}`);
+        })
+        .finally(() => {
+          this.inFlight--;
+        });
+    }
+  }
+
+  /**
+   * Fetch a pending transaction and assess it if it is a router swap
+   * @param {string} hash - Transaction hash
+   * @returns {Object|null} - Risk warning, if one was raised
+   */
+  async inspectTransaction(hash) {
+    const tx = await this.provider.getTransaction({ hash });
+
+    // Already mined by the time we looked: the block-level detector covers it
+    if (!tx || tx.blockNumber !== null || !tx.to || !tx.input) return null;
+    if (!ROUTER_SELECTORS.has(tx.input.slice(0, 10))) return null;
+
+    const swap = this.decodeSwap(tx);
+    if (!swap) return null;
+    this.stats.swapsDecoded++;
+
+    const warning = await this.assessSwap(swap);
+    if (warning) {
+      this.raiseWarning(warning);
+    }
+    return warning;
+  }
+
+  /**
+   * Decode router calldata into an exact-input swap
+   * @param {Object} tx - Pending transaction
+   * @returns {Object|null} - { txHash, from, router, method, path, amountIn, amountOutMin, fee, protocols }
+   */
+  decodeSwap(tx) {
+    let decoded;
+    try {
+      decoded = decodeFunctionData({ abi: SWAP_ROUTER_ABI, data: tx.input });
+    } catch (error) {
+      return null;
+    }
+
+    const { functionName, args } = decoded;
+    const base = {
+      txHash: tx.hash,
+      from: lower(tx.from),
+      router: lower(tx.to),
+      method: functionName
+    };
+
+    if (functionName === 'exactInputSingle') {
+      const params = args[0];
+      return {
+        ...base,
+        path: [lower(params.tokenIn), lower(params.tokenOut)],
+        amountIn: params.amountIn,
+        amountOutMin: params.amountOutMinimum,
+        fee: params.fee ?? null, // Algebra pools have no fee tier in the call
+        protocols: params.fee !== undefined ? ['v3'] : ['algebra']
+      };
+    }
+
+    // V2 router: the ETH-in variants take the input amount as msg.value
+    const nativeIn = functionName.startsWith('swapExactETHFor');
+    const [amountIn, amountOutMin, path] = nativeIn ? [tx.value, ...args] : args;
+
+    return {
+      ...base,
+      path: path.map(lower),
+      amountIn,
+      amountOutMin,
+      fee: null,
+      protocols: ['v2']
+    };
+  }
+
+  /**
+   * Pick the monitored pool a swap hop would route through
+   * A router only knows its own factory's pools, so this prefers a pool of
+   * the same protocol (and fee tier), then the one with the deepest liquidity
+   * @returns {Object|null} - Registry record
+   * @private
+   */
+  async findPool(tokenIn, tokenOut, { protocols, fee }) {
+    const candidates = poolRegistry.findPoolsByPair(tokenIn, tokenOut)
+      .filter(pool => protocols.includes(pool.protocol) && (fee === null || pool.fee === fee));
+    if (candidates.length === 0) return null;
+
+    let best = null;
+    let bestTVL = -1;
+    for (const pool of candidates) {
+      const state = await poolStateManager.getPoolState(pool.address);
+      const tvl = state?.tvl || 0;
+      if (tvl > bestTVL) {
+        best = pool;
+        bestTVL = tvl;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Simulate a pending swap through monitored pools and estimate its sandwich risk
+   * @param {Object} swap - Decoded swap
+   * @returns {Object|null} - Risk warning, or null if not exposed or not assessable
+   */
+  async assessSwap(swap) {
+    const hops = [];
+    let amount = swap.amountIn;
+
+    for (let i = 0; i < swap.path.length - 1; i++) {
+      const tokenIn = swap.path[i];
+      const tokenOut = swap.path[i + 1];
+
+      const pool = await this.findPool(tokenIn, tokenOut, swap);
+      if (!pool) {
+        this.stats.unmonitored++;
+        return null;
+      }
+
+      // V2 pools need reserves, V3/Algebra pools a price and active liquidity
+      const state = await poolStateManager.getPoolState(pool.address);
+      const hasLiquidity = state && ((Number(state.reserve0) && Number(state.reserve1)) ||
+        (state.sqrtPriceX96 && Number(state.liquidity)));
+      if (!hasLiquidity) {
+        this.stats.unsupported++;
+        return null;
+      }
+
+      const prediction = await priceImpactPredictor.predictImpact(pool.address, tokenIn, tokenOut, amount);
+      hops.push({
+        pool,
+        tokenIn: this.tokenOf(pool, tokenIn),
+        tokenOut: this.tokenOf(pool, tokenOut),
+        amountIn: amount,
+        amountOut: BigInt(prediction.amountOut),
+        priceImpact: Math.abs(prediction.priceImpact),
+        fee: prediction.fee // Algebra pools charge their current dynamic fee
+      });
+      amount = BigInt(prediction.amountOut);
+    }
+
+    const first = hops[0];
+    const last = hops[hops.length - 1];
+    const expectedOut = last.amountOut;
+    if (expectedOut <= 0n) return null;
+
+    const tradeUSD = priceOracle.toUSD(first.tokenIn.address, swap.amountIn, first.tokenIn.decimals);
+    if (tradeUSD !== null && tradeUSD < MEMPOOL_MIN_TRADE_USD) return null;
+
+    // A sandwich pays the pool fee twice; it only pays off when the victim
+    // moves the price further than that, and the victim's minimum output
+    // bounds how far the attacker can push the price beforehand
+    const worst = hops.reduce((a, b) => (b.priceImpact > a.priceImpact ? b : a));
+    const roundTripFeePct = worst.fee * 2 * 100;
+    const amountOutMin = Number(swap.amountOutMin);
+    const slippageTolerance = amountOutMin > 0 ? Math.max(0, (1 - amountOutMin / Number(expectedOut)) * 100) : 100;
+
+    if (worst.priceImpact <= roundTripFeePct || slippageTolerance === 0) return null;
+
+    let riskLevel;
+    if (amountOutMin === 0) {
+      riskLevel = 'critical';
+    } else if (slippageTolerance >= HIGH_RISK_TOLERANCE_PCT) {
+      riskLevel = 'high';
+    } else if (slippageTolerance >= MEDIUM_RISK_TOLERANCE_PCT) {
+      riskLevel = 'medium';
+    } else {
+      return null;
+    }
+
+    const maxLossRaw = expectedOut - BigInt(swap.amountOutMin);
+
+    return {
+      txHash: swap.txHash,
+      from: swap.from,
+      router: swap.router,
+      method: swap.method,
+      route: [first.tokenIn, ...hops.map(hop => hop.tokenOut)]
+        .map(token => token.symbol || token.address)
+        .join(' → '),
+      poolAddress: worst.pool.address,
+      dex: worst.pool.dex,
+      pools: hops.map(hop => ({
+        poolAddress: hop.pool.address,
+        dex: hop.pool.dex,
+        tokenIn: hop.tokenIn.symbol || hop.tokenIn.address,
+        tokenOut: hop.tokenOut.symbol || hop.tokenOut.address,
+        priceImpact: hop.priceImpact
+      })),
+      tokenIn: first.tokenIn.symbol || first.tokenIn.address,
+      tokenOut: last.tokenOut.symbol || last.tokenOut.address,
+      amountIn: formatUnits(swap.amountIn, first.tokenIn.decimals),
+      expectedAmountOut: formatUnits(expectedOut, last.tokenOut.decimals),
+      amountOutMin: formatUnits(swap.amountOutMin, last.tokenOut.decimals),
+      tradeUSD,
+      priceImpact: worst.priceImpact,
+      roundTripFeePct,
+      slippageTolerance,
+      riskLevel,
+      maxLossAmount: formatUnits(maxLossRaw, last.tokenOut.decimals),
+      maxLossUSD: priceOracle.toUSD(last.tokenOut.address, maxLossRaw, last.tokenOut.decimals),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Token metadata of one side of a pool
+   * @private
+   */
+  tokenOf(pool, address) {
+    const token = [pool.token0, pool.token1].find(t => t && t.address === address);
+    return token || { address, symbol: null, decimals: 18 };
+  }
+
+  /**
+   * Keep and broadcast a risk warning
+   * @param {Object} warning - Risk warning
+   * @private
+   */
+  raiseWarning(warning) {
+    this.stats.warnings++;
+    this.recentWarnings.unshift(warning);
+    if (this.recentWarnings.length > MAX_RECENT_WARNINGS) {
+      this.recentWarnings.length = MAX_RECENT_WARNINGS;
+    }
+
+    logger.warn(`⚠️  Sandwich risk (${warning.riskLevel}) on pending ${warning.txHash}: ${warning.route}, ${warning.slippageTolerance.toFixed(2)}% slippage room, ${warning.priceImpact.toFixed(2)}% impact`);
+
+    if (this.socketHandler) {
+      this.socketHandler.broadcastMEVRisk(warning);
+    }
+  }
+
+  /**
+   * Get the most recent risk warnings, newest first
+   * @param {number} limit - Max warnings
+   */
+  getRecentWarnings(limit = 50) {
+    return this.recentWarnings.slice(0, limit);
+  }
+
+  /**
+   * Get monitor statistics
+   */
+  getStats() {
+    return {
+      enabled: this.isEnabled,
+      watching: !!this.unwatch,
+      transport: MEMPOOL_WS_URL ? 'websocket' : 'polling',
+      inFlight: this.inFlight,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new MempoolMonitor();
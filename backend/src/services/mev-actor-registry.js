@@ -0,0 +1,359 @@
+/**
+ * MEV Actor Registry
+ * Persistent profiles of the bots and wallets behind detected MEV: attack
+ * counts by type, pools targeted, cumulative profit and victim losses,
+ * first/last seen, and the contracts and signers linked to each actor.
+ * An actor is keyed by its bot contract when one is known (several signers
+ * often drive the same contract), otherwise by the signing wallet.
+ */
+
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+
+const ACTORS_KEY = 'mev:actors'; // hash: actor address -> JSON profile
+const LEGACY_BOTS_KEY = 'mev:bots'; // hash: bot contract -> JSON arbitrage aggregate (pre-registry)
+const MAX_RECENT_ATTACKS = 20;
+
+const lower = (address) => (address ? address.toLowerCase() : null);
+
+/**
+ * Work out who is behind an MEV record
+ * @param {Object} mev - MEV record
+ * @returns {Object|null} - { address, contracts, wallets }
+ */
+function actorOf(mev) {
+  let contracts = [];
+  let wallets = [];
+
+  switch (mev.type) {
+    case 'sandwich_attack':
+      contracts = [mev.attackerContract];
+      wallets = [mev.attacker, mev.backRunWallet];
+      break;
+    case 'atomic_arbitrage':
+      contracts = [mev.bot];
+      wallets = [mev.searcher];
+      break;
+    case 'jit_liquidity':
+      contracts = [mev.provider];
+      break;
+    case 'front_running':
+      wallets = [mev.frontRunner];
+      break;
+    case 'back_running':
+      wallets = [mev.backRunner];
+      break;
+    default:
+      return null;
+  }
+
+  contracts = [...new Set(contracts.map(lower).filter(Boolean))];
+  wallets = [...new Set(wallets.map(lower).filter(Boolean))];
+
+  const address = contracts[0] || wallets[0];
+  return address ? { address, contracts, wallets } : null;
+}
+
+class MEVActorRegistry {
+  constructor() {
+    this.actors = new Map(); // actor address -> profile
+    this.aliases = new Map(); // linked contract/wallet -> actor address
+  }
+
+  /**
+   * Load actor profiles from Redis
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing MEV Actor Registry...');
+
+      const redis = this.getRedis();
+      if (redis) {
+        const records = await redis.hGetAll(ACTORS_KEY);
+        for (const [address, value] of Object.entries(records)) {
+          try {
+            this.addActor(JSON.parse(value));
+          } catch (error) {
+            logger.warn(`Skipping corrupt MEV actor profile for ${address}`);
+          }
+        }
+        await this.migrateBotAggregates(redis);
+      }
+
+      logger.info(`✅ MEV Actor Registry initialized with ${this.actors.size} actors`);
+    } catch (error) {
+      logger.error('Failed to initialize MEV Actor Registry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fold the arbitrage bot aggregates the receipt analyzer used to keep into
+   * actor profiles, deleting each one once migrated (so an interrupted
+   * migration never counts a bot twice). Those aggregates stopped
+   * updating when the registry took over, so they are added to (not merged
+   * with) any profile recorded since. Per-pool counts weren't kept: each
+   * pool a bot traded starts at one attack
+   * @param {Object} redis - Redis client
+   * @private
+   */
+  async migrateBotAggregates(redis) {
+    const records = await redis.hGetAll(LEGACY_BOTS_KEY);
+    const entries = Object.entries(records);
+    if (entries.length === 0) return;
+
+    for (const [address, value] of entries) {
+      let bot = null;
+      try {
+        bot = JSON.parse(value);
+      } catch (error) {
+        logger.warn(`Dropping corrupt bot aggregate for ${address}`);
+      }
+      if (!(bot?.arbitrages > 0)) {
+        await redis.hDel(LEGACY_BOTS_KEY, address);
+        continue;
+      }
+
+      const contract = lower(bot.address || address);
+      const actor = this.getActor(contract) || {
+        address: contract,
+        attackCount: 0,
+        byType: {},
+        pools: {},
+        profitUSD: 0,
+        victimLossUSD: 0,
+        firstSeen: bot.firstSeen,
+        lastSeen: bot.lastSeen,
+        linkedContracts: [],
+        linkedWallets: [],
+        recentAttacks: []
+      };
+
+      actor.attackCount += bot.arbitrages;
+      actor.byType.atomic_arbitrage = (actor.byType.atomic_arbitrage || 0) + bot.arbitrages;
+      for (const pool of (bot.pools || []).map(lower).filter(Boolean)) {
+        actor.pools[pool] = (actor.pools[pool] || 0) + 1;
+      }
+      actor.profitUSD += bot.netProfitUSD ?? bot.profitUSD ?? 0;
+      actor.firstSeen = Math.min(actor.firstSeen, bot.firstSeen ?? actor.firstSeen);
+      actor.lastSeen = Math.max(actor.lastSeen, bot.lastSeen ?? actor.lastSeen);
+      if (!actor.linkedContracts.includes(contract)) actor.linkedContracts.push(contract);
+      for (const wallet of (bot.searchers || []).map(lower).filter(Boolean)) {
+        if (!actor.linkedWallets.includes(wallet)) actor.linkedWallets.push(wallet);
+      }
+
+      this.addActor(actor);
+      await this.saveActor(actor);
+      await redis.hDel(LEGACY_BOTS_KEY, address);
+    }
+
+    logger.info(`Migrated ${entries.length} arbitrage bot aggregates from ${LEGACY_BOTS_KEY} into MEV actor profiles`);
+  }
+
+  /**
+   * Get the Redis client if it is connected
+   * @private
+   */
+  getRedis() {
+    try {
+      const redis = getRedisClient();
+      return redis.isReady ? redis : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Index a profile and its linked addresses in memory
+   * @private
+   */
+  addActor(actor) {
+    this.actors.set(actor.address, actor);
+    for (const linked of [...actor.linkedContracts, ...actor.linkedWallets]) {
+      this.aliases.set(linked, actor.address);
+    }
+  }
+
+  /**
+   * Persist one profile (or drop it once it has no attacks left)
+   * @private
+   */
+  async saveActor(actor) {
+    const redis = this.getRedis();
+    if (!redis) return;
+
+    if (actor.attackCount > 0) {
+      await redis.hSet(ACTORS_KEY, actor.address, JSON.stringify(actor));
+    } else {
+      await redis.hDel(ACTORS_KEY, actor.address);
+    }
+  }
+
+  /**
+   * Fold a newly recorded MEV detection into its actor's profile
+   * @param {Object} mev - MEV record
+   * @param {string} id - MEV record id (mevStore id)
+   */
+  async recordAttack(mev, id) {
+    const identity = actorOf(mev);
+    if (!identity) return;
+
+    try {
+      // A wallet or contract seen before may already belong to another actor
+      const address = this.actorAddressOf(mev);
+      const actor = this.actors.get(address) || {
+        address,
+        attackCount: 0,
+        byType: {},
+        pools: {},
+        profitUSD: 0,
+        victimLossUSD: 0,
+        firstSeen: mev.timestamp,
+        lastSeen: mev.timestamp,
+        linkedContracts: [],
+        linkedWallets: [],
+        recentAttacks: []
+      };
+
+      actor.attackCount++;
+      actor.byType[mev.type] = (actor.byType[mev.type] || 0) + 1;
+      for (const pool of mev.poolAddresses || [mev.poolAddress]) {
+        if (!pool) continue;
+        const key = pool.toLowerCase();
+        actor.pools[key] = (actor.pools[key] || 0) + 1;
+      }
+      actor.profitUSD += mev.netProfitUSD ?? mev.profitUSD ?? 0;
+      actor.victimLossUSD += mev.victimLossUSD || 0;
+      actor.firstSeen = Math.min(actor.firstSeen, mev.timestamp);
+      actor.lastSeen = Math.max(actor.lastSeen, mev.timestamp);
+
+      for (const contract of identity.contracts) {
+        if (!actor.linkedContracts.includes(contract)) actor.linkedContracts.push(contract);
+      }
+      for (const wallet of identity.wallets) {
+        if (!actor.linkedWallets.includes(wallet)) actor.linkedWallets.push(wallet);
+      }
+
+      actor.recentAttacks.unshift(id);
+      if (actor.recentAttacks.length > MAX_RECENT_ATTACKS) {
+        actor.recentAttacks.length = MAX_RECENT_ATTACKS;
+      }
+
+      this.addActor(actor);
+      await this.saveActor(actor);
+    } catch (error) {
+      logger.error(`Error updating MEV actor ${identity.address}:`, error);
+    }
+  }
+
+  /**
+   * Take rolled-back MEV detections (chain reorg) out of their actors' profiles
+   * @param {Array<Object>} records - [{ mev, id }]
+   */
+  async removeAttacks(records) {
+    for (const { mev, id } of records) {
+      const identity = actorOf(mev);
+      if (!identity) continue;
+
+      const actor = this.actors.get(this.aliases.get(identity.address) || identity.address);
+      if (!actor || actor.attackCount === 0) continue;
+
+      try {
+        actor.attackCount = Math.max(0, actor.attackCount - 1);
+        if (actor.byType[mev.type] && --actor.byType[mev.type] === 0) delete actor.byType[mev.type];
+        for (const pool of mev.poolAddresses || [mev.poolAddress]) {
+          const key = pool ? pool.toLowerCase() : null;
+          if (!key || !actor.pools[key]) continue;
+          if (--actor.pools[key] === 0) delete actor.pools[key];
+        }
+        actor.profitUSD -= mev.netProfitUSD ?? mev.profitUSD ?? 0;
+        actor.victimLossUSD -= mev.victimLossUSD || 0;
+        actor.recentAttacks = actor.recentAttacks.filter(attackId => attackId !== id);
+
+        if (actor.attackCount === 0) {
+          this.actors.delete(actor.address);
+          for (const linked of [...actor.linkedContracts, ...actor.linkedWallets]) {
+            if (this.aliases.get(linked) === actor.address) this.aliases.delete(linked);
+          }
+        }
+        await this.saveActor(actor);
+      } catch (error) {
+        logger.error(`Error rolling back MEV actor ${actor.address}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Address of the actor behind an MEV record (its bot contract when known,
+   * otherwise the signer, resolved through linked addresses)
+   * @param {Object} mev - MEV record
+   * @returns {string|null}
+   */
+  actorAddressOf(mev) {
+    const identity = actorOf(mev);
+    if (!identity) return null;
+    return this.aliases.get(identity.address) || identity.address;
+  }
+
+  /**
+   * Find the actor an address belongs to
+   * @param {string} address - Actor, linked contract or linked wallet
+   * @returns {Object|null} - Actor profile
+   */
+  getActor(address) {
+    const key = lower(address);
+    if (!key) return null;
+    return this.actors.get(this.aliases.get(key) || key) || null;
+  }
+
+  /**
+   * Find the first known actor among several addresses (e.g. a swap's
+   * signer, sender and recipient)
+   * @param {...string} addresses - Candidate addresses
+   * @returns {Object|null} - Actor profile
+   */
+  findActor(...addresses) {
+    for (const address of addresses) {
+      const actor = this.getActor(address);
+      if (actor) return actor;
+    }
+    return null;
+  }
+
+  /**
+   * List actors
+   * @param {Object} options - { sortBy: 'profit'|'attacks'|'recent', type, limit }
+   * @returns {Array<Object>}
+   */
+  getActors({ sortBy = 'profit', type = null, limit = 50 } = {}) {
+    const sorters = {
+      profit: (a, b) => b.profitUSD - a.profitUSD,
+      attacks: (a, b) => b.attackCount - a.attackCount,
+      recent: (a, b) => b.lastSeen - a.lastSeen
+    };
+
+    return Array.from(this.actors.values())
+      .filter(actor => !type || actor.byType[type] > 0)
+      .sort(sorters[sortBy] || sorters.profit)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get registry statistics
+   */
+  getStats() {
+    const actors = Array.from(this.actors.values());
+    return {
+      actors: actors.length,
+      linkedAddresses: this.aliases.size,
+      totalProfitUSD: actors.reduce((sum, actor) => sum + actor.profitUSD, 0),
+      topActors: this.getActors({ limit: 5 }).map(actor => ({
+        address: actor.address,
+        attackCount: actor.attackCount,
+        profitUSD: actor.profitUSD
+      }))
+    };
+  }
+}
+
+module.exports = new MEVActorRegistry();
@@ -1,22 +1,65 @@
 /**
  * MEV Detection System
  * Detects MEV (Maximal Extractable Value) activities
- * Including sandwich attacks, front-running, and back-running
+ * Including sandwich attacks, JIT liquidity, atomic arbitrage, front-running, and back-running
  */
 
+const { formatUnits } = require('viem');
 const logger = require('../utils/logger');
-const { setJSON, getJSON } = require('../config/redis');
+const { mevStore, mevAttackersOf, mevVictimsOf } = require('../config/redis-store');
+const priceOracle = require('./price-oracle');
+const poolRegistry = require('./pool-registry');
+const receiptAnalyzer = require('./receipt-analyzer');
+const mevActorRegistry = require('./mev-actor-registry');
+const mevVictimTracker = require('./mev-victim-tracker');
 
 const MEV_DETECTION_ENABLED = process.env.MEV_DETECTION_ENABLED !== 'false';
 const MEV_LOOKBACK_BLOCKS = parseInt(process.env.MEV_LOOKBACK_BLOCKS || '3');
+const MEV_BLOCK_SETTLE_MS = parseInt(process.env.MEV_BLOCK_SETTLE_MS || '2000'); // Quiet time before a block counts as complete
+const MEV_BLOCK_MAX_WAIT_MS = parseInt(process.env.MEV_BLOCK_MAX_WAIT_MS || '10000'); // Analyze even if no later block shows up
+const FLUSH_INTERVAL_MS = 1000;
+const MAX_RECORDED_IDS = 5000;
+
+// Public routers: many unrelated users share them as msg.sender, so a shared
+// router is not evidence that two swaps came from the same bot
+const KNOWN_ROUTERS = new Set(
+  (process.env.MEV_KNOWN_ROUTERS || '')
+    .split(',')
+    .map(address => address.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+/**
+ * Order events by position in the block
+ */
+function compareBlockOrder(a, b) {
+  return (a.transactionIndex ?? 0) - (b.transactionIndex ?? 0) || (a.logIndex ?? 0) - (b.logIndex ?? 0);
+}
+
+/**
+ * Format a signed raw amount with token decimals
+ * @param {bigint} raw - Raw amount
+ * @param {number} decimals - Token decimals
+ * @returns {string}
+ */
+function formatSigned(raw, decimals) {
+  return raw < 0n ? `-${formatUnits(-raw, decimals)}` : formatUnits(raw, decimals);
+}
 
 class MEVDetector {
   constructor() {
     this.recentTransactions = []; // Recent tx for pattern detection
-    this.detectedMEV = [];
+    this.detectedMEV = []; // Latest detections, for reorg rollback (history lives in mevStore)
     this.maxRecentTx = 1000;
     this.socketHandler = null;
     this.isEnabled = MEV_DETECTION_ENABLED;
+    this.pendingBlocks = new Map(); // block number -> { swaps, lastSeenAt }
+    this.highestBlock = 0;
+    this.flushTimer = null;
+    this.flushing = null; // In-flight flush, so shutdown can wait for it
+    this.recordedIds = new Set(); // Detections already recorded (replays, re-analysis)
+    this.blocksAnalyzed = 0;
+    this.swapsAnalyzed = 0;
   }
 
   /**
@@ -41,30 +84,204 @@ class MEVDetector {
   }
 
   /**
-   * Process transaction and detect MEV
+   * Queue a swap for MEV detection
+   * Swaps are buffered per block; detection runs once the block is complete
+   * so it sees every swap of the block in transaction order.
+   * @param {Object} txData - Normalized swap record from the swap decoder
    */
   async processTransaction(txData) {
     if (!this.isEnabled) return;
 
+    if (txData.blockNumber === null || txData.blockNumber === undefined) {
+      logger.debug(`Skipping MEV detection for ${txData.txHash}: no block number`);
+      return;
+    }
+
+    const blockNumber = Number(txData.blockNumber);
+    this.getPendingBlock(blockNumber).swaps.push({ ...txData, blockNumber, processedAt: Date.now() });
+  }
+
+  /**
+   * Queue a concentrated-liquidity Mint/Burn for JIT liquidity detection
+   * @param {Object} event - Decoded Mint or Burn log
+   */
+  async processLiquidityEvent(event) {
+    if (!this.isEnabled) return;
+
+    const args = event.args || {};
+    if (args.tickLower === undefined || event.blockNumber === null || event.blockNumber === undefined) {
+      return; // V2 liquidity is full-range, so it can't be used for JIT
+    }
+
+    const blockNumber = Number(event.blockNumber);
+    this.getPendingBlock(blockNumber).liquidity.push({
+      type: event.eventName,
+      txHash: event.transactionHash,
+      transactionIndex: event.transactionIndex != null ? Number(event.transactionIndex) : null,
+      logIndex: event.logIndex != null ? Number(event.logIndex) : null,
+      blockNumber,
+      poolAddress: event.address,
+      owner: args.owner ? args.owner.toLowerCase() : null,
+      tickLower: Number(args.tickLower),
+      tickUpper: Number(args.tickUpper),
+      liquidity: BigInt(args.amount || 0),
+      amount0: BigInt(args.amount0 || 0),
+      amount1: BigInt(args.amount1 || 0)
+    });
+  }
+
+  /**
+   * Get (or start) the buffer of a block and mark it as just seen
+   * @private
+   */
+  getPendingBlock(blockNumber) {
+    let block = this.pendingBlocks.get(blockNumber);
+    if (!block) {
+      block = { swaps: [], liquidity: [], lastSeenAt: 0 };
+      this.pendingBlocks.set(blockNumber, block);
+    }
+
+    block.lastSeenAt = Date.now();
+    this.highestBlock = Math.max(this.highestBlock, blockNumber);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setInterval(() => this.flushCompletedBlocks(), FLUSH_INTERVAL_MS);
+      this.flushTimer.unref();
+    }
+    return block;
+  }
+
+  /**
+   * Analyze buffered blocks that are complete
+   * A block is complete once a later block has been seen and it has been quiet
+   * for MEV_BLOCK_SETTLE_MS (events of other pools may still be queued), or
+   * after MEV_BLOCK_MAX_WAIT_MS when the chain is idle.
+   * @param {boolean} force - Analyze every buffered block (shutdown)
+   */
+  async flushCompletedBlocks(force = false) {
+    if (this.flushing) return this.flushing;
+
+    this.flushing = this.analyzeCompletedBlocks(force).finally(() => {
+      this.flushing = null;
+    });
+    return this.flushing;
+  }
+
+  /**
+   * One flush pass over the buffered blocks
+   * @private
+   */
+  async analyzeCompletedBlocks(force) {
     try {
-      // Add to recent transactions
-      this.recentTransactions.unshift({
-        ...txData,
-        processedAt: Date.now()
-      });
-
-      // Keep only recent transactions
-      if (this.recentTransactions.length > this.maxRecentTx) {
-        this.recentTransactions.pop();
+      const now = Date.now();
+      const blockNumbers = Array.from(this.pendingBlocks.keys()).sort((a, b) => a - b);
+
+      for (const blockNumber of blockNumbers) {
+        const block = this.pendingBlocks.get(blockNumber);
+        const quietMs = now - block.lastSeenAt;
+        const complete = force ||
+          (blockNumber < this.highestBlock && quietMs >= MEV_BLOCK_SETTLE_MS) ||
+          quietMs >= MEV_BLOCK_MAX_WAIT_MS;
+
+        if (!complete) continue;
+
+        this.pendingBlocks.delete(blockNumber);
+        await this.analyzeBlock(blockNumber, block.swaps, block.liquidity);
       }
+    } catch (error) {
+      logger.error('Error flushing MEV blocks:', error);
+    }
+  }
 
-      // Detect sandwich attacks
-      const sandwich = this.detectSandwichAttack(txData);
-      if (sandwich) {
-        await this.recordMEV(sandwich);
-        return;
+  /**
+   * Stop the flush timer and analyze whatever is still buffered
+   */
+  async shutdown() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    // A timer flush may still be running; the forced pass picks up what it left
+    if (this.flushing) await this.flushing;
+    await this.flushCompletedBlocks(true);
+  }
+
+  /**
+   * Run MEV detection over one complete block
+   * @param {number} blockNumber - Block number
+   * @param {Array<Object>} swaps - Every swap seen in the block
+   * @param {Array<Object>} liquidity - Concentrated-liquidity Mint/Burn events of the block
+   */
+  async analyzeBlock(blockNumber, swaps, liquidity = []) {
+    const ordered = [...swaps].sort(compareBlockOrder);
+
+    // Newest first, like the rest of recentTransactions
+    for (const swap of ordered) {
+      this.recentTransactions.unshift(swap);
+    }
+    if (this.recentTransactions.length > this.maxRecentTx) {
+      this.recentTransactions.length = this.maxRecentTx;
+    }
+
+    // Sandwiches need the whole block; swaps already explained by one are
+    // not reported again as plain front/back-runs
+    const explained = new Set();
+    for (const sandwich of this.detectSandwiches(ordered)) {
+      [sandwich.frontRunTx, sandwich.backRunTx, ...sandwich.victims.map(v => v.txHash)]
+        .forEach(txHash => explained.add(txHash));
+      await this.recordMEV(sandwich);
+    }
+
+    for (const jit of this.detectJITLiquidity(ordered, [...liquidity].sort(compareBlockOrder))) {
+      await this.recordMEV(jit);
+    }
+
+    // Multi-pool paths are only visible in the full receipt
+    for (const txHash of await this.detectAtomicArbitrage(ordered)) {
+      explained.add(txHash);
+    }
+
+    for (const swap of ordered) {
+      if (!explained.has(swap.txHash)) {
+        await this.detectForSwap(swap);
       }
+    }
 
+    this.blocksAnalyzed++;
+    this.swapsAnalyzed += ordered.length;
+    logger.debug(`MEV analysis of block ${blockNumber}: ${ordered.length} swaps`);
+  }
+
+  /**
+   * Fetch receipts of flagged transactions and record atomic arbitrage
+   * @param {Array<Object>} ordered - Block swaps in transaction order
+   * @returns {Array<string>} - Hashes of arbitrage transactions
+   * @private
+   */
+  async detectAtomicArbitrage(ordered) {
+    const flagged = receiptAnalyzer.flagTransactions(ordered, KNOWN_ROUTERS);
+    if (flagged.length === 0) return [];
+
+    const timestamps = new Map(ordered.map(swap => [swap.txHash, swap.timestamp]));
+    const results = await Promise.all(flagged.map(txHash =>
+      receiptAnalyzer.analyzeTransaction(txHash, { timestamp: timestamps.get(txHash) })
+    ));
+
+    const arbitrages = results.filter(Boolean);
+    for (const arbitrage of arbitrages) {
+      await this.recordMEV(arbitrage);
+    }
+    return arbitrages.map(arbitrage => arbitrage.txHash);
+  }
+
+  /**
+   * Run the detectors for one swap of an analyzed block
+   * @param {Object} txData - Normalized swap record
+   * @private
+   */
+  async detectForSwap(txData) {
+    try {
       // Detect front-running
       const frontRun = this.detectFrontRunning(txData);
       if (frontRun) {
@@ -83,59 +300,320 @@ class MEVDetector {
   }
 
   /**
-   * Detect sandwich attack pattern
-   * Pattern: Large buy -> Victim trade -> Large sell
+   * Detect sandwich attacks in one block
+   * Pattern, per pool in transaction order: the attacker swaps A -> B, one or
+   * more victims swap A -> B, then the attacker swaps B -> A. The two attacker
+   * legs may come from different EOAs as long as they share a bot contract.
+   * @param {Array<Object>} ordered - Block swaps sorted by transactionIndex/logIndex
+   * @returns {Array<Object>} - Sandwich records
    */
-  detectSandwichAttack(txData) {
-    try {
-      const poolAddress = txData.poolAddress;
-      const blockNumber = txData.blockNumber;
+  detectSandwiches(ordered) {
+    const sandwiches = [];
 
-      // Get transactions in same block and pool
-      const sameBlockTxs = this.recentTransactions.filter(
-        tx => tx.blockNumber === blockNumber && tx.poolAddress === poolAddress
-      );
+    try {
+      const byPool = new Map();
+      for (const swap of ordered) {
+        const pool = (swap.poolAddress || '').toLowerCase();
+        if (!byPool.has(pool)) byPool.set(pool, []);
+        byPool.get(pool).push(swap);
+      }
 
-      if (sameBlockTxs.length < 3) return null;
-
-      // Look for sandwich pattern
-      for (let i = 1; i < sameBlockTxs.length - 1; i++) {
-        const before = sameBlockTxs[i - 1];
-        const victim = sameBlockTxs[i];
-        const after = sameBlockTxs[i + 1];
-
-        // Check if before and after are from same wallet
-        if (before.wallet !== after.wallet) continue;
-
-        // Check if it's a buy-victim-sell pattern
-        const isSandwich =
-          this.isBuyTransaction(before) &&
-          this.isSellTransaction(after) &&
-          victim.wallet !== before.wallet;
-
-        if (isSandwich) {
-          const profitUSD = this.calculateSandwichProfit(before, after, victim);
-
-          return {
-            type: 'sandwich_attack',
-            attacker: before.wallet,
-            victim: victim.wallet,
-            victimTx: victim.txHash,
-            frontRunTx: before.txHash,
-            backRunTx: after.txHash,
-            poolAddress,
-            blockNumber,
-            profitUSD,
-            victimLossUSD: profitUSD * 0.8, // Approximate
-            timestamp: Date.now()
-          };
+      for (const swaps of byPool.values()) {
+        if (swaps.length < 3) continue;
+        const used = new Set();
+
+        for (let i = 0; i < swaps.length - 2; i++) {
+          const front = swaps[i];
+          if (used.has(i)) continue;
+
+          for (let j = swaps.length - 1; j > i + 1; j--) {
+            const back = swaps[j];
+            if (used.has(j) || back.transactionIndex === front.transactionIndex) continue;
+            if (!this.isReverseLeg(front, back) || !this.sameActor(front, back)) continue;
+
+            const victimIndexes = [];
+            for (let k = i + 1; k < j; k++) {
+              const candidate = swaps[k];
+              if (used.has(k)) continue;
+              if (candidate.transactionIndex === front.transactionIndex ||
+                  candidate.transactionIndex === back.transactionIndex) continue;
+              if (this.sameDirection(front, candidate) && !this.sameActor(front, candidate)) {
+                victimIndexes.push(k);
+              }
+            }
+            if (victimIndexes.length === 0) continue;
+
+            [i, j, ...victimIndexes].forEach(index => used.add(index));
+            sandwiches.push(this.buildSandwich(front, back, victimIndexes.map(k => swaps[k])));
+            break;
+          }
         }
       }
+    } catch (error) {
+      logger.error('Error detecting sandwich attacks:', error);
+    }
 
-      return null;
+    return sandwiches;
+  }
+
+  /**
+   * Describe a sandwich with the attacker's profit and the victims' losses
+   * @private
+   */
+  buildSandwich(front, back, victims) {
+    const profit = this.calculateSandwichProfit(front, back);
+    const victimLosses = victims.map(victim => ({
+      wallet: victim.wallet,
+      txHash: victim.txHash,
+      transactionIndex: victim.transactionIndex,
+      ...this.calculateVictimLoss(front, victim)
+    }));
+    const victimLossUSD = victimLosses.reduce((sum, victim) => sum + (victim.lossUSD || 0), 0);
+
+    return {
+      type: 'sandwich_attack',
+      attacker: front.origin || front.wallet,
+      attackerContract: front.sender && front.sender === back.sender && !KNOWN_ROUTERS.has(front.sender.toLowerCase())
+        ? front.sender
+        : null,
+      backRunWallet: back.origin || back.wallet,
+      victim: victims[0].wallet,
+      victimTx: victims[0].txHash,
+      victims: victimLosses,
+      frontRunTx: front.txHash,
+      backRunTx: back.txHash,
+      frontRunIndex: front.transactionIndex,
+      backRunIndex: back.transactionIndex,
+      poolAddress: front.poolAddress,
+      dex: front.dex,
+      blockNumber: front.blockNumber,
+      tokenIn: front.tokenIn ? front.tokenIn.symbol || front.tokenIn.address : null,
+      tokenOut: front.tokenOut ? front.tokenOut.symbol || front.tokenOut.address : null,
+      profitToken: profit.token,
+      profitAmount: profit.amount,
+      profitUSD: profit.usd,
+      victimLossUSD,
+      timestamp: victims[0].timestamp || Date.now()
+    };
+  }
+
+  /**
+   * Detect just-in-time liquidity in one block
+   * Pattern, per pool in transaction order: an LP mints a position, one or more
+   * swaps trade through it, then the same owner burns the same range.
+   * @param {Array<Object>} swaps - Block swaps in block order
+   * @param {Array<Object>} liquidity - Block Mint/Burn events in block order
+   * @returns {Array<Object>} - JIT liquidity records
+   */
+  detectJITLiquidity(swaps, liquidity) {
+    const detections = [];
+
+    try {
+      const mints = liquidity.filter(event => event.type === 'Mint');
+      const burns = liquidity.filter(event => event.type === 'Burn');
+      const usedBurns = new Set();
+
+      for (const mint of mints) {
+        const burn = burns.find(candidate =>
+          !usedBurns.has(candidate) &&
+          candidate.poolAddress === mint.poolAddress &&
+          candidate.owner === mint.owner &&
+          candidate.tickLower === mint.tickLower &&
+          candidate.tickUpper === mint.tickUpper &&
+          candidate.transactionIndex > mint.transactionIndex
+        );
+        if (!burn) continue;
+
+        const targets = swaps.filter(swap =>
+          swap.poolAddress === mint.poolAddress &&
+          swap.transactionIndex > mint.transactionIndex &&
+          swap.transactionIndex < burn.transactionIndex
+        );
+        if (targets.length === 0) continue;
+
+        usedBurns.add(burn);
+        detections.push(this.buildJIT(mint, burn, targets));
+      }
     } catch (error) {
-      logger.error('Error detecting sandwich attack:', error);
-      return null;
+      logger.error('Error detecting JIT liquidity:', error);
+    }
+
+    return detections;
+  }
+
+  /**
+   * Describe a JIT position with the fees it captured
+   * Each swap pays fee * amountIn; the JIT position earns its share of the
+   * active liquidity (the swap's post-swap liquidity includes the position).
+   * @private
+   */
+  buildJIT(mint, burn, targets) {
+    const feePpm = BigInt(poolRegistry.getFee(mint.poolAddress) ?? 3000);
+    const feesByToken = new Map(); // token address -> { token, raw }
+
+    for (const swap of targets) {
+      const activeLiquidity = swap.liquidity ? BigInt(swap.liquidity) : 0n;
+      if (!swap.tokenIn || activeLiquidity === 0n) continue;
+
+      const share = mint.liquidity < activeLiquidity ? mint.liquidity : activeLiquidity;
+      const feeRaw = (BigInt(swap.amountIn) * feePpm * share) / (1000000n * activeLiquidity);
+
+      const entry = feesByToken.get(swap.tokenIn.address) || { token: swap.tokenIn, raw: 0n };
+      entry.raw += feeRaw;
+      feesByToken.set(swap.tokenIn.address, entry);
+    }
+
+    const fees = Array.from(feesByToken.values()).map(({ token, raw }) => ({
+      token: token.symbol || token.address,
+      amount: formatUnits(raw, token.decimals),
+      usd: this.toSignedUSD(token, raw) ?? 0
+    }));
+    const feesUSD = fees.reduce((sum, fee) => sum + fee.usd, 0);
+
+    // Position principal in vs. out: what the swaps moved through the range
+    const tokens = poolRegistry.getTokens(mint.poolAddress) || priceOracle.getPoolTokens(mint.poolAddress);
+    let inventoryChangeUSD = null;
+    if (tokens) {
+      const change0 = this.toSignedUSD(tokens.token0, burn.amount0 - mint.amount0);
+      const change1 = this.toSignedUSD(tokens.token1, burn.amount1 - mint.amount1);
+      if (change0 !== null && change1 !== null) inventoryChangeUSD = change0 + change1;
+    }
+
+    const firstTarget = targets[0];
+    const activeLiquidity = firstTarget.liquidity ? BigInt(firstTarget.liquidity) : 0n;
+
+    return {
+      type: 'jit_liquidity',
+      provider: mint.owner,
+      frontRunTx: mint.txHash,
+      backRunTx: burn.txHash,
+      targetTx: firstTarget.txHash,
+      targetTxs: targets.map(swap => swap.txHash),
+      victim: firstTarget.wallet,
+      poolAddress: mint.poolAddress,
+      dex: firstTarget.dex,
+      blockNumber: mint.blockNumber,
+      tickLower: mint.tickLower,
+      tickUpper: mint.tickUpper,
+      liquidity: mint.liquidity.toString(),
+      liquidityShare: activeLiquidity > 0n
+        ? Number((mint.liquidity * 10000n) / activeLiquidity) / 10000
+        : null,
+      fees,
+      feesUSD,
+      inventoryChangeUSD,
+      profitUSD: feesUSD + (inventoryChangeUSD || 0),
+      timestamp: firstTarget.timestamp || Date.now()
+    };
+  }
+
+  /**
+   * Whether `back` swaps the opposite way on the same token pair as `front`
+   * @private
+   */
+  isReverseLeg(front, back) {
+    if (front.tokenIn && front.tokenOut && back.tokenIn && back.tokenOut) {
+      return front.tokenIn.address === back.tokenOut.address &&
+        front.tokenOut.address === back.tokenIn.address;
+    }
+    return front.poolAddress === back.poolAddress && front.zeroForOne !== back.zeroForOne;
+  }
+
+  /**
+   * Whether two swaps go the same way on the same token pair
+   * @private
+   */
+  sameDirection(a, b) {
+    if (a.tokenIn && b.tokenIn && a.tokenOut && b.tokenOut) {
+      return a.tokenIn.address === b.tokenIn.address && a.tokenOut.address === b.tokenOut.address;
+    }
+    return a.poolAddress === b.poolAddress && a.zeroForOne === b.zeroForOne;
+  }
+
+  /**
+   * Whether two swaps were made by the same actor: the same signer, the same
+   * (non-router) contract calling the pool, or a bot selling what it bought
+   * @private
+   */
+  sameActor(a, b) {
+    const lower = (address) => (address ? address.toLowerCase() : null);
+
+    if (a.origin && b.origin && lower(a.origin) === lower(b.origin)) return true;
+
+    const senderA = lower(a.sender);
+    if (senderA && senderA === lower(b.sender) && !KNOWN_ROUTERS.has(senderA)) return true;
+
+    const recipientA = lower(a.recipient);
+    if (recipientA && recipientA === lower(b.sender) && !KNOWN_ROUTERS.has(recipientA)) return true;
+
+    return !a.origin && !b.origin && !a.sender && !b.sender && a.wallet && lower(a.wallet) === lower(b.wallet);
+  }
+
+  /**
+   * USD value of a signed raw token amount
+   * @private
+   */
+  toSignedUSD(token, rawAmount) {
+    if (!token) return null;
+    const usd = priceOracle.toUSD(token.address, rawAmount, token.decimals);
+    if (usd === null) return null;
+    return rawAmount < 0n ? -usd : usd;
+  }
+
+  /**
+   * Attacker profit in the front-run's input token
+   * The back-run may sell more or less than the front-run bought, so only the
+   * matched share of the front-run's cost is charged against it.
+   * @private
+   */
+  calculateSandwichProfit(front, back) {
+    try {
+      const frontIn = BigInt(front.amountIn);
+      const frontOut = BigInt(front.amountOut);
+      const backIn = BigInt(back.amountIn);
+      const backOut = BigInt(back.amountOut);
+      if (frontOut === 0n) return { token: null, amount: null, usd: 0 };
+
+      const cost = (frontIn * backIn) / frontOut;
+      const profitRaw = backOut - cost;
+      const token = front.tokenIn;
+
+      return {
+        token: token ? token.symbol || token.address : null,
+        amount: token ? formatSigned(profitRaw, token.decimals) : profitRaw.toString(),
+        usd: this.toSignedUSD(token, profitRaw) ?? 0
+      };
+    } catch (error) {
+      logger.debug(`Could not compute sandwich profit: ${error.message}`);
+      return { token: null, amount: null, usd: 0 };
+    }
+  }
+
+  /**
+   * Victim loss: output the victim would have received at the front-run's
+   * execution price minus what it actually got (a lower bound, since the
+   * front-run's own price already includes its slippage)
+   * @private
+   */
+  calculateVictimLoss(front, victim) {
+    try {
+      const frontIn = BigInt(front.amountIn);
+      const frontOut = BigInt(front.amountOut);
+      const victimIn = BigInt(victim.amountIn);
+      const victimOut = BigInt(victim.amountOut);
+      if (frontIn === 0n) return { lossAmount: null, lossUSD: 0 };
+
+      let lossRaw = (victimIn * frontOut) / frontIn - victimOut;
+      if (lossRaw < 0n) lossRaw = 0n;
+      const token = victim.tokenOut;
+
+      return {
+        lossAmount: token ? formatSigned(lossRaw, token.decimals) : lossRaw.toString(),
+        lossUSD: this.toSignedUSD(token, lossRaw) ?? 0
+      };
+    } catch (error) {
+      logger.debug(`Could not compute victim loss: ${error.message}`);
+      return { lossAmount: null, lossUSD: 0 };
     }
   }
 
@@ -204,45 +682,20 @@ class MEVDetector {
     }
   }
 
-  /**
-   * Check if transaction is a buy
-   */
-  isBuyTransaction(tx) {
-    // Simplified check based on amount0/amount1
-    return tx.amount0 && BigInt(tx.amount0) > BigInt(0);
-  }
-
-  /**
-   * Check if transaction is a sell
-   */
-  isSellTransaction(tx) {
-    return tx.amount1 && BigInt(tx.amount1) > BigInt(0);
-  }
-
-  /**
-   * Calculate sandwich profit
-   */
-  calculateSandwichProfit(frontRun, backRun, victim) {
-    try {
-      // Simplified profit calculation
-      const frontRunAmount = frontRun.amountUSD;
-      const backRunAmount = backRun.amountUSD;
-      const victimAmount = victim.amountUSD;
-
-      // Profit = price difference * amount
-      const estimatedProfit = (victimAmount * 0.01); // ~1% of victim's trade
-
-      return estimatedProfit;
-    } catch (error) {
-      return 0;
-    }
-  }
-
   /**
    * Record detected MEV
+   * @returns {boolean} - Whether it was new (not already recorded)
    */
   async recordMEV(mevData) {
     try {
+      // The same pattern is found from each swap involved in it
+      const id = mevStore.idOf(mevData);
+      if (this.recordedIds.has(id)) return false;
+      this.recordedIds.add(id);
+      if (this.recordedIds.size > MAX_RECORDED_IDS) {
+        this.recordedIds.delete(this.recordedIds.values().next().value);
+      }
+
       // Add to detected list
       this.detectedMEV.unshift(mevData);
 
@@ -251,9 +704,10 @@ class MEVDetector {
         this.detectedMEV.pop();
       }
 
-      // Store in Redis
-      const key = `mev:${mevData.type}:${mevData.victimTx || mevData.backRunTx}`;
-      await setJSON(key, mevData, 86400); // 24 hour TTL
+      // Store in Redis (MEV_RETENTION_MS TTL, indexed in mev:timeline and mev:idx:*)
+      await mevStore.save(mevData);
+      await mevActorRegistry.recordAttack(mevData, id);
+      await mevVictimTracker.recordVictims(mevData);
 
       logger.warn(`🚨 MEV Detected: ${mevData.type} on pool ${mevData.poolAddress}`);
 
@@ -261,52 +715,150 @@ class MEVDetector {
       if (this.socketHandler) {
         this.socketHandler.broadcastMEVDetection(mevData);
       }
+      return true;
     } catch (error) {
       logger.error('Error recording MEV:', error);
+      return false;
     }
   }
 
   /**
-   * Get detected MEV activities
+   * Remove MEV records involving transactions orphaned by a chain reorg
+   * @param {Array<string>} txHashes - Orphaned transaction hashes
+   * @returns {Array} - Removed MEV records
    */
-  getDetectedMEV(type = null, limit = 50) {
-    let mev = this.detectedMEV;
+  async removeByTransactions(txHashes) {
+    const orphaned = new Set(txHashes);
+    const involves = (mev) =>
+      [mev.txHash, mev.victimTx, mev.frontRunTx, mev.backRunTx, mev.targetTx].some(tx => orphaned.has(tx));
 
-    if (type) {
-      mev = mev.filter(m => m.type === type);
+    const removed = this.detectedMEV.filter(involves);
+
+    try {
+      this.detectedMEV = this.detectedMEV.filter(mev => !involves(mev));
+      this.recentTransactions = this.recentTransactions.filter(tx => !orphaned.has(tx.txHash));
+      for (const block of this.pendingBlocks.values()) {
+        block.swaps = block.swaps.filter(tx => !orphaned.has(tx.txHash));
+        block.liquidity = block.liquidity.filter(event => !orphaned.has(event.txHash));
+      }
+      removed.forEach(mevData => this.recordedIds.delete(mevStore.idOf(mevData)));
+
+      await mevStore.remove(removed.map(mevData => mevStore.idOf(mevData)));
+      await mevActorRegistry.removeAttacks(removed.map(mevData => ({ mev: mevData, id: mevStore.idOf(mevData) })));
+      await mevVictimTracker.removeVictims(removed);
+
+      if (removed.length > 0) {
+        logger.warn(`🔙 Rolled back ${removed.length} MEV records after reorg`);
+      }
+    } catch (error) {
+      logger.error('Error removing MEV records:', error);
     }
 
-    return mev.slice(0, limit);
+    return removed;
   }
 
   /**
-   * Get MEV statistics
+   * Query stored MEV detections, newest first
+   * Reads through the most selective index given and checks the other
+   * filters record by record.
+   * @param {Object} filters - { type, pool, attacker, victim, from, to (ms), minProfit (USD), limit, cursor }
+   * @returns {Object} - { mevActivities, nextCursor }
    */
-  getStats() {
+  async queryMEV({ type, pool, attacker, victim, from, to, minProfit, limit = 50, cursor } = {}) {
+    const poolKey = pool ? pool.toLowerCase() : null;
+    const attackerKey = attacker ? attacker.toLowerCase() : null;
+    const victimKey = victim ? victim.toLowerCase() : null;
+
+    const secondary = (victimKey && `victim:${victimKey}`) ||
+      (attackerKey && `attacker:${attackerKey}`) ||
+      (poolKey && `pool:${poolKey}`) ||
+      (type && `type:${type}`) ||
+      null;
+
+    const filter = (mev) =>
+      (!type || mev.type === type) &&
+      (!poolKey || (mev.poolAddresses || [mev.poolAddress]).some(address => address && address.toLowerCase() === poolKey)) &&
+      (!attackerKey || mevAttackersOf(mev).includes(attackerKey)) &&
+      (!victimKey || mevVictimsOf(mev).includes(victimKey)) &&
+      (minProfit === undefined || minProfit === null || (mev.profitUSD ?? -Infinity) >= minProfit);
+
+    const { records, nextCursor } = await mevStore.page({
+      secondary,
+      limit,
+      cursor,
+      min: from ?? '-inf',
+      max: to ?? '+inf',
+      filter
+    });
+
+    return { mevActivities: records, nextCursor };
+  }
+
+  /**
+   * MEV statistics over a time window, from stored detections
+   * @param {number} from - Window start (ms)
+   * @param {number} to - Window end (ms)
+   * @returns {Object}
+   */
+  async getWindowStats(from, to = Date.now()) {
     const stats = {
-      totalDetected: this.detectedMEV.length,
+      from,
+      to,
+      totalDetected: 0,
       byType: {},
       totalProfitExtracted: 0,
-      totalVictimLoss: 0
+      totalVictimLoss: 0,
+      topPools: [],
+      topAttackers: []
     };
-
-    for (const mev of this.detectedMEV) {
-      if (!stats.byType[mev.type]) {
-        stats.byType[mev.type] = 0;
+    const pools = new Map(); // pool -> { poolAddress, detections, profitUSD }
+    const attackers = new Map(); // attacker -> { address, detections, profitUSD }
+
+    await mevStore.forEach({ min: from, max: to }, (mev) => {
+      stats.totalDetected++;
+      stats.byType[mev.type] = (stats.byType[mev.type] || 0) + 1;
+      stats.totalProfitExtracted += mev.profitUSD || 0;
+      stats.totalVictimLoss += mev.victimLossUSD || 0;
+
+      const poolKey = mev.poolAddress ? mev.poolAddress.toLowerCase() : null;
+      if (poolKey) {
+        const pool = pools.get(poolKey) || { poolAddress: poolKey, detections: 0, profitUSD: 0 };
+        pool.detections++;
+        pool.profitUSD += mev.profitUSD || 0;
+        pools.set(poolKey, pool);
       }
-      stats.byType[mev.type]++;
 
-      if (mev.profitUSD) {
-        stats.totalProfitExtracted += mev.profitUSD;
-      }
-      if (mev.victimLossUSD) {
-        stats.totalVictimLoss += mev.victimLossUSD;
+      const attackerKey = mevActorRegistry.actorAddressOf(mev);
+      if (attackerKey) {
+        const attacker = attackers.get(attackerKey) || { address: attackerKey, detections: 0, profitUSD: 0 };
+        attacker.detections++;
+        attacker.profitUSD += mev.profitUSD || 0;
+        attackers.set(attackerKey, attacker);
       }
-    }
+    });
+
+    const byProfit = (a, b) => b.profitUSD - a.profitUSD || b.detections - a.detections;
+    stats.topPools = Array.from(pools.values()).sort(byProfit).slice(0, 5);
+    stats.topAttackers = Array.from(attackers.values()).sort(byProfit).slice(0, 5);
 
     return stats;
   }
 
+  /**
+   * Get live detector counters (totals over time come from getWindowStats)
+   */
+  getStats() {
+    return {
+      enabled: this.isEnabled,
+      blocksAnalyzed: this.blocksAnalyzed,
+      swapsAnalyzed: this.swapsAnalyzed,
+      pendingBlocks: this.pendingBlocks.size,
+      recentDetections: this.detectedMEV.length,
+      receipts: receiptAnalyzer.getStats(),
+      actors: mevActorRegistry.getStats()
+    };
+  }
+
   /**
    * Check if transaction is potential MEV target
    */
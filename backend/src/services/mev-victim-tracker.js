@@ -0,0 +1,156 @@
+/**
+ * MEV Victim Tracker
+ * Keeps a per-wallet history of the sandwiches and front-runs that hit it
+ * and summarizes it into an exposure report: loss per transaction, the
+ * pools where the wallet lost most, and when (hour of day, UTC) it happens.
+ */
+
+const logger = require('../utils/logger');
+const { addVictimLosses, getVictimLosses, removeVictimLosses, MEV_VICTIM_RETENTION_MS } = require('../config/redis-store');
+
+const WORST_POOLS_LIMIT = 5;
+
+class MEVVictimTracker {
+  /**
+   * Loss entries an MEV record causes, by victim wallet
+   * @param {Object} mev - MEV record
+   * @returns {Map<string, Array<Object>>}
+   * @private
+   */
+  victimEntries(mev) {
+    const byWallet = new Map();
+    const add = (wallet, entry) => {
+      if (!wallet) return;
+      const key = wallet.toLowerCase();
+      if (!byWallet.has(key)) byWallet.set(key, []);
+      byWallet.get(key).push({
+        type: mev.type,
+        poolAddress: mev.poolAddress,
+        dex: mev.dex || null,
+        blockNumber: mev.blockNumber,
+        timestamp: mev.timestamp,
+        ...entry
+      });
+    };
+
+    if (mev.type === 'sandwich_attack') {
+      for (const victim of mev.victims || []) {
+        add(victim.wallet, {
+          txHash: victim.txHash,
+          attacker: mev.attackerContract || mev.attacker,
+          lossToken: mev.tokenOut,
+          lossAmount: victim.lossAmount,
+          lossUSD: victim.lossUSD
+        });
+      }
+    } else if (mev.type === 'front_running') {
+      // The front-run heuristic doesn't size the loss
+      add(mev.victim, {
+        txHash: mev.victimTx,
+        attacker: mev.frontRunner,
+        lossToken: null,
+        lossAmount: null,
+        lossUSD: null
+      });
+    }
+
+    return byWallet;
+  }
+
+  /**
+   * Record the victims of a newly detected MEV pattern
+   * @param {Object} mev - MEV record
+   */
+  async recordVictims(mev) {
+    try {
+      for (const [wallet, entries] of this.victimEntries(mev).entries()) {
+        await addVictimLosses(wallet, entries);
+      }
+    } catch (error) {
+      logger.error('Error recording MEV victims:', error);
+    }
+  }
+
+  /**
+   * Remove the victim entries of rolled-back MEV records (chain reorg)
+   * @param {Array<Object>} records - Removed MEV records
+   */
+  async removeVictims(records) {
+    try {
+      for (const mev of records) {
+        for (const [wallet, entries] of this.victimEntries(mev).entries()) {
+          await removeVictimLosses(wallet, entries.map(entry => entry.txHash));
+        }
+      }
+    } catch (error) {
+      logger.error('Error removing MEV victims:', error);
+    }
+  }
+
+  /**
+   * Summarize a wallet's MEV exposure
+   * @param {string} address - Wallet address
+   * @param {Object} options - { days: lookback (capped at the retention period) }
+   * @returns {Object} - Exposure report
+   */
+  async getReport(address, { days = null } = {}) {
+    const retentionDays = MEV_VICTIM_RETENTION_MS / 86400000;
+    const lookbackDays = days ? Math.min(days, retentionDays) : retentionDays;
+    const since = Date.now() - lookbackDays * 86400000;
+
+    const incidents = await getVictimLosses(address, since);
+
+    const byType = {};
+    const pools = new Map(); // pool address -> { poolAddress, dex, incidents, lossUSD }
+    const attackers = new Map(); // attacker -> { address, incidents, lossUSD }
+    const hourly = Array.from({ length: 24 }, (_, hour) => ({ hour, incidents: 0, lossUSD: 0 }));
+    let totalLossUSD = 0;
+
+    for (const incident of incidents) {
+      const lossUSD = incident.lossUSD || 0;
+      totalLossUSD += lossUSD;
+
+      const type = byType[incident.type] || (byType[incident.type] = { incidents: 0, lossUSD: 0 });
+      type.incidents++;
+      type.lossUSD += lossUSD;
+
+      const poolKey = (incident.poolAddress || 'unknown').toLowerCase();
+      const pool = pools.get(poolKey) || { poolAddress: incident.poolAddress, dex: incident.dex, incidents: 0, lossUSD: 0 };
+      pool.incidents++;
+      pool.lossUSD += lossUSD;
+      pools.set(poolKey, pool);
+
+      if (incident.attacker) {
+        const attacker = attackers.get(incident.attacker) || { address: incident.attacker, incidents: 0, lossUSD: 0 };
+        attacker.incidents++;
+        attacker.lossUSD += lossUSD;
+        attackers.set(incident.attacker, attacker);
+      }
+
+      const bucket = hourly[new Date(incident.timestamp).getUTCHours()];
+      bucket.incidents++;
+      bucket.lossUSD += lossUSD;
+    }
+
+    const byLoss = (a, b) => b.lossUSD - a.lossUSD || b.incidents - a.incidents;
+    const worstHour = incidents.length > 0 ? [...hourly].sort(byLoss)[0] : null;
+
+    return {
+      address: address.toLowerCase(),
+      since,
+      lookbackDays,
+      incidents: incidents.length,
+      unpricedIncidents: incidents.filter(incident => incident.lossUSD === null || incident.lossUSD === undefined).length,
+      totalLossUSD,
+      avgLossUSD: incidents.length > 0 ? totalLossUSD / incidents.length : 0,
+      byType,
+      transactions: incidents,
+      worstPools: Array.from(pools.values()).sort(byLoss).slice(0, WORST_POOLS_LIMIT),
+      attackers: Array.from(attackers.values()).sort(byLoss),
+      hourly,
+      worstHour
+    };
+  }
+}
+
+module.exports = new MEVVictimTracker();
@@ -0,0 +1,543 @@
+/**
+ * Pool Registry
+ * Persistent directory of known pools: DEX and factory, protocol
+ * (v2 / v3 / algebra), token metadata and fee tier.
+ * Filled from QuickSwap pool data, factory discovery, manual config and
+ * on-chain lookups of pools first seen in events.
+ */
+
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+const { getProvider } = require('../config/somnia-chain');
+const { POOL_METADATA_ABI, ERC20_METADATA_ABI } = require('../config/dex-abi');
+const priceOracle = require('./price-oracle');
+
+const REGISTRY_KEY = 'pools:registry'; // hash: pool address -> JSON record
+const SEEDED_POOLS_KEY = 'pools:all'; // list written by the seed scripts
+const LOOKUP_RETRY_MS = 10 * 60 * 1000; // Don't re-probe non-pools for 10 minutes
+const DEFAULT_V2_FEE = 3000; // 0.3%, fees are in hundredths of a bip (1e-6)
+
+const PROTOCOL_LABELS = {
+  v2: 'V2',
+  v3: 'V3',
+  algebra: 'Algebra'
+};
+
+/**
+ * Parse a JSON environment variable
+ * @param {string} name - Variable name
+ * @param {*} fallback - Value when unset or invalid
+ */
+function parseJSONEnv(name, fallback) {
+  const raw = process.env[name];
+  if (!raw || !raw.trim()) return fallback;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.warn(`Ignoring invalid ${name}: ${error.message}`);
+    return fallback;
+  }
+}
+
+class PoolRegistry {
+  constructor() {
+    this.client = null;
+    this.pools = new Map(); // pool address -> registry record
+    this.tokens = new Map(); // token address -> { address, symbol, name, decimals }
+    this.factories = new Map(); // factory address -> { name, protocol, fee }
+    this.failedLookups = new Map(); // address -> last failed lookup time
+    this.pendingLookups = new Map(); // address -> in-flight lookup promise
+  }
+
+  /**
+   * Initialize the registry
+   * Loads persisted pools, seeded pools and manual config
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing Pool Registry...');
+
+      this.client = getProvider();
+      this.loadFactoryConfig();
+
+      await this.loadFromRedis();
+
+      // Manual config: KNOWN_POOLS is a JSON array of pool records
+      const configured = parseJSONEnv('KNOWN_POOLS', []);
+      if (Array.isArray(configured) && configured.length > 0) {
+        await this.registerPools(configured, 'config');
+      }
+
+      // DEFAULT_POOLS only lists addresses, so identify them on-chain
+      const defaultPools = (process.env.DEFAULT_POOLS || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+      for (const address of defaultPools) {
+        await this.ensurePool(address);
+      }
+
+      logger.info(`✅ Pool Registry initialized (${this.pools.size} pools, ${this.factories.size} factories)`);
+    } catch (error) {
+      logger.error('Failed to initialize Pool Registry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load known factories from DEX_FACTORIES and QUICKSWAP_FACTORY
+   * DEX_FACTORIES: {"0xfactory": {"name": "SomeSwap", "protocol": "v2", "fee": 3000, "router": "0xrouter"}}
+   * V3 factories whose router is a SwapRouter02 add "routerType": "SwapRouter02"
+   * @private
+   */
+  loadFactoryConfig() {
+    const factories = parseJSONEnv('DEX_FACTORIES', {});
+    for (const [address, config] of Object.entries(factories)) {
+      this.factories.set(address.toLowerCase(), {
+        name: config.name || 'Unknown DEX',
+        protocol: config.protocol || null,
+        fee: config.fee ?? null,
+        router: config.router ? config.router.toLowerCase() : null,
+        routerType: config.routerType || null
+      });
+    }
+
+    if (process.env.QUICKSWAP_FACTORY) {
+      const address = process.env.QUICKSWAP_FACTORY.toLowerCase();
+      if (!this.factories.has(address)) {
+        this.factories.set(address, { name: 'QuickSwap V4', protocol: 'algebra', fee: null, router: null });
+      }
+    }
+  }
+
+  /**
+   * Get a ready Redis client, or null when running without Redis
+   * @private
+   */
+  getRedis() {
+    try {
+      const redis = getRedisClient();
+      return redis.isReady ? redis : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load persisted and seeded pools from Redis
+   * @private
+   */
+  async loadFromRedis() {
+    try {
+      const redis = this.getRedis();
+      if (!redis) {
+        logger.warn('Redis not available, pool registry will be in-memory only');
+        return;
+      }
+
+      const records = await redis.hGetAll(REGISTRY_KEY);
+      for (const value of Object.values(records)) {
+        try {
+          this.addRecord(JSON.parse(value));
+        } catch (parseError) {
+          logger.debug(`Skipping unparseable registry entry: ${parseError.message}`);
+        }
+      }
+
+      // Pools written by the seed scripts predate the registry
+      const seeded = await redis.lRange(SEEDED_POOLS_KEY, 0, -1);
+      for (const item of seeded) {
+        try {
+          const poolData = JSON.parse(item);
+          if (!this.has(poolData.address || poolData.poolAddress)) {
+            await this.register(poolData, 'seed');
+          }
+        } catch (parseError) {
+          logger.debug(`Skipping unparseable seeded pool: ${parseError.message}`);
+        }
+      }
+    } catch (error) {
+      logger.warn(`Could not load pool registry from Redis (in-memory mode): ${error.message}`);
+    }
+  }
+
+  /**
+   * Normalize a token reference into registry token metadata
+   * @param {string|Object} token - Token address or token object
+   * @param {number} decimals - Fallback decimals
+   * @returns {Object|null} - { address, symbol, name, decimals }
+   * @private
+   */
+  normalizeToken(token, decimals) {
+    if (!token) return null;
+
+    const raw = typeof token === 'string' ? { address: token } : token;
+    if (!raw.address) return null;
+
+    const address = raw.address.toLowerCase();
+    const known = this.tokens.get(address) || {};
+
+    const normalized = {
+      address,
+      symbol: raw.symbol || known.symbol || null,
+      name: raw.name || known.name || null,
+      decimals: Number(raw.decimals ?? decimals ?? known.decimals ?? 18)
+    };
+
+    this.tokens.set(address, normalized);
+    return normalized;
+  }
+
+  /**
+   * Store a record in memory and share its tokens with the price oracle
+   * @private
+   */
+  addRecord(record) {
+    this.pools.set(record.address, record);
+    if (record.token0) this.tokens.set(record.token0.address, record.token0);
+    if (record.token1) this.tokens.set(record.token1.address, record.token1);
+    priceOracle.updatePool(record);
+  }
+
+  /**
+   * Add or update a pool
+   * @param {Object} poolData - Pool data (QuickSwap fetcher, config, seed or on-chain lookup)
+   * @param {string} source - Where the data came from
+   * @returns {Object|null} - Registry record
+   */
+  async register(poolData, source = 'manual') {
+    try {
+      const rawAddress = poolData && (poolData.address || poolData.poolAddress);
+      if (!rawAddress) return null;
+
+      const address = rawAddress.toLowerCase();
+      const existing = this.pools.get(address) || {};
+      const factory = (poolData.factory || existing.factory || '').toLowerCase() || null;
+      const factoryConfig = factory ? this.factories.get(factory) : null;
+      const protocol = poolData.protocol || existing.protocol || factoryConfig?.protocol || null;
+
+      const record = {
+        address,
+        dex: poolData.dex || existing.dex || factoryConfig?.name || this.getFallbackDexName(protocol),
+        factory,
+        protocol,
+        token0: this.normalizeToken(poolData.token0 || poolData.token0Address, poolData.token0Decimals)
+          || existing.token0 || null,
+        token1: this.normalizeToken(poolData.token1 || poolData.token1Address, poolData.token1Decimals)
+          || existing.token1 || null,
+        fee: poolData.fee !== undefined && poolData.fee !== null ? Number(poolData.fee) : existing.fee ?? null,
+        router: (poolData.router || existing.router || '').toLowerCase() || null,
+        routerType: poolData.routerType || existing.routerType || null,
+        source: existing.source || source,
+        addedAt: existing.addedAt || Date.now(),
+        updatedAt: Date.now()
+      };
+
+      this.addRecord(record);
+      this.failedLookups.delete(address);
+
+      try {
+        const redis = this.getRedis();
+        if (redis) {
+          await redis.hSet(REGISTRY_KEY, address, JSON.stringify(record));
+        }
+      } catch (redisError) {
+        logger.warn(`Registry entry for ${address} not persisted: ${redisError.message}`);
+      }
+
+      logger.debug(`Registered pool ${address} (${record.dex}, ${record.protocol || 'unknown protocol'}, source: ${source})`);
+      return record;
+    } catch (error) {
+      logger.error('Error registering pool:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Register multiple pools
+   * @param {Array<Object>} pools - Pool data objects
+   * @param {string} source - Where the data came from
+   */
+  async registerPools(pools = [], source = 'manual') {
+    for (const pool of pools) {
+      await this.register(pool, source);
+    }
+    logger.debug(`Pool Registry tracking ${this.pools.size} pools`);
+  }
+
+  /**
+   * Make sure a pool is in the registry, identifying it on-chain if needed
+   * @param {string} poolAddress - Pool address
+   * @returns {Object|null} - Registry record or null if it isn't a recognizable pool
+   */
+  async ensurePool(poolAddress) {
+    if (!poolAddress) return null;
+
+    const address = poolAddress.toLowerCase();
+    const known = this.pools.get(address);
+    if (known && known.token0 && known.token1) return known;
+
+    const failedAt = this.failedLookups.get(address);
+    if (failedAt && Date.now() - failedAt < LOOKUP_RETRY_MS) return known || null;
+
+    if (!this.pendingLookups.has(address)) {
+      const lookup = this.lookupPool(address).finally(() => this.pendingLookups.delete(address));
+      this.pendingLookups.set(address, lookup);
+    }
+
+    return this.pendingLookups.get(address);
+  }
+
+  /**
+   * Identify a pool on-chain: tokens, factory, protocol and fee
+   * @param {string} address - Lowercased pool address
+   * @returns {Object|null} - Registry record
+   * @private
+   */
+  async lookupPool(address) {
+    try {
+      if (!this.client) {
+        this.client = getProvider();
+      }
+
+      const read = (functionName) => this.client.readContract({
+        address,
+        abi: POOL_METADATA_ABI,
+        functionName
+      }).catch(() => null);
+
+      const [token0, token1, factory] = await Promise.all([
+        read('token0'),
+        read('token1'),
+        read('factory')
+      ]);
+
+      if (!token0 || !token1) {
+        throw new Error('not a token pair pool');
+      }
+
+      // Each protocol exposes a different state getter
+      const [globalState, slot0, reserves, v3Fee] = await Promise.all([
+        read('globalState'),
+        read('slot0'),
+        read('getReserves'),
+        read('fee')
+      ]);
+
+      let protocol = null;
+      if (globalState) protocol = 'algebra';
+      else if (slot0) protocol = 'v3';
+      else if (reserves) protocol = 'v2';
+
+      const factoryConfig = factory ? this.factories.get(factory.toLowerCase()) : null;
+
+      let fee = null;
+      if (protocol === 'algebra') fee = Number(globalState[2]);
+      else if (protocol === 'v3') fee = v3Fee !== null ? Number(v3Fee) : null;
+      else if (protocol === 'v2') fee = factoryConfig?.fee ?? DEFAULT_V2_FEE;
+
+      const [tokenInfo0, tokenInfo1] = await Promise.all([
+        this.getTokenMetadata(token0),
+        this.getTokenMetadata(token1)
+      ]);
+
+      logger.info(`🔎 Identified pool ${address}: ${tokenInfo0.symbol}/${tokenInfo1.symbol} on ${factoryConfig?.name || this.getFallbackDexName(protocol)}`);
+
+      return this.register({
+        address,
+        factory,
+        protocol,
+        token0: tokenInfo0,
+        token1: tokenInfo1,
+        fee
+      }, 'onchain');
+    } catch (error) {
+      logger.debug(`Could not identify pool ${address}: ${error.message}`);
+      this.failedLookups.set(address, Date.now());
+      return this.pools.get(address) || null;
+    }
+  }
+
+  /**
+   * Read ERC20 metadata (cached)
+   * @param {string} tokenAddress - Token address
+   * @returns {Object} - { address, symbol, name, decimals }
+   */
+  async getTokenMetadata(tokenAddress) {
+    const address = tokenAddress.toLowerCase();
+    const cached = this.tokens.get(address);
+    if (cached && cached.symbol) return cached;
+
+    const read = (functionName) => this.client.readContract({
+      address: tokenAddress,
+      abi: ERC20_METADATA_ABI,
+      functionName
+    }).catch(() => null);
+
+    const [symbol, name, decimals] = await Promise.all([
+      read('symbol'),
+      read('name'),
+      read('decimals')
+    ]);
+
+    return this.normalizeToken({
+      address,
+      symbol: symbol || 'UNKNOWN',
+      name: name || 'Unknown Token',
+      decimals: decimals ?? 18
+    });
+  }
+
+  /**
+   * DEX label for pools from factories that aren't configured
+   * @private
+   */
+  getFallbackDexName(protocol) {
+    return protocol ? `Unknown ${PROTOCOL_LABELS[protocol]} DEX` : 'Unknown DEX';
+  }
+
+  /**
+   * Check whether a pool is registered
+   * @param {string} poolAddress - Pool address
+   */
+  has(poolAddress) {
+    return !!poolAddress && this.pools.has(poolAddress.toLowerCase());
+  }
+
+  /**
+   * Get a pool's registry record
+   * @param {string} poolAddress - Pool address
+   * @returns {Object|null}
+   */
+  getPool(poolAddress) {
+    if (!poolAddress) return null;
+    return this.pools.get(poolAddress.toLowerCase()) || null;
+  }
+
+  /**
+   * Get all registered pools
+   * @returns {Array<Object>}
+   */
+  getAllPools() {
+    return Array.from(this.pools.values());
+  }
+
+  /**
+   * Get the DEX name for a pool
+   * @param {string} poolAddress - Pool address
+   * @returns {string}
+   */
+  getDexName(poolAddress) {
+    const pool = this.getPool(poolAddress);
+    return pool ? pool.dex : 'Unknown DEX';
+  }
+
+  /**
+   * Get a pool's protocol (v2 / v3 / algebra)
+   * @param {string} poolAddress - Pool address
+   * @returns {string|null}
+   */
+  getProtocol(poolAddress) {
+    const pool = this.getPool(poolAddress);
+    return pool ? pool.protocol : null;
+  }
+
+  /**
+   * Get the swap router that trades a pool (the pool's own, else its factory's)
+   * @param {string} poolAddress - Pool address
+   * @returns {string|null}
+   */
+  getRouter(poolAddress) {
+    const pool = this.getPool(poolAddress);
+    if (!pool) return null;
+    return pool.router || (pool.factory && this.factories.get(pool.factory)?.router) || null;
+  }
+
+  /**
+   * Get the interface of the pool's swap router: 'SwapRouter02' for V3
+   * routers whose exactInputSingle has no deadline, else 'SwapRouter'
+   * @param {string} poolAddress - Pool address
+   * @returns {string}
+   */
+  getRouterType(poolAddress) {
+    const pool = this.getPool(poolAddress);
+    if (!pool) return 'SwapRouter';
+    const routerType = pool.router
+      ? pool.routerType
+      : pool.factory && this.factories.get(pool.factory)?.routerType;
+    return routerType === 'SwapRouter02' ? 'SwapRouter02' : 'SwapRouter';
+  }
+
+  /**
+   * Get token0/token1 metadata for a pool
+   * @param {string} poolAddress - Pool address
+   * @returns {Object|null} - { token0, token1 }
+   */
+  getTokens(poolAddress) {
+    const pool = this.getPool(poolAddress);
+    return pool && pool.token0 && pool.token1 ? { token0: pool.token0, token1: pool.token1 } : null;
+  }
+
+  /**
+   * Get a pool's fee in hundredths of a bip (3000 = 0.3%)
+   * @param {string} poolAddress - Pool address
+   * @returns {number|null}
+   */
+  getFee(poolAddress) {
+    const pool = this.getPool(poolAddress);
+    return pool && pool.fee !== null && pool.fee !== undefined ? pool.fee : null;
+  }
+
+  /**
+   * Get a pool's fee as a fraction (0.003 = 0.3%)
+   * @param {string} poolAddress - Pool address
+   * @param {number} fallback - Fraction to use when the fee is unknown
+   * @returns {number}
+   */
+  getFeeFraction(poolAddress, fallback = DEFAULT_V2_FEE / 1e6) {
+    const fee = this.getFee(poolAddress);
+    return fee !== null ? fee / 1e6 : fallback;
+  }
+
+  /**
+   * Find registered pools trading a token pair (either order)
+   * @param {string} tokenA - Token address
+   * @param {string} tokenB - Token address
+   * @returns {Array<Object>}
+   */
+  findPoolsByPair(tokenA, tokenB) {
+    const a = tokenA.toLowerCase();
+    const b = tokenB.toLowerCase();
+
+    return this.getAllPools().filter(pool => {
+      const t0 = pool.token0?.address;
+      const t1 = pool.token1?.address;
+      return (t0 === a && t1 === b) || (t0 === b && t1 === a);
+    });
+  }
+
+  /**
+   * Get registry statistics
+   */
+  getStats() {
+    const byProtocol = {};
+    const byDex = {};
+
+    for (const pool of this.pools.values()) {
+      const protocol = pool.protocol || 'unknown';
+      byProtocol[protocol] = (byProtocol[protocol] || 0) + 1;
+      byDex[pool.dex] = (byDex[pool.dex] || 0) + 1;
+    }
+
+    return {
+      totalPools: this.pools.size,
+      totalTokens: this.tokens.size,
+      factories: this.factories.size,
+      byProtocol,
+      byDex
+    };
+  }
+}
+
+module.exports = new PoolRegistry();
@@ -0,0 +1,475 @@
+/**
+ * Pool State Manager
+ * Maintains live pool state derived from on-chain events:
+ * V2 reserves from Sync/Swap, V3 sqrtPriceX96/liquidity/tick from Swap
+ */
+
+const logger = require('../utils/logger');
+const { setJSON, getJSON, getManyJSON } = require('../config/redis');
+const { addPoolHistory } = require('../config/redis-store');
+const priceOracle = require('./price-oracle');
+const poolRegistry = require('./pool-registry');
+
+const POOL_STATE_TTL = 3600; // 1 hour
+const POOL_HISTORY_INTERVAL_MS = parseInt(process.env.POOL_HISTORY_INTERVAL_MS || '60000'); // Min gap between liquidity snapshots
+const Q96 = 2n ** 96n;
+
+// State, cache and history are keyed by lowercase address, whatever casing the caller used
+const poolKey = (poolAddress) => String(poolAddress).toLowerCase();
+
+/**
+ * Parse an integer-like value into a BigInt
+ * @param {*} value - bigint, integer string or number
+ * @returns {bigint|null} - BigInt or null if not an integer
+ */
+function toBigInt(value) {
+  if (value === undefined || value === null || value === '') return null;
+  try {
+    return BigInt(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+class PoolStateManager {
+  constructor() {
+    this.cache = new Map(); // lowercase pool address -> pool state
+    this.historyRecordedAt = new Map(); // lowercase pool address -> last liquidity snapshot time
+  }
+
+  /**
+   * Get pool state from cache or Redis
+   * @param {string} poolAddress - Pool address
+   * @returns {Object|null} - Pool state (default state if unknown)
+   */
+  async getPoolState(poolAddress) {
+    try {
+      const key = poolKey(poolAddress);
+
+      // Check cache first
+      if (this.cache.has(key)) {
+        return this.cache.get(key);
+      }
+
+      // Try Redis
+      const poolData = await getJSON(`pool:${key}`);
+      if (poolData) {
+        this.cache.set(key, poolData);
+        return poolData;
+      }
+
+      // Return default state if not found
+      return {
+        address: poolAddress,
+        tvl: 0,
+        volume24h: 0,
+        price: 0,
+        reserve0: 0,
+        reserve1: 0,
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      logger.error(`Error getting pool state for ${poolAddress}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Update pool state in cache and Redis
+   * @param {string} poolAddress - Pool address
+   * @param {Object} poolData - New pool state
+   */
+  async updatePoolState(poolAddress, poolData) {
+    try {
+      const key = poolKey(poolAddress);
+      this.cache.set(key, poolData);
+      priceOracle.updatePool(poolData);
+      await setJSON(`pool:${key}`, poolData, POOL_STATE_TTL);
+      await this.recordHistory(poolAddress, poolData);
+      logger.debug(`Updated pool state for ${poolAddress}`);
+    } catch (error) {
+      logger.error(`Error updating pool state for ${poolAddress}:`, error);
+    }
+  }
+
+  /**
+   * Append a liquidity snapshot to the pool's history (at most one per interval)
+   * @param {string} poolAddress - Pool address
+   * @param {Object} poolData - Current pool state
+   * @private
+   */
+  async recordHistory(poolAddress, poolData) {
+    const now = Date.now();
+    const key = poolKey(poolAddress);
+    const last = this.historyRecordedAt.get(key) || 0;
+    if (now - last < POOL_HISTORY_INTERVAL_MS) return;
+
+    this.historyRecordedAt.set(key, now);
+    await addPoolHistory(poolAddress, {
+      timestamp: now,
+      tvl: poolData.tvl || 0,
+      totalLiquidity: poolData.totalLiquidity || poolData.tvl || 0,
+      reserve0: poolData.reserve0 ?? null,
+      reserve1: poolData.reserve1 ?? null,
+      liquidity: poolData.liquidity ?? null,
+      price: poolData.price || 0
+    });
+  }
+
+  /**
+   * Seed pool state from a contract read (e.g. QuickSwap globalState)
+   * Gives concentrated-liquidity pools a known price before their first swap
+   * @param {Object} poolData - Pool data from a fetcher
+   */
+  async seedPoolState(poolData) {
+    const state = await this.getPoolState(poolData.address);
+    await this.updatePoolState(poolData.address, {
+      ...state,
+      address: poolData.address,
+      dex: poolData.dex || state.dex,
+      token0: poolData.token0?.address || poolData.token0 || state.token0,
+      token1: poolData.token1?.address || poolData.token1 || state.token1,
+      token0Decimals: poolData.token0?.decimals ?? state.token0Decimals,
+      token1Decimals: poolData.token1?.decimals ?? state.token1Decimals,
+      sqrtPriceX96: poolData.sqrtPriceX96 ?? state.sqrtPriceX96,
+      liquidity: poolData.liquidity ?? state.liquidity,
+      tick: poolData.tick ?? state.tick,
+      fee: poolData.fee ?? state.fee,
+      price: poolData.price ?? state.price,
+      lastUpdate: Date.now()
+    });
+  }
+
+  /**
+   * Get the stored state of every registered pool
+   * Pools without any state yet (no events, not seeded) are skipped
+   * @returns {Array<Object>} - Pool states
+   */
+  async getRegisteredPoolStates() {
+    const pools = poolRegistry.getAllPools();
+    const addresses = pools.map(pool => poolKey(pool.address));
+
+    // Cache misses are fetched from Redis in a single MGET
+    const misses = addresses.filter(address => !this.cache.has(address));
+    const fetched = new Map();
+    const values = await getManyJSON(misses.map(address => `pool:${address}`));
+    misses.forEach((address, i) => fetched.set(address, values[i]));
+
+    const states = [];
+    pools.forEach((pool, i) => {
+      const state = this.cache.get(addresses[i]) || fetched.get(addresses[i]);
+      if (state) {
+        states.push({ ...state, address: state.address || pool.address });
+      }
+    });
+
+    return states;
+  }
+
+  /**
+   * Get cached pool states
+   * @returns {Array<Object>} - All cached pool states
+   */
+  getCachedStates() {
+    return Array.from(this.cache.values());
+  }
+
+  /**
+   * Clear the in-memory cache
+   */
+  clear() {
+    this.cache.clear();
+    this.historyRecordedAt.clear();
+  }
+
+  /**
+   * Resolve token decimals for a pool
+   * @param {Object} state - Pool state
+   * @returns {Object} - { decimals0, decimals1 }
+   * @private
+   */
+  getDecimals(state) {
+    const tokens = poolRegistry.getTokens(state.address) || priceOracle.getPoolTokens(state.address) || {};
+    return {
+      decimals0: Number(state.token0Decimals ?? tokens.token0?.decimals ?? 18),
+      decimals1: Number(state.token1Decimals ?? tokens.token1?.decimals ?? 18)
+    };
+  }
+
+  /**
+   * Human price (token1 per token0) from raw reserves
+   */
+  priceFromReserves(reserve0, reserve1, decimals0, decimals1) {
+    if (!reserve0 || !reserve1) return 0;
+    return (Number(reserve1) / Number(reserve0)) * Math.pow(10, decimals0 - decimals1);
+  }
+
+  /**
+   * Human price (token1 per token0) from a Q64.96 square-root price
+   */
+  priceFromSqrtPriceX96(sqrtPriceX96, decimals0, decimals1) {
+    if (!sqrtPriceX96) return 0;
+    const sqrtPrice = Number(sqrtPriceX96) / Number(Q96);
+    return sqrtPrice * sqrtPrice * Math.pow(10, decimals0 - decimals1);
+  }
+
+  /**
+   * Whether a pool's state already reflects a later (or the same) log than
+   * this event: backfill replays land after newer live events and must not
+   * roll the state back. States store the position of the last log applied
+   * @param {Object} state - Pool state
+   * @param {Object} event - Decoded log
+   * @returns {boolean}
+   * @private
+   */
+  isBehindState(state, event) {
+    if (state.blockNumber === undefined || state.blockNumber === null) return false;
+    if (event.blockNumber === undefined || event.blockNumber === null) return false;
+
+    const block = Number(event.blockNumber);
+    if (block !== Number(state.blockNumber)) return block < Number(state.blockNumber);
+    // States written before log positions were stored only know their block
+    if (state.logIndex === undefined || state.logIndex === null) return false;
+    return Number(event.logIndex ?? 0) <= Number(state.logIndex);
+  }
+
+  /**
+   * Position fields of the last log applied to a state
+   * @private
+   */
+  positionOf(event) {
+    return {
+      blockNumber: Number(event.blockNumber),
+      logIndex: event.logIndex !== undefined && event.logIndex !== null ? Number(event.logIndex) : null
+    };
+  }
+
+  /**
+   * Apply a V2 Sync event: reserves after the trade that emitted it
+   * @param {Object} event - Decoded Sync log
+   * @returns {Object} - { before, after, stale }: a stale Sync is not written
+   */
+  async applySync(event) {
+    const poolAddress = event.address;
+    const before = await this.getPoolState(poolAddress);
+    if (this.isBehindState(before, event)) {
+      logger.debug(`Skipping stale Sync for ${poolAddress} at block ${event.blockNumber}`);
+      return { before, after: before, stale: true };
+    }
+    const { decimals0, decimals1 } = this.getDecimals(before);
+
+    const reserve0 = BigInt(event.args.reserve0);
+    const reserve1 = BigInt(event.args.reserve1);
+
+    const after = {
+      ...before,
+      protocol: 'v2',
+      reserve0: reserve0.toString(),
+      reserve1: reserve1.toString(),
+      price: this.priceFromReserves(reserve0, reserve1, decimals0, decimals1),
+      lastSyncTx: event.transactionHash,
+      ...this.positionOf(event),
+      lastUpdate: Date.now()
+    };
+    after.tvl = priceOracle.getPoolTVL(after) ?? before.tvl;
+
+    await this.updatePoolState(poolAddress, after);
+    return { before, after, stale: false };
+  }
+
+  /**
+   * Apply a swap and derive the pool state before and after it
+   * @param {Object} event - Decoded Swap log (V2 or V3)
+   * @returns {Object} - { before, after, swapUSD, stale }: a stale swap (older
+   *   than the state) is derived but not written
+   */
+  async applySwap(event) {
+    const poolAddress = event.address;
+    const state = await this.getPoolState(poolAddress);
+    const args = event.args || {};
+
+    const { before, after, amount0, amount1 } = args.sqrtPriceX96 !== undefined
+      ? this.deriveConcentratedSwap(state, args)
+      : this.deriveConstantProductSwap(state, event);
+
+    const swapUSD = priceOracle.getSwapValueUSD(poolAddress, amount0, amount1) || 0;
+
+    if (this.isBehindState(state, event)) {
+      logger.debug(`Skipping stale Swap state update for ${poolAddress} at block ${event.blockNumber}`);
+      return { before, after, swapUSD, stale: true };
+    }
+
+    after.volume24h = (state.volume24h || 0) + swapUSD;
+    Object.assign(after, this.positionOf(event));
+    after.lastUpdate = Date.now();
+    after.timestamp = Date.now();
+
+    await this.updatePoolState(poolAddress, after);
+    return { before, after, swapUSD, stale: false };
+  }
+
+  /**
+   * V2 swap: reserves move by exactly amountIn - amountOut on each side.
+   * If the tx's Sync was already applied the cache holds the post-swap
+   * reserves and we walk back; otherwise we walk forward from the cache.
+   * @private
+   */
+  deriveConstantProductSwap(state, event) {
+    const args = event.args;
+    const amount0In = BigInt(args.amount0In || 0);
+    const amount1In = BigInt(args.amount1In || 0);
+    const amount0Out = BigInt(args.amount0Out || 0);
+    const amount1Out = BigInt(args.amount1Out || 0);
+    const delta0 = amount0In - amount0Out;
+    const delta1 = amount1In - amount1Out;
+
+    const amount0 = amount0In > amount0Out ? amount0In : amount0Out;
+    const amount1 = amount1In > amount1Out ? amount1In : amount1Out;
+
+    const reserve0 = toBigInt(state.reserve0);
+    const reserve1 = toBigInt(state.reserve1);
+    const { decimals0, decimals1 } = this.getDecimals(state);
+
+    const withReserves = (r0, r1) => {
+      const next = {
+        ...state,
+        protocol: 'v2',
+        reserve0: r0.toString(),
+        reserve1: r1.toString(),
+        price: this.priceFromReserves(r0, r1, decimals0, decimals1)
+      };
+      next.tvl = priceOracle.getPoolTVL(next) ?? state.tvl;
+      return next;
+    };
+
+    if (!reserve0 || !reserve1) {
+      // Reserves unknown until the pool's Sync arrives
+      logger.debug(`No reserves cached for ${state.address}, waiting for Sync`);
+      return { before: state, after: { ...state, protocol: 'v2' }, amount0, amount1 };
+    }
+
+    if (state.lastSyncTx === event.transactionHash) {
+      return {
+        before: withReserves(reserve0 - delta0, reserve1 - delta1),
+        after: { ...state },
+        amount0,
+        amount1
+      };
+    }
+
+    return {
+      before: state,
+      after: withReserves(reserve0 + delta0, reserve1 + delta1),
+      amount0,
+      amount1
+    };
+  }
+
+  /**
+   * V3/Algebra swap: the event carries the post-swap sqrtPriceX96, active
+   * liquidity and tick. The pre-swap price comes from the cache, or is
+   * reconstructed from the output leg if this is the first swap we've seen.
+   * @private
+   */
+  deriveConcentratedSwap(state, args) {
+    const amount0 = BigInt(args.amount0);
+    const amount1 = BigInt(args.amount1);
+    const sqrtPriceAfter = BigInt(args.sqrtPriceX96);
+    const liquidity = BigInt(args.liquidity);
+    const { decimals0, decimals1 } = this.getDecimals(state);
+
+    let sqrtPriceBefore = toBigInt(state.sqrtPriceX96);
+    if (!sqrtPriceBefore && liquidity > 0n) {
+      sqrtPriceBefore = this.estimateSqrtPriceBefore(sqrtPriceAfter, liquidity, amount0, amount1);
+    }
+
+    const before = sqrtPriceBefore
+      ? {
+        ...state,
+        sqrtPriceX96: sqrtPriceBefore.toString(),
+        price: this.priceFromSqrtPriceX96(sqrtPriceBefore, decimals0, decimals1)
+      }
+      : state;
+
+    const after = {
+      ...state,
+      protocol: state.protocol || 'v3',
+      sqrtPriceX96: sqrtPriceAfter.toString(),
+      liquidity: liquidity.toString(),
+      tick: Number(args.tick),
+      price: this.priceFromSqrtPriceX96(sqrtPriceAfter, decimals0, decimals1)
+    };
+
+    return {
+      before,
+      after,
+      amount0: amount0 < 0n ? -amount0 : amount0,
+      amount1: amount1 < 0n ? -amount1 : amount1
+    };
+  }
+
+  /**
+   * Reconstruct the pre-swap sqrtPriceX96 from the output leg, assuming the
+   * swap stayed inside the current tick range (output amounts exclude fees)
+   * @private
+   */
+  estimateSqrtPriceBefore(sqrtPriceAfter, liquidity, amount0, amount1) {
+    if (amount1 < 0n) {
+      // token1 left the pool: price fell, sqrtP_before = sqrtP_after + |dy| / L
+      return sqrtPriceAfter + ((-amount1) * Q96) / liquidity;
+    }
+    if (amount0 < 0n) {
+      // token0 left the pool: price rose, 1/sqrtP_before = 1/sqrtP_after + |dx| / L
+      return (liquidity * Q96 * sqrtPriceAfter) / (liquidity * Q96 + (-amount0) * sqrtPriceAfter);
+    }
+    return null;
+  }
+
+  /**
+   * Apply a Mint/Burn event
+   * V2 reserves are handled by the accompanying Sync; V3 positions that
+   * straddle the current tick change active liquidity
+   * @param {Object} event - Decoded Mint/Burn log
+   * @returns {Object} - { before, after, eventType, valueUSD, stale }
+   */
+  async applyLiquidity(event) {
+    const poolAddress = event.address;
+    const eventType = event.eventName; // 'Mint' or 'Burn'
+    const args = event.args || {};
+    const before = await this.getPoolState(poolAddress);
+    const sign = eventType === 'Mint' ? 1 : -1;
+
+    const tokens = poolRegistry.getTokens(poolAddress) || priceOracle.getPoolTokens(poolAddress);
+    const valueUSD = tokens
+      ? (priceOracle.toUSD(tokens.token0.address, args.amount0 || 0, tokens.token0.decimals) || 0) +
+        (priceOracle.toUSD(tokens.token1.address, args.amount1 || 0, tokens.token1.decimals) || 0)
+      : 0;
+
+    if (this.isBehindState(before, event)) {
+      logger.debug(`Skipping stale ${eventType} for ${poolAddress} at block ${event.blockNumber}`);
+      return { before, after: before, eventType, valueUSD, stale: true };
+    }
+
+    const after = { ...before, lastUpdate: Date.now(), ...this.positionOf(event) };
+
+    if (args.tickLower !== undefined) {
+      const tick = before.tick;
+      const liquidity = toBigInt(before.liquidity);
+      const inRange = tick !== undefined && tick >= Number(args.tickLower) && tick < Number(args.tickUpper);
+
+      if (inRange && liquidity !== null) {
+        const delta = BigInt(args.amount || 0);
+        after.liquidity = (eventType === 'Mint' ? liquidity + delta : liquidity - delta).toString();
+      }
+      after.tvl = Math.max(0, (before.tvl || 0) + sign * valueUSD);
+    } else if (!toBigInt(before.reserve0)) {
+      // No Sync seen yet for this V2 pool, so estimate TVL from the event
+      after.tvl = Math.max(0, (before.tvl || 0) + sign * valueUSD);
+    }
+
+    await this.updatePoolState(poolAddress, after);
+    return { before, after, eventType, valueUSD, stale: false };
+  }
+}
+
+module.exports = new PoolStateManager();
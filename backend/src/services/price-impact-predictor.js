@@ -1,15 +1,66 @@
 /**
  * Price Impact Predictor
  * Predicts price impact before trade execution
+ * (x*y=k for V2 pools, a tick-crossing swap simulation for V3/Algebra pools)
+ * Amounts are BigInt throughout and round the way the pools do on-chain
  * Suggests optimal trade splitting strategies
  */
 
+const { formatUnits, parseUnits } = require('viem');
 const logger = require('../utils/logger');
 const { getJSON } = require('../config/redis');
+const { getProvider } = require('../config/somnia-chain');
+const { POOL_METADATA_ABI } = require('../config/dex-abi');
+const poolRegistry = require('./pool-registry');
+const concentratedSwapSimulator = require('./concentrated-swap-simulator');
+
+const FEE_DENOMINATOR = 1000000n; // Fees are in hundredths of a bip
+const DEFAULT_FEE = 3000; // 0.3% when neither the pool nor the registry knows its fee
+const ALGEBRA_FEE_TTL_MS = 15000; // Algebra fees are dynamic; globalState is re-read this often
+const PERCENT_PRECISION = 10n ** 18n;
+
+/**
+ * Convert a stored amount (bigint, integer string or number) to BigInt
+ * @param {bigint|string|number} value
+ * @returns {bigint}
+ */
+function toBigInt(value) {
+  if (typeof value === 'bigint') return value;
+  if (value === null || value === undefined || value === '') return 0n;
+  try {
+    return BigInt(String(value));
+  } catch (error) {
+    // Numbers written in exponent notation (1e+21)
+    return BigInt(Math.floor(Number(value)));
+  }
+}
+
+/**
+ * Error for a request the predictor can't serve, with the HTTP status the
+ * route should answer with
+ * @param {string} message
+ * @param {number} status - 400 for bad input, 404 for an unknown pool
+ * @returns {Error}
+ */
+function requestError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Percentage change from the ratio a/b to c/d, exact up to the final division
+ * @returns {number}
+ */
+function percentChange(a, b, c, d) {
+  const denominator = a * d;
+  if (denominator === 0n) return 0;
+  return Number(((c * b - a * d) * 100n * PERCENT_PRECISION) / denominator) / Number(PERCENT_PRECISION);
+}
 
 class PriceImpactPredictor {
   constructor() {
     this.isInitialized = false;
+    this.client = null;
+    this.algebraFees = new Map(); // pool address -> { fee, fetchedAt }
   }
 
   /**
@@ -28,116 +79,262 @@ class PriceImpactPredictor {
 
   /**
    * Predict price impact for a trade
+   * @param {string} poolAddress - Pool address
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @param {bigint|string|number} amountIn - Raw input amount, or token units with options.decimal
+   * @param {Object} options - { decimal: amountIn is in token units (e.g. "1.5") }
+   * @returns {Promise<Object>} - Raw amounts (amountIn, amountOut) with their token-unit
+   *   values (amountInDecimal, amountOutDecimal), prices, impact and the fee applied
    */
-  async predictImpact(poolAddress, tokenIn, tokenOut, amountIn) {
+  async predictImpact(poolAddress, tokenIn, tokenOut, amountIn, { decimal = false } = {}) {
     try {
       // Get pool data
-      const poolData = await getJSON(`pool:${poolAddress}`);
+      const poolData = await getJSON(`pool:${poolAddress.toLowerCase()}`);
 
       if (!poolData) {
-        throw new Error('Pool not found');
+        throw requestError('Pool not found', 404);
       }
 
-      // Calculate current price
-      const currentPrice = this.calculatePrice(poolData);
+      const isToken0 = this.isToken0(poolAddress, poolData, tokenIn, tokenOut);
+      const decimals = this.getDecimals(poolAddress, poolData);
+      const [decimalsIn, decimalsOut] = isToken0
+        ? [decimals.token0, decimals.token1]
+        : [decimals.token1, decimals.token0];
 
-      // Calculate expected price after trade (constant product formula)
-      const { newPrice, priceImpact } = this.calculatePriceImpact(
-        poolData,
-        amountIn,
-        tokenIn === poolData.token0
-      );
+      const amountInRaw = this.toRawAmount(amountIn, decimalsIn, decimal);
+      if (amountInRaw <= 0n) {
+        throw requestError('amountIn must be positive');
+      }
 
-      // Calculate slippage
-      const slippage = Math.abs(priceImpact);
+      const { fee, feeSource } = await this.getFee(poolAddress, poolData);
 
-      // Estimate output amount
-      const amountOut = this.estimateOutputAmount(poolData, amountIn, tokenIn === poolData.token0);
+      const swap = this.isConcentrated(poolAddress, poolData)
+        ? await this.simulateConcentrated(poolAddress, poolData, amountInRaw, isToken0, fee)
+        : this.simulateConstantProduct(poolData, amountInRaw, isToken0, fee);
 
-      // Calculate effective price
-      const effectivePrice = amountIn / amountOut;
+      // Prices are token1 per token0 in token units; the impact is taken on
+      // the exact raw ratios
+      const decimalAdjustment = Math.pow(10, decimals.token0 - decimals.token1);
+      const currentPrice = (Number(swap.priceBefore[0]) / Number(swap.priceBefore[1])) * decimalAdjustment;
+      const newPrice = (Number(swap.priceAfter[0]) / Number(swap.priceAfter[1])) * decimalAdjustment;
+      const priceImpact = percentChange(...swap.priceBefore, ...swap.priceAfter);
+
+      // Calculate effective price (tokenIn paid per tokenOut received)
+      const amountInFilled = Number(formatUnits(swap.amountIn, decimalsIn));
+      const amountOut = Number(formatUnits(swap.amountOut, decimalsOut));
+      const effectivePrice = amountOut > 0 ? amountInFilled / amountOut : null;
 
       return {
         poolAddress,
         tokenIn,
         tokenOut,
-        amountIn,
-        amountOut,
+        amountIn: amountInRaw.toString(),
+        amountInDecimal: formatUnits(amountInRaw, decimalsIn),
+        amountOut: swap.amountOut.toString(),
+        amountOutDecimal: formatUnits(swap.amountOut, decimalsOut),
         currentPrice,
         newPrice,
         priceImpact,
-        slippage,
+        slippage: Math.abs(priceImpact),
         effectivePrice,
-        priceImpactUSD: 0, // Would calculate with real price data
+        fee: fee / 1e6,
+        feeSource,
+        model: swap.model,
+        ...swap.details,
         timestamp: Date.now()
       };
     } catch (error) {
-      logger.error('Error predicting price impact:', error);
+      if (!error.status) logger.error('Error predicting price impact:', error);
       throw error;
     }
   }
 
   /**
-   * Calculate price from pool reserves
+   * Convert an input amount to raw token units
+   * @param {bigint|string|number} amount - Raw amount, or token units when decimal is set
+   * @param {number} decimals - Input token decimals
+   * @param {boolean} decimal - Amount is in token units
+   * @returns {bigint}
+   */
+  toRawAmount(amount, decimals, decimal) {
+    try {
+      if (decimal) return parseUnits(String(amount), decimals);
+      if (typeof amount === 'number') return BigInt(Math.floor(amount));
+      return BigInt(amount);
+    } catch (error) {
+      throw requestError(decimal ? 'amountIn must be a decimal number' : 'amountIn must be an integer amount of raw token units');
+    }
+  }
+
+  /**
+   * Check whether tokenIn is the pool's token0
+   * Pool state written from Sync/Swap events doesn't always carry token
+   * addresses, so the registry's tokens are used when it doesn't. tokenIn and
+   * tokenOut must be the pool's two tokens, in either order
+   */
+  isToken0(poolAddress, poolData, tokenIn, tokenOut) {
+    const registered = poolRegistry.getTokens(poolAddress);
+    const token0 = (poolData.token0 || registered?.token0?.address)?.toLowerCase();
+    const token1 = (poolData.token1 || registered?.token1?.address)?.toLowerCase();
+    if (!token0 || !token1) {
+      throw new Error(`Tokens of pool ${poolAddress} are unknown`);
+    }
+
+    const pair = `${String(tokenIn).toLowerCase()}-${String(tokenOut).toLowerCase()}`;
+    if (pair === `${token0}-${token1}`) return true;
+    if (pair === `${token1}-${token0}`) return false;
+    throw requestError(`tokenIn and tokenOut must be the pool's tokens ${token0} and ${token1}`);
+  }
+
+  /**
+   * Token decimals of a pool: the registry's token metadata, else the pool
+   * state's, else 18
+   * @returns {Object} - { token0, token1 }
+   */
+  getDecimals(poolAddress, poolData) {
+    const tokens = poolRegistry.getTokens(poolAddress);
+    return {
+      token0: Number(tokens?.token0?.decimals ?? poolData.token0Decimals ?? 18),
+      token1: Number(tokens?.token1?.decimals ?? poolData.token1Decimals ?? 18)
+    };
+  }
+
+  /**
+   * Fee charged by a pool, in hundredths of a bip
+   * Algebra fees move with volatility, so they are read from globalState;
+   * otherwise the fee stored with the pool state, then the registry's
+   * @returns {Promise<Object>} - { fee, feeSource: 'globalState' | 'state' | 'registry' | 'default' }
+   */
+  async getFee(poolAddress, poolData) {
+    if (poolRegistry.getProtocol(poolAddress) === 'algebra') {
+      const fee = await this.readAlgebraFee(poolAddress);
+      if (fee !== null) return { fee, feeSource: 'globalState' };
+    }
+
+    if (poolData.fee !== null && poolData.fee !== undefined) {
+      return { fee: Number(poolData.fee), feeSource: 'state' };
+    }
+
+    const registryFee = poolRegistry.getFee(poolAddress);
+    if (registryFee !== null) {
+      return { fee: registryFee, feeSource: 'registry' };
+    }
+
+    return { fee: DEFAULT_FEE, feeSource: 'default' };
+  }
+
+  /**
+   * Current fee of an Algebra pool from globalState (cached briefly)
+   * @returns {Promise<number|null>} - Fee in hundredths of a bip, null if unreadable
+   * @private
    */
-  calculatePrice(poolData) {
-    const { reserve0, reserve1, token0Decimals = 18, token1Decimals = 18 } = poolData;
+  async readAlgebraFee(poolAddress) {
+    const key = poolAddress.toLowerCase();
+    const cached = this.algebraFees.get(key);
+    if (cached && Date.now() - cached.fetchedAt < ALGEBRA_FEE_TTL_MS) return cached.fee;
 
-    if (!reserve0 || !reserve1) return 0;
+    if (!this.client) {
+      this.client = getProvider();
+    }
 
-    const reserve0Adjusted = Number(reserve0) / Math.pow(10, token0Decimals);
-    const reserve1Adjusted = Number(reserve1) / Math.pow(10, token1Decimals);
+    try {
+      const globalState = await this.client.readContract({
+        address: poolAddress,
+        abi: POOL_METADATA_ABI,
+        functionName: 'globalState'
+      });
+      const fee = Number(globalState[2]);
+      this.algebraFees.set(key, { fee, fetchedAt: Date.now() });
+      return fee;
+    } catch (error) {
+      logger.debug(`Could not read globalState fee of ${poolAddress}: ${error.message}`);
+      return null;
+    }
+  }
 
-    return reserve1Adjusted / reserve0Adjusted;
+  /**
+   * Check whether a pool trades on concentrated liquidity (V3 / Algebra)
+   * Pools the registry doesn't know are judged by their stored state
+   */
+  isConcentrated(poolAddress, poolData) {
+    const protocol = poolRegistry.getProtocol(poolAddress);
+    if (protocol) return protocol !== 'v2';
+    return !!poolData.sqrtPriceX96 && !!poolData.liquidity && !Number(poolData.reserve0);
   }
 
   /**
-   * Calculate price impact using constant product formula
+   * Swap against V2 reserves with the pair's integer math
+   * (amountOut = amountIn * (1 - fee) * reserveOut / (reserveIn + amountIn * (1 - fee)), rounded down)
+   * @returns {Object} - { model, amountIn, amountOut, priceBefore, priceAfter, details }
+   *   with prices as raw [token1, token0] ratios
    */
-  calculatePriceImpact(poolData, amountIn, isToken0) {
-    const { reserve0, reserve1 } = poolData;
-
-    let newReserve0, newReserve1;
-
-    if (isToken0) {
-      // Buying token1 with token0
-      newReserve0 = Number(reserve0) + Number(amountIn);
-      newReserve1 = (Number(reserve0) * Number(reserve1)) / newReserve0;
-    } else {
-      // Buying token0 with token1
-      newReserve1 = Number(reserve1) + Number(amountIn);
-      newReserve0 = (Number(reserve0) * Number(reserve1)) / newReserve1;
+  simulateConstantProduct(poolData, amountIn, isToken0, fee) {
+    const reserve0 = toBigInt(poolData.reserve0);
+    const reserve1 = toBigInt(poolData.reserve1);
+
+    if (reserve0 === 0n || reserve1 === 0n) {
+      throw new Error('Pool has no reserves');
     }
 
-    const oldPrice = Number(reserve1) / Number(reserve0);
-    const newPrice = newReserve1 / newReserve0;
+    const [reserveIn, reserveOut] = isToken0 ? [reserve0, reserve1] : [reserve1, reserve0];
+    const amountInWithFee = amountIn * (FEE_DENOMINATOR - BigInt(Math.round(fee)));
+    const amountOut = (amountInWithFee * reserveOut) / (reserveIn * FEE_DENOMINATOR + amountInWithFee);
 
-    const priceImpact = ((newPrice - oldPrice) / oldPrice) * 100;
+    // The whole input, fee included, stays in the pool
+    const newReserve0 = isToken0 ? reserve0 + amountIn : reserve0 - amountOut;
+    const newReserve1 = isToken0 ? reserve1 - amountOut : reserve1 + amountIn;
 
     return {
-      newPrice,
-      priceImpact
+      model: 'constant_product',
+      amountIn,
+      amountOut,
+      priceBefore: [reserve1, reserve0],
+      priceAfter: [newReserve1, newReserve0],
+      details: {}
     };
   }
 
   /**
-   * Estimate output amount
+   * Swap through a V3/Algebra pool tick by tick: exact output, the price it
+   * leaves behind and the ticks it crosses
+   * @returns {Object} - { model, amountIn, amountOut, priceBefore, priceAfter, details }
+   *   with prices as raw [sqrtPriceX96², Q192] ratios
    */
-  estimateOutputAmount(poolData, amountIn, isToken0) {
-    const { reserve0, reserve1 } = poolData;
-    const fee = 0.003; // 0.3% fee
-
-    const amountInWithFee = Number(amountIn) * (1 - fee);
-
-    if (isToken0) {
-      const newReserve0 = Number(reserve0) + amountInWithFee;
-      const newReserve1 = (Number(reserve0) * Number(reserve1)) / newReserve0;
-      return Number(reserve1) - newReserve1;
-    } else {
-      const newReserve1 = Number(reserve1) + amountInWithFee;
-      const newReserve0 = (Number(reserve0) * Number(reserve1)) / newReserve1;
-      return Number(reserve0) - newReserve0;
-    }
+  async simulateConcentrated(poolAddress, poolData, amountIn, isToken0, fee) {
+    const protocol = poolRegistry.getProtocol(poolAddress) || 'v3';
+    const sqrtPriceX96 = toBigInt(poolData.sqrtPriceX96);
+
+    const simulation = await concentratedSwapSimulator.simulateSwap({
+      poolAddress,
+      protocol,
+      sqrtPriceX96,
+      liquidity: toBigInt(poolData.liquidity),
+      tick: poolData.tick !== null && poolData.tick !== undefined ? Number(poolData.tick) : undefined,
+      fee,
+      zeroForOne: isToken0,
+      amountIn
+    });
+
+    const Q192 = 1n << 192n;
+
+    return {
+      model: 'concentrated',
+      amountIn: simulation.amountIn,
+      amountOut: simulation.amountOut,
+      priceBefore: [sqrtPriceX96 * sqrtPriceX96, Q192],
+      priceAfter: [simulation.sqrtPriceX96 * simulation.sqrtPriceX96, Q192],
+      details: {
+        protocol,
+        ticksCrossed: simulation.ticksCrossed,
+        tickBefore: poolData.tick ?? null,
+        tickAfter: simulation.tick,
+        sqrtPriceX96After: simulation.sqrtPriceX96.toString(),
+        liquidityAfter: simulation.liquidity.toString(),
+        amountInFilledRaw: simulation.amountIn.toString(),
+        complete: simulation.complete // false when the pool ran out of liquidity first
+      }
+    };
   }
 
   /**
@@ -199,13 +396,14 @@ class PriceImpactPredictor {
 
   /**
    * Batch predict impact for multiple amounts
+   * @param {Object} options - Passed to predictImpact ({ decimal })
    */
-  async batchPredict(poolAddress, tokenIn, tokenOut, amounts) {
+  async batchPredict(poolAddress, tokenIn, tokenOut, amounts, options = {}) {
     try {
       const predictions = [];
 
       for (const amount of amounts) {
-        const prediction = await this.predictImpact(poolAddress, tokenIn, tokenOut, amount);
+        const prediction = await this.predictImpact(poolAddress, tokenIn, tokenOut, amount, options);
         predictions.push(prediction);
       }
 
@@ -0,0 +1,478 @@
+/**
+ * Price Oracle Service
+ * Derives USD prices for tokens by routing through stablecoin-anchored pools
+ * Falls back to a configurable static price table for tokens with no route
+ */
+
+const { formatUnits } = require('viem');
+const logger = require('../utils/logger');
+const { getRedisClient } = require('../config/redis');
+
+const DEFAULT_STABLECOIN_SYMBOLS = ['USDC', 'USDT', 'DAI', 'USDC.E', 'USDT.E', 'BUSD', 'USDBC'];
+const POOLS_LIST_KEY = 'pools:all';
+const PRICE_CACHE_TTL = parseInt(process.env.ORACLE_CACHE_TTL_MS || '15000');
+const MAX_HOPS = parseInt(process.env.ORACLE_MAX_HOPS || '3');
+const MIN_LIQUIDITY_USD = parseFloat(process.env.ORACLE_MIN_LIQUIDITY_USD || '0');
+
+/**
+ * Parse a comma-separated address list from the environment
+ * @param {string} value - Raw env value
+ * @returns {Array<string>} - Lowercased addresses
+ */
+function parseAddressList(value) {
+  if (!value) return [];
+  return value.split(',').map(addr => addr.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Parse the static price table
+ * Accepts JSON ({"WETH": 1800}) or "KEY:price" pairs ("WETH:1800,0xabc...:1")
+ * Keys may be token symbols or addresses
+ * @param {string} value - Raw env value
+ * @returns {Map<string, number>} - Uppercased symbol / lowercased address -> USD price
+ */
+function parseStaticPrices(value) {
+  const table = new Map();
+  if (!value) return table;
+
+  let entries;
+  try {
+    entries = Object.entries(JSON.parse(value));
+  } catch (error) {
+    entries = value.split(',').map(pair => pair.split(':').map(part => part.trim()));
+  }
+
+  for (const [key, price] of entries) {
+    const parsed = parseFloat(price);
+    if (!key || !Number.isFinite(parsed)) continue;
+    table.set(key.startsWith('0x') ? key.toLowerCase() : key.toUpperCase(), parsed);
+  }
+
+  return table;
+}
+
+class PriceOracle {
+  constructor() {
+    this.stablecoinAddresses = new Set(parseAddressList(process.env.STABLECOIN_ADDRESSES));
+    this.stablecoinSymbols = new Set(
+      (process.env.STABLECOIN_SYMBOLS
+        ? process.env.STABLECOIN_SYMBOLS.split(',')
+        : DEFAULT_STABLECOIN_SYMBOLS
+      ).map(symbol => symbol.trim().toUpperCase())
+    );
+    this.staticPrices = parseStaticPrices(process.env.STATIC_TOKEN_PRICES);
+    this.pools = new Map(); // pool address -> normalized pool
+    this.tokens = new Map(); // token address -> { address, symbol, decimals }
+    this.prices = new Map(); // token address -> { priceUSD, source, hops, via }
+    this.lastComputed = 0;
+    this.dirty = true;
+  }
+
+  /**
+   * Initialize the oracle with pools already seeded in Redis
+   */
+  async initialize() {
+    try {
+      logger.info('Initializing Price Oracle...');
+
+      try {
+        const redis = getRedisClient();
+        if (redis.isOpen) {
+          const poolList = await redis.lRange(POOLS_LIST_KEY, 0, -1);
+          for (const item of poolList) {
+            try {
+              this.updatePool(JSON.parse(item));
+            } catch (parseError) {
+              logger.debug('Skipping unparseable pool entry:', parseError.message);
+            }
+          }
+        }
+      } catch (error) {
+        logger.debug('Redis not available for Price Oracle seed:', error.message);
+      }
+
+      logger.info(`✅ Price Oracle initialized (${this.pools.size} pools, ${this.staticPrices.size} static prices)`);
+    } catch (error) {
+      logger.error('Failed to initialize Price Oracle:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize a token reference (address string or token object)
+   * @param {string|Object} token - Token address or { address, symbol, decimals }
+   * @param {number} decimals - Fallback decimals
+   * @returns {Object|null} - Normalized token
+   * @private
+   */
+  normalizeToken(token, decimals) {
+    if (!token) return null;
+
+    const raw = typeof token === 'string' ? { address: token } : token;
+    if (!raw.address) return null;
+
+    const address = raw.address.toLowerCase();
+    const known = this.tokens.get(address) || {};
+
+    const normalized = {
+      address,
+      symbol: raw.symbol || known.symbol || null,
+      decimals: Number(raw.decimals ?? decimals ?? known.decimals ?? 18)
+    };
+
+    this.tokens.set(address, normalized);
+    return normalized;
+  }
+
+  /**
+   * Add or refresh a pool used for price routing
+   * @param {Object} poolData - Pool data (QuickSwap fetcher, seeded or cached pool state)
+   */
+  updatePool(poolData) {
+    if (!poolData || !(poolData.address || poolData.poolAddress)) return;
+
+    const address = (poolData.address || poolData.poolAddress).toLowerCase();
+    const existing = this.pools.get(address) || {};
+
+    const token0 = this.normalizeToken(poolData.token0 || poolData.token0Address, poolData.token0Decimals)
+      || existing.token0;
+    const token1 = this.normalizeToken(poolData.token1 || poolData.token1Address, poolData.token1Decimals)
+      || existing.token1;
+
+    if (!token0 || !token1) return;
+
+    this.pools.set(address, {
+      address,
+      token0,
+      token1,
+      reserve0: poolData.reserve0 ?? existing.reserve0,
+      reserve1: poolData.reserve1 ?? existing.reserve1,
+      price: poolData.price ?? existing.price,
+      tvl: poolData.tvl ?? existing.tvl
+    });
+
+    this.dirty = true;
+  }
+
+  /**
+   * Register multiple pools at once
+   * @param {Array<Object>} pools - Pool data objects
+   */
+  registerPools(pools = []) {
+    pools.forEach(pool => this.updatePool(pool));
+    logger.debug(`Price Oracle tracking ${this.pools.size} pools`);
+  }
+
+  /**
+   * Get token0/token1 metadata for a known pool
+   * @param {string} poolAddress - Pool address
+   * @returns {Object|null} - { token0, token1 } or null
+   */
+  getPoolTokens(poolAddress) {
+    if (!poolAddress) return null;
+    const pool = this.pools.get(poolAddress.toLowerCase());
+    return pool ? { token0: pool.token0, token1: pool.token1 } : null;
+  }
+
+  /**
+   * Get token metadata
+   * @param {string} tokenAddress - Token address
+   * @returns {Object|null} - { address, symbol, decimals } or null
+   */
+  getTokenInfo(tokenAddress) {
+    if (!tokenAddress) return null;
+    return this.tokens.get(tokenAddress.toLowerCase()) || null;
+  }
+
+  /**
+   * Get token decimals (defaults to 18 for unknown tokens)
+   * @param {string} tokenAddress - Token address
+   * @returns {number} - Token decimals
+   */
+  getTokenDecimals(tokenAddress) {
+    const info = this.getTokenInfo(tokenAddress);
+    return info ? info.decimals : 18;
+  }
+
+  /**
+   * Check whether a token is a USD stablecoin anchor
+   * @param {string} tokenAddress - Token address
+   * @returns {boolean}
+   */
+  isStablecoin(tokenAddress) {
+    if (!tokenAddress) return false;
+    const address = tokenAddress.toLowerCase();
+    if (this.stablecoinAddresses.has(address)) return true;
+
+    const info = this.tokens.get(address);
+    return !!(info && info.symbol && this.stablecoinSymbols.has(info.symbol.toUpperCase()));
+  }
+
+  /**
+   * Human-readable price of token1 in terms of token0 for a pool
+   * @param {Object} pool - Normalized pool
+   * @returns {number} - token1 per token0, or 0 if unknown
+   * @private
+   */
+  getPoolPrice(pool) {
+    try {
+      if (pool.reserve0 && pool.reserve1) {
+        const reserve0 = Number(formatUnits(BigInt(pool.reserve0), pool.token0.decimals));
+        const reserve1 = Number(formatUnits(BigInt(pool.reserve1), pool.token1.decimals));
+        if (reserve0 > 0 && reserve1 > 0) {
+          return reserve1 / reserve0;
+        }
+      }
+    } catch (error) {
+      // Reserves may already be decimal-adjusted floats; fall through to pool.price
+    }
+
+    return Number(pool.price) || 0;
+  }
+
+  /**
+   * Estimate how much USD liquidity backs a price route on one side of a pool
+   * @param {Object} pool - Normalized pool
+   * @param {string} side - 'token0' or 'token1'
+   * @param {number} priceUSD - USD price of that side's token
+   * @returns {number} - Liquidity in USD
+   * @private
+   */
+  getSideLiquidityUSD(pool, side, priceUSD) {
+    const reserve = side === 'token0' ? pool.reserve0 : pool.reserve1;
+    const decimals = pool[side].decimals;
+
+    try {
+      if (reserve) {
+        return Number(formatUnits(BigInt(reserve), decimals)) * priceUSD;
+      }
+    } catch (error) {
+      return Number(reserve) * priceUSD || 0;
+    }
+
+    return pool.tvl ? Number(pool.tvl) / 2 : 0;
+  }
+
+  /**
+   * Recompute USD prices for every reachable token
+   * Breadth-first from stablecoins; at each hop the deepest pool wins
+   */
+  recomputePrices() {
+    const prices = new Map();
+
+    // Seed anchors
+    for (const address of this.tokens.keys()) {
+      if (this.isStablecoin(address)) {
+        prices.set(address, { priceUSD: 1, source: 'stablecoin', hops: 0, via: null });
+      }
+    }
+    for (const address of this.stablecoinAddresses) {
+      if (!prices.has(address)) {
+        prices.set(address, { priceUSD: 1, source: 'stablecoin', hops: 0, via: null });
+      }
+    }
+
+    let frontier = new Set(prices.keys());
+
+    for (let hop = 1; hop <= MAX_HOPS && frontier.size > 0; hop++) {
+      const candidates = new Map(); // token -> { priceUSD, liquidityUSD, via }
+
+      for (const pool of this.pools.values()) {
+        const poolPrice = this.getPoolPrice(pool);
+        if (!poolPrice) continue;
+
+        const sides = [
+          { known: 'token0', unknown: 'token1', convert: p => p / poolPrice },
+          { known: 'token1', unknown: 'token0', convert: p => p * poolPrice }
+        ];
+
+        for (const { known, unknown, convert } of sides) {
+          const knownAddress = pool[known].address;
+          const unknownAddress = pool[unknown].address;
+
+          if (!frontier.has(knownAddress) || prices.has(unknownAddress)) continue;
+
+          const knownPrice = prices.get(knownAddress).priceUSD;
+          const liquidityUSD = this.getSideLiquidityUSD(pool, known, knownPrice);
+          if (liquidityUSD < MIN_LIQUIDITY_USD) continue;
+
+          const current = candidates.get(unknownAddress);
+          if (!current || liquidityUSD > current.liquidityUSD) {
+            candidates.set(unknownAddress, {
+              priceUSD: convert(knownPrice),
+              liquidityUSD,
+              via: pool.address
+            });
+          }
+        }
+      }
+
+      frontier = new Set();
+      for (const [address, candidate] of candidates.entries()) {
+        if (!Number.isFinite(candidate.priceUSD) || candidate.priceUSD <= 0) continue;
+        prices.set(address, {
+          priceUSD: candidate.priceUSD,
+          source: 'pool',
+          hops: hop,
+          via: candidate.via
+        });
+        frontier.add(address);
+      }
+    }
+
+    this.prices = prices;
+    this.lastComputed = Date.now();
+    this.dirty = false;
+
+    logger.debug(`Price Oracle computed ${prices.size} on-chain prices`);
+  }
+
+  /**
+   * Look up a static fallback price by address or symbol
+   * @param {string} address - Lowercased token address
+   * @returns {number|null}
+   * @private
+   */
+  getStaticPrice(address) {
+    if (this.staticPrices.has(address)) {
+      return this.staticPrices.get(address);
+    }
+
+    const info = this.tokens.get(address);
+    if (info && info.symbol && this.staticPrices.has(info.symbol.toUpperCase())) {
+      return this.staticPrices.get(info.symbol.toUpperCase());
+    }
+
+    return null;
+  }
+
+  /**
+   * Get price details for a token
+   * @param {string} tokenAddress - Token address
+   * @returns {Object|null} - { priceUSD, source, hops, via } or null if unpriced
+   */
+  getTokenPriceInfo(tokenAddress) {
+    if (!tokenAddress) return null;
+
+    if (this.dirty || Date.now() - this.lastComputed > PRICE_CACHE_TTL) {
+      this.recomputePrices();
+    }
+
+    const address = tokenAddress.toLowerCase();
+    const routed = this.prices.get(address);
+    if (routed) return routed;
+
+    const staticPrice = this.getStaticPrice(address);
+    if (staticPrice !== null) {
+      return { priceUSD: staticPrice, source: 'static', hops: null, via: null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get USD price for a token
+   * @param {string} tokenAddress - Token address
+   * @returns {number|null} - USD price or null if unknown
+   */
+  getTokenPrice(tokenAddress) {
+    const info = this.getTokenPriceInfo(tokenAddress);
+    return info ? info.priceUSD : null;
+  }
+
+  /**
+   * Convert a raw on-chain token amount to USD
+   * @param {string} tokenAddress - Token address
+   * @param {bigint|string|number} rawAmount - Amount in token base units (sign is ignored)
+   * @param {number} decimals - Optional decimals override
+   * @returns {number|null} - USD value or null if the token is unpriced
+   */
+  toUSD(tokenAddress, rawAmount, decimals = null) {
+    const priceUSD = this.getTokenPrice(tokenAddress);
+    if (priceUSD === null) return null;
+
+    try {
+      let amount = BigInt(rawAmount || 0);
+      if (amount < 0n) amount = -amount;
+
+      const tokenDecimals = decimals ?? this.getTokenDecimals(tokenAddress);
+      return Number(formatUnits(amount, tokenDecimals)) * priceUSD;
+    } catch (error) {
+      logger.debug(`Error converting amount to USD for ${tokenAddress}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Value a swap on a known pool in USD
+   * Both legs are priced; the larger priced leg wins so a single unpriced
+   * token doesn't zero out the trade
+   * @param {string} poolAddress - Pool address
+   * @param {bigint|string} amount0 - Token0 amount (sign ignored)
+   * @param {bigint|string} amount1 - Token1 amount (sign ignored)
+   * @returns {number|null} - USD value or null if neither leg is priced
+   */
+  getSwapValueUSD(poolAddress, amount0, amount1) {
+    const tokens = this.getPoolTokens(poolAddress);
+    if (!tokens) return null;
+
+    const value0 = this.toUSD(tokens.token0.address, amount0, tokens.token0.decimals);
+    const value1 = this.toUSD(tokens.token1.address, amount1, tokens.token1.decimals);
+
+    if (value0 === null && value1 === null) return null;
+    return Math.max(value0 || 0, value1 || 0);
+  }
+
+  /**
+   * Estimate pool TVL in USD from reserves
+   * @param {Object} poolData - Pool data with reserves
+   * @returns {number|null} - TVL in USD or null if either side is unpriced
+   */
+  getPoolTVL(poolData) {
+    const address = (poolData.address || poolData.poolAddress || '').toLowerCase();
+    const pool = this.pools.get(address);
+    if (!pool || !poolData.reserve0 || !poolData.reserve1) return null;
+
+    const value0 = this.toUSD(pool.token0.address, poolData.reserve0, pool.token0.decimals);
+    const value1 = this.toUSD(pool.token1.address, poolData.reserve1, pool.token1.decimals);
+
+    if (value0 === null || value1 === null) return null;
+    return value0 + value1;
+  }
+
+  /**
+   * Get all known prices
+   * @returns {Array<Object>} - Token prices with source metadata
+   */
+  getAllPrices() {
+    const addresses = new Set([...this.tokens.keys(), ...this.prices.keys()]);
+    const result = [];
+
+    for (const address of addresses) {
+      const info = this.getTokenPriceInfo(address);
+      if (!info) continue;
+      result.push({
+        address,
+        symbol: this.tokens.get(address)?.symbol || null,
+        ...info
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Get oracle statistics
+   */
+  getStats() {
+    return {
+      pools: this.pools.size,
+      tokens: this.tokens.size,
+      routedPrices: this.prices.size,
+      staticPrices: this.staticPrices.size,
+      lastComputed: this.lastComputed
+    };
+  }
+}
+
+module.exports = new PriceOracle();
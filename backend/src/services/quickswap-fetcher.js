@@ -1,6 +1,7 @@
-const { createPublicClient, http, parseAbiItem } = require('viem');
-const { somniaChain } = require('../config/somnia-chain');
+const { parseAbiItem } = require('viem');
+const { getProvider } = require('../config/somnia-chain');
 const logger = require('../utils/logger');
+const poolRegistry = require('./pool-registry');
 
 // Algebra V4 Factory ABI (minimal for pool discovery)
 const FACTORY_ABI = [
@@ -105,11 +106,8 @@ class QuickSwapFetcher {
         throw new Error('QUICKSWAP_FACTORY address not configured');
       }
 
-      // Create public client
-      this.client = createPublicClient({
-        chain: somniaChain,
-        transport: http(process.env.SOMNIA_RPC_URL)
-      });
+      // Shared public client (multi-endpoint failover)
+      this.client = getProvider();
 
       logger.info(`QuickSwap Factory: ${this.factoryAddress}`);
       logger.info('✅ QuickSwap Fetcher initialized');
@@ -179,9 +177,11 @@ class QuickSwapFetcher {
   }
 
   /**
-   * Get pool data
+   * Get pool data and record the pool in the registry
+   * @param {string} poolAddress - Pool address
+   * @param {string} source - Registry source ('quickswap' or 'factory')
    */
-  async getPoolData(poolAddress) {
+  async getPoolData(poolAddress, source = 'quickswap') {
     try {
       const [token0Address, token1Address, globalState, liquidity] = await Promise.all([
         this.client.readContract({
@@ -216,17 +216,23 @@ class QuickSwapFetcher {
       const sqrtPriceX96 = globalState[0];
       const price = this.calculatePrice(sqrtPriceX96, token0.decimals, token1.decimals);
 
-      return {
+      const poolData = {
         address: poolAddress,
         dex: 'QuickSwap V4',
+        factory: this.factoryAddress || null,
+        protocol: 'algebra',
         token0,
         token1,
         liquidity: liquidity.toString(),
+        sqrtPriceX96: sqrtPriceX96.toString(),
         price,
         tick: globalState[1],
         fee: globalState[2],
         lastUpdate: Date.now()
       };
+
+      await poolRegistry.register(poolData, source);
+      return poolData;
     } catch (error) {
       logger.error(`Error getting pool data for ${poolAddress}:`, error);
       throw error;
@@ -242,8 +248,8 @@ class QuickSwapFetcher {
       const sqrtPrice = Number(sqrtPriceX96) / Number(Q96);
       const price = sqrtPrice ** 2;
 
-      // Adjust for decimals
-      const decimalAdjustment = 10 ** (decimals1 - decimals0);
+      // Adjust for decimals (raw token1/token0 -> human token1 per token0)
+      const decimalAdjustment = 10 ** (decimals0 - decimals1);
       return price * decimalAdjustment;
     } catch (error) {
       logger.debug('Error calculating price:', error);
@@ -278,7 +284,7 @@ class QuickSwapFetcher {
       for (const log of logs.slice(0, 20)) { // Limit to first 20 pools
         try {
           const poolAddress = log.args.pool;
-          const poolData = await this.getPoolData(poolAddress);
+          const poolData = await this.getPoolData(poolAddress, 'factory');
           discoveredPools.push(poolData);
           logger.info(`✅ Discovered pool: ${poolData.token0.symbol}/${poolData.token1.symbol} at ${poolAddress}`);
         } catch (error) {
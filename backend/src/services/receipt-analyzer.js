@@ -0,0 +1,234 @@
+/**
+ * Receipt Analyzer
+ * Rebuilds the full swap path of a flagged transaction from its receipt.
+ * The block-level MEV detector only sees swaps of pools we ingest; the
+ * receipt holds every Swap log the transaction emitted, across any pool, so
+ * cyclic atomic arbitrage (A -> B -> ... -> A in one transaction) can be
+ * recognized and its profit measured.
+ */
+
+const { formatUnits, parseEventLogs } = require('viem');
+const logger = require('../utils/logger');
+const { getProvider } = require('../config/somnia-chain');
+const { SWAP_EVENTS } = require('../config/dex-abi');
+const poolRegistry = require('./pool-registry');
+const priceOracle = require('./price-oracle');
+const swapDecoder = require('./swap-decoder');
+
+const MEV_RECEIPT_ANALYSIS_ENABLED = process.env.MEV_RECEIPT_ANALYSIS_ENABLED !== 'false';
+const MEV_RECEIPT_MAX_PER_BLOCK = parseInt(process.env.MEV_RECEIPT_MAX_PER_BLOCK || '10'); // Receipts fetched per analyzed block
+const WRAPPED_NATIVE_TOKEN = (process.env.WRAPPED_NATIVE_TOKEN || '').toLowerCase(); // Prices gas in USD
+const MAX_ANALYZED_TXS = 5000;
+
+class ReceiptAnalyzer {
+  constructor() {
+    this.client = null;
+    this.isEnabled = MEV_RECEIPT_ANALYSIS_ENABLED;
+    this.analyzedTxs = new Set(); // Transactions already analyzed (replays, re-analysis)
+    this.stats = {
+      flagged: 0,
+      analyzed: 0,
+      arbitrages: 0,
+      incomplete: 0, // Receipts with swaps we couldn't decode
+      failed: 0
+    };
+  }
+
+  /**
+   * Pick the transactions of a block worth fetching a receipt for
+   * A transaction is flagged when it swaps in more than one pool we saw, or
+   * when a non-router contract swaps and keeps the output itself (the usual
+   * shape of an arbitrage bot whose other legs are in pools we don't ingest).
+   * @param {Array<Object>} ordered - Block swaps in transaction order
+   * @param {Set<string>} knownRouters - Public router addresses
+   * @returns {Array<string>} - Transaction hashes, at most MEV_RECEIPT_MAX_PER_BLOCK
+   */
+  flagTransactions(ordered, knownRouters = new Set()) {
+    if (!this.isEnabled) return [];
+
+    const byTx = new Map(); // tx hash -> swaps
+    for (const swap of ordered) {
+      if (!swap.txHash || this.analyzedTxs.has(swap.txHash)) continue;
+      if (!byTx.has(swap.txHash)) byTx.set(swap.txHash, []);
+      byTx.get(swap.txHash).push(swap);
+    }
+
+    const flagged = [];
+    for (const [txHash, swaps] of byTx.entries()) {
+      const pools = new Set(swaps.map(swap => swap.poolAddress.toLowerCase()));
+      const selfSettling = swaps.some((swap) => {
+        const sender = swap.sender ? swap.sender.toLowerCase() : null;
+        return sender && !knownRouters.has(sender) &&
+          sender === (swap.recipient || '').toLowerCase() &&
+          sender !== (swap.origin || '').toLowerCase();
+      });
+
+      if (pools.size > 1 || selfSettling) {
+        flagged.push(txHash);
+      }
+    }
+
+    this.stats.flagged += flagged.length;
+    if (flagged.length > MEV_RECEIPT_MAX_PER_BLOCK) {
+      logger.debug(`Receipt analysis capped at ${MEV_RECEIPT_MAX_PER_BLOCK} of ${flagged.length} flagged transactions`);
+    }
+    return flagged.slice(0, MEV_RECEIPT_MAX_PER_BLOCK);
+  }
+
+  /**
+   * Fetch a transaction's receipt and classify it
+   * @param {string} txHash - Transaction hash
+   * @param {Object} context - { timestamp } of the block, when known
+   * @returns {Object|null} - atomic_arbitrage record, or null if it isn't one
+   */
+  async analyzeTransaction(txHash, { timestamp = null } = {}) {
+    if (!this.isEnabled || this.analyzedTxs.has(txHash)) return null;
+
+    this.analyzedTxs.add(txHash);
+    if (this.analyzedTxs.size > MAX_ANALYZED_TXS) {
+      this.analyzedTxs.delete(this.analyzedTxs.values().next().value);
+    }
+
+    try {
+      if (!this.client) {
+        this.client = getProvider();
+      }
+
+      const receipt = await this.client.getTransactionReceipt({ hash: txHash });
+      this.stats.analyzed++;
+      if (!receipt || receipt.status !== 'success') return null;
+
+      const legs = await this.decodeSwapPath(receipt);
+      if (!legs) {
+        this.stats.incomplete++;
+        return null;
+      }
+
+      const arbitrage = this.classify(receipt, legs, timestamp);
+      if (arbitrage) {
+        this.stats.arbitrages++;
+      }
+      return arbitrage;
+    } catch (error) {
+      this.stats.failed++;
+      logger.error(`Error analyzing receipt of ${txHash}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Decode every Swap log of a receipt into normalized legs, in log order
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Array<Object>|null} - Legs, or null if a swap's tokens are unknown
+   * @private
+   */
+  async decodeSwapPath(receipt) {
+    const logs = parseEventLogs({ abi: SWAP_EVENTS, logs: receipt.logs });
+    const legs = [];
+
+    for (const log of logs) {
+      await poolRegistry.ensurePool(log.address);
+
+      const leg = swapDecoder.decode({ ...log, from: receipt.from });
+      if (!leg.tokenIn || !leg.tokenOut) return null;
+      legs.push(leg);
+    }
+
+    return legs.sort((a, b) => a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Classify a swap path as cyclic atomic arbitrage
+   * The path must start and end in the same token across at least two pools,
+   * and the transaction must end up with more of that token without being
+   * short any other token along the way.
+   * @param {Object} receipt - Transaction receipt
+   * @param {Array<Object>} legs - Normalized swap legs in log order
+   * @param {number} timestamp - Block time (ms), when known
+   * @returns {Object|null}
+   * @private
+   */
+  classify(receipt, legs, timestamp) {
+    if (legs.length < 2) return null;
+
+    const pools = [...new Set(legs.map(leg => leg.poolAddress.toLowerCase()))];
+    const startToken = legs[0].tokenIn;
+    const endToken = legs[legs.length - 1].tokenOut;
+    if (pools.length < 2 || startToken.address !== endToken.address) return null;
+
+    // Net token flow of the transaction: what it received minus what it paid
+    const flows = new Map(); // token address -> { token, net }
+    const addFlow = (token, amount) => {
+      const entry = flows.get(token.address) || { token, net: 0n };
+      entry.net += amount;
+      flows.set(token.address, entry);
+    };
+    for (const leg of legs) {
+      addFlow(leg.tokenIn, -BigInt(leg.amountIn));
+      addFlow(leg.tokenOut, BigInt(leg.amountOut));
+    }
+
+    const start = flows.get(startToken.address);
+    if (start.net <= 0n) return null;
+    if (Array.from(flows.values()).some(flow => flow.net < 0n)) return null;
+
+    const profits = Array.from(flows.values())
+      .filter(flow => flow.net > 0n)
+      .map(({ token, net }) => ({
+        token: token.symbol || token.address,
+        tokenAddress: token.address,
+        amount: formatUnits(net, token.decimals),
+        usd: priceOracle.toUSD(token.address, net, token.decimals)
+      }));
+    const priced = profits.every(profit => profit.usd !== null);
+    const profitUSD = profits.reduce((sum, profit) => sum + (profit.usd || 0), 0);
+
+    const gasCost = BigInt(receipt.gasUsed || 0) * BigInt(receipt.effectiveGasPrice || 0);
+    const gasUSD = WRAPPED_NATIVE_TOKEN ? priceOracle.toUSD(WRAPPED_NATIVE_TOKEN, gasCost, 18) : null;
+
+    return {
+      type: 'atomic_arbitrage',
+      txHash: receipt.transactionHash,
+      blockNumber: Number(receipt.blockNumber),
+      transactionIndex: Number(receipt.transactionIndex),
+      bot: receipt.to ? receipt.to.toLowerCase() : null,
+      searcher: receipt.from.toLowerCase(),
+      poolAddress: legs[0].poolAddress,
+      poolAddresses: pools,
+      hops: legs.length,
+      route: [startToken, ...legs.map(leg => leg.tokenOut)]
+        .map(token => token.symbol || token.address)
+        .join(' → '),
+      path: legs.map(leg => ({
+        poolAddress: leg.poolAddress,
+        dex: leg.dex,
+        tokenIn: leg.tokenIn.symbol || leg.tokenIn.address,
+        tokenOut: leg.tokenOut.symbol || leg.tokenOut.address,
+        amountIn: leg.amountInDecimal,
+        amountOut: leg.amountOutDecimal,
+        logIndex: leg.logIndex
+      })),
+      profitToken: startToken.symbol || startToken.address,
+      profitAmount: formatUnits(start.net, startToken.decimals),
+      profits,
+      profitUSD: priced ? profitUSD : null,
+      gasUsed: BigInt(receipt.gasUsed || 0).toString(),
+      gasCost: formatUnits(gasCost, 18),
+      gasUSD,
+      netProfitUSD: priced && gasUSD !== null ? profitUSD - gasUSD : null,
+      timestamp: timestamp || Date.now()
+    };
+  }
+
+  /**
+   * Get analyzer statistics
+   */
+  getStats() {
+    return {
+      enabled: this.isEnabled,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new ReceiptAnalyzer();
@@ -0,0 +1,388 @@
+/**
+ * Reorg Monitor
+ * Tracks the block hash of every processed event until it reaches
+ * confirmation depth (pending -> confirmed). When a tracked block's hash
+ * changes, or the node reports a removed log, everything derived from the
+ * orphaned blocks is rolled back (pool state is restored from the snapshot
+ * taken before the first orphaned event) and clients are told to retract it.
+ */
+
+const logger = require('../utils/logger');
+const { getProvider } = require('../config/somnia-chain');
+const sdsClient = require('./sds-client');
+const whaleDetector = require('./whale-detector');
+const impactAnalyzer = require('./impact-analyzer');
+const walletTracker = require('./wallet-tracker');
+const mevDetector = require('./mev-detector');
+const alertEngine = require('./alert-engine');
+const poolStateManager = require('./pool-state-manager');
+
+const CONFIRMATION_DEPTH = parseInt(process.env.CONFIRMATION_DEPTH || '6');
+const REORG_CHECK_INTERVAL_MS = parseInt(process.env.REORG_CHECK_INTERVAL_MS || '5000');
+const MAX_REORG_HISTORY = 20;
+
+class ReorgMonitor {
+  constructor() {
+    this.provider = null;
+    this.socketHandler = null;
+    this.confirmationDepth = CONFIRMATION_DEPTH;
+    this.pendingBlocks = new Map(); // block number -> { hash, txHashes, eventIds, pools, poolStates }
+    this.headBlock = null;
+    this.checkInterval = null;
+    this.isChecking = false;
+    this.reorgs = []; // Recent reorgs, newest first
+    this.stats = {
+      confirmedBlocks: 0,
+      reorgs: 0,
+      rolledBackTxs: 0
+    };
+  }
+
+  /**
+   * Initialize the reorg monitor
+   */
+  async initialize() {
+    try {
+      this.provider = sdsClient.provider || getProvider();
+      this.headBlock = Number(await this.provider.getBlockNumber());
+      await this.resumePendingWhales();
+      logger.info(`✅ Reorg Monitor initialized (confirmation depth: ${this.confirmationDepth} blocks)`);
+    } catch (error) {
+      logger.error('Failed to initialize Reorg Monitor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set socket handler for retraction/confirmation events
+   * @param {Object} handler - Socket handler instance
+   */
+  setSocketHandler(handler) {
+    this.socketHandler = handler;
+    logger.info('Socket handler set for Reorg Monitor');
+  }
+
+  /**
+   * Start polling tracked blocks against the canonical chain
+   */
+  start() {
+    if (this.checkInterval) return;
+
+    this.checkInterval = setInterval(() => {
+      this.checkBlocks().catch((error) => {
+        logger.error('Error checking blocks for reorgs:', error);
+      });
+    }, REORG_CHECK_INTERVAL_MS);
+
+    logger.info(`🔗 Reorg monitoring started (${REORG_CHECK_INTERVAL_MS}ms interval)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+      logger.info('Reorg monitoring stopped');
+    }
+  }
+
+  /**
+   * Whether a block is still tracked until it reaches confirmation depth
+   * Blocks already past it (e.g. backfill) are final, as are unnumbered ones
+   * @param {number|bigint|null} blockNumber
+   * @returns {boolean}
+   */
+  isPending(blockNumber) {
+    if (blockNumber === undefined || blockNumber === null) return false;
+    return this.headBlock === null || this.headBlock - Number(blockNumber) < this.confirmationDepth;
+  }
+
+  /**
+   * Pick up whales stored as pending before a restart: ones whose block is
+   * now deep enough are confirmed, the rest are tracked again (their pool
+   * state snapshots are gone, so a reorg of those blocks only retracts)
+   * @private
+   */
+  async resumePendingWhales() {
+    const pending = whaleDetector.recentWhales.filter(whale => whale.status === 'pending');
+    const final = [];
+
+    for (const whale of pending) {
+      if (this.isPending(whale.blockNumber)) {
+        await this.trackEvent({
+          blockNumber: whale.blockNumber,
+          blockHash: whale.blockHash,
+          transactionHash: whale.txHash
+        }, null);
+      } else {
+        final.push(whale.txHash);
+      }
+    }
+
+    if (final.length > 0) {
+      await whaleDetector.confirmWhales(final);
+    }
+  }
+
+  /**
+   * Get (or start) the pending entry of an event's block
+   * @param {Object} event - Decoded log
+   * @returns {Promise<Object|null>} - Pending block, null for unnumbered or final blocks
+   * @private
+   */
+  async getPendingBlock(event) {
+    if (!this.isPending(event.blockNumber)) return null;
+
+    const blockNumber = Number(event.blockNumber);
+
+    let block = this.pendingBlocks.get(blockNumber);
+
+    // Same height, different hash: the block we saw earlier was replaced
+    if (block && event.blockHash && block.hash && block.hash !== event.blockHash) {
+      await this.handleReorg(blockNumber, 'block_hash_changed');
+      block = null;
+    }
+
+    if (!block) {
+      block = {
+        hash: event.blockHash || null,
+        txHashes: new Set(),
+        eventIds: new Set(),
+        pools: new Set(),
+        poolStates: new Map() // pool -> state before the block's first event for it
+      };
+      this.pendingBlocks.set(blockNumber, block);
+    }
+
+    return block;
+  }
+
+  /**
+   * Snapshot a pool's state before an event in a pending block changes it,
+   * so a reorg can put it back
+   * @param {Object} event - Decoded log, not yet applied
+   */
+  async snapshotPoolState(event) {
+    const block = await this.getPendingBlock(event);
+    if (!block || !event.address) return;
+
+    const pool = event.address.toLowerCase();
+    if (block.poolStates.has(pool)) return;
+
+    const state = await poolStateManager.getPoolState(pool);
+    block.poolStates.set(pool, state ? structuredClone(state) : null);
+  }
+
+  /**
+   * Track a processed event until its block is confirmed
+   * @param {Object} event - Decoded log
+   * @param {string|null} eventId - txHash:logIndex
+   */
+  async trackEvent(event, eventId) {
+    const block = await this.getPendingBlock(event);
+    if (!block) return;
+
+    if (!block.hash && event.blockHash) block.hash = event.blockHash;
+    if (event.transactionHash) block.txHashes.add(event.transactionHash);
+    if (eventId) block.eventIds.add(eventId);
+    if (event.address) block.pools.add(event.address.toLowerCase());
+  }
+
+  /**
+   * Handle a log the node marked as removed (filter-based subscriptions)
+   * @param {Object} event - Removed log
+   */
+  async handleRemovedLog(event) {
+    if (event.blockNumber === undefined || event.blockNumber === null) return;
+    await this.handleReorg(Number(event.blockNumber), 'log_removed');
+  }
+
+  /**
+   * Compare pending blocks with the canonical chain and confirm deep ones
+   */
+  async checkBlocks() {
+    if (this.isChecking || !this.provider || this.pendingBlocks.size === 0) return;
+    this.isChecking = true;
+
+    try {
+      this.headBlock = Number(await this.provider.getBlockNumber());
+
+      const blockNumbers = Array.from(this.pendingBlocks.keys()).sort((a, b) => a - b);
+
+      for (const blockNumber of blockNumbers) {
+        const block = this.pendingBlocks.get(blockNumber);
+        if (!block) continue;
+
+        if (block.hash) {
+          const canonical = await this.provider.getBlock({ blockNumber: BigInt(blockNumber) });
+          if (canonical && canonical.hash !== block.hash) {
+            await this.handleReorg(blockNumber, 'block_hash_changed');
+            break; // Everything from here on was rolled back
+          }
+        }
+
+        if (this.headBlock - blockNumber >= this.confirmationDepth) {
+          await this.confirmBlock(blockNumber, block);
+        }
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Promote a block's events from pending to confirmed
+   * @private
+   */
+  async confirmBlock(blockNumber, block) {
+    this.pendingBlocks.delete(blockNumber);
+    this.stats.confirmedBlocks++;
+
+    const txHashes = Array.from(block.txHashes);
+    await whaleDetector.confirmWhales(txHashes);
+
+    if (this.socketHandler) {
+      this.socketHandler.broadcastConfirmation({
+        blockNumber,
+        blockHash: block.hash,
+        txHashes
+      });
+    }
+  }
+
+  /**
+   * Roll back everything derived from blocks >= fromBlock and re-index them
+   * @param {number} fromBlock - First orphaned block
+   * @param {string} reason - Why the reorg was detected
+   * @returns {Object|null} - Reorg summary
+   */
+  async handleReorg(fromBlock, reason) {
+    try {
+      const orphanedBlocks = Array.from(this.pendingBlocks.keys()).filter(n => n >= fromBlock);
+      if (orphanedBlocks.length === 0) return null;
+
+      const txHashes = new Set();
+      const eventIds = new Set();
+      const pools = new Set();
+      const poolStates = new Map(); // pool -> state before its first orphaned event
+
+      for (const blockNumber of orphanedBlocks.sort((a, b) => a - b)) {
+        const block = this.pendingBlocks.get(blockNumber);
+        block.txHashes.forEach(tx => txHashes.add(tx));
+        block.eventIds.forEach(id => eventIds.add(id));
+        block.pools.forEach(pool => pools.add(pool));
+        block.poolStates.forEach((state, pool) => {
+          if (!poolStates.has(pool)) poolStates.set(pool, state);
+        });
+        this.pendingBlocks.delete(blockNumber);
+      }
+
+      logger.warn(`⛓️  Reorg detected at block ${fromBlock} (${reason}): rolling back ${txHashes.size} transactions`);
+
+      const orphanedTxs = Array.from(txHashes);
+      const whales = await whaleDetector.removeWhales(orphanedTxs);
+      await impactAnalyzer.removeWhaleImpacts(orphanedTxs);
+      const trades = await walletTracker.removeTrades(orphanedTxs);
+      const mev = await mevDetector.removeByTransactions(orphanedTxs);
+      const alerts = await alertEngine.retractTriggers(orphanedTxs);
+      const restoredPools = await this.restorePoolStates(poolStates);
+
+      // Required lazily: the event processor depends on this module
+      const eventProcessor = require('./event-processor');
+      await eventProcessor.releaseEvents(Array.from(eventIds));
+      await eventProcessor.rewindCheckpoints(Array.from(pools), fromBlock - 1);
+
+      const reorg = {
+        fromBlock,
+        toBlock: Math.max(...orphanedBlocks),
+        reason,
+        txHashes: orphanedTxs,
+        whales: whales.map(w => w.txHash),
+        walletTrades: trades,
+        mev: mev.map(m => ({ type: m.type, victimTx: m.victimTx, backRunTx: m.backRunTx })),
+        alerts,
+        restoredPools,
+        detectedAt: Date.now()
+      };
+
+      this.stats.reorgs++;
+      this.stats.rolledBackTxs += orphanedTxs.length;
+      this.reorgs.unshift(reorg);
+      if (this.reorgs.length > MAX_REORG_HISTORY) {
+        this.reorgs.pop();
+      }
+
+      if (this.socketHandler) {
+        this.socketHandler.broadcastReorg(reorg);
+      }
+
+      // Pick up the canonical logs for the affected pools
+      this.reindexCanonical(fromBlock, Array.from(pools));
+
+      return reorg;
+    } catch (error) {
+      logger.error(`Error handling reorg at block ${fromBlock}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Put back the pool state orphaned events changed (reserves, price,
+   * volume, TVL); the canonical logs are then re-applied by the re-index
+   * @param {Map} poolStates - pool -> state before its first orphaned event
+   * @returns {Promise<Array<string>>} - Restored pools
+   * @private
+   */
+  async restorePoolStates(poolStates) {
+    const restored = [];
+
+    for (const [pool, state] of poolStates) {
+      if (!state) continue;
+      await poolStateManager.updatePoolState(pool, state);
+      restored.push(pool);
+    }
+
+    return restored;
+  }
+
+  /**
+   * Re-index the reorged range once the canonical chain is known
+   * Queued behind any running backfill job; ranges longer than a single
+   * job allows are split into consecutive jobs
+   * @private
+   */
+  async reindexCanonical(fromBlock, pools) {
+    if (pools.length === 0 || !this.provider) return;
+
+    const backfillService = require('./backfill-service');
+
+    try {
+      const head = Number(await this.provider.getBlockNumber());
+
+      for (let start = fromBlock; start <= head; start += backfillService.maxBlocks) {
+        const toBlock = Math.min(start + backfillService.maxBlocks - 1, head);
+        const job = backfillService.reindexRange({ fromBlock: start, toBlock, pools });
+        logger.info(`📜 Re-indexing blocks ${start}-${toBlock} after reorg (job ${job.id})`);
+      }
+    } catch (error) {
+      logger.error(`Could not re-index blocks from ${fromBlock} after reorg:`, error);
+    }
+  }
+
+  /**
+   * Get monitor status
+   */
+  getStatus() {
+    return {
+      confirmationDepth: this.confirmationDepth,
+      headBlock: this.headBlock,
+      pendingBlocks: this.pendingBlocks.size,
+      ...this.stats,
+      recentReorgs: this.reorgs
+    };
+  }
+}
+
+module.exports = new ReorgMonitor();
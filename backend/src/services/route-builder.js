@@ -0,0 +1,452 @@
+/**
+ * Arbitrage Route Builder
+ * Turns a pool path into executable router transactions: one exact-input
+ * swap per hop through the router configured for the pool's DEX, with the
+ * token approval it needs. Routes are verified before anyone acts on them by
+ * executing every hop in sequence on a local hardhat/anvil fork as the
+ * trader and rolling the fork back afterwards. Without a fork only the first
+ * hop can be checked, with eth_call from the trader's current balances: later
+ * hops spend tokens the trader doesn't hold until the earlier hops have run.
+ */
+
+const { encodeFunctionData, formatUnits, isAddress, parseUnits, ContractFunctionRevertedError } = require('viem');
+const logger = require('../utils/logger');
+const { getProvider, createSomniaForkClient } = require('../config/somnia-chain');
+const { SWAP_ROUTER_ABI, ERC20_APPROVAL_ABI } = require('../config/dex-abi');
+const poolRegistry = require('./pool-registry');
+const arbitrageScanner = require('./arbitrage-scanner');
+
+const FORK_RPC_URL = process.env.ARB_FORK_RPC_URL || '';
+const DEFAULT_SLIPPAGE_BPS = 50;
+const MAX_SLIPPAGE_BPS = 5000;
+const ROUTE_DEADLINE_SECONDS = 300;
+const FORK_GAS_BALANCE = 10n ** 20n; // Native balance given to the impersonated trader on the fork
+
+/**
+ * Find a router function by name and (for exactInputSingle) the struct
+ * fields it has and doesn't have
+ * @private
+ */
+function routerFunction(name, fields = [], without = []) {
+  const hasField = (item, field) => item.inputs[0].components?.some(component => component.name === field);
+  return SWAP_ROUTER_ABI.find(item => item.name === name &&
+    fields.every(field => hasField(item, field)) && !without.some(field => hasField(item, field)));
+}
+
+// V3 routers take the original SwapRouter struct (with deadline) or the
+// SwapRouter02 one (without), per the router type configured for the pool
+const ROUTER_FUNCTIONS = {
+  v2: routerFunction('swapExactTokensForTokens'),
+  v3: routerFunction('exactInputSingle', ['fee', 'deadline']),
+  v3SwapRouter02: routerFunction('exactInputSingle', ['fee'], ['deadline']),
+  algebra: routerFunction('exactInputSingle', ['limitSqrtPrice'])
+};
+
+/**
+ * Router function for a hop
+ * @param {Object} edge - Route hop
+ * @returns {Object} - ABI item
+ */
+function routerFunctionFor(edge) {
+  if (edge.protocol === 'v3' && poolRegistry.getRouterType(edge.poolAddress) === 'SwapRouter02') {
+    return ROUTER_FUNCTIONS.v3SwapRouter02;
+  }
+  return ROUTER_FUNCTIONS[edge.protocol];
+}
+
+/**
+ * Metadata of one of a registered pool's tokens
+ * @param {string} poolAddress - Pool address
+ * @param {string} tokenAddress - Token address
+ * @returns {Object|null} - { address, symbol, decimals }
+ */
+function tokenOf(poolAddress, tokenAddress) {
+  const tokens = poolRegistry.getTokens(poolAddress);
+  const token = tokens && [tokens.token0, tokens.token1].find(t => t.address === tokenAddress.toLowerCase());
+  return token ? { address: token.address, symbol: token.symbol, decimals: token.decimals } : null;
+}
+
+/**
+ * Readable reason for a failed call: the revert string or custom error when
+ * the contract gave one, otherwise the client's summary
+ * @param {Error} error - viem error
+ * @returns {string}
+ */
+function describeRevert(error) {
+  const revert = typeof error.walk === 'function'
+    ? error.walk(cause => cause instanceof ContractFunctionRevertedError)
+    : null;
+  return revert?.reason || revert?.data?.errorName || error.shortMessage || error.message;
+}
+
+class RouteBuilder {
+  constructor() {
+    this.forkClient = null;
+    this.forkQueue = Promise.resolve(); // Fork simulations snapshot and revert, so they run one at a time
+    this.stats = {
+      routesBuilt: 0,
+      simulations: 0,
+      simulationsReverted: 0
+    };
+  }
+
+  /**
+   * Get the fork client, if a fork is configured
+   * @private
+   */
+  getForkClient() {
+    if (!FORK_RPC_URL) return null;
+    if (!this.forkClient) {
+      this.forkClient = createSomniaForkClient(FORK_RPC_URL);
+      logger.info('Arbitrage route simulations run on a local fork');
+    }
+    return this.forkClient;
+  }
+
+  /**
+   * Build the router transactions for a route and optionally simulate them
+   * @param {Object} params
+   * @param {Array<string>} params.pools - Pool addresses in trade order
+   * @param {string} params.tokenIn - Token sold into the first pool
+   * @param {string} params.amount - Input amount in token units (e.g. "1.5")
+   * @param {string} params.from - Trader executing the route
+   * @param {string} [params.recipient] - Receiver of each hop's output (defaults to from)
+   * @param {number} [params.slippageBps] - Tolerated shortfall per hop, in basis points
+   * @param {boolean} [params.simulate] - Verify the route against the node or fork
+   * @returns {Promise<Object>} - Route with steps, estimated gas and simulation
+   */
+  async buildRoute({ pools, tokenIn, amount, from, recipient = from, slippageBps = DEFAULT_SLIPPAGE_BPS, simulate = true }) {
+    if (!Array.isArray(pools) || pools.length === 0 || pools.some(pool => !isAddress(pool))) {
+      throw new Error('pools must be a non-empty array of addresses');
+    }
+    if (!isAddress(tokenIn || '')) throw new Error('tokenIn must be an address');
+    if (!isAddress(from || '')) throw new Error('from must be an address');
+    if (!isAddress(recipient || '')) throw new Error('recipient must be an address');
+
+    const slippage = Number(slippageBps);
+    if (!Number.isInteger(slippage) || slippage < 0 || slippage > MAX_SLIPPAGE_BPS) {
+      throw new Error(`slippageBps must be an integer between 0 and ${MAX_SLIPPAGE_BPS}`);
+    }
+
+    const startToken = tokenOf(pools[0], tokenIn);
+    if (!startToken) throw new Error(`Pool ${pools[0]} is not a registered pool trading ${tokenIn}`);
+
+    let amountIn;
+    try {
+      amountIn = parseUnits(String(amount), startToken.decimals);
+    } catch (error) {
+      throw new Error('amount must be a decimal number');
+    }
+    if (amountIn <= 0n) throw new Error('amount must be positive');
+
+    const quote = await arbitrageScanner.quotePath(pools, tokenIn, amountIn);
+    const deadline = BigInt(Math.floor(Date.now() / 1000) + ROUTE_DEADLINE_SECONDS);
+
+    const calls = []; // Raw amounts per hop, for simulation
+    const steps = quote.path.map((edge, i) => {
+      const tokenInMeta = tokenOf(edge.poolAddress, edge.tokenIn);
+      const tokenOutMeta = tokenOf(edge.poolAddress, edge.tokenOut);
+      const router = poolRegistry.getRouter(edge.poolAddress);
+      const hopAmountIn = quote.amounts[i];
+      const expectedAmountOut = quote.amounts[i + 1];
+      const amountOutMinimum = (expectedAmountOut * BigInt(10000 - slippage)) / 10000n;
+      calls.push({ edge, router, amountIn: hopAmountIn, expectedAmountOut, amountOutMinimum });
+
+      const step = {
+        poolAddress: edge.poolAddress,
+        dex: edge.dex,
+        protocol: edge.protocol,
+        router,
+        routerType: edge.protocol === 'v3' ? poolRegistry.getRouterType(edge.poolAddress) : null,
+        tokenIn: tokenInMeta,
+        tokenOut: tokenOutMeta,
+        amountIn: formatUnits(hopAmountIn, tokenInMeta.decimals),
+        expectedAmountOut: formatUnits(expectedAmountOut, tokenOutMeta.decimals),
+        amountOutMinimum: formatUnits(amountOutMinimum, tokenOutMeta.decimals),
+        ticksCrossed: quote.ticksCrossed[i],
+        approval: null,
+        transaction: null,
+        error: null
+      };
+
+      if (!router) {
+        step.error = `No router configured for ${edge.dex || edge.poolAddress}`;
+        return step;
+      }
+
+      step.approval = {
+        to: tokenInMeta.address,
+        data: encodeFunctionData({
+          abi: ERC20_APPROVAL_ABI,
+          functionName: 'approve',
+          args: [router, hopAmountIn]
+        })
+      };
+      const item = routerFunctionFor(edge);
+      step.transaction = {
+        to: router,
+        data: encodeFunctionData({
+          abi: [item],
+          functionName: item.name,
+          args: this.swapArgs(edge, { amountIn: hopAmountIn, amountOutMinimum, recipient, deadline })
+        })
+      };
+      return step;
+    });
+
+    const lastHop = quote.path[quote.path.length - 1];
+    const tokenOut = tokenOf(lastHop.poolAddress, lastHop.tokenOut);
+    const amountOut = quote.amounts[quote.path.length];
+    const executable = steps.every(step => step.transaction);
+
+    const route = {
+      tokenIn: startToken,
+      tokenOut,
+      amountIn: formatUnits(amountIn, startToken.decimals),
+      expectedAmountOut: formatUnits(amountOut, tokenOut.decimals),
+      expectedProfit: tokenOut.address === startToken.address ? formatUnits(quote.profit, startToken.decimals) : null,
+      estimatedGas: {
+        gasUnits: quote.gasUnits,
+        gasPriceGwei: quote.gasPriceGwei,
+        gasCostUSD: quote.gasCostUSD
+      },
+      from: from.toLowerCase(),
+      recipient: recipient.toLowerCase(),
+      slippageBps: slippage,
+      deadline: Number(deadline),
+      executable,
+      steps,
+      simulation: null
+    };
+
+    this.stats.routesBuilt++;
+
+    if (simulate && executable) {
+      route.simulation = await this.simulateRoute(calls, steps, { from, recipient, deadline, slippage });
+    }
+
+    return route;
+  }
+
+  /**
+   * Router call arguments for one hop
+   * @private
+   */
+  swapArgs(edge, { amountIn, amountOutMinimum, recipient, deadline }) {
+    switch (edge.protocol) {
+      case 'v2':
+        return [amountIn, amountOutMinimum, [edge.tokenIn, edge.tokenOut], recipient, deadline];
+      case 'algebra':
+        return [{
+          tokenIn: edge.tokenIn,
+          tokenOut: edge.tokenOut,
+          recipient,
+          deadline,
+          amountIn,
+          amountOutMinimum,
+          limitSqrtPrice: 0n
+        }];
+      default: {
+        // SwapRouter02 drops the deadline from the struct
+        const swapRouter02 = poolRegistry.getRouterType(edge.poolAddress) === 'SwapRouter02';
+        return [{
+          tokenIn: edge.tokenIn,
+          tokenOut: edge.tokenOut,
+          fee: poolRegistry.getFee(edge.poolAddress) ?? edge.feePips,
+          recipient,
+          ...(swapRouter02 ? {} : { deadline }),
+          amountIn,
+          amountOutMinimum,
+          sqrtPriceLimitX96: 0n
+        }];
+      }
+    }
+  }
+
+  /**
+   * Simulate a route on the fork when one is configured, otherwise with eth_call
+   * @private
+   */
+  async simulateRoute(calls, steps, params) {
+    this.stats.simulations++;
+
+    let simulation;
+    try {
+      const fork = this.getForkClient();
+      if (fork) {
+        const run = this.forkQueue.then(() => this.simulateOnFork(fork, calls, steps, params));
+        this.forkQueue = run.catch(() => {});
+        simulation = await run;
+      } else {
+        simulation = await this.simulateWithCall(calls, steps, params);
+      }
+    } catch (error) {
+      logger.warn(`Route simulation failed: ${error.message}`);
+      simulation = {
+        mode: FORK_RPC_URL ? 'fork' : 'node',
+        verified: false,
+        success: false,
+        error: error.shortMessage || error.message,
+        steps: []
+      };
+    }
+
+    if (simulation.success === false) this.stats.simulationsReverted++;
+    return simulation;
+  }
+
+  /**
+   * Contract call of one hop's swap
+   * @private
+   */
+  swapRequest(call, { amountIn, amountOutMinimum }, { from, recipient, deadline }) {
+    const item = routerFunctionFor(call.edge);
+    return {
+      address: call.router,
+      abi: [item],
+      functionName: item.name,
+      args: this.swapArgs(call.edge, { amountIn, amountOutMinimum, recipient, deadline }),
+      account: from
+    };
+  }
+
+  /**
+   * eth_call the first hop against the configured node, from the trader's
+   * current balances and allowance. That settles single-hop routes and
+   * routes whose first hop already reverts; a multi-hop route that gets
+   * past it stays unverified (success: null) since only a fork run can
+   * execute the later hops on the earlier hops' output
+   * @private
+   */
+  async simulateWithCall(calls, steps, params) {
+    const client = getProvider();
+    const request = this.swapRequest(calls[0], calls[0], params);
+    const result = { step: 0, success: false, amountOut: null, gasUsed: null, revertReason: null, gasError: null };
+
+    try {
+      const { result: output } = await client.simulateContract(request);
+      result.success = true;
+      result.amountOut = formatUnits(Array.isArray(output) ? output[output.length - 1] : output, steps[0].tokenOut.decimals);
+    } catch (error) {
+      result.revertReason = describeRevert(error);
+    }
+
+    // The call succeeded, so a failed estimate is reported rather than hidden behind a null gasUsed
+    if (result.success) {
+      try {
+        result.gasUsed = Number(await client.estimateContractGas(request));
+      } catch (error) {
+        result.gasError = describeRevert(error);
+        logger.debug(`Gas estimate failed for route step 0: ${result.gasError}`);
+      }
+    }
+
+    const verified = calls.length === 1 || !result.success;
+    return {
+      mode: 'node',
+      sequential: false,
+      verified,
+      success: verified ? result.success : null,
+      error: verified ? null : 'Only the first hop was checked; set ARB_FORK_RPC_URL to simulate the whole route',
+      amountOut: calls.length === 1 ? result.amountOut : null,
+      gasUsed: calls.length === 1 ? result.gasUsed : null,
+      steps: [result]
+    };
+  }
+
+  /**
+   * Execute every hop in order on the fork as the trader (approval, then
+   * swap), feeding each hop the previous hop's actual output, then roll
+   * the fork back to where it was
+   * @private
+   */
+  async simulateOnFork(fork, calls, steps, params) {
+    const { from, recipient, slippage } = params;
+
+    // Later hops spend what earlier hops paid out, so the trader must receive them
+    if (calls.length > 1 && recipient.toLowerCase() !== from.toLowerCase()) {
+      return {
+        mode: 'fork',
+        sequential: true,
+        verified: false,
+        success: false,
+        error: 'Multi-hop routes can only be simulated when the trader is the recipient',
+        steps: []
+      };
+    }
+
+    const snapshot = await fork.snapshot();
+    const results = [];
+    let amountIn = calls[0].amountIn;
+
+    try {
+      await fork.impersonateAccount({ address: from });
+      await fork.setBalance({ address: from, value: FORK_GAS_BALANCE });
+
+      for (const [i, call] of calls.entries()) {
+        // Scale the expected output to what the previous hop actually paid
+        const expected = (call.expectedAmountOut * amountIn) / call.amountIn;
+        const amountOutMinimum = (expected * BigInt(10000 - slippage)) / 10000n;
+        const result = { step: i, success: false, amountOut: null, gasUsed: null, approvalGasUsed: null, revertReason: null };
+        results.push(result);
+
+        try {
+          const approval = await fork.writeContract({
+            address: call.edge.tokenIn,
+            abi: ERC20_APPROVAL_ABI,
+            functionName: 'approve',
+            args: [call.router, amountIn],
+            account: from,
+            chain: null
+          });
+          result.approvalGasUsed = Number((await fork.waitForTransactionReceipt({ hash: approval })).gasUsed);
+
+          const request = this.swapRequest(call, { amountIn, amountOutMinimum }, params);
+          const { result: output } = await fork.simulateContract(request);
+          const receipt = await fork.waitForTransactionReceipt({
+            hash: await fork.writeContract({ ...request, chain: null })
+          });
+          if (receipt.status !== 'success') throw new Error('Swap transaction reverted');
+
+          amountIn = Array.isArray(output) ? output[output.length - 1] : output;
+          result.success = true;
+          result.amountOut = formatUnits(amountIn, steps[i].tokenOut.decimals);
+          result.gasUsed = Number(receipt.gasUsed);
+        } catch (error) {
+          result.revertReason = describeRevert(error);
+          break;
+        }
+      }
+    } finally {
+      await fork.revert({ id: snapshot }).catch((error) => {
+        logger.error('Failed to roll back fork after route simulation:', error);
+      });
+      await fork.stopImpersonatingAccount({ address: from }).catch(() => {});
+    }
+
+    const success = results.length === calls.length && results.every(result => result.success);
+    return {
+      mode: 'fork',
+      sequential: true,
+      verified: true,
+      success,
+      amountOut: success ? results[results.length - 1].amountOut : null,
+      gasUsed: success
+        ? results.reduce((sum, result) => sum + result.gasUsed + result.approvalGasUsed, 0)
+        : null,
+      steps: results
+    };
+  }
+
+  /**
+   * Get route builder statistics
+   */
+  getStats() {
+    return {
+      forkConfigured: !!FORK_RPC_URL,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = new RouteBuilder();
@@ -1,9 +1,18 @@
 const { SDK } = require('@somnia-chain/streams');
 const { privateKeyToAccount } = require('viem/accounts');
-const { somniaChain, getProvider } = require('../config/somnia-chain');
-const { DEX_POOL_ABI } = require('../config/dex-abi');
+const { toEventSelector } = require('viem');
+const { watchEvent, watchBlockNumber } = require('viem/actions');
+const { getProvider, createSomniaWalletClient, createSomniaWebSocketClient } = require('../config/somnia-chain');
+const { SWAP_EVENTS, LIQUIDITY_EVENTS, SYNC_EVENTS } = require('../config/dex-abi');
 const logger = require('../utils/logger');
 
+// Optional WebSocket endpoint for eth_subscribe log streams (HTTP polling otherwise)
+const RPC_WS_URL = process.env.RPC_WS_URL || '';
+const WS_RECONNECT_BASE_MS = parseInt(process.env.WS_RECONNECT_BASE_MS || '1000');
+const WS_RECONNECT_MAX_MS = parseInt(process.env.WS_RECONNECT_MAX_MS || '60000');
+const WS_GAP_MAX_BLOCKS = parseInt(process.env.WS_GAP_MAX_BLOCKS || '5000');
+const GAP_PAGE_SIZE = 500; // Blocks per getLogs request when closing a gap
+
 // Schema definitions for data streams
 const SCHEMA_DEFINITIONS = {
   whale_transaction: {
@@ -44,6 +53,16 @@ class SDSClient {
     this.isConnected = false;
     this.schemas = {}; // Store schema IDs
     this.subscriptions = new Map(); // Track active subscriptions
+    this.logWatchers = new Map(); // subscription key -> { address, events, label, callback, unwatch }
+    this.wsProvider = null;
+    this.transportMode = 'http'; // 'websocket' while eth_subscribe streams are up
+    this.unwatchHeads = null;
+    this.lastSeenBlock = null; // Newest block known to be covered by the live stream
+    this.lastDeliveredBlock = null; // Newest block whose logs were delivered (live or gap replay)
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.gapsClosed = 0;
+    this.lastGap = null;
   }
 
   /**
@@ -62,31 +81,27 @@ class SDSClient {
       this.wallet = privateKeyToAccount(process.env.PRIVATE_KEY);
       logger.info(`Wallet initialized: ${this.wallet.address}`);
 
-      // Get provider for Somnia Dream chain
+      // Get provider for Somnia Dream chain (shared multi-endpoint transport)
       this.provider = getProvider();
 
       // Initialize SDK with viem clients
-      const { createPublicClient, createWalletClient, http } = require('viem');
-
-      const publicClient = createPublicClient({
-        chain: somniaChain,
-        transport: http(process.env.SOMNIA_RPC_URL || 'https://dream-rpc.somnia.network'),
-      });
-
-      const walletClient = createWalletClient({
-        account: this.wallet,
-        chain: somniaChain,
-        transport: http(process.env.SOMNIA_RPC_URL || 'https://dream-rpc.somnia.network'),
-      });
-
       this.sds = new SDK({
-        public: publicClient,
-        wallet: walletClient,
+        public: this.provider,
+        wallet: createSomniaWalletClient(),
       });
 
       this.isConnected = true;
       logger.info('SDS Client connected successfully');
 
+      // Prefer pushed logs over polling when a WebSocket endpoint is configured
+      if (RPC_WS_URL) {
+        const connected = await this.connectWebSocket();
+        if (!connected) {
+          logger.warn('WebSocket RPC unavailable, streaming over HTTP polling until it reconnects');
+          this.scheduleReconnect();
+        }
+      }
+
       // Initialize schemas
       await this.initializeSchemas();
 
@@ -185,31 +200,13 @@ class SDSClient {
 
       logger.info('Subscribing to swap events...');
 
-      // Note: For blockchain event watching, use viem's watchContractEvent
+      // Note: For blockchain event watching, use viem's watchEvent
       // The SDS subscribe is for reactive data streams, not blockchain events
-      const { watchContractEvent } = require('viem/actions');
-
-      const unwatch = watchContractEvent(this.provider, {
-        abi: DEX_POOL_ABI,
-        eventName: 'Swap',
-        onLogs: (logs) => {
-          logs.forEach((log) => {
-            logger.debug('Swap event received:', log);
-            try {
-              callback(log);
-            } catch (error) {
-              logger.error('Error in swap callback:', error);
-            }
-          });
-        },
-        onError: (error) => {
-          logger.error('Error in swap subscription:', error);
-        }
-      });
+      // Watching both V2 and V3 Swap definitions so V3 sqrtPriceX96/liquidity/tick are decoded
+      const subscription = this.watchLogs('swaps', { events: SWAP_EVENTS, label: 'swap' }, callback);
 
-      this.subscriptions.set('swaps', { unsubscribe: unwatch });
       logger.info('Successfully subscribed to swap events');
-      return { unsubscribe: unwatch };
+      return subscription;
     } catch (error) {
       logger.error('Failed to subscribe to swaps:', error);
       throw error;
@@ -229,59 +226,347 @@ class SDSClient {
 
       logger.info('Subscribing to liquidity events...');
 
-      // Note: For blockchain event watching, use viem's watchContractEvent
-      const { watchContractEvent } = require('viem/actions');
-
-      // Watch for Mint events
-      const unwatchMint = watchContractEvent(this.provider, {
-        abi: DEX_POOL_ABI,
-        eventName: 'Mint',
-        onLogs: (logs) => {
-          logs.forEach((log) => {
-            logger.debug(`Liquidity event received: Mint`, log);
-            try {
-              callback(log);
-            } catch (error) {
-              logger.error('Error in liquidity callback:', error);
-            }
-          });
-        },
-        onError: (error) => {
-          logger.error('Error in mint subscription:', error);
+      // One watcher covers V2 and V3 Mint/Burn definitions, decoded by topic
+      const subscription = this.watchLogs('liquidity', { events: LIQUIDITY_EVENTS, label: 'liquidity' }, callback);
+
+      logger.info('Successfully subscribed to liquidity events');
+      return subscription;
+    } catch (error) {
+      logger.error('Failed to subscribe to liquidity events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to V2 Sync events (post-trade reserves)
+   * @param {Function} callback - Callback function to handle sync events
+   * @returns {Object} - Subscription object
+   */
+  async subscribeToSync(callback) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('SDS Client not connected');
+      }
+
+      logger.info('Subscribing to sync events...');
+
+      const subscription = this.watchLogs('sync', { events: SYNC_EVENTS, label: 'sync' }, callback);
+
+      logger.info('Successfully subscribed to sync events');
+      return subscription;
+    } catch (error) {
+      logger.error('Failed to subscribe to sync events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Watch logs over the current transport and keep the watcher across
+   * WebSocket drops (falls back to HTTP polling, moves back on reconnect)
+   * @param {string} key - Subscription key
+   * @param {Object} params - { address?, events, label }
+   * @param {Function} callback - Called with each decoded log
+   * @returns {Object} - Subscription object
+   * @private
+   */
+  watchLogs(key, { address, events, label }, callback) {
+    if (this.logWatchers.has(key)) {
+      this.stopWatcher(this.logWatchers.get(key));
+    }
+
+    const watcher = { key, address, events, label, callback, unwatch: null };
+    this.logWatchers.set(key, watcher);
+    this.startWatcher(watcher);
+
+    const unsubscribe = () => {
+      this.stopWatcher(watcher);
+      this.logWatchers.delete(key);
+    };
+
+    this.subscriptions.set(key, { unsubscribe });
+    return { unsubscribe };
+  }
+
+  /**
+   * Start a watcher on the active transport
+   * @private
+   */
+  startWatcher(watcher) {
+    const useWebSocket = this.transportMode === 'websocket' && this.wsProvider;
+
+    watcher.unwatch = watchEvent(useWebSocket ? this.wsProvider : this.provider, {
+      address: watcher.address,
+      events: watcher.events,
+      onLogs: (logs) => {
+        logs.forEach((log) => {
+          logger.debug(`${watcher.label} event received: ${log.eventName}`, log);
+          this.deliverLog(watcher, log);
+        });
+      },
+      onError: (error) => {
+        if (useWebSocket) {
+          this.handleWebSocketDrop(error);
+        } else {
+          logger.error(`Error in ${watcher.label} subscription:`, error);
         }
-      });
+      }
+    });
+  }
+
+  /**
+   * Stop a watcher, ignoring failures from an already closed socket
+   * @private
+   */
+  stopWatcher(watcher) {
+    if (!watcher.unwatch) return;
+
+    try {
+      const result = watcher.unwatch();
+      if (result && typeof result.catch === 'function') {
+        result.catch(() => {});
+      }
+    } catch (error) {
+      logger.debug(`Error stopping ${watcher.label} watcher: ${error.message}`);
+    }
+    watcher.unwatch = null;
+  }
+
+  /**
+   * Hand a log to a watcher's callback
+   * @private
+   */
+  deliverLog(watcher, log) {
+    if (log.blockNumber !== undefined && log.blockNumber !== null) {
+      this.lastDeliveredBlock = Math.max(this.lastDeliveredBlock ?? 0, Number(log.blockNumber));
+    }
+
+    try {
+      watcher.callback(log);
+    } catch (error) {
+      logger.error(`Error in ${watcher.label} callback:`, error);
+    }
+  }
+
+  /**
+   * Open the WebSocket client and follow new heads over it
+   * @returns {boolean} - True if the socket is up
+   * @private
+   */
+  async connectWebSocket() {
+    try {
+      const wsProvider = createSomniaWebSocketClient(RPC_WS_URL);
+      const head = Number(await wsProvider.getBlockNumber());
+
+      this.wsProvider = wsProvider;
+      this.transportMode = 'websocket';
+      this.lastSeenBlock = Math.max(this.lastSeenBlock ?? 0, head);
 
-      // Watch for Burn events
-      const unwatchBurn = watchContractEvent(this.provider, {
-        abi: DEX_POOL_ABI,
-        eventName: 'Burn',
-        onLogs: (logs) => {
-          logs.forEach((log) => {
-            logger.debug(`Liquidity event received: Burn`, log);
-            try {
-              callback(log);
-            } catch (error) {
-              logger.error('Error in liquidity callback:', error);
-            }
-          });
+      // New heads mark how far the stream has covered, for gap recovery
+      this.unwatchHeads = watchBlockNumber(wsProvider, {
+        onBlockNumber: (blockNumber) => {
+          this.lastSeenBlock = Math.max(this.lastSeenBlock ?? 0, Number(blockNumber));
         },
-        onError: (error) => {
-          logger.error('Error in burn subscription:', error);
-        }
+        onError: (error) => this.handleWebSocketDrop(error)
       });
 
-      const combinedUnwatch = () => {
-        unwatchMint();
-        unwatchBurn();
-      };
+      logger.info(`🔌 WebSocket RPC connected, streaming logs via eth_subscribe (head: ${head})`);
+      return true;
+    } catch (error) {
+      logger.warn(`WebSocket RPC connection failed: ${error.shortMessage || error.message}`);
+      await this.closeWebSocket();
+      return false;
+    }
+  }
 
-      this.subscriptions.set('liquidity', { unsubscribe: combinedUnwatch });
-      logger.info('Successfully subscribed to liquidity events');
-      return { unsubscribe: combinedUnwatch };
+  /**
+   * Close the WebSocket client and its head watcher
+   * @private
+   */
+  async closeWebSocket() {
+    if (this.unwatchHeads) {
+      try {
+        this.unwatchHeads();
+      } catch (error) {
+        logger.debug(`Error stopping head watcher: ${error.message}`);
+      }
+      this.unwatchHeads = null;
+    }
+
+    const wsProvider = this.wsProvider;
+    this.wsProvider = null;
+    if (wsProvider) {
+      try {
+        const rpcClient = await wsProvider.transport.getRpcClient();
+        rpcClient.close();
+      } catch (error) {
+        logger.debug(`Error closing WebSocket client: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * The socket dropped: poll over HTTP, replay the missed range, retry later
+   * @param {Error} error - Socket error
+   * @private
+   */
+  async handleWebSocketDrop(error) {
+    // Every watcher on the socket reports the same drop
+    if (this.transportMode !== 'websocket') return;
+
+    logger.warn(`⚠️  WebSocket RPC disconnected (${error?.shortMessage || error?.message || 'closed'}), falling back to HTTP polling`);
+    this.transportMode = 'http';
+
+    const gapFrom = this.lastSeenBlock;
+    this.logWatchers.forEach(watcher => this.stopWatcher(watcher));
+    await this.closeWebSocket();
+
+    // Restart on HTTP; logs between the drop and the first poll come from the gap replay
+    this.logWatchers.forEach(watcher => this.startWatcher(watcher));
+    await this.closeGap(gapFrom);
+
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Retry the WebSocket with exponential backoff
+   * @private
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer || !RPC_WS_URL || !this.isConnected) return;
+
+    const delay = Math.min(WS_RECONNECT_BASE_MS * 2 ** this.reconnectAttempts, WS_RECONNECT_MAX_MS);
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+
+      try {
+        // Polling may lag the head: the WebSocket takes over from the last block it delivered
+        if (!(await this.connectWebSocket())) {
+          this.scheduleReconnect();
+          return;
+        }
+
+        this.reconnectAttempts = 0;
+        this.logWatchers.forEach((watcher) => {
+          this.stopWatcher(watcher);
+          this.startWatcher(watcher);
+        });
+        logger.info(`✅ Resubscribed ${this.logWatchers.size} log streams over WebSocket`);
+
+        await this.closeGap(this.lastDeliveredBlock);
+      } catch (error) {
+        logger.error('Error reconnecting WebSocket RPC:', error);
+        this.scheduleReconnect();
+      }
+    }, delay);
+
+    logger.info(`Reconnecting WebSocket RPC in ${delay}ms (attempt ${this.reconnectAttempts})`);
+  }
+
+  /**
+   * Replay logs from a block up to the current head through every watcher
+   * (gaps over WS_GAP_MAX_BLOCKS are re-indexed by the backfill service)
+   * Overlap with the live stream is fine: events are deduplicated downstream
+   * @param {number|null} fromBlock - First block that may have been missed
+   * @private
+   */
+  async closeGap(fromBlock) {
+    if (fromBlock === null || fromBlock === undefined || this.logWatchers.size === 0) return;
+
+    try {
+      const head = Number(await this.provider.getBlockNumber());
+      if (head < fromBlock) return;
+
+      if (head - fromBlock + 1 > WS_GAP_MAX_BLOCKS) {
+        this.reindexGap(fromBlock, head);
+        return;
+      }
+
+      // One request per page for every watcher, so logs of different event
+      // types reach the handlers in chain order
+      const watchers = Array.from(this.logWatchers.values()).map(watcher => ({
+        watcher,
+        address: watcher.address?.toLowerCase(),
+        selectors: new Set(watcher.events.map(event => toEventSelector(event)))
+      }));
+      const addresses = watchers.some(({ address }) => !address)
+        ? undefined
+        : Array.from(new Set(watchers.map(({ address }) => address)));
+      const events = new Map(); // selector -> ABI item, across all watchers
+      this.logWatchers.forEach(watcher => watcher.events.forEach(event => events.set(toEventSelector(event), event)));
+
+      let replayed = 0;
+      for (let pageStart = fromBlock; pageStart <= head; pageStart += GAP_PAGE_SIZE) {
+        const pageEnd = Math.min(pageStart + GAP_PAGE_SIZE - 1, head);
+        const logs = await this.provider.getLogs({
+          address: addresses,
+          events: Array.from(events.values()),
+          fromBlock: BigInt(pageStart),
+          toBlock: BigInt(pageEnd)
+        });
+
+        logs.sort((a, b) => Number(a.blockNumber - b.blockNumber) || a.logIndex - b.logIndex);
+        for (const log of logs) {
+          watchers
+            .filter(({ address, selectors }) => (!address || address === log.address.toLowerCase()) &&
+              selectors.has(log.topics[0]))
+            .forEach(({ watcher }) => this.deliverLog(watcher, log));
+        }
+        replayed += logs.length;
+      }
+
+      this.gapsClosed++;
+      this.lastGap = { fromBlock, toBlock: head, logs: replayed, closedAt: Date.now() };
+      this.lastSeenBlock = Math.max(this.lastSeenBlock ?? 0, head);
+      this.lastDeliveredBlock = Math.max(this.lastDeliveredBlock ?? 0, head);
+      logger.info(`🧩 Closed stream gap: blocks ${fromBlock}-${head} (${replayed} logs)`);
     } catch (error) {
-      logger.error('Failed to subscribe to liquidity events:', error);
-      throw error;
+      logger.error(`Failed to close stream gap from block ${fromBlock}:`, error);
+    }
+  }
+
+  /**
+   * Hand a gap too long to replay inline to the backfill service, which
+   * re-indexes it in order as consecutive jobs behind any running one
+   * @param {number} fromBlock - First block that may have been missed
+   * @param {number} toBlock - Current head
+   * @private
+   */
+  reindexGap(fromBlock, toBlock) {
+    // Required lazily: the backfill service depends on this module
+    const backfillService = require('./backfill-service');
+    const jobs = [];
+
+    for (let start = fromBlock; start <= toBlock; start += backfillService.maxBlocks) {
+      const end = Math.min(start + backfillService.maxBlocks - 1, toBlock);
+      jobs.push(backfillService.reindexRange({ fromBlock: start, toBlock: end }).id);
     }
+
+    logger.warn(`Gap of ${toBlock - fromBlock + 1} blocks exceeds WS_GAP_MAX_BLOCKS, re-indexing blocks ${fromBlock}-${toBlock} (jobs ${jobs.join(', ')})`);
+
+    this.gapsClosed++;
+    this.lastGap = { fromBlock, toBlock, logs: null, reindexJobs: jobs, closedAt: Date.now() };
+    this.lastSeenBlock = Math.max(this.lastSeenBlock ?? 0, toBlock);
+    this.lastDeliveredBlock = Math.max(this.lastDeliveredBlock ?? 0, toBlock);
+  }
+
+  /**
+   * Get the log streaming transport status
+   * @returns {Object}
+   */
+  getTransportStatus() {
+    return {
+      mode: this.transportMode,
+      webSocketConfigured: !!RPC_WS_URL,
+      lastSeenBlock: this.lastSeenBlock,
+      lastDeliveredBlock: this.lastDeliveredBlock,
+      reconnectAttempts: this.reconnectAttempts,
+      reconnecting: !!this.reconnectTimer,
+      gapsClosed: this.gapsClosed,
+      lastGap: this.lastGap,
+      streams: Array.from(this.logWatchers.keys())
+    };
   }
 
   /**
@@ -417,69 +702,15 @@ class SDSClient {
     }
 
     try {
-      // Note: For blockchain event watching, use viem's watchContractEvent
-      const { watchContractEvent } = require('viem/actions');
-
-      const unwatchers = [];
-
-      // Watch Swap events
-      const unwatchSwap = watchContractEvent(this.provider, {
+      // A single watcher covers Swap, Mint, Burn and Sync for both V2 and V3 pools
+      const subscription = this.watchLogs(`pool:${poolAddress}`, {
         address: poolAddress,
-        abi: DEX_POOL_ABI,
-        eventName: 'Swap',
-        onLogs: (logs) => {
-          logs.forEach((log) => {
-            logger.debug(`Pool event received: Swap`, { poolAddress, log });
-            callback(log);
-          });
-        },
-        onError: (error) => {
-          logger.error(`Error in pool swap subscription: ${poolAddress}`, error);
-        }
-      });
-      unwatchers.push(unwatchSwap);
-
-      // Watch Mint events
-      const unwatchMint = watchContractEvent(this.provider, {
-        address: poolAddress,
-        abi: DEX_POOL_ABI,
-        eventName: 'Mint',
-        onLogs: (logs) => {
-          logs.forEach((log) => {
-            logger.debug(`Pool event received: Mint`, { poolAddress, log });
-            callback(log);
-          });
-        },
-        onError: (error) => {
-          logger.error(`Error in pool mint subscription: ${poolAddress}`, error);
-        }
-      });
-      unwatchers.push(unwatchMint);
-
-      // Watch Burn events
-      const unwatchBurn = watchContractEvent(this.provider, {
-        address: poolAddress,
-        abi: DEX_POOL_ABI,
-        eventName: 'Burn',
-        onLogs: (logs) => {
-          logs.forEach((log) => {
-            logger.debug(`Pool event received: Burn`, { poolAddress, log });
-            callback(log);
-          });
-        },
-        onError: (error) => {
-          logger.error(`Error in pool burn subscription: ${poolAddress}`, error);
-        }
-      });
-      unwatchers.push(unwatchBurn);
-
-      const combinedUnwatch = () => {
-        unwatchers.forEach(unwatch => unwatch());
-      };
+        events: [...SWAP_EVENTS, ...LIQUIDITY_EVENTS, ...SYNC_EVENTS],
+        label: `pool ${poolAddress}`
+      }, callback);
 
-      this.subscriptions.set(`pool:${poolAddress}`, { unsubscribe: combinedUnwatch });
       logger.info(`Subscribed to pool: ${poolAddress}`);
-      return { unsubscribe: combinedUnwatch };
+      return subscription;
     } catch (error) {
       logger.error(`Failed to subscribe to pool: ${poolAddress}`, error);
       throw error;
@@ -504,6 +735,31 @@ class SDSClient {
     return subscriptions;
   }
 
+  /**
+   * Get decoded Swap, Mint, Burn and Sync logs for a block range
+   * @param {Object} params - { address?: string|Array<string>, fromBlock, toBlock }
+   * @returns {Array} - Decoded logs (eventName/args set)
+   */
+  async getEventLogs({ address, fromBlock, toBlock }) {
+    try {
+      // Historical reads don't need the SDS wallet, so fall back to a plain provider
+      const provider = this.provider || getProvider();
+
+      const logs = await provider.getLogs({
+        address,
+        events: [...SWAP_EVENTS, ...LIQUIDITY_EVENTS, ...SYNC_EVENTS],
+        fromBlock: BigInt(fromBlock),
+        toBlock: BigInt(toBlock)
+      });
+
+      logger.debug(`Retrieved ${logs.length} events for blocks ${fromBlock}-${toBlock}`);
+      return logs;
+    } catch (error) {
+      logger.error(`Failed to get event logs for blocks ${fromBlock}-${toBlock}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get historical pool data
    * @param {string} poolAddress - The pool address
@@ -512,12 +768,7 @@ class SDSClient {
    */
   async getPoolHistory(poolAddress, fromBlock, toBlock) {
     try {
-      // Note: Use viem's getLogs for historical blockchain events
-      const logs = await this.provider.getLogs({
-        address: poolAddress,
-        fromBlock: BigInt(fromBlock),
-        toBlock: BigInt(toBlock)
-      });
+      const logs = await this.getEventLogs({ address: poolAddress, fromBlock, toBlock });
 
       logger.info(`Retrieved ${logs.length} historical events for pool ${poolAddress}`);
       return logs;
@@ -615,6 +866,15 @@ class SDSClient {
       }
 
       this.subscriptions.clear();
+      this.logWatchers.clear();
+
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      }
+      // Switch mode first so the closing socket isn't treated as a drop
+      this.transportMode = 'http';
+      await this.closeWebSocket();
 
       // Mark as disconnected
       if (this.sds && this.isConnected) {
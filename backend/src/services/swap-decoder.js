@@ -0,0 +1,185 @@
+/**
+ * Swap Decoder
+ * Turns protocol-specific Swap logs into one normalized swap record.
+ *
+ * V2:      amount0In/amount1In/amount0Out/amount1Out, recipient in `to`
+ * V3:      signed amount0/amount1 from the pool's perspective (positive = paid in),
+ *          post-swap sqrtPriceX96/liquidity/tick
+ * Algebra: same layout as V3 (QuickSwap names the square-root price `price`)
+ */
+
+const { formatUnits } = require('viem');
+const logger = require('../utils/logger');
+const poolRegistry = require('./pool-registry');
+const priceOracle = require('./price-oracle');
+
+const Q96 = 2n ** 96n;
+
+/**
+ * Coerce a decoded value to BigInt
+ * @param {*} value - BigInt, number or numeric string
+ * @returns {bigint}
+ */
+function toBigInt(value) {
+  if (value === undefined || value === null || value === '') return 0n;
+  if (typeof value === 'bigint') return value;
+  return BigInt(typeof value === 'number' ? Math.trunc(value) : value);
+}
+
+const abs = (value) => (value < 0n ? -value : value);
+
+class SwapDecoder {
+  /**
+   * Work out which protocol emitted a Swap log
+   * Registry first, then the shape of the decoded args
+   * @param {Object} event - Decoded Swap log
+   * @returns {string} - 'v2', 'v3' or 'algebra'
+   */
+  detectProtocol(event) {
+    const registered = poolRegistry.getProtocol(event.address);
+    if (registered) return registered;
+
+    const args = event.args || {};
+    if (args.amount0In !== undefined || args.amount1In !== undefined) return 'v2';
+    return 'v3';
+  }
+
+  /**
+   * Decode a Swap log into a normalized swap record
+   * @param {Object} event - Decoded Swap log (V2, V3 or Algebra)
+   * @param {Object} options - { poolState: post-swap pool state, used for V2 price }
+   * @returns {Object} - Normalized swap record
+   */
+  decode(event, { poolState = null } = {}) {
+    try {
+      const protocol = this.detectProtocol(event);
+      const args = event.args || {};
+
+      const legs = protocol === 'v2'
+        ? this.decodeV2(args)
+        : this.decodeConcentrated(args);
+
+      // Signed amounts from the pool's perspective: positive = paid into the pool
+      const { amount0, amount1 } = legs;
+      const zeroForOne = amount0 > 0n || (amount0 === 0n && amount1 < 0n);
+
+      const tokens = poolRegistry.getTokens(event.address) || priceOracle.getPoolTokens(event.address) || {};
+      const token0 = this.describeToken(args.token0 || tokens.token0);
+      const token1 = this.describeToken(args.token1 || tokens.token1);
+
+      const tokenIn = zeroForOne ? token0 : token1;
+      const tokenOut = zeroForOne ? token1 : token0;
+      const amountIn = abs(zeroForOne ? amount0 : amount1);
+      const amountOut = abs(zeroForOne ? amount1 : amount0);
+
+      const sqrtPriceX96 = legs.sqrtPriceX96;
+      const decimals0 = token0 ? token0.decimals : 18;
+      const decimals1 = token1 ? token1.decimals : 18;
+      const price = sqrtPriceX96
+        ? this.priceFromSqrtPriceX96(sqrtPriceX96, decimals0, decimals1)
+        : (poolState?.price ?? null);
+
+      const amountUSD = priceOracle.getSwapValueUSD(event.address, abs(amount0), abs(amount1));
+
+      return {
+        txHash: event.transactionHash,
+        logIndex: event.logIndex != null ? Number(event.logIndex) : null,
+        transactionIndex: event.transactionIndex != null ? Number(event.transactionIndex) : null,
+        blockNumber: event.blockNumber != null ? Number(event.blockNumber) : null,
+        blockHash: event.blockHash || null,
+        // Replayed logs carry their block time; live logs are stamped on arrival
+        timestamp: event.blockTimestamp != null ? Number(event.blockTimestamp) * 1000 : event.timestamp || Date.now(),
+        poolAddress: event.address,
+        protocol,
+        dex: poolRegistry.getDexName(event.address),
+        sender: args.sender || null,
+        recipient: legs.recipient || null,
+        origin: event.from || null, // Transaction signer, when the source provides it
+        wallet: event.from || legs.recipient || args.sender || null,
+        zeroForOne,
+        token0: token0 ? token0.address : null,
+        token1: token1 ? token1.address : null,
+        tokenIn,
+        tokenOut,
+        amountIn: amountIn.toString(),
+        amountOut: amountOut.toString(),
+        amountInDecimal: tokenIn ? formatUnits(amountIn, tokenIn.decimals) : null,
+        amountOutDecimal: tokenOut ? formatUnits(amountOut, tokenOut.decimals) : null,
+        amount0: amount0.toString(),
+        amount1: amount1.toString(),
+        amountUSD: amountUSD || 0,
+        priced: amountUSD !== null,
+        price, // token1 per token0 after the swap
+        sqrtPriceX96: sqrtPriceX96 ? sqrtPriceX96.toString() : null,
+        liquidity: legs.liquidity !== null ? legs.liquidity.toString() : null,
+        tick: legs.tick,
+        replayed: !!event.replayed
+      };
+    } catch (error) {
+      logger.error('Error decoding swap:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * V2 Swap: in/out legs, net of flash-swap repayments
+   * @private
+   */
+  decodeV2(args) {
+    return {
+      amount0: toBigInt(args.amount0In) - toBigInt(args.amount0Out),
+      amount1: toBigInt(args.amount1In) - toBigInt(args.amount1Out),
+      recipient: args.to,
+      sqrtPriceX96: null,
+      liquidity: null,
+      tick: null
+    };
+  }
+
+  /**
+   * V3/Algebra Swap: signed amounts plus post-swap pool state
+   * @private
+   */
+  decodeConcentrated(args) {
+    const sqrtPrice = args.sqrtPriceX96 ?? args.price;
+
+    return {
+      amount0: toBigInt(args.amount0),
+      amount1: toBigInt(args.amount1),
+      recipient: args.recipient,
+      sqrtPriceX96: sqrtPrice !== undefined ? toBigInt(sqrtPrice) : null,
+      liquidity: args.liquidity !== undefined ? toBigInt(args.liquidity) : null,
+      tick: args.tick !== undefined ? Number(args.tick) : null
+    };
+  }
+
+  /**
+   * Token metadata for the swap record
+   * @param {string|Object} token - Token address or metadata
+   * @returns {Object|null} - { address, symbol, decimals }
+   * @private
+   */
+  describeToken(token) {
+    if (!token) return null;
+
+    const address = (typeof token === 'string' ? token : token.address).toLowerCase();
+    const info = priceOracle.getTokenInfo(address) || {};
+
+    return {
+      address,
+      symbol: token.symbol || info.symbol || null,
+      decimals: Number(token.decimals ?? info.decimals ?? 18)
+    };
+  }
+
+  /**
+   * Human price (token1 per token0) from a Q64.96 square-root price
+   * @private
+   */
+  priceFromSqrtPriceX96(sqrtPriceX96, decimals0, decimals1) {
+    const sqrtPrice = Number(sqrtPriceX96) / Number(Q96);
+    return sqrtPrice * sqrtPrice * Math.pow(10, decimals0 - decimals1);
+  }
+}
+
+module.exports = new SwapDecoder();
@@ -7,6 +7,7 @@
 const logger = require('../utils/logger');
 const { getRedisClient, setJSON, getJSON } = require('../config/redis');
 const alertEngine = require('./alert-engine');
+const priceOracle = require('./price-oracle');
 
 const TRACKED_WALLETS_KEY = 'wallets:tracked';
 const WALLET_TRADES_PREFIX = 'wallet:trades:';
@@ -168,6 +169,7 @@ class WalletTracker {
 
   /**
    * Process a whale transaction and check if wallet is tracked
+   * @param {Object} whaleData - Whale data built from a normalized swap record
    */
   async processWhaleTransaction(whaleData) {
     try {
@@ -188,6 +190,12 @@ class WalletTracker {
         dex: whaleData.dex,
         amountUSD: whaleData.amountUSD,
         token: whaleData.token,
+        amount: whaleData.amount,
+        tokenIn: whaleData.tokenIn?.address || whaleData.token,
+        tokenOut: whaleData.tokenOut?.address || null,
+        amountIn: whaleData.amountIn || whaleData.amount,
+        amountOut: whaleData.amountOut || null,
+        priceUSD: priceOracle.getTokenPrice(whaleData.token),
         type: this.determineTradeType(whaleData)
       };
 
@@ -219,20 +227,14 @@ class WalletTracker {
   }
 
   /**
-   * Determine trade type from whale data
+   * Determine trade type from the decoded swap direction
+   * Selling token0 for token1 is a SELL, paying token1 for token0 a BUY
    */
   determineTradeType(whaleData) {
-    // Simple heuristic: check if amount0 or amount1 is positive/negative
-    const amount0 = BigInt(whaleData.amount0 || '0');
-    const amount1 = BigInt(whaleData.amount1 || '0');
-
-    if (amount0 < BigInt(0) && amount1 > BigInt(0)) {
-      return 'BUY';
-    } else if (amount0 > BigInt(0) && amount1 < BigInt(0)) {
-      return 'SELL';
-    } else {
+    if (whaleData.zeroForOne === undefined || whaleData.zeroForOne === null) {
       return 'SWAP';
     }
+    return whaleData.zeroForOne ? 'SELL' : 'BUY';
   }
 
   /**
@@ -275,6 +277,10 @@ class WalletTracker {
       walletData.totalVolume += trade.amountUSD;
       walletData.lastTradeAt = trade.timestamp;
 
+      // Refresh P&L against current oracle prices
+      const trades = this.walletTrades.get(address) || [];
+      walletData.profitLoss = this.calculateMarkToMarket(trades);
+
       // Save to Redis
       await setJSON(`wallet:${address}`, walletData, 86400 * 30);
 
@@ -284,6 +290,55 @@ class WalletTracker {
     }
   }
 
+  /**
+   * Remove trades from transactions orphaned by a chain reorg
+   * @param {Array<string>} txHashes - Orphaned transaction hashes
+   * @returns {Array} - Removed trades ({ wallet, txHash })
+   */
+  async removeTrades(txHashes) {
+    const orphaned = new Set(txHashes);
+    const removed = [];
+
+    try {
+      for (const [address, trades] of this.walletTrades.entries()) {
+        const orphanedTrades = trades.filter(t => orphaned.has(t.txHash));
+        if (orphanedTrades.length === 0) continue;
+
+        const remaining = trades.filter(t => !orphaned.has(t.txHash));
+        this.walletTrades.set(address, remaining);
+
+        // Rewrite the trade list (newest first, same order as lPush)
+        const redis = getRedisClient();
+        const key = `${WALLET_TRADES_PREFIX}${address}`;
+        await redis.del(key);
+        if (remaining.length > 0) {
+          await redis.rPush(key, remaining.map(t => JSON.stringify(t)));
+          await redis.expire(key, 86400 * 30);
+        }
+
+        // Back the orphaned trades out of the wallet stats
+        const walletData = this.trackedWallets.get(address);
+        if (walletData) {
+          walletData.totalTrades = Math.max(walletData.totalTrades - orphanedTrades.length, 0);
+          walletData.totalVolume -= orphanedTrades.reduce((sum, t) => sum + t.amountUSD, 0);
+          walletData.lastTradeAt = remaining.length > 0 ? remaining[0].timestamp : null;
+          walletData.profitLoss = this.calculateMarkToMarket(remaining);
+          await setJSON(`wallet:${address}`, walletData, 86400 * 30);
+        }
+
+        orphanedTrades.forEach(t => removed.push({ wallet: address, txHash: t.txHash }));
+      }
+
+      if (removed.length > 0) {
+        logger.warn(`🔙 Rolled back ${removed.length} wallet trades after reorg`);
+      }
+    } catch (error) {
+      logger.error('Error removing wallet trades:', error);
+    }
+
+    return removed;
+  }
+
   /**
    * Get tracked wallets
    */
@@ -358,10 +413,30 @@ class WalletTracker {
       avgTradeSize,
       largestTrade,
       winRate: parseFloat(winRate.toFixed(2)),
-      profitLoss: 0 // Simplified - would need price data
+      profitLoss: this.calculateMarkToMarket(trades)
     };
   }
 
+  /**
+   * Mark trades to market using current oracle prices
+   * Each trade records the token the wallet sold; the trade gained if that
+   * token is now worth less than the USD value received for it
+   */
+  calculateMarkToMarket(trades) {
+    let profitLoss = 0;
+
+    for (const trade of trades) {
+      if (!trade.token || !trade.amount) continue;
+
+      const currentValue = priceOracle.toUSD(trade.token, trade.amount);
+      if (currentValue === null) continue;
+
+      profitLoss += trade.amountUSD - currentValue;
+    }
+
+    return parseFloat(profitLoss.toFixed(2));
+  }
+
   /**
    * Get wallet leaderboard (by volume)
    */
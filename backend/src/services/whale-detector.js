@@ -1,10 +1,11 @@
 const logger = require('../utils/logger');
-const { getRedisClient, pushToList, getJSON } = require('../config/redis');
+const { getRedisClient } = require('../config/redis');
+const { whaleStore } = require('../config/redis-store');
 const alertEngine = require('./alert-engine');
 const walletTracker = require('./wallet-tracker');
+const swapDecoder = require('./swap-decoder');
+const mevActorRegistry = require('./mev-actor-registry');
 
-const REDIS_WHALE_LIST = 'whales:recent';
-const MAX_RECENT_WHALES = 50;
 const MAX_IN_MEMORY = 100;
 
 class WhaleDetector {
@@ -64,9 +65,10 @@ class WhaleDetector {
   /**
    * Process a swap event and detect if it's a whale transaction
    * @param {Object} event - Swap event from SDS
+   * @param {Object} swap - Normalized swap record (decoded from the event if omitted)
    * @returns {Object|null} - Whale object if detected, null otherwise
    */
-  async processSwapEvent(event) {
+  async processSwapEvent(event, swap = null) {
     try {
       // Check for duplicate
       if (this.processedTxHashes.has(event.transactionHash)) {
@@ -75,7 +77,7 @@ class WhaleDetector {
       }
 
       // Format the whale data
-      const whaleData = this.formatWhaleData(event);
+      const whaleData = this.formatWhaleData(swap || swapDecoder.decode(event));
 
       // Check if amountUSD >= threshold
       if (whaleData.amountUSD < this.threshold) {
@@ -125,47 +127,48 @@ class WhaleDetector {
   }
 
   /**
-   * Format SDS event into clean whale data object
-   * @param {Object} event - Raw SDS event
+   * Format a normalized swap record into clean whale data object
+   * @param {Object} swap - Swap record from the swap decoder
    * @returns {Object} - Formatted whale data
    */
-  formatWhaleData(event) {
+  formatWhaleData(swap) {
     try {
-      const args = event.args || {};
-
-      // Extract amounts (Uniswap V2/V3 style)
-      const amount0In = args.amount0In || BigInt(0);
-      const amount1In = args.amount1In || BigInt(0);
-      const amount0Out = args.amount0Out || BigInt(0);
-      const amount1Out = args.amount1Out || BigInt(0);
-
-      // For V3, might have amount0 and amount1 directly
-      const amount0 = args.amount0 || (amount0Out > amount0In ? amount0Out : amount0In);
-      const amount1 = args.amount1 || (amount1Out > amount1In ? amount1Out : amount1In);
-
-      // Determine which token was sold/bought
-      const isToken0Sold = amount0In > BigInt(0) || amount0 < BigInt(0);
-      const primaryAmount = isToken0Sold ? amount0 : amount1;
-      const token = isToken0Sold ? (args.token0 || event.address) : (args.token1 || event.address);
-
-      // Calculate USD value (simplified - in production use price oracle)
-      // For now, estimate based on amount magnitude
-      const amountFloat = Number(primaryAmount) / 1e18;
-      const estimatedPrice = 1800; // Rough estimate for ETH or similar
-      const amountUSD = Math.abs(amountFloat * estimatedPrice);
+      if (!swap.priced) {
+        logger.debug(`No USD price available for pool ${swap.poolAddress}, valuing swap at $0`);
+      }
 
       return {
-        txHash: event.transactionHash,
-        timestamp: event.blockNumber ? Date.now() : event.timestamp || Date.now(),
-        wallet: args.sender || args.to || args.from || event.from,
-        token,
-        amount: primaryAmount.toString(),
-        amountUSD,
-        dex: this.identifyDEX(event.address),
-        poolAddress: event.address,
-        blockNumber: event.blockNumber,
-        amount0: amount0.toString(),
-        amount1: amount1.toString()
+        txHash: swap.txHash,
+        logIndex: swap.logIndex,
+        timestamp: swap.timestamp,
+        wallet: swap.wallet,
+        origin: swap.origin,
+        sender: swap.sender,
+        recipient: swap.recipient,
+        // The token the wallet sold and how much of it
+        token: swap.tokenIn?.address || swap.poolAddress,
+        amount: swap.amountIn,
+        token0: swap.token0,
+        token1: swap.token1,
+        tokenIn: swap.tokenIn,
+        tokenOut: swap.tokenOut,
+        amountIn: swap.amountIn,
+        amountOut: swap.amountOut,
+        amountInDecimal: swap.amountInDecimal,
+        amountOutDecimal: swap.amountOutDecimal,
+        zeroForOne: swap.zeroForOne,
+        amountUSD: swap.amountUSD,
+        price: swap.price,
+        dex: swap.dex,
+        protocol: swap.protocol,
+        poolAddress: swap.poolAddress,
+        blockNumber: swap.blockNumber,
+        blockHash: swap.blockHash,
+        status: this.statusOf(swap.blockNumber),
+        amount0: swap.amount0,
+        amount1: swap.amount1,
+        replayed: swap.replayed,
+        mevBot: this.describeBot(swap)
       };
     } catch (error) {
       logger.error('Error formatting whale data:', error);
@@ -174,15 +177,45 @@ class WhaleDetector {
   }
 
   /**
-   * Identify DEX from pool address (placeholder)
-   * @param {string} poolAddress - Pool address
-   * @returns {string} - DEX name
-   * @private
+   * Confirmation status of a whale in a block: pending while the reorg
+   * monitor tracks the block, confirmed once it is past confirmation depth
+   * (backfilled and replayed swaps usually already are)
+   * @param {number|bigint|null} blockNumber
+   * @returns {string} - 'pending' | 'confirmed'
    */
-  identifyDEX(poolAddress) {
-    // In production, maintain a mapping of known pool addresses to DEXes
-    // For now, return generic
-    return 'Unknown DEX';
+  statusOf(blockNumber) {
+    // Required lazily: the reorg monitor depends on this module
+    const reorgMonitor = require('./reorg-monitor');
+    return reorgMonitor.isPending(blockNumber) ? 'pending' : 'confirmed';
+  }
+
+  /**
+   * Known MEV actor behind a whale transaction, if any
+   * Checks the signer, the contract calling the pool and the recipient
+   * @param {Object} whale - Whale or swap record
+   * @returns {Object|null} - { address, attackCount, types, profitUSD }
+   */
+  describeBot(whale) {
+    const actor = mevActorRegistry.findActor(whale.origin, whale.wallet, whale.sender, whale.recipient);
+    if (!actor) return null;
+
+    return {
+      address: actor.address,
+      attackCount: actor.attackCount,
+      types: Object.keys(actor.byType),
+      profitUSD: actor.profitUSD
+    };
+  }
+
+  /**
+   * Mark whales sent by known MEV bots
+   * Actors are often identified after their whale trades were stored, so
+   * stored whales are re-checked on read
+   * @param {Array<Object>} whales - Whale records
+   * @returns {Array<Object>} - Whales with `mevBot` set (null for non-bots)
+   */
+  markBots(whales) {
+    return whales.map(whale => ({ ...whale, mevBot: this.describeBot(whale) }));
   }
 
   /**
@@ -192,18 +225,8 @@ class WhaleDetector {
    */
   async storeWhaleTransaction(whaleData) {
     try {
-      // Push to Redis list with max length
-      await pushToList(REDIS_WHALE_LIST, whaleData, MAX_RECENT_WHALES);
-
-      // Also store individual record with expiration
-      const key = `whale:${whaleData.txHash}`;
-      await this.redisClient.setEx(key, 86400, JSON.stringify(whaleData)); // 24 hour TTL
-
-      // Add to sorted set for time-based queries
-      await this.redisClient.zAdd('whale:timeline', {
-        score: whaleData.timestamp,
-        value: whaleData.txHash
-      });
+      // Record (24 hour TTL) plus whale:timeline index for time-based queries
+      await whaleStore.save(whaleData);
 
       logger.debug(`Whale transaction stored in Redis: ${whaleData.txHash}`);
     } catch (error) {
@@ -213,6 +236,62 @@ class WhaleDetector {
   }
 
 
+  /**
+   * Mark whale transactions as confirmed (block reached confirmation depth)
+   * @param {Array<string>} txHashes - Confirmed transaction hashes
+   * @returns {number} - Number of whales updated
+   */
+  async confirmWhales(txHashes) {
+    const txSet = new Set(txHashes);
+    let confirmed = [];
+
+    try {
+      // Stored whales, not just the in-memory ones, so older and restored
+      // pending whales are promoted too
+      const stored = await whaleStore.getMany(Array.from(txSet));
+      confirmed = stored.filter(whale => whale.status !== 'confirmed');
+
+      if (confirmed.length > 0) {
+        await whaleStore.save(confirmed.map(whale => ({ ...whale, status: 'confirmed' })), { keepTTL: true });
+      }
+
+      for (const whale of this.recentWhales) {
+        if (txSet.has(whale.txHash)) whale.status = 'confirmed';
+      }
+    } catch (error) {
+      logger.error('Error confirming whale transactions:', error);
+    }
+
+    return confirmed.length;
+  }
+
+  /**
+   * Remove whale transactions that were orphaned by a chain reorg
+   * @param {Array<string>} txHashes - Orphaned transaction hashes
+   * @returns {Array} - Removed whale objects
+   */
+  async removeWhales(txHashes) {
+    const orphaned = new Set(txHashes);
+    const removed = this.recentWhales.filter(w => orphaned.has(w.txHash));
+
+    try {
+      this.recentWhales = this.recentWhales.filter(w => !orphaned.has(w.txHash));
+
+      // Allow the transactions to be detected again if re-included
+      orphaned.forEach(txHash => this.processedTxHashes.delete(txHash));
+
+      if (removed.length > 0) {
+        logger.warn(`🔙 Rolled back ${removed.length} whale transactions after reorg`);
+      }
+
+      await whaleStore.remove(Array.from(orphaned));
+    } catch (error) {
+      logger.error('Error removing whale transactions:', error);
+    }
+
+    return removed;
+  }
+
   /**
    * Get recent whale transactions
    * @param {number} limit - Number of transactions to retrieve (default 20)
@@ -225,29 +304,8 @@ class WhaleDetector {
         return this.recentWhales.slice(0, limit);
       }
 
-      // Fetch from Redis
-      const redis = getRedisClient();
-      const whaleList = await redis.lRange(REDIS_WHALE_LIST, 0, limit - 1);
-
-      // Parse and deduplicate
-      const whales = [];
-      const seenTxHashes = new Set();
-
-      for (const item of whaleList) {
-        try {
-          const whale = JSON.parse(item);
-
-          // Filter duplicates
-          if (!seenTxHashes.has(whale.txHash)) {
-            seenTxHashes.add(whale.txHash);
-            whales.push(whale);
-          }
-        } catch (parseError) {
-          logger.error('Error parsing whale data from Redis:', parseError);
-        }
-      }
-
-      return whales;
+      // Fetch newest whales from the timeline index
+      return await whaleStore.range({ limit });
     } catch (error) {
       logger.error('Error getting recent whales:', error);
       return [];
@@ -268,14 +326,7 @@ class WhaleDetector {
       }
 
       // Check Redis
-      const redis = getRedisClient();
-      const data = await redis.get(`whale:${txHash}`);
-
-      if (data) {
-        return JSON.parse(data);
-      }
-
-      return null;
+      return await whaleStore.get(txHash);
     } catch (error) {
       logger.error(`Error getting whale by txHash ${txHash}:`, error);
       return null;
@@ -327,19 +378,10 @@ class WhaleDetector {
 
       // If not enough in memory, fetch from Redis
       if (recentWhales.length < 10) {
-        const redis = getRedisClient();
-        const txHashes = await redis.zRangeByScore('whale:timeline', startTime, now);
-
-        let totalVolume = 0;
-        let transactionCount = txHashes.length;
-
-        for (const txHash of txHashes) {
-          const data = await redis.get(`whale:${txHash}`);
-          if (data) {
-            const tx = JSON.parse(data);
-            totalVolume += tx.amountUSD || tx.valueUSD || 0;
-          }
-        }
+        const whales = await whaleStore.range({ min: startTime, max: now, limit: null });
+
+        const totalVolume = whales.reduce((sum, tx) => sum + (tx.amountUSD || tx.valueUSD || 0), 0);
+        const transactionCount = whales.length;
 
         return {
           transactionCount,
@@ -42,7 +42,7 @@ async function testPoolSubscriptions() {
       await sdsClient.subscribeToPool(poolAddress, (event) => {
         eventCount++;
         logger.info(`📡 Event received from ${poolAddress}:`, {
-          event: event.event,
+          event: event.eventName,
           txHash: event.transactionHash,
           blockNumber: event.blockNumber
         });
@@ -88,7 +88,7 @@ async function testLiquiditySubscription() {
     await sdsClient.subscribeToLiquidity((event) => {
       eventCount++;
       logger.info('💧 Liquidity event received:', {
-        type: event.event,
+        type: event.eventName,
         pool: event.address,
         txHash: event.transactionHash
       });
@@ -111,7 +111,7 @@ async function testWhaleDetection() {
     const mockSwapEvent = {
       transactionHash: '0xtest1234567890abcdef1234567890abcdef1234567890abcdef1234567890',
       address: TEST_POOLS[0],
-      event: 'Swap',
+      eventName: 'Swap',
       blockNumber: 12345,
       args: {
         sender: '0xwhale1234567890abcdef1234567890abcdef1234',
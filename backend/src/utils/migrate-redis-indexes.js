@@ -0,0 +1,210 @@
+/**
+ * Rebuild Redis Indexes
+ * Scans existing keys once (SCAN, not KEYS) and rebuilds the sorted-set
+ * indexes used by the indexed storage layer:
+ *   whale:<tx>          -> whale:timeline
+ *   whale:impact:<tx>   -> impacts:timeline
+ *   alert:<id>          -> alerts:index
+ *   mev:<type>:<tx>     -> mev:timeline, plus mev:idx:{type,pool,attacker,victim}:* secondary indexes
+ * Also folds legacy data into the new layout:
+ *   whales:recent list              -> whale records + whale:timeline
+ *   pool:<addr>:history:<ts> keys   -> pool:<addr>:history sorted set
+ *
+ * Usage: npm run migrate:indexes [-- --dry-run]
+ */
+
+require('dotenv').config();
+const { connectRedis, disconnectRedis, getRedisClient } = require('../config/redis');
+const { whaleStore, impactStore, alertStore, mevStore, poolHistoryKey } = require('../config/redis-store');
+const logger = require('./logger');
+
+const COLLECTIONS = [whaleStore, impactStore, alertStore, mevStore];
+const SCAN_COUNT = 500;
+const BATCH_SIZE = 500;
+const LEGACY_WHALE_LIST = 'whales:recent';
+const LEGACY_HISTORY_KEY = /^pool:(0x[0-9a-fA-F]+):history:(\d+)$/;
+
+/**
+ * Split an array into chunks
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Scan every key and sort it into collections, existing secondary indexes
+ * and legacy history keys
+ * @returns {Object} - { byCollection: Map<collection, keys[]>, secondaryIndexes: Map<collection, keys[]>, legacyHistory: keys[] }
+ */
+async function scanKeys(redis) {
+  const byCollection = new Map(COLLECTIONS.map(collection => [collection, []]));
+  const secondaryIndexes = new Map(COLLECTIONS.map(collection => [collection, []]));
+  const legacyHistory = [];
+
+  for await (const batch of redis.scanIterator({ COUNT: SCAN_COUNT })) {
+    const keys = Array.isArray(batch) ? batch : [batch];
+
+    for (const key of keys) {
+      if (LEGACY_HISTORY_KEY.test(key)) {
+        legacyHistory.push(key);
+        continue;
+      }
+      const indexOwner = COLLECTIONS.find(c => c.secondaryPrefix && key.startsWith(c.secondaryPrefix));
+      if (indexOwner) {
+        secondaryIndexes.get(indexOwner).push(key);
+        continue;
+      }
+      const collection = COLLECTIONS.find(c => c.matchesKey(key));
+      if (collection) {
+        byCollection.get(collection).push(key);
+      }
+    }
+  }
+
+  return { byCollection, secondaryIndexes, legacyHistory };
+}
+
+/**
+ * Rebuild one collection's index (and secondary indexes) from its record keys
+ * @param {Array<string>} staleSecondary - Existing secondary index keys, replaced by the rebuild
+ * @returns {Object} - { indexed: records indexed, secondary: secondary indexes built }
+ */
+async function rebuildIndex(redis, collection, keys, staleSecondary, dryRun) {
+  const entries = [];
+  const secondary = new Map(); // secondary index key -> entries
+
+  for (const batch of chunk(keys, BATCH_SIZE)) {
+    const values = await redis.mGet(batch); // Non-string keys come back null
+
+    values.forEach((value, i) => {
+      if (!value) return;
+      try {
+        const record = JSON.parse(value);
+        const entry = { score: collection.scoreOf(record), value: collection.idFromKey(batch[i]) };
+        entries.push(entry);
+
+        for (const key of collection.secondaryKeys(record)) {
+          if (!secondary.has(key)) secondary.set(key, []);
+          secondary.get(key).push(entry);
+        }
+      } catch (error) {
+        logger.warn(`  Skipping unparseable key ${batch[i]}`);
+      }
+    });
+  }
+
+  if (!dryRun) {
+    // Replace the index atomically so readers never see it half-built
+    const transaction = redis.multi().del(collection.index);
+    chunk(entries, BATCH_SIZE).forEach(batch => transaction.zAdd(collection.index, batch));
+    if (staleSecondary.length > 0) {
+      chunk(staleSecondary, BATCH_SIZE).forEach(batch => transaction.del(batch));
+    }
+    for (const [key, keyEntries] of secondary.entries()) {
+      chunk(keyEntries, BATCH_SIZE).forEach(batch => transaction.zAdd(key, batch));
+      if (collection.ttl) transaction.expire(key, collection.ttl);
+    }
+    await transaction.exec();
+  }
+
+  return { indexed: entries.length, secondary: secondary.size };
+}
+
+/**
+ * Move whales only present in the legacy recent list into indexed records
+ * @returns {number} - Whales restored
+ */
+async function migrateWhaleList(redis, dryRun) {
+  if (await redis.type(LEGACY_WHALE_LIST) !== 'list') return 0;
+
+  const items = await redis.lRange(LEGACY_WHALE_LIST, 0, -1);
+  const whales = [];
+
+  for (const item of items) {
+    try {
+      const whale = JSON.parse(item);
+      if (whale.txHash && !(await redis.exists(whaleStore.keyFor(whale.txHash)))) {
+        whales.push(whale);
+      }
+    } catch (error) {
+      logger.warn('  Skipping unparseable whale list entry');
+    }
+  }
+
+  if (!dryRun) {
+    await whaleStore.save(whales);
+    await redis.del(LEGACY_WHALE_LIST);
+  }
+
+  return whales.length;
+}
+
+/**
+ * Fold legacy one-key-per-snapshot pool history into per-pool sorted sets
+ * @returns {number} - Snapshots migrated
+ */
+async function migratePoolHistory(redis, keys, dryRun) {
+  let migrated = 0;
+
+  for (const batch of chunk(keys, BATCH_SIZE)) {
+    const values = await redis.mGet(batch);
+    const pipeline = redis.multi();
+
+    values.forEach((value, i) => {
+      if (!value) return;
+      const [, poolAddress, timestamp] = batch[i].match(LEGACY_HISTORY_KEY);
+      pipeline.zAdd(poolHistoryKey(poolAddress), { score: parseInt(timestamp), value });
+      migrated++;
+    });
+    pipeline.del(batch);
+
+    if (!dryRun) {
+      await pipeline.execAsPipeline();
+    }
+  }
+
+  return migrated;
+}
+
+async function migrate({ dryRun = false } = {}) {
+  const redis = getRedisClient();
+  logger.info(`=== Rebuilding Redis indexes${dryRun ? ' (dry run)' : ''} ===`);
+
+  // Legacy whale list first, so restored whales are picked up by the scan
+  const restoredWhales = await migrateWhaleList(redis, dryRun);
+  logger.info(`  whales:recent -> ${restoredWhales} whale records restored`);
+
+  const { byCollection, secondaryIndexes, legacyHistory } = await scanKeys(redis);
+
+  for (const [collection, keys] of byCollection.entries()) {
+    const { indexed, secondary } = await rebuildIndex(redis, collection, keys, secondaryIndexes.get(collection), dryRun);
+    logger.info(`  ${collection.name}: ${indexed} records -> ${collection.index}` +
+      (collection.secondaryPrefix ? ` (+${secondary} ${collection.secondaryPrefix}* indexes)` : ''));
+  }
+
+  const snapshots = await migratePoolHistory(redis, legacyHistory, dryRun);
+  logger.info(`  pool history: ${snapshots} legacy snapshots -> pool:<address>:history`);
+
+  logger.info('✅ Index rebuild complete');
+}
+
+module.exports = { migrate };
+
+// Run if called directly
+if (require.main === module) {
+  (async () => {
+    try {
+      await connectRedis();
+      await migrate({ dryRun: process.argv.includes('--dry-run') });
+      await disconnectRedis();
+      process.exit(0);
+    } catch (error) {
+      logger.error('❌ Index rebuild failed:', error);
+      process.exit(1);
+    }
+  })();
+}
@@ -3,8 +3,10 @@
  * Populates Redis with fake pool and whale data to test the frontend
  */
 
-const { setJSON, pushToList, getRedisClient } = require('../config/redis');
+const { setJSON, pushToList } = require('../config/redis');
+const { whaleStore } = require('../config/redis-store');
 const logger = require('./logger');
+const poolRegistry = require('../services/pool-registry');
 
 // Mock pool addresses (fake but realistic looking)
 const MOCK_POOLS = [
@@ -122,8 +124,9 @@ async function seedPools() {
     logger.info('🌱 Seeding mock pool data...');
 
     for (const pool of MOCK_POOLS) {
-      const key = `pool:${pool.address}`;
+      const key = `pool:${pool.address.toLowerCase()}`;
       await setJSON(key, pool, 3600); // 1 hour TTL
+      await poolRegistry.register(pool, 'seed');
       logger.info(`  ✓ Added pool: ${pool.dex} ${pool.token0}/${pool.token1}`);
     }
 
@@ -141,26 +144,11 @@ async function seedWhales() {
   try {
     logger.info('🌱 Seeding mock whale data...');
 
-    const redis = getRedisClient();
-
-    // Clear existing whale list
-    await redis.del('whales:recent');
-
-    // Store individual whales and add to list
-    for (const whale of MOCK_WHALES) {
-      // Store individual whale
-      const key = `whale:${whale.txHash}`;
-      await setJSON(key, whale, 86400); // 24 hour TTL
-
-      // Add to the recent whales list (Redis LIST)
-      await redis.lPush('whales:recent', JSON.stringify(whale));
-      await redis.expire('whales:recent', 86400); // 24 hour TTL
-
+    // Store whale records (24 hour TTL) and index them in whale:timeline
+    await whaleStore.save(MOCK_WHALES);
+    MOCK_WHALES.forEach(whale => {
       logger.info(`  ✓ Added whale: $${whale.amountUSD.toLocaleString()}`);
-    }
-
-    // Trim list to keep only last 50
-    await redis.lTrim('whales:recent', 0, 49);
+    });
 
     logger.info(`✅ Seeded ${MOCK_WHALES.length} mock whales`);
   } catch (error) {
@@ -79,7 +79,7 @@ async function seedRealData() {
 
     for (const pool of pools) {
       // Store individual pool
-      await setJSON(`pool:${pool.address}`, pool, 3600); // 1 hour TTL
+      await setJSON(`pool:${pool.address.toLowerCase()}`, pool, 3600); // 1 hour TTL
 
       // Add to pools list
       await redis.lPush('pools:all', JSON.stringify(pool));
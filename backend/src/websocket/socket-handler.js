@@ -272,6 +272,148 @@ class SocketHandler {
     }
   }
 
+  /**
+   * Broadcast a detected MEV pattern (sandwich, front-run, back-run)
+   * @param {Object} mevData - MEV record from the MEV detector
+   */
+  broadcastMEVDetection(mevData) {
+    try {
+      if (!this.io) {
+        logger.warn('Socket.IO not initialized, cannot broadcast MEV detection');
+        return;
+      }
+
+      const payload = {
+        type: 'mev:detected',
+        data: mevData,
+        timestamp: Date.now()
+      };
+
+      this.io.emit('mev:detected', payload);
+      logger.info(`Broadcasted MEV detection: ${mevData.type} in block ${mevData.blockNumber}`);
+    } catch (error) {
+      logger.error('Error broadcasting MEV detection:', error);
+    }
+  }
+
+  /**
+   * Broadcast an arbitrage opportunity found after a pool update
+   * @param {Object} opportunity - Opportunity from the arbitrage scanner
+   */
+  broadcastArbitrageOpportunity(opportunity) {
+    try {
+      if (!this.io) {
+        logger.warn('Socket.IO not initialized, cannot broadcast arbitrage opportunity');
+        return;
+      }
+
+      const payload = {
+        type: 'arbitrage:opportunity',
+        data: opportunity,
+        timestamp: Date.now()
+      };
+
+      this.io.emit('arbitrage:opportunity', payload);
+      logger.info(`Broadcasted arbitrage opportunity: ${opportunity.tokenPair} ($${opportunity.netProfitUSD.toFixed(2)} net)`);
+    } catch (error) {
+      logger.error('Error broadcasting arbitrage opportunity:', error);
+    }
+  }
+
+  /**
+   * Broadcast that an arbitrage opportunity closed, and what closed it
+   * @param {Object} opportunity - Closed opportunity from the arbitrage scanner
+   */
+  broadcastArbitrageClosed(opportunity) {
+    try {
+      if (!this.io) {
+        logger.warn('Socket.IO not initialized, cannot broadcast arbitrage close');
+        return;
+      }
+
+      const payload = {
+        type: 'arbitrage:closed',
+        data: opportunity,
+        timestamp: Date.now()
+      };
+
+      this.io.emit('arbitrage:closed', payload);
+      logger.debug(`Broadcasted arbitrage close: ${opportunity.tokenPair} (${opportunity.closeReason})`);
+    } catch (error) {
+      logger.error('Error broadcasting arbitrage close:', error);
+    }
+  }
+
+  /**
+   * Broadcast a sandwich-risk warning for a pending swap (before it is mined)
+   * @param {Object} riskData - Risk warning from the mempool monitor
+   */
+  broadcastMEVRisk(riskData) {
+    try {
+      if (!this.io) {
+        logger.warn('Socket.IO not initialized, cannot broadcast MEV risk');
+        return;
+      }
+
+      const payload = {
+        type: 'mev:risk',
+        data: riskData,
+        timestamp: Date.now()
+      };
+
+      this.io.emit('mev:risk', payload);
+      logger.info(`Broadcasted MEV risk: ${riskData.riskLevel} for pending ${riskData.txHash}`);
+    } catch (error) {
+      logger.error('Error broadcasting MEV risk:', error);
+    }
+  }
+
+  /**
+   * Broadcast a chain reorg so clients retract orphaned whales, impacts,
+   * wallet trades, MEV records and alerts
+   * @param {Object} reorgData - Reorg details with orphaned tx hashes
+   */
+  broadcastReorg(reorgData) {
+    try {
+      if (!this.io) {
+        logger.warn('Socket.IO not initialized, cannot broadcast reorg');
+        return;
+      }
+
+      const payload = {
+        type: 'chain:reorg',
+        data: reorgData,
+        timestamp: Date.now()
+      };
+
+      this.io.emit('chain:reorg', payload);
+      logger.warn(`Broadcasted reorg retraction from block ${reorgData.fromBlock}: ${reorgData.txHashes.length} transactions`);
+    } catch (error) {
+      logger.error('Error broadcasting reorg:', error);
+    }
+  }
+
+  /**
+   * Broadcast that pending events reached confirmation depth
+   * @param {Object} confirmationData - { blockNumber, blockHash, txHashes }
+   */
+  broadcastConfirmation(confirmationData) {
+    try {
+      if (!this.io) return;
+
+      const payload = {
+        type: 'chain:confirmed',
+        data: confirmationData,
+        timestamp: Date.now()
+      };
+
+      this.io.to('whales').emit('chain:confirmed', payload);
+      logger.debug(`Broadcasted confirmation for block ${confirmationData.blockNumber}`);
+    } catch (error) {
+      logger.error('Error broadcasting confirmation:', error);
+    }
+  }
+
   /**
    * Start heartbeat interval
    * Emits system:heartbeat every 30 seconds
@@ -0,0 +1,140 @@
+// MEVLossesPanel Component
+// MEV exposure of a tracked wallet: losses per transaction, worst pools and time of day
+
+import { useState, useEffect } from 'react';
+import { ShieldAlert, Clock, Droplets } from 'lucide-react';
+import { api } from '../../services/api';
+import './wallets.css';
+
+const TYPE_LABELS = {
+  sandwich_attack: 'Sandwich',
+  front_running: 'Front-run',
+};
+
+export default function MEVLossesPanel({ address }) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadReport = async () => {
+      try {
+        setLoading(true);
+        const response = await api.getMEVVictimReport(address);
+        if (!cancelled) setReport(response.data.data);
+      } catch (error) {
+        console.error('Error loading MEV losses:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadReport();
+    return () => {
+      cancelled = true;
+    };
+  }, [address]);
+
+  const formatUSD = (value) => {
+    if (value === null || value === undefined) return 'n/a';
+    return `$${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+  };
+
+  const formatAddress = (value) => (value ? `${value.slice(0, 6)}...${value.slice(-4)}` : 'unknown');
+
+  if (loading) {
+    return <div className="mev-losses-panel wallet-loading">Loading MEV losses...</div>;
+  }
+
+  if (!report || report.incidents === 0) {
+    return (
+      <div className="mev-losses-panel">
+        <p className="text-muted">No sandwiches or front-runs hit this wallet in the last {report?.lookbackDays ?? 30} days</p>
+      </div>
+    );
+  }
+
+  // Hours with unpriced incidents still get a visible bar
+  const maxHourLoss = Math.max(...report.hourly.map((bucket) => bucket.lossUSD), 0);
+  const barHeight = (bucket) => {
+    if (bucket.incidents === 0) return 0;
+    return maxHourLoss > 0 ? Math.max((bucket.lossUSD / maxHourLoss) * 100, 8) : 8;
+  };
+
+  return (
+    <div className="mev-losses-panel">
+      <h4>
+        <ShieldAlert size={16} />
+        MEV losses ({report.lookbackDays}d)
+      </h4>
+
+      <div className="wallet-stats">
+        <div className="stat-item">
+          <span className="stat-label">Total lost</span>
+          <span className="stat-value">{formatUSD(report.totalLossUSD)}</span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">Incidents</span>
+          <span className="stat-value">
+            {report.incidents}
+            {report.unpricedIncidents > 0 && <span className="text-muted"> ({report.unpricedIncidents} unpriced)</span>}
+          </span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">Avg per tx</span>
+          <span className="stat-value">{formatUSD(report.avgLossUSD)}</span>
+        </div>
+      </div>
+
+      <div className="mev-losses-section">
+        <span className="stat-label">Losses per transaction</span>
+        <ul className="mev-loss-list">
+          {report.transactions.slice(0, 10).map((incident) => (
+            <li key={`${incident.type}-${incident.txHash}`}>
+              <span className="tag-mini">{TYPE_LABELS[incident.type] || incident.type}</span>
+              <span className="address-text" title={incident.txHash}>{formatAddress(incident.txHash)}</span>
+              <span className="metric">
+                {formatUSD(incident.lossUSD)}
+                {incident.lossAmount && incident.lossToken && ` (${incident.lossAmount} ${incident.lossToken})`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="mev-losses-section">
+        <span className="stat-label">
+          <Droplets size={12} />
+          Worst pools
+        </span>
+        <ul className="mev-loss-list">
+          {report.worstPools.map((pool) => (
+            <li key={pool.poolAddress}>
+              <span className="address-text" title={pool.poolAddress}>{formatAddress(pool.poolAddress)}</span>
+              {pool.dex && <span className="tag-mini">{pool.dex}</span>}
+              <span className="metric">{formatUSD(pool.lossUSD)} · {pool.incidents}x</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="mev-losses-section">
+        <span className="stat-label">
+          <Clock size={12} />
+          Time of day (UTC){report.worstHour && ` · worst ${String(report.worstHour.hour).padStart(2, '0')}:00`}
+        </span>
+        <div className="mev-hour-bars">
+          {report.hourly.map((bucket) => (
+            <div
+              key={bucket.hour}
+              className="mev-hour-bar"
+              title={`${String(bucket.hour).padStart(2, '0')}:00 UTC · ${bucket.incidents} incidents · ${formatUSD(bucket.lossUSD)}`}
+              style={{ height: `${barHeight(bucket)}%` }}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
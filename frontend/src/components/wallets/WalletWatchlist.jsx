@@ -1,9 +1,10 @@
 // WalletWatchlist Component
 // Display and manage tracked whale wallets
 
-import { useState, useEffect } from 'react';
-import { Eye, EyeOff, Trash2, Plus, TrendingUp, Activity } from 'lucide-react';
+import { Fragment, useState, useEffect } from 'react';
+import { Eye, EyeOff, Trash2, Plus, TrendingUp, Activity, ShieldAlert } from 'lucide-react';
 import { api } from '../../services/api';
+import MEVLossesPanel from './MEVLossesPanel';
 import './wallets.css';
 
 export default function WalletWatchlist() {
@@ -12,6 +13,7 @@ export default function WalletWatchlist() {
   const [loading, setLoading] = useState(false);
   const [showAddForm, setShowAddForm] = useState(false);
   const [newWallet, setNewWallet] = useState({ address: '', label: '', tags: '' });
+  const [mevWallet, setMevWallet] = useState(null); // Wallet whose MEV losses panel is open
 
   useEffect(() => {
     loadWallets();
@@ -167,59 +169,69 @@ export default function WalletWatchlist() {
       ) : (
         <div className="wallet-list">
           {wallets.map((wallet) => (
-            <div key={wallet.address} className="wallet-item">
-              <div className="wallet-icon">🐋</div>
-
-              <div className="wallet-info">
-                <div className="wallet-address">
-                  <span className="address-text" title={wallet.address}>
-                    {formatAddress(wallet.address)}
-                  </span>
-                  {wallet.label && (
-                    <span className="wallet-label">{wallet.label}</span>
+            <Fragment key={wallet.address}>
+              <div className="wallet-item">
+                <div className="wallet-icon">🐋</div>
+
+                <div className="wallet-info">
+                  <div className="wallet-address">
+                    <span className="address-text" title={wallet.address}>
+                      {formatAddress(wallet.address)}
+                    </span>
+                    {wallet.label && (
+                      <span className="wallet-label">{wallet.label}</span>
+                    )}
+                  </div>
+
+                  {wallet.tags && wallet.tags.length > 0 && (
+                    <div className="wallet-tags">
+                      {wallet.tags.map((tag, i) => (
+                        <span key={i} className="tag">{tag}</span>
+                      ))}
+                    </div>
                   )}
                 </div>
 
-                {wallet.tags && wallet.tags.length > 0 && (
-                  <div className="wallet-tags">
-                    {wallet.tags.map((tag, i) => (
-                      <span key={i} className="tag">{tag}</span>
-                    ))}
+                <div className="wallet-metrics">
+                  <div className="metric">
+                    <Activity size={14} />
+                    <span>{wallet.totalTrades} trades</span>
+                  </div>
+                  <div className="metric">
+                    <TrendingUp size={14} />
+                    <span>{formatVolume(wallet.totalVolume)}</span>
+                  </div>
+                  <div className="metric-last">
+                    Last: {getTimeSince(wallet.lastTradeAt)}
                   </div>
-                )}
-              </div>
-
-              <div className="wallet-metrics">
-                <div className="metric">
-                  <Activity size={14} />
-                  <span>{wallet.totalTrades} trades</span>
-                </div>
-                <div className="metric">
-                  <TrendingUp size={14} />
-                  <span>{formatVolume(wallet.totalVolume)}</span>
-                </div>
-                <div className="metric-last">
-                  Last: {getTimeSince(wallet.lastTradeAt)}
                 </div>
-              </div>
 
-              <div className="wallet-actions">
-                <button
-                  className="btn-icon"
-                  onClick={() => window.location.hash = `/wallet/${wallet.address}`}
-                  title="View details"
-                >
-                  <Eye size={18} />
-                </button>
-                <button
-                  className="btn-icon btn-danger"
-                  onClick={() => handleUntrack(wallet.address)}
-                  title="Remove from watchlist"
-                >
-                  <Trash2 size={18} />
-                </button>
+                <div className="wallet-actions">
+                  <button
+                    className="btn-icon"
+                    onClick={() => window.location.hash = `/wallet/${wallet.address}`}
+                    title="View details"
+                  >
+                    <Eye size={18} />
+                  </button>
+                  <button
+                    className={`btn-icon ${mevWallet === wallet.address ? 'active' : ''}`}
+                    onClick={() => setMevWallet(mevWallet === wallet.address ? null : wallet.address)}
+                    title="MEV losses"
+                  >
+                    <ShieldAlert size={18} />
+                  </button>
+                  <button
+                    className="btn-icon btn-danger"
+                    onClick={() => handleUntrack(wallet.address)}
+                    title="Remove from watchlist"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
               </div>
-            </div>
+              {mevWallet === wallet.address && <MEVLossesPanel address={wallet.address} />}
+            </Fragment>
           ))}
         </div>
       )}
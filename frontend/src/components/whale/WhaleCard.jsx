@@ -40,6 +40,14 @@ export default function WhaleCard({ whale, index }) {
             <span className="amount-value">${(whale.amountUSD || 0).toLocaleString()}</span>
           </div>
           <span className={`severity-badge severity-${severity}`}>{severityLabels[severity]}</span>
+          {whale.mevBot && (
+            <span
+              className="severity-badge severity-critical"
+              title={`Known MEV bot ${whale.mevBot.address}: ${whale.mevBot.attackCount} attacks (${whale.mevBot.types.join(', ')})`}
+            >
+              🤖 MEV BOT
+            </span>
+          )}
         </div>
 
         <div className="whale-card-body">
@@ -9,7 +9,7 @@ import toast from 'react-hot-toast';
 export const useWebSocket = () => {
   const [socket, setSocket] = useState(null);
   const [triggerFireworks, setTriggerFireworks] = useState(0);
-  const { setConnected, updatePool, addWhale, addImpact } = useAppStore();
+  const { setConnected, updatePool, addWhale, addImpact, retractTransactions, confirmTransactions } = useAppStore();
 
   useEffect(() => {
     // Connect to WebSocket server
@@ -66,6 +66,23 @@ export const useWebSocket = () => {
       }
     });
 
+    // Chain reorg - retract events from orphaned blocks
+    ws.on('chain:reorg', (data) => {
+      const { txHashes = [], whales = [] } = data.data;
+      retractTransactions(txHashes);
+
+      if (whales.length > 0) {
+        toast(`⛓️ Chain reorg: ${whales.length} whale transaction(s) retracted`, {
+          duration: 6000,
+        });
+      }
+    });
+
+    // Pending events reached confirmation depth
+    ws.on('chain:confirmed', (data) => {
+      confirmTransactions(data.data.txHashes || []);
+    });
+
     // Alert triggered - FIREWORKS!
     ws.on('alert:triggered', (data) => {
       console.log('🎆 Alert triggered:', data);
@@ -120,7 +137,7 @@ export const useWebSocket = () => {
     return () => {
       ws.close();
     };
-  }, [setConnected, updatePool, addWhale, addImpact]);
+  }, [setConnected, updatePool, addWhale, addImpact, retractTransactions, confirmTransactions]);
 
   return { socket, connected: !!socket?.connected, triggerFireworks };
 };
@@ -54,4 +54,5 @@ export const api = {
   // MEV Detection
   getDetectedMEV: (params) => axios.get(`${API_BASE}/mev/detected`, { params }),
   getMEVStats: () => axios.get(`${API_BASE}/mev/stats`),
+  getMEVVictimReport: (address, params) => axios.get(`${API_BASE}/mev/victims/${address}`, { params }),
 };
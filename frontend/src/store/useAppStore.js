@@ -30,6 +30,18 @@ const createWhalesSlice = (set) => ({
     set((state) => ({
       recentImpacts: [impact, ...state.recentImpacts].slice(0, 20), // Keep last 20
     })),
+  // Chain reorg: drop whales and impacts from orphaned transactions
+  retractTransactions: (txHashes) =>
+    set((state) => ({
+      whales: state.whales.filter((whale) => !txHashes.includes(whale.txHash)),
+      recentImpacts: state.recentImpacts.filter((impact) => !txHashes.includes(impact.txHash)),
+    })),
+  confirmTransactions: (txHashes) =>
+    set((state) => ({
+      whales: state.whales.map((whale) =>
+        txHashes.includes(whale.txHash) ? { ...whale, status: 'confirmed' } : whale
+      ),
+    })),
 });
 
 // Stats slice